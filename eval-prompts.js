@@ -0,0 +1,68 @@
+/**
+ * Offline prompt evaluation (lib/prompt-eval.js)
+ *
+ *   npm run eval:prompts                                every prompt with a golden set, live versions
+ *   npm run eval:prompts -- email_draft --version 2     one prompt at a given (e.g. draft) version
+ *   --min-accuracy 0.9   category accuracy a prompt needs to pass (default 0.8)
+ *   --live               call the configured providers instead of replaying fixtures; with
+ *                        AI_RECORD_FIXTURES=1 this records the answers the mock replays
+ *   --json               print the full reports as JSON
+ *
+ * Exits 1 when a prompt fails, so it can gate a deploy.
+ */
+const { evaluatePrompt, listGoldenSets } = require('./lib/prompt-eval');
+
+function parseArgs(argv) {
+  const args = { ids: [], version: null, minAccuracy: undefined, live: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--version') args.version = Number(argv[++i]);
+    else if (arg === '--min-accuracy') args.minAccuracy = Number(argv[++i]);
+    else if (arg === '--live') args.live = true;
+    else if (arg === '--json') args.json = true;
+    else args.ids.push(arg);
+  }
+  return args;
+}
+
+async function evalPrompts() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.live) process.env.AI_PROVIDER = 'mock';
+
+  const ids = args.ids.length > 0 ? args.ids : listGoldenSets();
+  if (args.version && ids.length !== 1) {
+    console.error('--version needs exactly one prompt id');
+    process.exit(1);
+  }
+
+  const reports = [];
+  for (const id of ids) {
+    try {
+      reports.push(await evaluatePrompt(id, { version: args.version, minAccuracy: args.minAccuracy }));
+    } catch (err) {
+      reports.push({ prompt: id, ok: false, error: err.message });
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    for (const report of reports) {
+      if (report.error) {
+        console.log(`✗ ${report.prompt}: ${report.error}`);
+        continue;
+      }
+      const accuracy = report.category_accuracy
+        ? `, category accuracy ${Math.round(report.category_accuracy.accuracy * 100)}%`
+        : '';
+      console.log(`${report.ok ? '✓' : '✗'} ${report.prompt} v${report.version}: ${report.passed}/${report.cases} cases passed${accuracy}`);
+      for (const failure of report.failures) {
+        console.log(`    ${failure.case} [${failure.check}] ${failure.detail}`);
+      }
+    }
+  }
+
+  if (reports.some(report => !report.ok)) process.exit(1);
+}
+
+evalPrompts();
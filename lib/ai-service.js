@@ -2,26 +2,44 @@
  * Unified AI Platform Layer
  *
  * Single entry point for ALL AI calls. Handles:
- * - Model routing (Haiku default, Sonnet for quality-critical)
+ * - Model routing per task and per plan (configurable, see AI_ROUTING below)
+ * - Provider dispatch (Anthropic, OpenAI-compatible endpoints, local mock; see llm-providers.js)
  * - Input-hash response caching (Postgres-backed)
  * - Token counting + cost tracking
- * - Structured JSON output enforcement
+ * - Structured JSON output enforcement (schema-checked for registered prompts, see prompt-registry.js)
  * - Cheap-first escalation (Haiku → Sonnet on quality failure)
  * - Plan-tier budget enforcement
+ *
+ * AI_ROUTING (a JSON object, or the path of a JSON file) is merged over the defaults below:
+ *   {
+ *     "models": { "fast": { "provider": "chat_completions", "id": "...", "inputCostPerMTok": 0.1, "outputCostPerMTok": 0.4 } },
+ *     "tasks": { "email_draft": "sonnet" },
+ *     "plans": { "free": { "*": "haiku" }, "scale": { "reply_categorization": "sonnet" } },
+ *     "default": "haiku",
+ *     "budgets": { "starter": 1000 },
+ *     "anonymous_daily_budgets": { "proof_demo": 500 }
+ *   }
+ * A plan route beats a task route; "*" covers every task for that plan.
+ * AI_PROVIDER sends every model to one provider (e.g. "mock" for local development).
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const crypto = require('crypto');
+const fs = require('fs');
+const { createProvider, recordFixture } = require('./llm-providers');
+const { validateOutput } = require('./prompt-registry');
 
 // Model definitions with pricing (per million tokens)
 const MODELS = {
   haiku: {
+    provider: 'anthropic',
     id: 'claude-3-5-haiku-20241022',
     inputCostPerMTok: 0.25,
     outputCostPerMTok: 1.25,
-    maxTokens: 8192
+    maxTokens: 8192,
+    escalateTo: 'sonnet'
   },
   sonnet: {
+    provider: 'anthropic',
     id: 'claude-sonnet-4-20250514',
     inputCostPerMTok: 3.0,
     outputCostPerMTok: 15.0,
@@ -29,8 +47,8 @@ const MODELS = {
   }
 };
 
-// Task → model mapping (default assignments)
-const TASK_MODEL_MAP = {
+// Task → model (default assignments)
+const TASK_ROUTES = {
   // Haiku tasks (cheap, fast)
   'icp_parse': 'haiku',
   'prospect_discovery': 'haiku',
@@ -49,26 +67,59 @@ const TASK_MODEL_MAP = {
   'recategorize': 'sonnet'
 };
 
+// Monthly AI spend per plan (cents)
+const PLAN_BUDGETS = {
+  'starter': 1000,   // $10
+  'growth': 5000,    // $50
+  'scale': 20000,    // $200
+  'free': 500        // $5 trial
+};
+
+// Daily spend caps (cents) for calls made without a user, e.g. the public proof page
+const ANONYMOUS_DAILY_BUDGETS = {
+  'proof_demo': 500
+};
+
 class AIService {
   constructor(pool) {
     this.pool = pool;
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
+    this.routing = loadRouting();
+    this.providers = {};
+  }
+
+  /**
+   * The Anthropic SDK client (kept for callers and tests that swap it out)
+   */
+  get client() {
+    return this._provider('anthropic').client;
+  }
+
+  set client(client) {
+    this.providers.anthropic = createProvider('anthropic', { client });
+  }
+
+  /**
+   * Which model a task runs on for a plan
+   * @returns {string} model key
+   */
+  resolveModel(task, plan = null) {
+    const planRoutes = (plan && this.routing.plans[plan]) || {};
+    return planRoutes[task] || planRoutes['*'] || this.routing.tasks[task] || this.routing.default;
   }
 
   /**
    * Main entry point for all AI calls
    *
-   * @param {string} task - Task type (maps to model via TASK_MODEL_MAP)
-   * @param {object} input - { system, messages, maxTokens, jsonSchema }
+   * @param {string} task - Task type (maps to a model via resolveModel)
+   * @param {object} input - { system, messages, maxTokens, jsonSchema, promptId, promptVersion }
+   *   (renderPrompt in prompt-registry.js builds this for registered prompts)
    * @param {object} options - { userId, skipCache, forceModel, cacheTtlSeconds }
    * @returns {object} { content, model, cached, tokens_in, tokens_out, cost_cents, latency_ms }
    */
   async call(task, input, options = {}) {
     const startTime = Date.now();
-    const modelKey = options.forceModel || TASK_MODEL_MAP[task] || 'haiku';
-    const model = MODELS[modelKey];
+    const modelKey = options.forceModel || this.resolveModel(task, await this._userPlan(options.userId));
+    const model = this.routing.models[modelKey];
 
     if (!model) {
       throw new Error(`Unknown model: ${modelKey}`);
@@ -78,7 +129,7 @@ class AIService {
     if (!options.skipCache) {
       const cached = await this._checkCache(task, input, modelKey);
       if (cached) {
-        await this._trackUsage(options.userId, task, modelKey, cached.tokens_in, cached.tokens_out, true, 0, Date.now() - startTime);
+        await this._trackUsage(options.userId, task, modelKey, cached.tokens_in, cached.tokens_out, true, 0, Date.now() - startTime, input);
         return {
           content: cached.response,
           model: modelKey,
@@ -91,53 +142,58 @@ class AIService {
       }
     }
 
+    // Cached answers are free; only a provider call spends budget (checked once, not again on escalation)
+    if (!options.budgetChecked) {
+      await this._enforceBudget(task, options.userId);
+    }
+
     // Build messages array
     const messages = input.messages || [{ role: 'user', content: input.prompt || '' }];
 
-    // Call Anthropic API
-    const apiParams = {
+    const provider = this._provider(process.env.AI_PROVIDER || model.provider);
+    const request = {
+      task,
       model: model.id,
-      max_tokens: input.maxTokens || model.maxTokens,
-      messages
+      system: input.system,
+      messages,
+      maxTokens: input.maxTokens || model.maxTokens,
+      json: !!input.jsonSchema
     };
 
-    if (input.system) {
-      apiParams.system = input.system;
-    }
-
     let response;
     try {
-      // Add timeout via AbortController (30 seconds)
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000);
-      try {
-        response = await this.client.messages.create(apiParams, { signal: controller.signal });
-      } finally {
-        clearTimeout(timeoutId);
-      }
+      response = await provider.complete(request);
     } catch (err) {
-      // Handle timeout
-      if (err.name === 'AbortError') {
+      if (err.timeout) {
         throw new Error(`AI request timed out after 30 seconds (task: ${task})`);
       }
-      // If Haiku fails and task allows escalation, try Sonnet
-      if (modelKey === 'haiku' && !options.forceModel && err.status !== 401) {
-        console.warn(`[AI] Haiku failed for ${task}, escalating to Sonnet: ${err.message}`);
-        return this.call(task, input, { ...options, forceModel: 'sonnet' });
+      // If a cheap model fails and the task allows escalation, try the stronger one
+      if (model.escalateTo && !options.forceModel && err.status !== 401) {
+        console.warn(`[AI] ${modelKey} failed for ${task}, escalating to ${model.escalateTo}: ${err.message}`);
+        return this.call(task, input, { ...options, forceModel: model.escalateTo, budgetChecked: true });
       }
       throw err;
     }
 
-    const content = response.content[0]?.text || '';
-    const tokensIn = response.usage?.input_tokens || 0;
-    const tokensOut = response.usage?.output_tokens || 0;
+    if (process.env.AI_RECORD_FIXTURES && provider.name !== 'mock') {
+      try {
+        recordFixture(task, request, response);
+      } catch (err) {
+        console.error(`[AI] Fixture recording failed for ${task}:`, err.message);
+      }
+    }
+
+    const content = response.text;
+    const tokensIn = response.tokensIn;
+    const tokensOut = response.tokensOut;
 
-    // Calculate cost
-    const costCents = ((tokensIn / 1_000_000) * model.inputCostPerMTok + (tokensOut / 1_000_000) * model.outputCostPerMTok) * 100;
+    // Calculate cost (replayed responses are free)
+    const costCents = provider.name === 'mock' ? 0 : ((tokensIn / 1_000_000) * model.inputCostPerMTok + (tokensOut / 1_000_000) * model.outputCostPerMTok) * 100;
 
     // Parse JSON if requested
     let parsed = content;
     if (input.jsonSchema) {
+      let problem = null;
       try {
         // Extract JSON from response (handle markdown code blocks)
         let jsonStr = content;
@@ -146,15 +202,25 @@ class AIService {
           jsonStr = jsonMatch[1].trim();
         }
         parsed = JSON.parse(jsonStr);
-      } catch (parseErr) {
-        // If JSON parse fails on Haiku, escalate to Sonnet
-        if (modelKey === 'haiku' && !options.forceModel) {
-          console.warn(`[AI] Haiku JSON parse failed for ${task}, escalating to Sonnet`);
-          return this.call(task, input, { ...options, forceModel: 'sonnet' });
+
+        // A registered prompt's answer must also match its output schema
+        const schemaErrors = typeof input.jsonSchema === 'object' ? validateOutput(input.jsonSchema, parsed) : [];
+        if (schemaErrors.length > 0) {
+          problem = `answer doesn't match the ${input.promptId} schema: ${schemaErrors.join('; ')}`;
         }
-        console.error(`[AI] JSON parse failed for ${task}:`, parseErr.message);
+      } catch (parseErr) {
+        problem = `JSON parse failed: ${parseErr.message}`;
         parsed = content;
       }
+
+      if (problem) {
+        // If a cheap model's answer is unusable, escalate to the stronger one
+        if (model.escalateTo && !options.forceModel) {
+          console.warn(`[AI] ${modelKey} ${problem} (${task}), escalating to ${model.escalateTo}`);
+          return this.call(task, input, { ...options, forceModel: model.escalateTo, budgetChecked: true });
+        }
+        console.error(`[AI] ${problem} (${task})`);
+      }
     }
 
     const latencyMs = Date.now() - startTime;
@@ -166,7 +232,7 @@ class AIService {
     }
 
     // Track usage
-    await this._trackUsage(options.userId, task, modelKey, tokensIn, tokensOut, false, costCents, latencyMs);
+    await this._trackUsage(options.userId, task, modelKey, tokensIn, tokensOut, false, costCents, latencyMs, input);
 
     return {
       content: parsed,
@@ -187,7 +253,7 @@ class AIService {
     return this.call(task, {
       ...input,
       system: (input.system || '') + systemSuffix,
-      jsonSchema: true
+      jsonSchema: input.jsonSchema || true
     }, options);
   }
 
@@ -210,12 +276,7 @@ class AIService {
       if (result.rows.length === 0) return { allowed: true, remaining_cents: 1000 };
 
       const { subscription_plan, total_cost_cents } = result.rows[0];
-      const budgets = {
-        'starter': 1000,   // $10
-        'growth': 5000,    // $50
-        'scale': 20000,    // $200
-        'free': 500        // $5 trial
-      };
+      const budgets = this.routing.budgets;
 
       const budget = budgets[subscription_plan] || budgets.free;
       const remaining = budget - parseInt(total_cost_cents);
@@ -268,6 +329,55 @@ class AIService {
 
   // ---- Internal methods ----
 
+  _provider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = createProvider(name);
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Refuse calls over budget: the user's monthly plan budget, or the task's daily cap
+   * when there's no user.
+   * Without a pool (offline prompt evaluation) there are no budgets, cache or usage rows.
+   */
+  async _enforceBudget(task, userId) {
+    if (!this.pool) return;
+    if (userId) {
+      const budget = await this.checkBudget(userId);
+      if (!budget.allowed) {
+        throw new Error(budget.error || `AI budget exhausted for this month (task: ${task})`);
+      }
+      return;
+    }
+
+    const cap = this.routing.anonymous_daily_budgets[task];
+    if (!cap) return;
+
+    const result = await this.pool.query(
+      `SELECT COALESCE(SUM(cost_cents), 0) as spent FROM ai_usage
+       WHERE user_id IS NULL AND task_type = $1 AND created_at >= DATE_TRUNC('day', NOW())`,
+      [task]
+    );
+    if (parseFloat(result.rows[0].spent) >= cap) {
+      throw new Error(`Daily AI budget exhausted (task: ${task})`);
+    }
+  }
+
+  /**
+   * The user's plan, looked up only when AI_ROUTING has plan routes
+   */
+  async _userPlan(userId) {
+    if (!this.pool || !userId || Object.keys(this.routing.plans).length === 0) return null;
+    try {
+      const result = await this.pool.query('SELECT subscription_plan FROM users WHERE id = $1', [userId]);
+      return result.rows[0]?.subscription_plan || 'free';
+    } catch (err) {
+      console.error('[AI] Plan lookup failed:', err.message);
+      return null;
+    }
+  }
+
   _generateCacheKey(task, input, modelKey) {
     const hashInput = JSON.stringify({
       task,
@@ -279,6 +389,7 @@ class AIService {
   }
 
   async _checkCache(task, input, modelKey) {
+    if (!this.pool) return null;
     try {
       const hash = this._generateCacheKey(task, input, modelKey);
       const result = await this.pool.query(
@@ -297,6 +408,7 @@ class AIService {
   }
 
   async _setCache(task, input, modelKey, response, tokensIn, tokensOut, ttlSeconds) {
+    if (!this.pool) return;
     try {
       const hash = this._generateCacheKey(task, input, modelKey);
       const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
@@ -311,12 +423,14 @@ class AIService {
     }
   }
 
-  async _trackUsage(userId, task, model, tokensIn, tokensOut, cached, costCents, latencyMs) {
+  async _trackUsage(userId, task, model, tokensIn, tokensOut, cached, costCents, latencyMs, input = {}) {
+    if (!this.pool) return;
     try {
       await this.pool.query(
-        `INSERT INTO ai_usage (user_id, task_type, model, tokens_in, tokens_out, cached, cost_cents, latency_ms)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [userId || null, task, model, tokensIn, tokensOut, cached, Math.round(costCents * 100) / 100, latencyMs]
+        `INSERT INTO ai_usage (user_id, task_type, model, tokens_in, tokens_out, cached, cost_cents, latency_ms, prompt_id, prompt_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [userId || null, task, model, tokensIn, tokensOut, cached, Math.round(costCents * 100) / 100, latencyMs,
+          input.promptId || null, input.promptVersion || null]
       );
     } catch (err) {
       console.error('[AI] Usage tracking failed:', err.message);
@@ -343,4 +457,51 @@ class AIService {
   }
 }
 
+/**
+ * Defaults merged with AI_ROUTING; parsed once per distinct value
+ */
+let routingCache = null;
+
+function loadRouting() {
+  const source = process.env.AI_ROUTING || '';
+  if (routingCache && routingCache.source === source) return routingCache.routing;
+
+  let overrides = {};
+  if (source) {
+    const json = source.trim().startsWith('{') ? source : fs.readFileSync(source, 'utf8');
+    overrides = JSON.parse(json);
+  }
+
+  const models = { ...MODELS };
+  for (const [key, model] of Object.entries(overrides.models || {})) {
+    models[key] = { provider: 'anthropic', maxTokens: 4096, ...MODELS[key], ...model };
+  }
+  const plans = {};
+  for (const [plan, routes] of Object.entries(overrides.plans || {})) {
+    plans[plan] = { ...routes };
+  }
+
+  const routing = {
+    models,
+    plans,
+    tasks: { ...TASK_ROUTES, ...overrides.tasks },
+    default: overrides.default || 'haiku',
+    budgets: { ...PLAN_BUDGETS, ...overrides.budgets },
+    anonymous_daily_budgets: { ...ANONYMOUS_DAILY_BUDGETS, ...overrides.anonymous_daily_budgets }
+  };
+
+  const unknown = [
+    routing.default,
+    ...Object.values(routing.tasks),
+    ...Object.values(plans).flatMap(Object.values),
+    ...Object.values(models).map(model => model.escalateTo).filter(Boolean)
+  ].filter(key => !models[key]);
+  if (unknown.length > 0) {
+    throw new Error(`AI_ROUTING references unknown models: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  routingCache = { source, routing };
+  return routing;
+}
+
 module.exports = AIService;
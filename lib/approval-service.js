@@ -5,11 +5,60 @@
  * through the approval queue before being sent.
  *
  * Handles: email approvals, reply draft approvals, bulk actions, edits.
+ * A first email's experiment variants are approved or rejected with it.
+ * Edits and rejections are kept as revisions (see revision-service.js).
+ * Approved reply drafts are queued for delivery (see campaign-sending-service.js).
  */
 
+const EmailVerificationService = require('./email-verification-service');
+const EmailService = require('./email-service');
+const RevisionService = require('./revision-service');
+const CampaignSendingService = require('./campaign-sending-service');
+const EmailExperimentService = require('./email-experiment-service');
+const { findMissingMergeTags, prospectMergeValues } = require('./merge-tags');
+
+// Emails whose recipient failed verification can't be approved
+const RECIPIENT_NOT_INVALID = `
+        AND NOT EXISTS (
+          SELECT 1 FROM email_verifications ev
+          WHERE ev.email = LOWER(ge.recipient_email) AND ev.status = 'invalid'
+        )`;
+
+// Auto-approval policy settings for a new policy
+const DEFAULT_POLICY = {
+  min_fit_score: 80,
+  max_spam_score: 3,
+  require_verified_recipient: true,
+  block_placeholders: true,
+  block_unverified_facts: true,
+  review_first_n: 10
+};
+
+const POLICY_LIMITS = {
+  min_fit_score: { min: 0, max: 100, integer: true },
+  max_spam_score: { min: 0, max: 10, integer: false },
+  review_first_n: { min: 0, max: 1000, integer: true }
+};
+
+// Template leftovers that must never reach a prospect
+const PLACEHOLDER_PATTERNS = [
+  /\[(?:[A-Z][A-Za-z]*(?: [A-Za-z]+){0,3})\]/,
+  /<\s*(?:insert|your|their|company|first|name)\b[^>]*>/i,
+  /\b(?:TODO|TBD|XXX)\b/,
+  /lorem ipsum/i
+];
+
+// Specific claims (money, percentages, rounds, years, large numbers) the research has to back up
+const FACT_PATTERN = /\$\s?\d[\d,.]*\s?(?:k|m|bn|million|billion)?\b|\b\d[\d,.]*\s?%|\bseries [a-e]\b|\b(?:19|20)\d{2}\b|\b\d[\d,.]*\s?(?:k|m|bn|million|billion)\b/gi;
+
 class ApprovalService {
   constructor(pool) {
     this.pool = pool;
+    this.verificationService = new EmailVerificationService(pool);
+    this.emailService = new EmailService(pool);
+    this.revisions = new RevisionService(pool);
+    this.sendingService = new CampaignSendingService(pool);
+    this.experiments = new EmailExperimentService(pool);
   }
 
   /**
@@ -28,11 +77,20 @@ class ApprovalService {
           ge.id, ge.prospect_id, ge.campaign_id, ge.recipient_name, ge.recipient_email,
           ge.subject_line, ge.email_body, ge.personalization_notes, ge.status, ge.created_at,
           p.company_name, p.industry, p.website, p.fit_score,
+          p.source, p.is_ai_generated, p.identity_confirmed_at,
           c.name as campaign_name,
+          ev.status as verification_status, ev.reason as verification_reason,
+          (SELECT COALESCE(json_agg(json_build_object(
+              'variant', v.variant, 'subject_line', v.subject_line, 'email_body', v.email_body
+            ) ORDER BY v.variant), '[]'::json)
+           FROM email_variants v
+           WHERE v.generated_email_id = ge.id AND v.sequence_step_id IS NULL AND v.status = 'pending_approval'
+          ) as variants,
           'email' as item_type
         FROM generated_emails ge
         JOIN prospects p ON ge.prospect_id = p.id
         JOIN campaigns c ON ge.campaign_id = c.id
+        LEFT JOIN email_verifications ev ON ev.email = LOWER(ge.recipient_email)
         WHERE c.user_id = $1
           AND ge.status = 'pending_approval'
           ${campaign_id ? 'AND ge.campaign_id = $3' : ''}
@@ -52,9 +110,9 @@ class ApprovalService {
           rd.draft_subject, rd.draft_body, rd.reply_category, rd.status, rd.created_at,
           p.company_name, p.industry, p.website, p.fit_score,
           c.name as campaign_name,
-          pri.sender_email as reply_from,
-          pri.subject as original_subject,
-          pri.body_text as original_body,
+          pri.reply_from_email as reply_from,
+          pri.reply_subject as original_subject,
+          pri.reply_body as original_body,
           'reply_draft' as item_type
         FROM reply_drafts rd
         JOIN prospects p ON rd.prospect_id = p.id
@@ -117,22 +175,25 @@ class ApprovalService {
     const result = await this.pool.query(`
       UPDATE generated_emails ge SET
         status = 'approved',
+        approval_source = 'manual',
+        reviewed_at = NOW(),
         updated_at = NOW()
       FROM campaigns c
       WHERE ge.campaign_id = c.id
         AND ge.id = $1
         AND c.user_id = $2
-        AND ge.status = 'pending_approval'
+        AND ge.status = 'pending_approval'${RECIPIENT_NOT_INVALID}
       RETURNING ge.id, ge.prospect_id
     `, [emailId, userId]);
 
-    if (result.rows.length === 0) throw new Error('Email not found or already processed');
+    if (result.rows.length === 0) await this._throwNotApproved(emailId, userId);
 
     // Update prospect status
     await this.pool.query(
       "UPDATE prospects SET status = 'approved' WHERE id = $1",
       [result.rows[0].prospect_id]
     );
+    await this.experiments.reviewVariants([emailId], 'approved');
 
     return { id: emailId, status: 'approved' };
   }
@@ -143,47 +204,75 @@ class ApprovalService {
   async editAndApproveEmail(emailId, userId, edits) {
     const { subject, body, recipient_email } = edits;
 
+    // A corrected address is checked before it can be approved
+    if (recipient_email) {
+      const verification = await this.verificationService.verify(recipient_email);
+      if (verification.status === 'invalid') {
+        throw new Error(`Recipient email failed verification: ${verification.reason}`);
+      }
+    }
+
+    await this._ensureOwnedOriginal('email', emailId, userId);
+
     const result = await this.pool.query(`
       UPDATE generated_emails ge SET
         subject_line = COALESCE($3, ge.subject_line),
         email_body = COALESCE($4, ge.email_body),
         recipient_email = COALESCE($5, ge.recipient_email),
         status = 'approved',
+        approval_source = 'manual',
+        reviewed_at = NOW(),
         updated_at = NOW()
       FROM campaigns c
       WHERE ge.campaign_id = c.id
         AND ge.id = $1
         AND c.user_id = $2
         AND ge.status = 'pending_approval'
-      RETURNING ge.id, ge.prospect_id
+        ${recipient_email ? '' : RECIPIENT_NOT_INVALID}
+      RETURNING ge.id, ge.prospect_id, ge.campaign_id, ge.subject_line, ge.email_body, ge.recipient_email
     `, [emailId, userId, subject || null, body || null, recipient_email || null]);
 
-    if (result.rows.length === 0) throw new Error('Email not found or already processed');
+    if (result.rows.length === 0) await this._throwNotApproved(emailId, userId);
+
+    const edited = result.rows[0];
+    await this.revisions.record('email', emailId, {
+      kind: 'edit',
+      campaignId: edited.campaign_id,
+      subject: edited.subject_line,
+      body: edited.email_body,
+      recipientEmail: edited.recipient_email,
+      authorId: userId
+    });
 
     await this.pool.query(
       "UPDATE prospects SET status = 'approved' WHERE id = $1",
       [result.rows[0].prospect_id]
     );
+    await this.experiments.reviewVariants([emailId], 'approved');
 
     return { id: emailId, status: 'approved' };
   }
 
   /**
    * Reject an email
+   * @param {string} category - Optional rejection category (see RevisionService)
    */
-  async rejectEmail(emailId, userId, reason = '') {
+  async rejectEmail(emailId, userId, reason = '', category = null) {
+    const rejectionCategory = this.revisions.normalizeRejectionCategory(category);
     const result = await this.pool.query(`
       UPDATE generated_emails ge SET
         status = 'rejected',
-        personalization_notes = CASE WHEN $3 != '' THEN $3 ELSE ge.personalization_notes END,
+        rejection_reason = NULLIF($3, ''),
+        rejection_category = $4,
+        reviewed_at = NOW(),
         updated_at = NOW()
       FROM campaigns c
       WHERE ge.campaign_id = c.id
         AND ge.id = $1
         AND c.user_id = $2
         AND ge.status = 'pending_approval'
-      RETURNING ge.id, ge.prospect_id
-    `, [emailId, userId, reason]);
+      RETURNING ge.id, ge.prospect_id, ge.campaign_id
+    `, [emailId, userId, reason || '', rejectionCategory]);
 
     if (result.rows.length === 0) throw new Error('Email not found or already processed');
 
@@ -193,6 +282,9 @@ class ApprovalService {
       [result.rows[0].prospect_id]
     );
 
+    await this._recordRejection('email', emailId, result.rows[0].campaign_id, userId, reason, rejectionCategory);
+    await this.experiments.reviewVariants([emailId], 'rejected');
+
     return { id: emailId, status: 'rejected' };
   }
 
@@ -203,12 +295,14 @@ class ApprovalService {
     const result = await this.pool.query(`
       UPDATE generated_emails ge SET
         status = 'approved',
+        approval_source = 'manual',
+        reviewed_at = NOW(),
         updated_at = NOW()
       FROM campaigns c
       WHERE ge.campaign_id = c.id
         AND ge.id = ANY($1)
         AND c.user_id = $2
-        AND ge.status = 'pending_approval'
+        AND ge.status = 'pending_approval'${RECIPIENT_NOT_INVALID}
       RETURNING ge.id, ge.prospect_id
     `, [emailIds, userId]);
 
@@ -220,8 +314,22 @@ class ApprovalService {
         [prospectIds]
       );
     }
+    await this.experiments.reviewVariants(result.rows.map(r => r.id), 'approved');
 
-    return { approved: result.rows.length, ids: result.rows.map(r => r.id) };
+    // Report the ones held back by verification so the UI can explain them
+    let blockedIds = [];
+    if (result.rows.length < emailIds.length) {
+      const blocked = await this.pool.query(`
+        SELECT ge.id FROM generated_emails ge
+        JOIN campaigns c ON ge.campaign_id = c.id
+        JOIN email_verifications ev ON ev.email = LOWER(ge.recipient_email)
+        WHERE ge.id = ANY($1) AND c.user_id = $2
+          AND ge.status = 'pending_approval' AND ev.status = 'invalid'
+      `, [emailIds, userId]);
+      blockedIds = blocked.rows.map(r => r.id);
+    }
+
+    return { approved: result.rows.length, ids: result.rows.map(r => r.id), blocked_ids: blockedIds };
   }
 
   /**
@@ -242,7 +350,7 @@ class ApprovalService {
 
     if (result.rows.length === 0) throw new Error('Reply draft not found or already processed');
 
-    return { id: draftId, status: 'approved' };
+    return this._queueReplyDraft(draftId);
   }
 
   /**
@@ -251,6 +359,8 @@ class ApprovalService {
   async editAndApproveReplyDraft(draftId, userId, edits) {
     const { subject, body } = edits;
 
+    await this._ensureOwnedOriginal('reply_draft', draftId, userId);
+
     const result = await this.pool.query(`
       UPDATE reply_drafts rd SET
         draft_subject = COALESCE($3, rd.draft_subject),
@@ -262,35 +372,457 @@ class ApprovalService {
         AND rd.id = $1
         AND c.user_id = $2
         AND rd.status = 'pending_approval'
-      RETURNING rd.id
+      RETURNING rd.id, rd.campaign_id, rd.draft_subject, rd.draft_body
     `, [draftId, userId, subject || null, body || null]);
 
     if (result.rows.length === 0) throw new Error('Reply draft not found or already processed');
 
-    return { id: draftId, status: 'approved' };
+    const edited = result.rows[0];
+    await this.revisions.record('reply_draft', draftId, {
+      kind: 'edit',
+      campaignId: edited.campaign_id,
+      subject: edited.draft_subject,
+      body: edited.draft_body,
+      authorId: userId
+    });
+
+    return this._queueReplyDraft(draftId);
   }
 
   /**
    * Reject a reply draft
+   * @param {string} category - Optional rejection category (see RevisionService)
    */
-  async rejectReplyDraft(draftId, userId, reason = '') {
+  async rejectReplyDraft(draftId, userId, reason = '', category = null) {
+    const rejectionCategory = this.revisions.normalizeRejectionCategory(category);
     const result = await this.pool.query(`
       UPDATE reply_drafts rd SET
         status = 'rejected',
         rejection_reason = $3,
+        rejection_category = $4,
         updated_at = NOW()
       FROM campaigns c
       WHERE rd.campaign_id = c.id
         AND rd.id = $1
         AND c.user_id = $2
         AND rd.status = 'pending_approval'
-      RETURNING rd.id
-    `, [draftId, userId, reason]);
+      RETURNING rd.id, rd.campaign_id
+    `, [draftId, userId, reason, rejectionCategory]);
 
     if (result.rows.length === 0) throw new Error('Reply draft not found or already processed');
 
+    await this._recordRejection('reply_draft', draftId, result.rows[0].campaign_id, userId, reason, rejectionCategory);
+
     return { id: draftId, status: 'rejected' };
   }
+
+  /**
+   * A campaign's auto-approval policy (defaults, disabled, if none was saved)
+   */
+  async getPolicy(userId, campaignId) {
+    await this._assertCampaign(userId, campaignId);
+    const result = await this.pool.query(
+      'SELECT * FROM approval_policies WHERE campaign_id = $1',
+      [campaignId]
+    );
+    return result.rows[0] || { campaign_id: campaignId, enabled: false, ...DEFAULT_POLICY };
+  }
+
+  /**
+   * Save and enable a campaign's auto-approval policy
+   * @param {object} settings - Any of min_fit_score, max_spam_score, review_first_n and the require/block flags
+   */
+  async savePolicy(userId, campaignId, settings = {}) {
+    const current = await this.getPolicy(userId, campaignId);
+    const policy = {};
+    for (const key of Object.keys(DEFAULT_POLICY)) {
+      const value = settings[key] === undefined ? current[key] : settings[key];
+      const limits = POLICY_LIMITS[key];
+      if (!limits) {
+        policy[key] = value === true || value === 'true';
+        continue;
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < limits.min || number > limits.max || (limits.integer && !Number.isInteger(number))) {
+        throw new Error(`${key} must be a ${limits.integer ? 'whole number' : 'number'} between ${limits.min} and ${limits.max}`);
+      }
+      policy[key] = number;
+    }
+
+    const result = await this.pool.query(`
+      INSERT INTO approval_policies
+        (campaign_id, enabled, min_fit_score, max_spam_score, require_verified_recipient,
+         block_placeholders, block_unverified_facts, review_first_n)
+      VALUES ($1, TRUE, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (campaign_id) DO UPDATE SET
+        enabled = TRUE,
+        min_fit_score = EXCLUDED.min_fit_score,
+        max_spam_score = EXCLUDED.max_spam_score,
+        require_verified_recipient = EXCLUDED.require_verified_recipient,
+        block_placeholders = EXCLUDED.block_placeholders,
+        block_unverified_facts = EXCLUDED.block_unverified_facts,
+        review_first_n = EXCLUDED.review_first_n,
+        revoked_at = NULL,
+        updated_at = NOW()
+      RETURNING *
+    `, [campaignId, policy.min_fit_score, policy.max_spam_score, policy.require_verified_recipient,
+      policy.block_placeholders, policy.block_unverified_facts, policy.review_first_n]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Turn a campaign's policy off and send its not-yet-sent approvals back to the queue
+   * @returns {object} { revoked, returned_to_review }
+   */
+  async revokePolicy(userId, campaignId) {
+    await this._assertCampaign(userId, campaignId);
+    const policy = await this.pool.query(`
+      UPDATE approval_policies SET enabled = FALSE, revoked_at = NOW(), updated_at = NOW()
+      WHERE campaign_id = $1 AND enabled = TRUE
+      RETURNING id
+    `, [campaignId]);
+    if (policy.rows.length === 0) return { revoked: false, returned_to_review: 0 };
+
+    // Scheduled but unsent first emails are pulled so a person can review them
+    await this.pool.query(`
+      DELETE FROM campaign_sending_queue q
+      USING generated_emails ge
+      WHERE q.generated_email_id = ge.id
+        AND ge.campaign_id = $1
+        AND ge.approval_source = 'policy'
+        AND ge.status = 'approved'
+        AND q.status = 'pending'
+    `, [campaignId]);
+
+    const returned = await this.pool.query(`
+      UPDATE generated_emails ge SET
+        status = 'pending_approval',
+        approval_source = NULL,
+        updated_at = NOW()
+      WHERE ge.campaign_id = $1
+        AND ge.approval_source = 'policy'
+        AND ge.status = 'approved'
+        AND NOT EXISTS (SELECT 1 FROM campaign_sending_queue q WHERE q.generated_email_id = ge.id)
+      RETURNING ge.id, ge.prospect_id
+    `, [campaignId]);
+
+    if (returned.rows.length > 0) {
+      await this.pool.query(
+        "UPDATE prospects SET status = 'email_drafted' WHERE id = ANY($1)",
+        [returned.rows.map(r => r.prospect_id)]
+      );
+      await this.pool.query(`
+        UPDATE email_variants SET status = 'pending_approval'
+        WHERE generated_email_id = ANY($1) AND sequence_step_id IS NULL AND status = 'approved'
+      `, [returned.rows.map(r => r.id)]);
+      await this.pool.query(`
+        INSERT INTO approval_decisions (generated_email_id, campaign_id, policy_id, decision, rule)
+        SELECT UNNEST($1::int[]), $2, $3, 'returned_to_review', 'policy_revoked'
+      `, [returned.rows.map(r => r.id), campaignId, policy.rows[0].id]);
+    }
+
+    return { revoked: true, returned_to_review: returned.rows.length };
+  }
+
+  /**
+   * Recent policy decisions for a campaign, newest first
+   */
+  async listDecisions(userId, campaignId, { limit = 50 } = {}) {
+    await this._assertCampaign(userId, campaignId);
+    const result = await this.pool.query(`
+      SELECT ad.id, ad.generated_email_id, ad.decision, ad.rule, ad.details, ad.created_at,
+             ge.recipient_email, ge.subject_line, p.company_name
+      FROM approval_decisions ad
+      LEFT JOIN generated_emails ge ON ad.generated_email_id = ge.id
+      LEFT JOIN prospects p ON ge.prospect_id = p.id
+      WHERE ad.campaign_id = $1
+      ORDER BY ad.created_at DESC, ad.id DESC
+      LIMIT $2
+    `, [campaignId, Math.min(Math.max(parseInt(limit) || 50, 1), 500)]);
+    return result.rows;
+  }
+
+  /**
+   * Run a freshly generated email through its campaign's policy. Every rule is
+   * checked and logged; the first failing one decides, otherwise it's approved.
+   * @returns {object|null} { decision, rule, checks }, or null when no policy applies
+   */
+  async evaluateEmail(emailId) {
+    const result = await this.pool.query(`
+      SELECT ge.id, ge.campaign_id, ge.prospect_id, ge.recipient_email, ge.recipient_name,
+             ge.subject_line, ge.email_body,
+             p.fit_score, p.first_name, p.last_name, p.title, p.email, p.company_name, p.industry,
+             p.website, p.location, p.estimated_size, p.research_summary, p.pain_points, p.ai_reasoning,
+             p.custom_fields, p.is_ai_generated, p.identity_confirmed_at,
+             u.sender_name, u.name AS user_name,
+             ap.id AS policy_id, ap.min_fit_score, ap.max_spam_score, ap.require_verified_recipient,
+             ap.block_placeholders, ap.block_unverified_facts, ap.review_first_n
+      FROM generated_emails ge
+      JOIN prospects p ON ge.prospect_id = p.id
+      JOIN campaigns c ON ge.campaign_id = c.id
+      JOIN users u ON c.user_id = u.id
+      JOIN approval_policies ap ON ap.campaign_id = ge.campaign_id AND ap.enabled = TRUE
+      WHERE ge.id = $1 AND ge.status = 'pending_approval'
+    `, [emailId]);
+    if (result.rows.length === 0) return null;
+    const email = result.rows[0];
+
+    const checks = await this._runPolicyChecks(email);
+    const failed = checks.find(check => !check.passed);
+    const decision = failed ? 'needs_review' : 'auto_approved';
+
+    if (!failed) {
+      const approved = await this.pool.query(`
+        UPDATE generated_emails ge SET
+          status = 'approved',
+          approval_source = 'policy',
+          updated_at = NOW()
+        WHERE ge.id = $1
+          AND ge.status = 'pending_approval'${RECIPIENT_NOT_INVALID}
+        RETURNING ge.id
+      `, [emailId]);
+      if (approved.rows.length === 0) return null;
+
+      await this.pool.query(
+        "UPDATE prospects SET status = 'approved' WHERE id = $1",
+        [email.prospect_id]
+      );
+
+      // Its experiment variants are held to the same copy rules; failing ones stay unsent
+      const variants = await this.pool.query(`
+        SELECT id FROM email_variants
+        WHERE generated_email_id = $1 AND sequence_step_id IS NULL AND status = 'pending_approval'
+      `, [emailId]);
+      for (const variant of variants.rows) await this.evaluateVariant(variant.id);
+    }
+
+    const rule = failed ? failed.rule : 'all_rules_passed';
+    await this.pool.query(`
+      INSERT INTO approval_decisions (generated_email_id, campaign_id, policy_id, decision, rule, details)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [emailId, email.campaign_id, email.policy_id, decision, rule, JSON.stringify({ checks })]);
+
+    return { decision, rule, checks };
+  }
+
+  /**
+   * Approve an experiment variant's copy if it passes the campaign policy's copy rules
+   * (spam score, placeholders, unbacked facts). A first-email variant needs its draft
+   * approved first; without a policy it waits for the reviewer. Follow-up steps aren't
+   * reviewed, so without a policy a follow-up variant is approved like its control.
+   * @returns {string|null} the variant's status, or null when it isn't pending
+   */
+  async evaluateVariant(variantId) {
+    const result = await this.pool.query(`
+      SELECT v.id AS variant_id, v.sequence_step_id, ge.id, ge.campaign_id, ge.status, ge.recipient_email,
+             COALESCE(v.subject_line, s.subject_line, ge.subject_line) AS subject_line,
+             COALESCE(v.email_body, s.email_body, ge.email_body) AS email_body,
+             p.first_name, p.last_name, p.title, p.email, p.company_name, p.industry,
+             p.website, p.location, p.estimated_size, p.research_summary, p.pain_points, p.ai_reasoning,
+             p.custom_fields, p.is_ai_generated, p.identity_confirmed_at,
+             u.sender_name, u.name AS user_name,
+             ap.id AS policy_id, ap.max_spam_score, ap.block_placeholders, ap.block_unverified_facts
+      FROM email_variants v
+      JOIN generated_emails ge ON v.generated_email_id = ge.id
+      LEFT JOIN email_sequence_steps s ON s.id = v.sequence_step_id
+      JOIN prospects p ON ge.prospect_id = p.id
+      JOIN campaigns c ON ge.campaign_id = c.id
+      JOIN users u ON c.user_id = u.id
+      LEFT JOIN approval_policies ap ON ap.campaign_id = ge.campaign_id AND ap.enabled = TRUE
+      WHERE v.id = $1 AND v.status = 'pending_approval'
+    `, [variantId]);
+    if (result.rows.length === 0) return null;
+    const variant = result.rows[0];
+
+    const isStep = Boolean(variant.sequence_step_id);
+    if (!isStep && (!variant.policy_id || variant.status !== 'approved')) return 'pending_approval';
+    if (variant.policy_id) {
+      const checks = await this._copyChecks(variant);
+      if (checks.some(check => !check.passed)) return 'pending_approval';
+    }
+
+    await this.pool.query(
+      "UPDATE email_variants SET status = 'approved' WHERE id = $1 AND status = 'pending_approval'",
+      [variantId]
+    );
+    return 'approved';
+  }
+
+  // ---- Internal ----
+
+  /**
+   * Hand an approved reply draft to the sending queue. A draft that can't be queued
+   * (e.g. the campaign never started sending) stays approved with the reason attached.
+   */
+  async _queueReplyDraft(draftId) {
+    try {
+      const queued = await this.sendingService.queueReplyDraft(draftId);
+      return { id: draftId, status: 'queued', queue_id: queued.queue_id, scheduled_for: queued.scheduled_for };
+    } catch (err) {
+      console.error(`[Approval] Reply draft ${draftId} approved but not queued:`, err.message);
+      await this.pool.query(
+        'UPDATE reply_drafts SET send_error = $2 WHERE id = $1',
+        [draftId, err.message]
+      ).catch(updateErr => console.error('[Approval] Could not record send error:', updateErr.message));
+      return { id: draftId, status: 'approved', send_error: err.message };
+    }
+  }
+
+  /**
+   * Explain why an approval matched no rows: a failed verification or a missing email
+   */
+  async _throwNotApproved(emailId, userId) {
+    const blocked = await this.pool.query(`
+      SELECT ev.reason FROM generated_emails ge
+      JOIN campaigns c ON ge.campaign_id = c.id
+      JOIN email_verifications ev ON ev.email = LOWER(ge.recipient_email)
+      WHERE ge.id = $1 AND c.user_id = $2 AND ge.status = 'pending_approval' AND ev.status = 'invalid'
+    `, [emailId, userId]);
+
+    if (blocked.rows.length > 0) {
+      throw new Error(`Recipient email failed verification: ${blocked.rows[0].reason}`);
+    }
+    throw new Error('Email not found or already processed');
+  }
+
+  /**
+   * Policy rules in the order they decide: { rule, passed, detail } each
+   */
+  async _runPolicyChecks(email) {
+    const checks = [];
+
+    const earlier = await this.pool.query(
+      'SELECT COUNT(*) AS count FROM generated_emails WHERE campaign_id = $1 AND id < $2',
+      [email.campaign_id, email.id]
+    );
+    const position = parseInt(earlier.rows[0].count) + 1;
+    checks.push({
+      rule: 'review_first_n',
+      passed: position > email.review_first_n,
+      detail: `Email #${position} of the campaign (first ${email.review_first_n} always reviewed)`
+    });
+
+    if (email.require_verified_recipient) {
+      const verification = email.recipient_email
+        ? await this.verificationService.verify(email.recipient_email)
+        : { status: 'invalid', reason: 'missing_recipient' };
+      checks.push({
+        rule: 'recipient_verified',
+        passed: verification.status === 'valid',
+        detail: `Recipient ${verification.status}${verification.reason ? ` (${verification.reason})` : ''}`
+      });
+    }
+
+    const fitScore = email.fit_score === null || email.fit_score === undefined ? null : Number(email.fit_score);
+    checks.push({
+      rule: 'min_fit_score',
+      passed: fitScore !== null && fitScore >= email.min_fit_score,
+      detail: `Fit score ${fitScore ?? 'unknown'} (minimum ${email.min_fit_score})`
+    });
+
+    checks.push(...await this._copyChecks(email));
+    return checks;
+  }
+
+  /**
+   * The policy rules about the copy itself, shared with experiment variants
+   */
+  async _copyChecks(email) {
+    const checks = [];
+
+    const spam = await this.emailService.checkSpamScore(email.subject_line || '', email.email_body || '');
+    checks.push({
+      rule: 'max_spam_score',
+      passed: spam.spam_score <= Number(email.max_spam_score),
+      detail: `Spam score ${spam.spam_score} (maximum ${Number(email.max_spam_score)})`
+    });
+
+    if (email.block_placeholders) {
+      const placeholders = findPlaceholders(email);
+      checks.push({
+        rule: 'no_placeholders',
+        passed: placeholders.length === 0,
+        detail: placeholders.length ? `Unfilled: ${placeholders.join(', ')}` : 'No placeholders'
+      });
+    }
+
+    if (email.block_unverified_facts) {
+      const unbacked = findUnbackedFacts(email);
+      const unconfirmed = email.is_ai_generated && !email.identity_confirmed_at;
+      checks.push({
+        rule: 'no_unverified_facts',
+        passed: unbacked.length === 0 && !unconfirmed,
+        detail: unconfirmed
+          ? 'Prospect was AI-generated and its identity is unconfirmed'
+          : unbacked.length ? `Not in research: ${unbacked.join(', ')}` : 'All figures found in research'
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Keep the AI's version of a pre-history item before a reviewer changes it
+   */
+  async _ensureOwnedOriginal(itemType, itemId, userId) {
+    const table = itemType === 'email' ? 'generated_emails' : 'reply_drafts';
+    const owned = await this.pool.query(
+      `SELECT i.id FROM ${table} i JOIN campaigns c ON i.campaign_id = c.id WHERE i.id = $1 AND c.user_id = $2`,
+      [itemId, userId]
+    );
+    if (owned.rows.length > 0) await this.revisions.ensureOriginal(itemType, itemId);
+  }
+
+  async _recordRejection(itemType, itemId, campaignId, userId, reason, category) {
+    await this.revisions.ensureOriginal(itemType, itemId);
+    await this.revisions.record(itemType, itemId, {
+      kind: 'rejection',
+      campaignId,
+      authorId: userId,
+      reasonCategory: category,
+      reason: reason || null
+    });
+  }
+
+  async _assertCampaign(userId, campaignId) {
+    const result = await this.pool.query(
+      'SELECT id FROM campaigns WHERE id = $1 AND user_id = $2',
+      [campaignId, userId]
+    );
+    if (result.rows.length === 0) throw new Error('Campaign not found');
+  }
+}
+
+/**
+ * Leftover template text and merge tags that would render empty
+ */
+function findPlaceholders(email) {
+  const text = `${email.subject_line || ''}\n${email.email_body || ''}`;
+  const found = [];
+  for (const pattern of PLACEHOLDER_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) found.push(match[0]);
+  }
+  const values = prospectMergeValues(email, { sender_name: email.sender_name || email.user_name });
+  for (const tag of findMissingMergeTags(text, values)) found.push(`{{${tag}}}`);
+  return found;
+}
+
+/**
+ * Figures in the email that appear nowhere in the prospect's research or fields
+ */
+function findUnbackedFacts(email) {
+  const normalize = value => String(value).toLowerCase().replace(/[\s,]/g, '');
+  const source = normalize([
+    email.research_summary, email.pain_points, email.ai_reasoning, email.company_name,
+    email.industry, email.estimated_size, email.location, email.title,
+    email.custom_fields ? JSON.stringify(email.custom_fields) : ''
+  ].filter(Boolean).join(' '));
+
+  const text = `${email.subject_line || ''}\n${email.email_body || ''}`;
+  const facts = [...new Set(text.match(FACT_PATTERN) || [])];
+  return facts.filter(fact => !source.includes(normalize(fact)));
 }
 
 module.exports = ApprovalService;
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const https = require('https');
+const UnsubscribeService = require('./unsubscribe-service');
+const WebhookService = require('./webhook-service');
+const SlackService = require('./slack-service');
+
+/**
+ * Bounce Service
+ *
+ * Ingests bounce, complaint and delivery notifications from the cold ESP
+ * (SES via SNS, Mailgun event webhooks) and applies them to the sending path:
+ * - records into email_bounces / email_recipient_status / email_delivery_status,
+ *   once per ESP event (SNS and Mailgun both redeliver)
+ * - halts the prospect's remaining queue items
+ * - suppresses hard bounces and complaints (see unsubscribe-service.js)
+ * - fires `email.bounced` through WebhookService and SlackService
+ * - auto-pauses a campaign whose bounce rate crosses its threshold
+ */
+
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+const MAILGUN_MAX_SKEW_SECONDS = 15 * 60;
+const MIN_SENDS_FOR_BOUNCE_RATE = 20;
+const DEFAULT_BOUNCE_RATE_THRESHOLD = 0.05;
+
+const certCache = new Map();
+
+class BounceService {
+  constructor(pool) {
+    this.pool = pool;
+    this.unsubscribeService = new UnsubscribeService(pool);
+    this.webhookService = new WebhookService(pool);
+    this.slackService = new SlackService(pool);
+    this.logger = console;
+  }
+
+  // ============================================
+  // VERIFICATION
+  // ============================================
+
+  /**
+   * Verify an SNS message signature (SignatureVersion 1 = SHA1, 2 = SHA256)
+   * @returns {Promise<boolean>}
+   */
+  async verifySnsMessage(message) {
+    if (!message || !message.Signature || !message.SigningCertURL) return false;
+
+    let certUrl;
+    try {
+      certUrl = new URL(message.SigningCertURL);
+    } catch {
+      return false;
+    }
+    if (certUrl.protocol !== 'https:' || !SNS_CERT_HOST.test(certUrl.hostname) || !certUrl.pathname.endsWith('.pem')) {
+      return false;
+    }
+
+    const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+    const cert = await this._fetchCertificate(certUrl.toString());
+    const verifier = crypto.createVerify(algorithm);
+    verifier.update(buildSnsStringToSign(message));
+    return verifier.verify(cert, message.Signature, 'base64');
+  }
+
+  /**
+   * Verify a Mailgun webhook signature: HMAC-SHA256(timestamp + token) with the webhook signing key
+   */
+  verifyMailgunSignature(signature = {}, signingKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY) {
+    const { timestamp, token, signature: provided } = signature;
+    if (!signingKey || !timestamp || !token || !provided) return false;
+
+    const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+    if (!Number.isFinite(age) || age > MAILGUN_MAX_SKEW_SECONDS) return false;
+
+    const expected = crypto.createHmac('sha256', signingKey).update(`${timestamp}${token}`).digest('hex');
+    return provided.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+  }
+
+  /**
+   * Confirm an SNS topic subscription by visiting its SubscribeURL (after signature verification)
+   */
+  async confirmSnsSubscription(message) {
+    const url = new URL(message.SubscribeURL);
+    if (url.protocol !== 'https:' || !SNS_CERT_HOST.test(url.hostname)) {
+      throw new Error('Refusing to confirm subscription on non-SNS host');
+    }
+    await httpsGet(url.toString());
+    this.logger.log(`[Bounces] Confirmed SNS subscription for ${message.TopicArn}`);
+  }
+
+  // ============================================
+  // PARSING
+  // ============================================
+
+  /**
+   * Normalize an SES notification (SNS Message body) into bounce events
+   * Supports both notification (`notificationType`) and event publishing (`eventType`) formats.
+   */
+  parseSesNotification(notification) {
+    const kind = notification.notificationType || notification.eventType;
+    const messageId = notification.mail?.messageId || null;
+
+    if (kind === 'Bounce') {
+      const bounce = notification.bounce || {};
+      const bounceType = bounce.bounceType === 'Permanent' ? 'hard' : 'soft';
+      return (bounce.bouncedRecipients || []).map(r => ({
+        type: 'bounce',
+        bounceType,
+        recipient: r.emailAddress,
+        messageId,
+        eventId: bounce.feedbackId || null,
+        reason: r.diagnosticCode || bounce.bounceSubType || bounce.bounceType,
+        details: { bounce_type: bounce.bounceType, bounce_sub_type: bounce.bounceSubType, status: r.status },
+        provider: 'ses'
+      }));
+    }
+
+    if (kind === 'Complaint') {
+      const complaint = notification.complaint || {};
+      return (complaint.complainedRecipients || []).map(r => ({
+        type: 'complaint',
+        recipient: r.emailAddress,
+        messageId,
+        eventId: complaint.feedbackId || null,
+        reason: complaint.complaintFeedbackType || 'complaint',
+        details: { feedback_type: complaint.complaintFeedbackType },
+        provider: 'ses'
+      }));
+    }
+
+    if (kind === 'Delivery') {
+      return (notification.delivery?.recipients || []).map(recipient => ({
+        type: 'delivery',
+        recipient,
+        messageId,
+        provider: 'ses'
+      }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Normalize a Mailgun `event-data` payload into bounce events
+   */
+  parseMailgunEvent(eventData = {}) {
+    const messageId = eventData.message?.headers?.['message-id'] || null;
+    const eventId = eventData.id || null;
+    const status = eventData['delivery-status'] || {};
+
+    switch (eventData.event) {
+      case 'failed':
+        return [{
+          type: 'bounce',
+          bounceType: eventData.severity === 'permanent' ? 'hard' : 'soft',
+          recipient: eventData.recipient,
+          messageId,
+          eventId,
+          reason: status.description || status.message || eventData.reason,
+          details: { code: status.code, severity: eventData.severity, reason: eventData.reason },
+          provider: 'mailgun'
+        }];
+      case 'complained':
+        return [{ type: 'complaint', recipient: eventData.recipient, messageId, eventId, reason: 'complaint', details: {}, provider: 'mailgun' }];
+      case 'delivered':
+        return [{ type: 'delivery', recipient: eventData.recipient, messageId, provider: 'mailgun' }];
+      default:
+        return [];
+    }
+  }
+
+  // ============================================
+  // PROCESSING
+  // ============================================
+
+  /**
+   * Apply one normalized event to the sending path
+   *
+   * @param {object} event - { type: 'bounce'|'complaint'|'delivery', bounceType: 'hard'|'soft', recipient, messageId, eventId,
+   *   reason, details, provider }
+   * @returns {object} { processed, ... }; a redelivered bounce or complaint returns { processed: false, reason: 'duplicate' }
+   */
+  async processEvent(event) {
+    const recipient = (event.recipient || '').trim().toLowerCase();
+    if (!recipient) return { processed: false, reason: 'no_recipient' };
+
+    const send = await this._findSend(normalizeMessageId(event.messageId), recipient);
+    if (!send) {
+      this.logger.warn(`[Bounces] No matching send for ${event.type} to ${recipient} (${event.messageId})`);
+      return { processed: false, reason: 'unknown_message' };
+    }
+
+    if (event.type === 'delivery') {
+      await this.pool.query(
+        `UPDATE email_delivery_status
+         SET delivery_status = 'delivered', delivery_timestamp = NOW(), updated_at = NOW()
+         WHERE queue_id = $1`,
+        [send.queue_id]
+      );
+      return { processed: true, type: 'delivery' };
+    }
+
+    const isComplaint = event.type === 'complaint';
+    const bounceType = isComplaint ? 'complaint' : event.bounceType || 'soft';
+
+    // Without an ESP event id, one bounce of each type per message
+    const eventId = event.eventId || `${send.esp_message_id}:${bounceType}`;
+    const recorded = await this.pool.query(
+      `INSERT INTO email_bounces
+       (generated_email_id, recipient_email, bounce_type, bounce_reason, bounce_details,
+        campaign_id, prospect_id, queue_id, provider, esp_message_id, esp_event_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT DO NOTHING`,
+      [send.generated_email_id, recipient, bounceType, event.reason || null, JSON.stringify(event.details || {}),
+       send.campaign_id, send.prospect_id, send.queue_id, event.provider || null, send.esp_message_id, eventId]
+    );
+    if (recorded.rowCount === 0) return { processed: false, reason: 'duplicate' };
+
+    await this.pool.query(
+      isComplaint
+        ? `UPDATE email_delivery_status SET complaint_status = 'complained', complaint_timestamp = NOW(), updated_at = NOW() WHERE queue_id = $1`
+        : `UPDATE email_delivery_status SET delivery_status = 'bounced', bounce_status = $2, bounce_timestamp = NOW(), updated_at = NOW() WHERE queue_id = $1`,
+      isComplaint ? [send.queue_id] : [send.queue_id, bounceType]
+    );
+
+    await this.pool.query(
+      `INSERT INTO email_recipient_status (campaign_id, recipient_email, status, bounce_count, complaint_count, last_checked)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (campaign_id, recipient_email) DO UPDATE
+       SET status = EXCLUDED.status,
+           bounce_count = email_recipient_status.bounce_count + EXCLUDED.bounce_count,
+           complaint_count = email_recipient_status.complaint_count + EXCLUDED.complaint_count,
+           last_checked = NOW(), updated_at = NOW()`,
+      [send.campaign_id, recipient, isComplaint ? 'complained' : (bounceType === 'hard' ? 'invalid' : 'bounced'),
+       isComplaint ? 0 : 1, isComplaint ? 1 : 0]
+    );
+
+    // Nothing else goes to this prospect in this campaign
+    const halted = await this.pool.query(
+      `UPDATE campaign_sending_queue
+       SET status = 'halted', error_message = $3, updated_at = NOW()
+       WHERE campaign_id = $1 AND prospect_id = $2 AND status = 'pending'`,
+      [send.campaign_id, send.prospect_id, isComplaint ? 'Recipient complained' : `Recipient bounced (${bounceType})`]
+    );
+
+    if (isComplaint || bounceType === 'hard') {
+      await this.unsubscribeService.suppress(send.user_id, recipient, {
+        reason: isComplaint ? 'complaint' : 'hard_bounce',
+        source: event.provider || 'esp',
+        campaignId: send.campaign_id
+      });
+    }
+
+    const payload = {
+      campaign_id: send.campaign_id,
+      prospect_id: send.prospect_id,
+      recipient_email: recipient,
+      bounce_type: bounceType,
+      description: event.reason || null
+    };
+    this.webhookService.fireEvent(send.user_id, 'email.bounced', payload)
+      .catch(err => this.logger.error('[Bounces] Webhook delivery failed:', err.message));
+    this.slackService.sendNotification(send.user_id, 'email.bounced', payload)
+      .catch(err => this.logger.error('[Bounces] Slack notification failed:', err.message));
+
+    const autoPaused = await this.checkBounceRate(send.campaign_id);
+
+    return {
+      processed: true,
+      type: event.type,
+      bounce_type: bounceType,
+      halted: halted.rowCount || 0,
+      auto_paused: autoPaused
+    };
+  }
+
+  /**
+   * Pause a campaign when bounces / sends exceed its bounce_rate_threshold
+   * @returns {boolean} true if the campaign was paused by this call
+   */
+  async checkBounceRate(campaignId) {
+    const result = await this.pool.query(
+      `SELECT
+        csc.status,
+        COALESCE(csc.bounce_rate_threshold, $2) as threshold,
+        (SELECT COUNT(*) FROM campaign_sending_queue WHERE campaign_id = $1 AND status = 'sent') as sent,
+        (SELECT COUNT(*) FROM email_bounces WHERE campaign_id = $1 AND bounce_type IN ('hard', 'soft')) as bounced
+       FROM campaign_sending_context csc
+       WHERE csc.campaign_id = $1`,
+      [campaignId, DEFAULT_BOUNCE_RATE_THRESHOLD]
+    );
+
+    const row = result.rows[0];
+    if (!row || row.status !== 'active') return false;
+
+    const sent = parseInt(row.sent);
+    const bounced = parseInt(row.bounced);
+    if (sent < MIN_SENDS_FOR_BOUNCE_RATE) return false;
+
+    const rate = bounced / sent;
+    if (rate <= parseFloat(row.threshold)) return false;
+
+    const reason = `Bounce rate ${(rate * 100).toFixed(1)}% exceeded ${(parseFloat(row.threshold) * 100).toFixed(1)}% threshold`;
+    await this.pool.query(
+      `UPDATE campaign_sending_context
+       SET status = 'paused', paused_reason = $2, updated_at = NOW()
+       WHERE campaign_id = $1 AND status = 'active'`,
+      [campaignId, reason]
+    );
+    this.logger.warn(`[Bounces] Auto-paused campaign ${campaignId}: ${reason}`);
+    return true;
+  }
+
+  /**
+   * Strip angle brackets from an ESP message id
+   */
+  static normalizeMessageId(messageId) {
+    return normalizeMessageId(messageId);
+  }
+
+  /**
+   * Canonical SNS string-to-sign for a message (exposed for tests)
+   */
+  static buildSnsStringToSign(message) {
+    return buildSnsStringToSign(message);
+  }
+
+  // ---- Internal ----
+
+  /**
+   * Resolve the queue item a notification refers to by its ESP message id. Never guessed from
+   * the recipient alone: the same address can be in other users' campaigns.
+   */
+  async _findSend(messageId, recipient) {
+    if (!messageId) return null;
+    const result = await this.pool.query(
+      `SELECT q.id as queue_id, q.campaign_id, q.prospect_id, q.generated_email_id, q.esp_message_id, c.user_id
+       FROM campaign_sending_queue q
+       JOIN campaigns c ON c.id = q.campaign_id
+       WHERE q.esp_message_id = $1 AND LOWER(q.recipient_email) = $2 LIMIT 1`,
+      [messageId, recipient]
+    );
+    return result.rows[0] || null;
+  }
+
+  async _fetchCertificate(url) {
+    if (!certCache.has(url)) {
+      certCache.set(url, await httpsGet(url));
+    }
+    return certCache.get(url);
+  }
+}
+
+/**
+ * Canonical SNS string-to-sign ("Key\nValue\n" for the signed keys, in order)
+ */
+function buildSnsStringToSign(message) {
+  const keys = message.Type === 'Notification'
+    ? ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+    : ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+
+  return keys
+    .filter(key => message[key] !== undefined && message[key] !== null)
+    .map(key => `${key}\n${message[key]}\n`)
+    .join('');
+}
+
+/**
+ * ESP message ids arrive with or without angle brackets ("<id@domain>" vs "id@domain")
+ */
+function normalizeMessageId(messageId) {
+  if (!messageId) return null;
+  return String(messageId).trim().replace(/^<|>$/g, '');
+}
+
+function httpsGet(url) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(data);
+        else reject(new Error(`GET ${url} failed with ${res.statusCode}`));
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(10000, () => { req.destroy(); reject(new Error('Request timeout')); });
+  });
+}
+
+module.exports = BounceService;
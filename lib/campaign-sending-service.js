@@ -1,17 +1,36 @@
 const EmailService = require('./email-service');
 const ColdEmailSender = require('./cold-email-sender');
+const UnsubscribeService = require('./unsubscribe-service');
+const MailboxService = require('./mailbox-service');
+const WarmupService = require('./warmup-service');
+const InboundReplyService = require('./inbound-reply-service');
+const TrackingService = require('./tracking-service');
+const EmailVerificationService = require('./email-verification-service');
+const ContactRegistryService = require('./contact-registry-service');
+const EmailExperimentService = require('./email-experiment-service');
+const { generateMessageId } = require('./mime-builder');
+const { renderMergeTags, prospectMergeValues } = require('./merge-tags');
+const { resolveWindow, nextSendSlot, isValidTimezone, parseTimeOfDay, normalizeHolidays } = require('./sending-window');
 
 /**
  * Campaign Sending Service
- * Manages scheduled sends, multi-step sequences, and stop-on-reply logic.
- * Uses ColdEmailSender for outbound campaign emails (SES/Mailgun).
- * Postmark (via EmailService) is reserved for transactional email only.
+ * Manages scheduled sends, multi-step sequences, approved reply responses and stop-on-reply logic.
+ * Uses ColdEmailSender (or the campaign's mailboxes) for outbound campaign emails, inside each
+ * campaign's sending window. Postmark (via EmailService) is reserved for transactional email only.
  */
 class CampaignSendingService {
   constructor(pool) {
     this.pool = pool;
     this.emailService = new EmailService(pool);
     this.coldSender = new ColdEmailSender();
+    this.unsubscribeService = new UnsubscribeService(pool);
+    this.mailboxService = new MailboxService(pool);
+    this.warmupService = new WarmupService(pool);
+    this.inboundReplyService = new InboundReplyService(pool);
+    this.trackingService = new TrackingService(pool);
+    this.verificationService = new EmailVerificationService(pool);
+    this.contactRegistry = new ContactRegistryService(pool);
+    this.experimentService = new EmailExperimentService(pool);
     this.logger = console;
   }
 
@@ -52,6 +71,16 @@ class CampaignSendingService {
         throw new Error('Campaign not found or access denied');
       }
 
+      // Campaigns with attached mailboxes don't need an explicit sender
+      if (!senderEmail) {
+        const mailboxes = await this.mailboxService.getCampaignMailboxes(campaignId);
+        if (mailboxes.length === 0) {
+          throw new Error('senderEmail is required when no mailboxes are attached');
+        }
+        senderEmail = mailboxes[0].email;
+        senderName = senderName || mailboxes[0].display_name;
+      }
+
       // Count prospects
       const prospectCount = await this.pool.query(
         `SELECT COUNT(*) as count FROM prospects WHERE campaign_id = $1`,
@@ -68,16 +97,29 @@ class CampaignSendingService {
         [campaignId, prospectCount.rows[0].count, senderEmail, senderName || senderEmail.split('@')[0], replyToEmail || senderEmail]
       );
 
+      // Generate the warmup ramp up to the campaign's daily limit
+      const limits = await this.pool.query(
+        `SELECT daily_send_limit, warmup_enabled FROM campaign_sending_context WHERE campaign_id = $1`,
+        [campaignId]
+      );
+      if (limits.rows[0] && limits.rows[0].warmup_enabled !== false) {
+        await this.warmupService.startCampaignWarmup(campaignId, limits.rows[0].daily_send_limit);
+      }
+
+      // Check recipients first (DNS only here; SMTP probing runs in the scheduler when enabled)
+      const verification = await this.verificationService.verifyCampaignRecipients(campaignId, { smtp: false });
+
       // Enqueue all prospects' initial emails
       const emailsQueued = await this.queueInitialEmails(campaignId);
 
-      this.logger.info(`Campaign started: ${campaignId} (${emailsQueued} emails queued)`);
+      this.logger.info(`Campaign started: ${campaignId} (${emailsQueued} emails queued, ${verification.invalid} invalid recipients skipped)`);
 
       return {
         success: true,
         campaign_id: campaignId,
         emails_queued: emailsQueued,
-        prospect_count: prospectCount.rows[0].count
+        prospect_count: prospectCount.rows[0].count,
+        verification
       };
     } catch (err) {
       this.logger.error('Campaign start error:', err);
@@ -90,11 +132,44 @@ class CampaignSendingService {
    */
   async queueInitialEmails(campaignId) {
     try {
+      const context = await this._getSendingContext(campaignId);
+      const now = new Date();
+
+      // Approved emails to addresses verified as invalid can't be sent; taking them out of
+      // 'approved' keeps the scheduler from picking this campaign for them again
+      await this.pool.query(
+        `UPDATE generated_emails ge SET status = 'blocked_invalid_recipient', updated_at = NOW()
+         WHERE ge.campaign_id = $1 AND ge.status = 'approved'
+           AND EXISTS (
+             SELECT 1 FROM email_verifications ev
+             WHERE ev.email = LOWER(ge.recipient_email) AND ev.status = 'invalid'
+           )
+           AND NOT EXISTS (SELECT 1 FROM campaign_sending_queue q WHERE q.generated_email_id = ge.id)`,
+        [campaignId]
+      );
+
+      // AI-invented prospects wait until the user confirms them or their address verifies as valid
+      // (prospect-discovery-service.js, email-verification-service.js move them back to 'approved')
+      await this.pool.query(
+        `UPDATE generated_emails ge SET status = 'awaiting_verification', updated_at = NOW()
+         FROM prospects p
+         WHERE ge.prospect_id = p.id AND ge.campaign_id = $1 AND ge.status = 'approved'
+           AND p.is_ai_generated = TRUE AND p.identity_confirmed_at IS NULL
+           AND NOT EXISTS (
+             SELECT 1 FROM email_verifications ev
+             WHERE ev.email = LOWER(ge.recipient_email) AND ev.status = 'valid'
+           )
+           AND NOT EXISTS (SELECT 1 FROM campaign_sending_queue q WHERE q.generated_email_id = ge.id)`,
+        [campaignId]
+      );
+
       // Get all prospects with generated emails
       const result = await this.pool.query(
         `SELECT
           p.id as prospect_id,
           p.company_name,
+          p.timezone,
+          p.location,
           ge.id as generated_email_id,
           ge.recipient_email,
           ge.recipient_name,
@@ -102,13 +177,23 @@ class CampaignSendingService {
           ge.email_body
          FROM prospects p
          LEFT JOIN generated_emails ge ON p.id = ge.prospect_id AND ge.campaign_id = $1
-         WHERE p.campaign_id = $1 AND ge.id IS NOT NULL AND ge.status = 'approved'`,
+         WHERE p.campaign_id = $1 AND ge.id IS NOT NULL AND ge.status = 'approved'
+           AND (ge.held_until IS NULL OR ge.held_until <= NOW())`,
         [campaignId]
       );
 
       const emails = result.rows;
       let queuedCount = 0;
 
+      // Cross-campaign contact policy; held-back emails are skipped until their hold runs out
+      await this.contactRegistry.linkCampaignProspects(campaignId);
+      const owner = await this.pool.query(`SELECT user_id FROM campaigns WHERE id = $1`, [campaignId]);
+      const blocked = owner.rows.length > 0
+        ? await this.contactRegistry.findBlockedEmails(
+          owner.rows[0].user_id, emails.map(e => e.recipient_email), { excludeCampaignId: campaignId }
+        )
+        : new Map();
+
       for (const email of emails) {
         // Check if already queued
         const existingQueue = await this.pool.query(
@@ -117,15 +202,23 @@ class CampaignSendingService {
           [email.prospect_id, campaignId]
         );
 
-        if (existingQueue.rows.length === 0) {
-          // Queue initial email for immediate send (or based on sending window)
+        const block = blocked.get(String(email.recipient_email || '').trim().toLowerCase());
+        if (existingQueue.rows.length === 0 && block) {
+          await this.pool.query(
+            `UPDATE generated_emails SET held_until = $2, hold_reason = $3, updated_at = NOW() WHERE id = $1`,
+            [email.generated_email_id, block.until, block.reason]
+          );
+          this.logger.info(`[Sending] Holding ${email.recipient_email} for campaign ${campaignId} until ${block.until.toISOString()}: ${block.reason}`);
+        } else if (existingQueue.rows.length === 0) {
+          // Queue initial email for the first open slot in the sending window
+          const scheduledFor = nextSendSlot(now, resolveWindow(context, email));
           await this.pool.query(
             `INSERT INTO campaign_sending_queue
              (campaign_id, prospect_id, generated_email_id, recipient_email, recipient_name,
               subject_line, email_body, scheduled_for, is_followup, status)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), FALSE, 'pending')`,
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, FALSE, 'pending')`,
             [campaignId, email.prospect_id, email.generated_email_id, email.recipient_email,
-             email.recipient_name, email.subject_line, email.email_body]
+             email.recipient_name, email.subject_line, email.email_body, scheduledFor]
           );
           queuedCount++;
         }
@@ -143,7 +236,8 @@ class CampaignSendingService {
    */
   async processSendingQueue() {
     try {
-      // Get pending emails with row-level locking to prevent double-sends
+      // Get pending emails with row-level locking to prevent double-sends. Reply responses were
+      // approved one by one, so they go out even while the campaign's outreach is paused.
       const result = await this.pool.query(
         `SELECT
           q.id as queue_id,
@@ -155,12 +249,35 @@ class CampaignSendingService {
           q.subject_line,
           q.email_body,
           q.sequence_step_id,
+          q.mailbox_id,
+          q.variant,
+          q.reply_draft_id,
+          pri.message_id as reply_message_id,
           csc.status as campaign_status,
           csc.sending_window_start,
           csc.sending_window_end,
+          csc.timezone,
+          csc.skip_weekends,
+          csc.holidays,
+          csc.use_prospect_timezone,
+          p.timezone as prospect_timezone,
+          p.location as prospect_location,
+          p.email as prospect_email,
+          p.first_name,
+          p.last_name,
+          p.title,
+          p.company_name,
+          p.industry,
+          p.website,
+          p.custom_fields,
           csc.daily_send_limit,
           csc.emails_sent_today,
+          csc.warmup_enabled,
+          csc.warmup_day,
+          csc.warmup_status,
           csc.stop_on_reply,
+          csc.track_opens,
+          csc.track_clicks,
           csc.sender_email,
           csc.sender_name,
           csc.reply_to_email,
@@ -168,7 +285,11 @@ class CampaignSendingService {
          FROM campaign_sending_queue q
          JOIN campaign_sending_context csc ON q.campaign_id = csc.campaign_id
          JOIN campaigns c ON q.campaign_id = c.id
-         WHERE q.status = 'pending' AND csc.status = 'active' AND q.scheduled_for <= NOW()
+         LEFT JOIN prospects p ON q.prospect_id = p.id
+         LEFT JOIN reply_drafts rd ON q.reply_draft_id = rd.id
+         LEFT JOIN prospect_reply_inbox pri ON rd.reply_id = pri.id
+         WHERE q.status = 'pending' AND q.scheduled_for <= NOW()
+           AND (csc.status = 'active' OR q.reply_draft_id IS NOT NULL)
          ORDER BY q.scheduled_for ASC
          LIMIT 50
          FOR UPDATE OF q SKIP LOCKED`
@@ -176,19 +297,39 @@ class CampaignSendingService {
 
       const queueItems = result.rows;
       let sentCount = 0;
+      const sentThisRun = new Map();
+      const dailyCaps = new Map();
 
       for (const item of queueItems) {
-        // Check if campaign is within daily limit
-        if (item.emails_sent_today >= item.daily_send_limit) {
+        // Roll items that came due outside the sending window to the next valid slot
+        const now = new Date();
+        const window = resolveWindow(item, { timezone: item.prospect_timezone, location: item.prospect_location });
+        const nextSlot = nextSendSlot(now, window);
+        if (nextSlot > now) {
+          await this.pool.query(
+            `UPDATE campaign_sending_queue SET scheduled_for = $1, updated_at = NOW() WHERE id = $2`,
+            [nextSlot, item.queue_id]
+          );
+          continue;
+        }
+
+        // Check if campaign is within today's cap (daily limit, lowered by the warmup ramp)
+        if (!dailyCaps.has(item.campaign_id)) {
+          dailyCaps.set(item.campaign_id, await this.warmupService.getCampaignDailyCap(item));
+        }
+        // Responses to a prospect's reply aren't cold volume and skip the cap (they still count towards it)
+        if (!item.reply_draft_id &&
+            item.emails_sent_today + (sentThisRun.get(item.campaign_id) || 0) >= dailyCaps.get(item.campaign_id)) {
           this.logger.info(`Campaign ${item.campaign_id} daily limit reached`);
           continue;
         }
 
-        // Check if prospect has replied (if stop_on_reply enabled)
+        // Check if prospect has replied (if stop_on_reply enabled); out-of-office replies
+        // reschedule the sequence instead of stopping it
         if (item.stop_on_reply && item.sequence_step_id) {
           const replyCheck = await this.pool.query(
             `SELECT id FROM prospect_replies
-             WHERE prospect_id = $1 AND campaign_id = $2`,
+             WHERE prospect_id = $1 AND campaign_id = $2 AND is_out_of_office IS NOT TRUE`,
             [item.prospect_id, item.campaign_id]
           );
 
@@ -197,22 +338,89 @@ class CampaignSendingService {
             await this.pool.query(
               `UPDATE campaign_sending_queue
                SET status = 'halted'
-               WHERE prospect_id = $1 AND campaign_id = $2 AND is_followup = TRUE`,
+               WHERE prospect_id = $1 AND campaign_id = $2 AND is_followup = TRUE AND reply_draft_id IS NULL`,
               [item.prospect_id, item.campaign_id]
             );
             continue;
           }
         }
 
+        // Never send to a suppressed address or domain
+        if (await this.unsubscribeService.isSuppressed(item.user_id, item.recipient_email)) {
+          await this.pool.query(
+            `UPDATE campaign_sending_queue
+             SET status = 'cancelled', error_message = 'Recipient suppressed', updated_at = NOW()
+             WHERE id = $1`,
+            [item.queue_id]
+          );
+          continue;
+        }
+
+        // A response to the prospect's reply is a personal email, not a list mailing
+        const unsubscribeUrl = item.reply_draft_id ? null : this.unsubscribeService.buildUnsubscribeUrl({
+          userId: item.user_id,
+          campaignId: item.campaign_id,
+          prospectId: item.prospect_id,
+          email: item.recipient_email
+        });
+
+        // Pick the sending mailbox (sticky per prospect); campaigns without mailboxes use the context sender
+        const selection = await this.mailboxService.selectMailbox(item.campaign_id, item.prospect_id, item.mailbox_id);
+        if (selection.wait) {
+          this.logger.info(`Queue item ${item.queue_id} waiting: ${selection.reason}`);
+          continue;
+        }
+        const mailbox = selection.mailbox;
+        if (mailbox && mailbox.id !== item.mailbox_id) {
+          await this.pool.query(
+            `UPDATE campaign_sending_queue SET mailbox_id = $1, updated_at = NOW()
+             WHERE campaign_id = $2 AND prospect_id = $3 AND status = 'pending' AND (id = $4 OR mailbox_id IS NULL)`,
+            [mailbox.id, item.campaign_id, item.prospect_id, item.queue_id]
+          );
+        }
+        const sender = mailbox ? this.mailboxService.getSender(mailbox) : this.coldSender;
+        const fromEmail = mailbox ? mailbox.email : item.sender_email;
+        const replyTo = (mailbox ? mailbox.reply_to_email : item.reply_to_email) || fromEmail;
+        const messageId = generateMessageId(fromEmail);
+        const threadHeaders = await this.inboundReplyService.getThreadHeaders(item.campaign_id, item.prospect_id, item.reply_message_id);
+
+        // Experiment variant copy replaces the control's; a failed lookup sends the control unassigned
+        const assigned = await this.experimentService.applyToQueueItem(item)
+          .catch(err => this.logger.error('Experiment assignment failed:', err.message));
+        if (assigned) {
+          item.subject_line = assigned.subject_line;
+          item.email_body = assigned.email_body;
+        }
+
+        // Render merge tags with the prospect's current values (custom fields may change after queueing)
+        const mergeValues = prospectMergeValues({
+          ...item,
+          email: item.prospect_email || item.recipient_email,
+          location: item.prospect_location
+        }, { sender_name: (mailbox && mailbox.display_name) || item.sender_name });
+        const subject = renderMergeTags(item.subject_line, mergeValues);
+        const emailBody = renderMergeTags(item.email_body, mergeValues);
+
+        // Replies get no tracking pixel, rewritten links or footer
+        const html = item.reply_draft_id
+          ? emailBody
+          : this.trackingService.instrumentHtml(
+            this.emailService.addUnsubscribeLink(emailBody, { unsubscribe_link: unsubscribeUrl }),
+            { queueId: item.queue_id, trackOpens: item.track_opens, trackClicks: item.track_clicks }
+          );
+
         // Send email via cold ESP (not Postmark)
-        const sendResult = await this.coldSender.send({
+        const sendResult = await sender.send({
           to: item.recipient_email,
           toName: item.recipient_name,
-          from: item.sender_email,
-          fromName: item.sender_name,
-          replyTo: item.reply_to_email || item.sender_email,
-          subject: item.subject_line,
-          html: item.email_body,
+          from: fromEmail,
+          fromName: (mailbox && mailbox.display_name) || item.sender_name,
+          replyTo: this.inboundReplyService.buildReplyTo(replyTo, item.queue_id),
+          subject,
+          html,
+          unsubscribeUrl,
+          messageId,
+          headers: threadHeaders,
           metadata: {
             campaign_id: item.campaign_id,
             prospect_id: item.prospect_id,
@@ -222,20 +430,34 @@ class CampaignSendingService {
 
         if (sendResult.success) {
           // Mark as sent
+          const espMessageId = sendResult.message_id ? String(sendResult.message_id).replace(/^<|>$/g, '') : null;
           await this.pool.query(
             `UPDATE campaign_sending_queue
-             SET status = 'sent', sent_at = NOW(), attempt_count = attempt_count + 1, updated_at = NOW()
+             SET status = 'sent', sent_at = NOW(), attempt_count = attempt_count + 1, esp_message_id = $2,
+                 rfc_message_id = $3, updated_at = NOW()
              WHERE id = $1`,
-            [item.queue_id]
+            [item.queue_id, espMessageId, sendResult.rfc_message_id || messageId]
           );
 
-          // Increment daily counter
+          // Delivery record — bounce/complaint webhooks resolve back to it via esp_message_id
+          await this.pool.query(
+            `INSERT INTO email_delivery_status
+             (generated_email_id, recipient_email, delivery_status, message_id, campaign_id, prospect_id, queue_id, sent_at)
+             VALUES ($1, $2, 'sent', $3, $4, $5, $6, NOW())`,
+            [item.generated_email_id, item.recipient_email, espMessageId, item.campaign_id, item.prospect_id, item.queue_id]
+          ).catch(err => this.logger.error('Delivery tracking failed:', err.message));
+
+          // Increment daily counters
           await this.pool.query(
             `UPDATE campaign_sending_context
              SET emails_sent_today = emails_sent_today + 1, last_sent_at = NOW()
              WHERE campaign_id = $1`,
             [item.campaign_id]
           );
+          sentThisRun.set(item.campaign_id, (sentThisRun.get(item.campaign_id) || 0) + 1);
+          if (mailbox) await this.mailboxService.recordSend(mailbox.id);
+          await this.warmupService.recordSend(item.campaign_id, item.warmup_day, mailbox)
+            .catch(err => this.logger.error('Warmup tracking failed:', err.message));
 
           // Track email sent event
           await this.trackEvent('email_sent', item.user_id, {
@@ -244,9 +466,24 @@ class CampaignSendingService {
             recipient_email: item.recipient_email
           }).catch(err => this.logger.error('Email sent tracking failed:', err.message));
 
-          // Queue follow-ups if applicable
-          if (!item.sequence_step_id) {
+          // Queue follow-ups if applicable (sequences generated before the first send)
+          if (item.reply_draft_id) {
+            await this.pool.query(
+              `UPDATE reply_drafts SET status = 'sent', sent_at = NOW(), send_error = NULL, updated_at = NOW() WHERE id = $1`,
+              [item.reply_draft_id]
+            );
+            await this.pool.query(
+              `UPDATE prospect_reply_inbox SET contacted_at = NOW(), updated_at = NOW()
+               WHERE id = (SELECT reply_id FROM reply_drafts WHERE id = $1)`,
+              [item.reply_draft_id]
+            );
+          } else if (!item.sequence_step_id) {
             await this.queueFollowupEmails(item.campaign_id, item.prospect_id);
+          } else {
+            await this.pool.query(
+              `UPDATE email_sequence_steps SET status = 'sent', sent_at = NOW(), updated_at = NOW() WHERE id = $1`,
+              [item.sequence_step_id]
+            );
           }
 
           sentCount++;
@@ -258,6 +495,13 @@ class CampaignSendingService {
              WHERE id = $2`,
             [sendResult.error, item.queue_id]
           );
+          if (item.reply_draft_id) {
+            await this.pool.query(
+              `UPDATE reply_drafts SET status = 'send_failed', send_error = $2, updated_at = NOW() WHERE id = $1`,
+              [item.reply_draft_id, sendResult.error]
+            );
+          }
+          if (mailbox) await this.mailboxService.recordError(mailbox.id, sendResult.error);
         }
       }
 
@@ -270,11 +514,11 @@ class CampaignSendingService {
   }
 
   /**
-   * Queue follow-up emails from sequence template
+   * Queue a prospect's generated follow-up steps (see sequence-template-service.js).
+   * Each step is due days_after_initial days after the first email went out.
    */
   async queueFollowupEmails(campaignId, prospectId) {
     try {
-      // Get the sequence template for this campaign
       const sequenceResult = await this.pool.query(
         `SELECT
           es.id as sequence_id,
@@ -291,39 +535,111 @@ class CampaignSendingService {
       );
 
       const steps = sequenceResult.rows;
+      if (steps.length === 0) return 0;
+
+      // Prospect timezone/location feed the sending window
+      const prospectResult = await this.pool.query(
+        `SELECT id, timezone, location FROM prospects WHERE id = $1`,
+        [prospectId]
+      );
+      if (prospectResult.rows.length === 0) return 0;
+
+      const initialResult = await this.pool.query(
+        `SELECT MIN(sent_at) as sent_at FROM campaign_sending_queue
+         WHERE campaign_id = $1 AND prospect_id = $2 AND is_followup = FALSE AND status = 'sent'`,
+        [campaignId, prospectId]
+      );
+      const initialSentAt = initialResult.rows[0]?.sent_at ? new Date(initialResult.rows[0].sent_at) : new Date();
+      const context = await this._getSendingContext(campaignId);
+      const window = resolveWindow(context, prospectResult.rows[0]);
+      let queued = 0;
 
       for (const step of steps) {
-        // Calculate scheduled time
-        const scheduledFor = new Date();
-        scheduledFor.setDate(scheduledFor.getDate() + step.days_after_initial);
-
-        // Get prospect email
-        const prospectResult = await this.pool.query(
-          `SELECT id FROM prospects WHERE id = $1`,
-          [prospectId]
+        // N days after the first send, then into the sending window
+        const dueAt = new Date(initialSentAt);
+        dueAt.setDate(dueAt.getDate() + step.days_after_initial);
+        const scheduledFor = nextSendSlot(dueAt, window);
+
+        const result = await this.pool.query(
+          `INSERT INTO campaign_sending_queue
+           (campaign_id, prospect_id, sequence_step_id, sequence_step_number, recipient_email, recipient_name,
+            subject_line, email_body, scheduled_for, is_followup, status)
+           SELECT $1, $2, $3, $4, recipient_email, recipient_name, $5, $6, $7, TRUE, 'pending'
+           FROM generated_emails
+           WHERE prospect_id = $2 AND campaign_id = $1
+           LIMIT 1`,
+          [campaignId, prospectId, step.step_id, step.step_number, step.subject_line, step.email_body, scheduledFor]
         );
 
-        if (prospectResult.rows.length > 0) {
-          // Queue the follow-up
+        if (result.rowCount > 0) {
           await this.pool.query(
-            `INSERT INTO campaign_sending_queue
-             (campaign_id, prospect_id, sequence_step_id, recipient_email, recipient_name,
-              subject_line, email_body, scheduled_for, is_followup, status)
-             SELECT $1, $2, $3, recipient_email, recipient_name, $4, $5, $6, TRUE, 'pending'
-             FROM generated_emails
-             WHERE prospect_id = $2 AND campaign_id = $1
-             LIMIT 1`,
-            [campaignId, prospectId, step.step_id, step.subject_line, step.email_body, scheduledFor]
+            `UPDATE email_sequence_steps SET status = 'queued', updated_at = NOW() WHERE id = $1`,
+            [step.step_id]
           );
+          queued++;
         }
       }
 
-      this.logger.info(`Queued follow-up emails for prospect ${prospectId}`);
+      this.logger.info(`Queued ${queued} follow-up emails for prospect ${prospectId}`);
+      return queued;
     } catch (err) {
       this.logger.error('Follow-up queueing error:', err);
+      return 0;
     }
   }
 
+  /**
+   * Queue an approved reply draft as a response to the prospect's message. It goes to
+   * whoever wrote the reply, from the mailbox that sent the email they answered, after
+   * the campaign's random reply delay and inside its sending window.
+   * @returns {object} { queue_id, scheduled_for } (the existing item if already queued)
+   */
+  async queueReplyDraft(draftId) {
+    const result = await this.pool.query(
+      `SELECT rd.id, rd.campaign_id, rd.prospect_id, rd.draft_subject, rd.draft_body, rd.status, rd.queue_id,
+              pri.reply_from_email, pri.reply_from_name, pri.reply_subject, pri.recipient_name,
+              q.mailbox_id, q.scheduled_for,
+              p.timezone, p.location,
+              csc.campaign_id as context_campaign_id, csc.reply_delay_min_minutes, csc.reply_delay_max_minutes
+       FROM reply_drafts rd
+       JOIN prospect_reply_inbox pri ON rd.reply_id = pri.id
+       LEFT JOIN campaign_sending_queue q ON q.id = COALESCE(rd.queue_id, pri.queue_id)
+       LEFT JOIN prospects p ON rd.prospect_id = p.id
+       LEFT JOIN campaign_sending_context csc ON csc.campaign_id = rd.campaign_id
+       WHERE rd.id = $1`,
+      [draftId]
+    );
+    const draft = result.rows[0];
+    if (!draft) throw new Error('Reply draft not found');
+    if (draft.queue_id) return { queue_id: draft.queue_id, scheduled_for: draft.scheduled_for };
+    if (draft.status !== 'approved') throw new Error('Reply draft is not approved');
+    if (!draft.context_campaign_id) throw new Error('Campaign has no sending setup; start sending before replying');
+
+    const minDelay = Math.max(parseInt(draft.reply_delay_min_minutes) || 0, 0);
+    const maxDelay = Math.max(parseInt(draft.reply_delay_max_minutes) || 0, minDelay);
+    const dueAt = new Date(Date.now() + (minDelay + Math.random() * (maxDelay - minDelay)) * 60000);
+    const context = await this._getSendingContext(draft.campaign_id);
+    const scheduledFor = nextSendSlot(dueAt, resolveWindow(context, draft));
+
+    const subject = draft.draft_subject || `Re: ${String(draft.reply_subject || '').replace(/^(re:\s*)+/i, '')}`.trim();
+    const queued = await this.pool.query(
+      `INSERT INTO campaign_sending_queue
+       (campaign_id, prospect_id, reply_draft_id, mailbox_id, recipient_email, recipient_name,
+        subject_line, email_body, scheduled_for, is_followup, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE, 'pending')
+       RETURNING id`,
+      [draft.campaign_id, draft.prospect_id, draft.id, draft.mailbox_id || null, draft.reply_from_email,
+        draft.reply_from_name || draft.recipient_name || null, subject, draft.draft_body, scheduledFor]
+    );
+
+    await this.pool.query(
+      `UPDATE reply_drafts SET status = 'queued', queue_id = $2, updated_at = NOW() WHERE id = $1`,
+      [draft.id, queued.rows[0].id]
+    );
+
+    return { queue_id: queued.rows[0].id, scheduled_for: scheduledFor };
+  }
+
   /**
    * Pause campaign
    */
@@ -350,7 +666,7 @@ class CampaignSendingService {
     try {
       const result = await this.pool.query(
         `UPDATE campaign_sending_context
-         SET status = 'active', updated_at = NOW()
+         SET status = 'active', paused_reason = NULL, updated_at = NOW()
          WHERE campaign_id = $1`,
         [campaignId]
       );
@@ -362,52 +678,6 @@ class CampaignSendingService {
     }
   }
 
-  /**
-   * Add prospect to active campaign
-   */
-  async addProspectToCampaign(campaignId, prospectId, userId) {
-    try {
-      // Verify campaign ownership
-      const campaign = await this.pool.query(
-        `SELECT id FROM campaigns WHERE id = $1 AND user_id = $2`,
-        [campaignId, userId]
-      );
-
-      if (campaign.rows.length === 0) {
-        throw new Error('Campaign not found');
-      }
-
-      // Queue initial email for this prospect
-      const emailResult = await this.pool.query(
-        `SELECT id, recipient_email, recipient_name, subject_line, email_body
-         FROM generated_emails
-         WHERE prospect_id = $1 AND campaign_id = $2
-         ORDER BY created_at DESC LIMIT 1`,
-        [prospectId, campaignId]
-      );
-
-      if (emailResult.rows.length === 0) {
-        throw new Error('No generated email found for prospect');
-      }
-
-      const email = emailResult.rows[0];
-
-      await this.pool.query(
-        `INSERT INTO campaign_sending_queue
-         (campaign_id, prospect_id, generated_email_id, recipient_email, recipient_name,
-          subject_line, email_body, scheduled_for, is_followup, status)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), FALSE, 'pending')`,
-        [campaignId, prospectId, email.id, email.recipient_email, email.recipient_name,
-         email.subject_line, email.email_body]
-      );
-
-      return { success: true };
-    } catch (err) {
-      this.logger.error('Add prospect error:', err);
-      return { success: false, error: err.message };
-    }
-  }
-
   /**
    * Remove prospect from campaign
    */
@@ -452,7 +722,22 @@ class CampaignSendingService {
           csc.emails_sent_today,
           csc.daily_send_limit,
           csc.last_sent_at,
-          csc.sender_email
+          csc.sender_email,
+          csc.paused_reason,
+          csc.sending_window_start,
+          csc.sending_window_end,
+          csc.timezone,
+          csc.skip_weekends,
+          csc.holidays,
+          csc.use_prospect_timezone,
+          csc.warmup_enabled,
+          csc.warmup_day,
+          csc.warmup_status,
+          csc.warmup_status_reason,
+          csc.track_opens,
+          csc.track_clicks,
+          csc.ooo_default_pause_days,
+          csc.ooo_create_alternate_contact
          FROM campaigns c
          LEFT JOIN campaign_sending_context csc ON c.id = csc.campaign_id
          WHERE c.id = $1 AND c.user_id = $2`,
@@ -478,6 +763,7 @@ class CampaignSendingService {
       );
 
       const stats = queueStats.rows[0];
+      const engagement = await this.trackingService.getCampaignEngagement(campaignId);
 
       return {
         success: true,
@@ -489,20 +775,148 @@ class CampaignSendingService {
           sent_today: context.emails_sent_today,
           daily_limit: context.daily_send_limit,
           last_sent: context.last_sent_at,
-          sender: context.sender_email
+          sender: context.sender_email,
+          paused_reason: context.paused_reason || null,
+          sending_window: {
+            start: context.sending_window_start,
+            end: context.sending_window_end,
+            timezone: context.timezone,
+            skip_weekends: !!context.skip_weekends,
+            holidays: context.holidays || [],
+            use_prospect_timezone: !!context.use_prospect_timezone
+          },
+          warmup: {
+            enabled: context.warmup_enabled !== false,
+            day: context.warmup_day,
+            status: context.warmup_status,
+            reason: context.warmup_status_reason || null
+          },
+          tracking: {
+            opens: !!context.track_opens,
+            clicks: !!context.track_clicks
+          },
+          out_of_office: {
+            default_pause_days: context.ooo_default_pause_days ?? 7,
+            create_alternate_contact: !!context.ooo_create_alternate_contact
+          }
         },
         queue: {
           total: parseInt(stats.total),
           pending: parseInt(stats.pending || 0),
           sent: parseInt(stats.sent || 0),
           failed: parseInt(stats.failed || 0)
-        }
+        },
+        engagement
       };
     } catch (err) {
       this.logger.error('Status check error:', err);
       return { success: false, error: err.message };
     }
   }
+
+  /**
+   * Update a campaign's sending window (hours, timezone, weekends, holidays).
+   * An end before the start is an overnight window (see sending-window.js).
+   * Pending items are re-slotted the next time the queue processes them.
+   */
+  async updateSendingSettings(campaignId, userId, settings = {}) {
+    try {
+      const campaign = await this.pool.query(
+        `SELECT id FROM campaigns WHERE id = $1 AND user_id = $2`,
+        [campaignId, userId]
+      );
+
+      if (campaign.rows.length === 0) {
+        throw new Error('Campaign not found');
+      }
+
+      const updates = {};
+
+      for (const key of ['sending_window_start', 'sending_window_end']) {
+        if (settings[key] !== undefined) {
+          if (parseTimeOfDay(settings[key], null) === null) {
+            throw new Error(`Invalid ${key}: expected HH:MM`);
+          }
+          updates[key] = settings[key];
+        }
+      }
+      if (settings.timezone !== undefined) {
+        if (!isValidTimezone(settings.timezone)) {
+          throw new Error(`Invalid timezone: ${settings.timezone}`);
+        }
+        updates.timezone = settings.timezone;
+      }
+      if (settings.skip_weekends !== undefined) updates.skip_weekends = !!settings.skip_weekends;
+      if (settings.use_prospect_timezone !== undefined) updates.use_prospect_timezone = !!settings.use_prospect_timezone;
+      if (settings.warmup_enabled !== undefined) updates.warmup_enabled = !!settings.warmup_enabled;
+      if (settings.track_opens !== undefined) updates.track_opens = !!settings.track_opens;
+      if (settings.track_clicks !== undefined) updates.track_clicks = !!settings.track_clicks;
+      if (settings.ooo_create_alternate_contact !== undefined) {
+        updates.ooo_create_alternate_contact = !!settings.ooo_create_alternate_contact;
+      }
+      if (settings.ooo_default_pause_days !== undefined) {
+        const days = Number(settings.ooo_default_pause_days);
+        if (!Number.isInteger(days) || days < 1 || days > 90) {
+          throw new Error('Invalid ooo_default_pause_days: expected 1-90 days');
+        }
+        updates.ooo_default_pause_days = days;
+      }
+      for (const key of ['reply_delay_min_minutes', 'reply_delay_max_minutes']) {
+        if (settings[key] !== undefined) {
+          const minutes = Number(settings[key]);
+          if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) {
+            throw new Error(`Invalid ${key}: expected 0-1440 minutes`);
+          }
+          updates[key] = minutes;
+        }
+      }
+      if (settings.holidays !== undefined) {
+        updates.holidays = JSON.stringify([...normalizeHolidays(settings.holidays)]);
+      }
+
+      const keys = Object.keys(updates);
+      if (keys.length === 0) {
+        throw new Error('No sending settings provided');
+      }
+
+      await this.pool.query(
+        `INSERT INTO campaign_sending_context (campaign_id, status)
+         VALUES ($1, 'paused')
+         ON CONFLICT (campaign_id) DO NOTHING`,
+        [campaignId]
+      );
+
+      const setClause = keys.map((key, i) => `${key} = $${i + 2}`).join(', ');
+      const result = await this.pool.query(
+        `UPDATE campaign_sending_context
+         SET ${setClause}, updated_at = NOW()
+         WHERE campaign_id = $1
+         RETURNING sending_window_start, sending_window_end, timezone, skip_weekends, holidays, use_prospect_timezone, warmup_enabled,
+                   track_opens, track_clicks, reply_delay_min_minutes, reply_delay_max_minutes,
+                   ooo_default_pause_days, ooo_create_alternate_contact`,
+        [campaignId, ...keys.map(key => updates[key])]
+      );
+
+      return { success: true, sending_window: result.rows[0] };
+    } catch (err) {
+      this.logger.error('Sending settings update error:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  // ---- Internal ----
+
+  /**
+   * Load the sending-window columns of a campaign's context (defaults if none yet)
+   */
+  async _getSendingContext(campaignId) {
+    const result = await this.pool.query(
+      `SELECT sending_window_start, sending_window_end, timezone, skip_weekends, holidays, use_prospect_timezone
+       FROM campaign_sending_context WHERE campaign_id = $1`,
+      [campaignId]
+    );
+    return result.rows[0] || {};
+  }
 }
 
 module.exports = CampaignSendingService;
@@ -4,29 +4,57 @@
  * Configurable ESP for outbound cold email. Supports:
  * - Amazon SES (via @aws-sdk/client-ses or raw HTTPS)
  * - Mailgun (via HTTPS API)
+ * - SMTP (STARTTLS/implicit TLS, AUTH PLAIN/LOGIN, pooled connections — see smtp-client.js)
  *
  * IMPORTANT: This is separate from the transactional EmailService (Postmark).
  * Postmark is used ONLY for transactional email (password reset, verification, welcome).
  * Cold outreach must use a cold-email-friendly ESP configured here.
  *
  * Configuration via environment variables:
- *   COLD_ESP_PROVIDER=ses|mailgun
+ *   COLD_ESP_PROVIDER=ses|mailgun|smtp
  *   COLD_ESP_API_KEY=<your-api-key>
  *   COLD_ESP_DOMAIN=<your-sending-domain>  (Mailgun)
  *   COLD_ESP_REGION=us-east-1              (SES, optional)
  *   COLD_ESP_FROM_EMAIL=outreach@yourdomain.com
+ *   COLD_ESP_SMTP_HOST / COLD_ESP_SMTP_PORT / COLD_ESP_SMTP_SECURE=starttls|tls|none
+ *   COLD_ESP_SMTP_USER / COLD_ESP_SMTP_PASS (SMTP)
+ *
+ * Mailboxes registered through MailboxService carry their own provider
+ * credentials and construct a sender with an explicit config instead.
  */
 
 const https = require('https');
 const { URL } = require('url');
+const SmtpClient = require('./smtp-client');
+const { buildMessage } = require('./mime-builder');
 
 class ColdEmailSender {
-  constructor() {
-    this.provider = process.env.COLD_ESP_PROVIDER || null;
-    this.apiKey = process.env.COLD_ESP_API_KEY || null;
-    this.domain = process.env.COLD_ESP_DOMAIN || null;
-    this.region = process.env.COLD_ESP_REGION || 'us-east-1';
-    this.fromEmail = process.env.COLD_ESP_FROM_EMAIL || null;
+  /**
+   * @param {object} config - Per-mailbox override { provider, apiKey, domain, region, fromEmail, smtp }.
+   *   smtp is { host, port, secure, username, password }. When omitted, the env vars above are used.
+   */
+  constructor(config = null) {
+    const source = config || {
+      provider: process.env.COLD_ESP_PROVIDER,
+      apiKey: process.env.COLD_ESP_API_KEY,
+      domain: process.env.COLD_ESP_DOMAIN,
+      region: process.env.COLD_ESP_REGION,
+      fromEmail: process.env.COLD_ESP_FROM_EMAIL,
+      smtp: process.env.COLD_ESP_SMTP_HOST ? {
+        host: process.env.COLD_ESP_SMTP_HOST,
+        port: process.env.COLD_ESP_SMTP_PORT,
+        secure: process.env.COLD_ESP_SMTP_SECURE,
+        username: process.env.COLD_ESP_SMTP_USER,
+        password: process.env.COLD_ESP_SMTP_PASS
+      } : null
+    };
+    this.provider = source.provider || null;
+    this.apiKey = source.apiKey || null;
+    this.domain = source.domain || null;
+    this.region = source.region || 'us-east-1';
+    this.fromEmail = source.fromEmail || null;
+    this.smtp = source.smtp || null;
+    this.smtpClient = null;
     this.logger = console;
 
     if (!this.provider) {
@@ -38,6 +66,7 @@ class ColdEmailSender {
    * Check if cold email sending is configured
    */
   isConfigured() {
+    if (this.provider === 'smtp') return !!(this.smtp && this.smtp.host);
     return !!(this.provider && this.apiKey);
   }
 
@@ -54,10 +83,14 @@ class ColdEmailSender {
    * @param {string} params.html - HTML body
    * @param {string} params.text - Plain text body (optional, auto-generated if missing)
    * @param {object} params.metadata - Custom metadata/tags
-   * @returns {object} { success, message_id, provider, error }
+   * @param {string} params.unsubscribeUrl - One-click unsubscribe URL (adds RFC 8058 List-Unsubscribe headers)
+   * @param {object} params.headers - Extra message headers (optional)
+   * @param {string} params.messageId - RFC Message-ID to use, "<id@domain>" (optional; SES assigns its own)
+   * @returns {object} { success, message_id, rfc_message_id, provider, error }
    */
   async send(params) {
-    const { to, toName, from, fromName, replyTo, subject, html, text, metadata } = params;
+    const { to, toName, from, fromName, replyTo, subject, html, text, metadata, unsubscribeUrl, messageId } = params;
+    const headers = this._buildHeaders(params.headers, unsubscribeUrl);
 
     if (!this.isConfigured()) {
       // Simulate send for development/testing
@@ -66,6 +99,7 @@ class ColdEmailSender {
       return {
         success: true,
         message_id: fakeId,
+        rfc_message_id: messageId || null,
         provider: 'simulated',
         simulated: true
       };
@@ -79,11 +113,13 @@ class ColdEmailSender {
     try {
       switch (this.provider) {
         case 'ses':
-          return await this._sendViaSES({ to, toName, from: senderEmail, fromName, replyTo, subject, html, text, metadata });
+          return await this._sendViaSES({ to, toName, from: senderEmail, fromName, replyTo, subject, html, text, metadata, headers });
         case 'mailgun':
-          return await this._sendViaMailgun({ to, toName, from: senderEmail, fromName, replyTo, subject, html, text, metadata });
+          return await this._sendViaMailgun({ to, toName, from: senderEmail, fromName, replyTo, subject, html, text, metadata, headers, messageId });
+        case 'smtp':
+          return await this._sendViaSMTP({ to, toName, from: senderEmail, fromName, replyTo, subject, html, text, headers, messageId });
         default:
-          return { success: false, error: `Unknown ESP provider: ${this.provider}. Use 'ses' or 'mailgun'.` };
+          return { success: false, error: `Unknown ESP provider: ${this.provider}. Use 'ses', 'mailgun' or 'smtp'.` };
       }
     } catch (err) {
       this.logger.error(`[ColdESP] Send error (${this.provider}):`, err.message);
@@ -96,9 +132,10 @@ class ColdEmailSender {
    */
   async _sendViaSES(params) {
     // Using SES v2 SendEmail API via raw HTTPS (no SDK dependency)
-    const { to, from, fromName, replyTo, subject, html, text } = params;
+    const { to, from, fromName, replyTo, subject, html, text, headers = {} } = params;
 
     const fromAddr = fromName ? `${fromName} <${from}>` : from;
+    const headerList = Object.entries(headers).map(([Name, Value]) => ({ Name, Value }));
     const payload = JSON.stringify({
       Content: {
         Simple: {
@@ -106,7 +143,8 @@ class ColdEmailSender {
           Body: {
             Html: { Data: html, Charset: 'UTF-8' },
             ...(text ? { Text: { Data: text, Charset: 'UTF-8' } } : {})
-          }
+          },
+          ...(headerList.length ? { Headers: headerList } : {})
         }
       },
       Destination: {
@@ -133,7 +171,7 @@ class ColdEmailSender {
           if (res.statusCode >= 200 && res.statusCode < 300) {
             try {
               const parsed = JSON.parse(data);
-              resolve({ success: true, message_id: parsed.MessageId, provider: 'ses' });
+              resolve({ success: true, message_id: parsed.MessageId, rfc_message_id: this._sesMessageId(parsed.MessageId), provider: 'ses' });
             } catch {
               resolve({ success: true, message_id: `ses_${Date.now()}`, provider: 'ses' });
             }
@@ -154,7 +192,7 @@ class ColdEmailSender {
    * Send via Mailgun (HTTPS API)
    */
   async _sendViaMailgun(params) {
-    const { to, toName, from, fromName, replyTo, subject, html, text } = params;
+    const { to, toName, from, fromName, replyTo, subject, html, text, headers = {}, messageId } = params;
 
     if (!this.domain) {
       throw new Error('COLD_ESP_DOMAIN required for Mailgun');
@@ -170,6 +208,10 @@ class ColdEmailSender {
     formData.append('html', html);
     if (text) formData.append('text', text);
     if (replyTo) formData.append('h:Reply-To', replyTo);
+    if (messageId) formData.append('h:Message-Id', messageId);
+    for (const [name, value] of Object.entries(headers)) {
+      formData.append(`h:${name}`, value);
+    }
 
     const body = formData.toString();
     const auth = Buffer.from(`api:${this.apiKey}`).toString('base64');
@@ -191,7 +233,7 @@ class ColdEmailSender {
           if (res.statusCode >= 200 && res.statusCode < 300) {
             try {
               const parsed = JSON.parse(data);
-              resolve({ success: true, message_id: parsed.id, provider: 'mailgun' });
+              resolve({ success: true, message_id: parsed.id, rfc_message_id: messageId || parsed.id, provider: 'mailgun' });
             } catch {
               resolve({ success: true, message_id: `mg_${Date.now()}`, provider: 'mailgun' });
             }
@@ -207,6 +249,49 @@ class ColdEmailSender {
       req.end();
     });
   }
+
+  /**
+   * Send via SMTP (pooled connection; the Message-ID is generated locally)
+   */
+  async _sendViaSMTP(params) {
+    const { to, from } = params;
+    if (!this.smtpClient) this.smtpClient = new SmtpClient(this.smtp);
+
+    const { raw, messageId } = buildMessage(params);
+    await this.smtpClient.send({ from, to }, raw);
+    return { success: true, message_id: messageId, rfc_message_id: messageId, provider: 'smtp' };
+  }
+
+  /**
+   * SES replaces the Message-ID header with one derived from its own message id
+   */
+  _sesMessageId(sesId) {
+    if (!sesId) return null;
+    const host = this.region === 'us-east-1' ? 'email' : this.region;
+    return `<${sesId}@${host}.amazonses.com>`;
+  }
+
+  /**
+   * Close pooled SMTP connections (no-op for HTTPS providers)
+   */
+  async close() {
+    if (this.smtpClient) {
+      await this.smtpClient.close();
+      this.smtpClient = null;
+    }
+  }
+
+  /**
+   * Merge custom headers with RFC 8058 one-click unsubscribe headers
+   */
+  _buildHeaders(headers = {}, unsubscribeUrl = null) {
+    const result = { ...(headers || {}) };
+    if (unsubscribeUrl) {
+      result['List-Unsubscribe'] = `<${unsubscribeUrl}>`;
+      result['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+    }
+    return result;
+  }
 }
 
 module.exports = ColdEmailSender;
@@ -0,0 +1,306 @@
+/**
+ * Contact Registry Service
+ *
+ * A user-level registry of the people their campaigns reach. Every prospect row with an
+ * address links to one contact (prospects.contact_id), so the same person imported into
+ * three campaigns is one contact with three memberships.
+ *
+ * The user's contact policy decides who another campaign may reach:
+ *   - person_cooldown_days: an address sent to by another campaign within N days is held back
+ *   - domain_cooldown_days: likewise for anyone at the same company domain (free mail domains excluded)
+ * An address with a pending send in another campaign belongs to that campaign's sequence and is
+ * always held back. A rule set to 0 days is off.
+ *
+ * Enforced when queueing initial emails, importing prospects and discovering prospects.
+ */
+
+const DEFAULT_POLICY = { person_cooldown_days: 30, domain_cooldown_days: 0 };
+const MAX_COOLDOWN_DAYS = 365;
+// Another campaign's sequence has no fixed end, so an address in one is re-checked daily
+const IN_SEQUENCE_RECHECK_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com',
+  'gmx.com', 'gmx.de', 'mail.com', 'yandex.com', 'zoho.com', 'fastmail.com'
+]);
+
+class ContactRegistryService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * A user's contact policy (defaults until they save one)
+   */
+  async getPolicy(userId) {
+    const result = await this.pool.query(
+      `SELECT person_cooldown_days, domain_cooldown_days FROM contact_policies WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0] || { ...DEFAULT_POLICY };
+  }
+
+  /**
+   * Save a user's contact policy
+   * @param {object} updates - { person_cooldown_days, domain_cooldown_days } (0 disables a rule)
+   */
+  async updatePolicy(userId, updates = {}) {
+    const policy = { ...(await this.getPolicy(userId)) };
+    for (const key of Object.keys(DEFAULT_POLICY)) {
+      if (updates[key] === undefined) continue;
+      const days = Number(updates[key]);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_COOLDOWN_DAYS) {
+        throw new Error(`${key} must be a whole number of days between 0 and ${MAX_COOLDOWN_DAYS}`);
+      }
+      policy[key] = days;
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO contact_policies (user_id, person_cooldown_days, domain_cooldown_days)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id) DO UPDATE SET
+         person_cooldown_days = EXCLUDED.person_cooldown_days,
+         domain_cooldown_days = EXCLUDED.domain_cooldown_days,
+         updated_at = NOW()
+       RETURNING person_cooldown_days, domain_cooldown_days`,
+      [userId, policy.person_cooldown_days, policy.domain_cooldown_days]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Link a campaign's prospects that have an address to the owner's contacts (creating them as needed)
+   * @returns {number} Prospects linked
+   */
+  async linkCampaignProspects(campaignId) {
+    await this.pool.query(
+      `INSERT INTO contacts (user_id, email, domain, first_name, last_name, company_name)
+       SELECT DISTINCT ON (LOWER(p.email))
+         c.user_id, LOWER(p.email), SPLIT_PART(LOWER(p.email), '@', 2), p.first_name, p.last_name, p.company_name
+       FROM prospects p
+       JOIN campaigns c ON p.campaign_id = c.id
+       WHERE p.campaign_id = $1 AND p.contact_id IS NULL AND p.email LIKE '%@%'
+       ORDER BY LOWER(p.email), p.id
+       ON CONFLICT (user_id, email) DO UPDATE SET
+         first_name = COALESCE(contacts.first_name, EXCLUDED.first_name),
+         last_name = COALESCE(contacts.last_name, EXCLUDED.last_name),
+         company_name = COALESCE(contacts.company_name, EXCLUDED.company_name),
+         updated_at = NOW()`,
+      [campaignId]
+    );
+
+    const linked = await this.pool.query(
+      `UPDATE prospects p SET contact_id = ct.id
+       FROM campaigns c, contacts ct
+       WHERE p.campaign_id = $1 AND c.id = p.campaign_id
+         AND ct.user_id = c.user_id AND ct.email = LOWER(p.email)
+         AND p.contact_id IS NULL`,
+      [campaignId]
+    );
+    return linked.rowCount || 0;
+  }
+
+  /**
+   * Addresses another campaign may not contact right now
+   *
+   * @param {number} userId
+   * @param {string[]} emails
+   * @param {object} options - { excludeCampaignId: the campaign asking (its own sends don't count) }
+   * @returns {Map} email → { rule: 'in_sequence'|'person_cooldown'|'domain_cooldown', campaign_id, campaign_name,
+   *   contacted_at, until: when the block may have lifted, reason }
+   */
+  async findBlockedEmails(userId, emails, options = {}) {
+    const normalized = [...new Set((emails || []).map(normalizeEmail).filter(Boolean))];
+    const blocked = new Map();
+    if (normalized.length === 0) return blocked;
+
+    const policy = await this.getPolicy(userId);
+    const touches = await this.pool.query(
+      `SELECT DISTINCT ON (LOWER(q.recipient_email))
+         LOWER(q.recipient_email) as email, q.campaign_id, c.name as campaign_name, q.status,
+         COALESCE(q.sent_at, q.scheduled_for) as contacted_at
+       FROM campaign_sending_queue q
+       JOIN campaigns c ON q.campaign_id = c.id
+       WHERE c.user_id = $1
+         AND LOWER(q.recipient_email) = ANY($2)
+         AND ($3::int IS NULL OR q.campaign_id <> $3)
+         AND (q.status = 'pending' OR (q.status = 'sent' AND q.sent_at > NOW() - make_interval(days => $4)))
+       ORDER BY LOWER(q.recipient_email), (q.status = 'pending') DESC, q.sent_at DESC`,
+      [userId, normalized, options.excludeCampaignId || null, policy.person_cooldown_days]
+    );
+
+    for (const touch of touches.rows) {
+      const rule = touch.status === 'pending' ? 'in_sequence' : 'person_cooldown';
+      blocked.set(touch.email, describeBlock(rule, touch, policy));
+    }
+
+    const domains = normalized.filter(e => !blocked.has(e)).map(e => e.split('@')[1]);
+    const blockedDomains = await this.findBlockedDomains(userId, domains, { ...options, policy });
+    for (const email of normalized) {
+      const block = blockedDomains.get(email.split('@')[1]);
+      if (!blocked.has(email) && block) blocked.set(email, block);
+    }
+    return blocked;
+  }
+
+  /**
+   * Company domains held back by the domain rule (free mail domains never are)
+   * @returns {Map} domain → block (see findBlockedEmails)
+   */
+  async findBlockedDomains(userId, domains, options = {}) {
+    const policy = options.policy || await this.getPolicy(userId);
+    const normalized = [...new Set((domains || []).map(normalizeDomain).filter(Boolean))]
+      .filter(d => !ContactRegistryService.isFreeEmailDomain(d));
+    const blocked = new Map();
+    if (policy.domain_cooldown_days <= 0 || normalized.length === 0) return blocked;
+
+    const touches = await this.pool.query(
+      `SELECT DISTINCT ON (SPLIT_PART(LOWER(q.recipient_email), '@', 2))
+         SPLIT_PART(LOWER(q.recipient_email), '@', 2) as domain, q.campaign_id, c.name as campaign_name,
+         q.status, COALESCE(q.sent_at, q.scheduled_for) as contacted_at
+       FROM campaign_sending_queue q
+       JOIN campaigns c ON q.campaign_id = c.id
+       WHERE c.user_id = $1
+         AND SPLIT_PART(LOWER(q.recipient_email), '@', 2) = ANY($2)
+         AND ($3::int IS NULL OR q.campaign_id <> $3)
+         AND (q.status = 'pending' OR (q.status = 'sent' AND q.sent_at > NOW() - make_interval(days => $4)))
+       ORDER BY SPLIT_PART(LOWER(q.recipient_email), '@', 2), (q.status = 'pending') DESC, q.sent_at DESC`,
+      [userId, normalized, options.excludeCampaignId || null, policy.domain_cooldown_days]
+    );
+
+    for (const touch of touches.rows) {
+      blocked.set(touch.domain, describeBlock('domain_cooldown', touch, policy));
+    }
+    return blocked;
+  }
+
+  /**
+   * Search a user's contacts (by email, name or company)
+   */
+  async listContacts(userId, { search = '', limit = 50, offset = 0 } = {}) {
+    const params = [userId, Math.min(parseInt(limit) || 50, 200), parseInt(offset) || 0];
+    let filter = '';
+    if (search) {
+      params.push(`%${search.toLowerCase()}%`);
+      filter = `AND (ct.email LIKE $4 OR LOWER(COALESCE(ct.first_name, '') || ' ' || COALESCE(ct.last_name, '')) LIKE $4
+                 OR LOWER(COALESCE(ct.company_name, '')) LIKE $4)`;
+    }
+
+    const result = await this.pool.query(
+      `SELECT ct.*, COUNT(p.id)::int as campaign_count,
+         (SELECT MAX(q.sent_at) FROM campaign_sending_queue q JOIN prospects qp ON q.prospect_id = qp.id
+          WHERE qp.contact_id = ct.id AND q.status = 'sent') as last_contacted_at
+       FROM contacts ct
+       LEFT JOIN prospects p ON p.contact_id = ct.id
+       WHERE ct.user_id = $1 ${filter}
+       GROUP BY ct.id
+       ORDER BY ct.updated_at DESC
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Every touch of a contact across campaigns, newest first: added to a campaign,
+   * emails scheduled/sent/halted, opens and clicks, replies
+   */
+  async getTimeline(userId, contactId) {
+    const contact = await this.pool.query(
+      `SELECT * FROM contacts WHERE id = $1 AND user_id = $2`,
+      [contactId, userId]
+    );
+    if (contact.rows.length === 0) throw new Error('Contact not found');
+
+    const memberships = await this.pool.query(
+      `SELECT p.id as prospect_id, p.campaign_id, c.name as campaign_name, p.status, p.created_at
+       FROM prospects p JOIN campaigns c ON p.campaign_id = c.id
+       WHERE p.contact_id = $1 AND c.user_id = $2
+       ORDER BY p.created_at`,
+      [contactId, userId]
+    );
+
+    const events = await this.pool.query(
+      `SELECT * FROM (
+         SELECT 'added' as event_type, p.campaign_id, p.id as prospect_id, NULL::int as queue_id,
+           NULL as subject, p.source as detail, p.created_at as occurred_at
+         FROM prospects p WHERE p.contact_id = $1
+         UNION ALL
+         SELECT CASE WHEN q.status = 'sent' THEN 'sent' WHEN q.status = 'pending' THEN 'scheduled' ELSE q.status END,
+           q.campaign_id, q.prospect_id, q.id, q.subject_line,
+           CASE WHEN q.reply_draft_id IS NOT NULL THEN 'Reply response'
+                WHEN q.is_followup THEN 'Step ' || COALESCE(q.sequence_step_number, 0) ELSE 'Initial email' END,
+           COALESCE(q.sent_at, q.scheduled_for)
+         FROM campaign_sending_queue q JOIN prospects p ON q.prospect_id = p.id
+         WHERE p.contact_id = $1
+         UNION ALL
+         SELECT CASE WHEN t.event_type = 'open' THEN 'opened' ELSE 'clicked' END,
+           t.campaign_id, t.prospect_id, t.queue_id, NULL, t.url, t.created_at
+         FROM email_tracking_events t JOIN prospects p ON t.prospect_id = p.id
+         WHERE p.contact_id = $1 AND t.is_bot = FALSE
+         UNION ALL
+         SELECT 'replied', r.campaign_id, r.prospect_id, r.queue_id, r.reply_subject, r.reply_category, r.reply_received_at
+         FROM prospect_reply_inbox r JOIN prospects p ON r.prospect_id = p.id
+         WHERE p.contact_id = $1
+       ) e
+       JOIN campaigns c ON e.campaign_id = c.id
+       WHERE c.user_id = $2
+       ORDER BY e.occurred_at DESC
+       LIMIT 500`,
+      [contactId, userId]
+    );
+
+    const campaignNames = new Map(memberships.rows.map(m => [m.campaign_id, m.campaign_name]));
+    return {
+      contact: contact.rows[0],
+      campaigns: memberships.rows,
+      events: events.rows.map(e => ({ ...e, campaign_name: campaignNames.get(e.campaign_id) || null }))
+    };
+  }
+
+  /**
+   * Personal mailbox providers, where a shared domain says nothing about the company
+   */
+  static isFreeEmailDomain(domain) {
+    return FREE_EMAIL_DOMAINS.has(String(domain || '').toLowerCase());
+  }
+}
+
+function describeBlock(rule, touch, policy) {
+  const when = touch.contacted_at ? new Date(touch.contacted_at).toISOString().slice(0, 10) : 'recently';
+  const reasons = {
+    in_sequence: `In an active sequence in "${touch.campaign_name}"`,
+    person_cooldown: `Contacted by "${touch.campaign_name}" on ${when} (${policy.person_cooldown_days}-day cooldown)`,
+    domain_cooldown: `Someone at this company was contacted by "${touch.campaign_name}" on ${when} (${policy.domain_cooldown_days}-day domain cooldown)`
+  };
+  const cooldownDays = { person_cooldown: policy.person_cooldown_days, domain_cooldown: policy.domain_cooldown_days }[rule];
+  const until = cooldownDays && touch.contacted_at
+    ? new Date(new Date(touch.contacted_at).getTime() + cooldownDays * DAY_MS)
+    : new Date(Date.now() + IN_SEQUENCE_RECHECK_MS);
+  return {
+    rule,
+    campaign_id: touch.campaign_id,
+    campaign_name: touch.campaign_name,
+    contacted_at: touch.contacted_at,
+    until,
+    reason: reasons[rule]
+  };
+}
+
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+  const value = email.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+function normalizeDomain(value) {
+  if (!value || typeof value !== 'string') return null;
+  let domain = value.trim().toLowerCase();
+  if (domain.includes('@')) domain = domain.split('@').pop();
+  domain = domain.replace(/^[a-z]+:\/\//, '').split('/')[0].split(':')[0].replace(/^www\./, '');
+  return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+module.exports = ContactRegistryService;
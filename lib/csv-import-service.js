@@ -0,0 +1,535 @@
+const UnsubscribeService = require('./unsubscribe-service');
+const CustomFieldService = require('./custom-field-service');
+const ContactRegistryService = require('./contact-registry-service');
+const { parseSpreadsheet } = require('./spreadsheet-parser');
+
+/**
+ * CSV Import Service
+ *
+ * Server-side prospect imports from uploaded CSV/XLSX files:
+ *   1. createImport stores the raw file and proposes a column mapping (status 'pending_mapping')
+ *   2. confirmMapping saves the mapping and queues the import
+ *   3. processImport validates every row into csv_import_rows in batches; progress is
+ *      checkpointed in processed_rows so a restarted server resumes where it stopped
+ *      (the scheduler picks up stalled imports, see resumeStalledImports)
+ *   4. buildRejectionReport returns every row that was not imported, with its reason
+ *
+ * Columns map to prospect fields or to the campaign's custom fields (`custom:<field_key>`,
+ * see custom-field-service.js).
+ *
+ * Row statuses: imported, duplicate (already in the campaign or earlier in the file, or held
+ * back by the user's cross-campaign contact policy, see contact-registry-service.js),
+ * invalid (per-row validation errors) and suppressed (unsubscribed or suppressed domain).
+ */
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_ROWS = 50000;
+const BATCH_SIZE = 200;
+const STALE_LOCK_MINUTES = 10;
+
+// Prospect fields a column can map to, with the header spellings we recognise
+const FIELD_ALIASES = {
+  email: ['email', 'e mail', 'email address', 'work email', 'business email', 'contact email', 'mail'],
+  first_name: ['first name', 'firstname', 'first', 'given name', 'forename'],
+  last_name: ['last name', 'lastname', 'last', 'surname', 'family name'],
+  full_name: ['name', 'full name', 'contact name', 'contact', 'person'],
+  company_name: ['company', 'company name', 'organization', 'organisation', 'account', 'account name', 'employer'],
+  title: ['title', 'job title', 'position', 'role', 'job role'],
+  website: ['website', 'company website', 'url', 'domain', 'web', 'site'],
+  linkedin_url: ['linkedin', 'linkedin url', 'linkedin profile', 'person linkedin url'],
+  industry: ['industry', 'sector', 'vertical'],
+  location: ['location', 'city', 'country', 'region', 'state']
+};
+
+const FIELD_LIMITS = {
+  email: 255,
+  first_name: 100,
+  last_name: 100,
+  company_name: 255,
+  title: 255,
+  website: 255,
+  linkedin_url: 255,
+  industry: 100,
+  location: 100
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class CsvImportService {
+  constructor(pool) {
+    this.pool = pool;
+    this.unsubscribeService = new UnsubscribeService(pool);
+    this.customFieldService = new CustomFieldService(pool);
+    this.contactRegistry = new ContactRegistryService(pool);
+    this.logger = console;
+  }
+
+  /**
+   * Store an uploaded file and propose a column mapping
+   *
+   * @param {object} file - { filename, data: Buffer }
+   * @returns {object} { import, headers, sample, proposed_mapping, fields, custom_fields }
+   */
+  async createImport(userId, campaignId, file) {
+    const campaign = await this.pool.query(
+      'SELECT id FROM campaigns WHERE id = $1 AND user_id = $2',
+      [campaignId, userId]
+    );
+    if (campaign.rows.length === 0) throw new Error('Campaign not found');
+
+    if (!file || !file.data || file.data.length === 0) throw new Error('File is empty');
+    if (file.data.length > MAX_FILE_BYTES) throw new Error(`File exceeds ${MAX_FILE_BYTES / 1024 / 1024}MB`);
+
+    const filename = String(file.filename || 'upload.csv').slice(0, 255);
+    let parsed;
+    try {
+      parsed = parseSpreadsheet(file.data, filename);
+    } catch (err) {
+      throw new Error(`Could not read file: ${err.message}`);
+    }
+
+    if (parsed.rows.length < 2) throw new Error('File has no data rows');
+    const totalRows = parsed.rows.length - 1;
+    if (totalRows > MAX_ROWS) throw new Error(`Maximum ${MAX_ROWS} rows per import`);
+
+    const headers = normalizeHeaders(parsed.rows[0]);
+    const customFields = await this.customFieldService.getCampaignFields(campaignId);
+    const proposedMapping = proposeMapping(headers, customFields);
+
+    const result = await this.pool.query(
+      `INSERT INTO csv_imports
+       (user_id, campaign_id, filename, total_rows, column_mapping, status,
+        file_data, file_type, file_size, encoding, delimiter, headers)
+       VALUES ($1, $2, $3, $4, $5, 'pending_mapping', $6, $7, $8, $9, $10, $11)
+       RETURNING id, campaign_id, filename, total_rows, status, file_type, encoding, delimiter, created_at`,
+      [userId, campaignId, filename, totalRows, JSON.stringify(proposedMapping),
+        file.data, parsed.format, file.data.length, parsed.encoding, parsed.delimiter, JSON.stringify(headers)]
+    );
+
+    return {
+      import: result.rows[0],
+      headers,
+      sample: parsed.rows.slice(1, 6).map(row => rowToObject(headers, row)),
+      proposed_mapping: proposedMapping,
+      fields: [...Object.keys(FIELD_ALIASES), ...customFields.map(field => `custom:${field.field_key}`)],
+      custom_fields: customFields
+    };
+  }
+
+  /**
+   * Save the column mapping and start processing in the background
+   *
+   * @param {object} mapping - { field: header }, must map email
+   */
+  async confirmMapping(userId, importId, mapping) {
+    const existing = await this.pool.query(
+      `SELECT id, campaign_id, status, headers FROM csv_imports WHERE id = $1 AND user_id = $2`,
+      [importId, userId]
+    );
+    if (existing.rows.length === 0) throw new Error('Import not found');
+    if (existing.rows[0].status !== 'pending_mapping') throw new Error('Import has already been started');
+
+    const customFields = await this.customFieldService.getCampaignFields(existing.rows[0].campaign_id);
+    const normalized = validateMapping(mapping, existing.rows[0].headers || [], customFields);
+
+    await this.pool.query(
+      `UPDATE csv_imports SET column_mapping = $2, status = 'queued', updated_at = NOW() WHERE id = $1`,
+      [importId, JSON.stringify(normalized)]
+    );
+
+    this.processImport(importId).catch(err => {
+      this.logger.error(`[CsvImport] Import ${importId} failed:`, err.message);
+    });
+
+    return this.getImport(userId, importId);
+  }
+
+  /**
+   * Validate and import rows, resuming from the last checkpoint
+   * @returns {object|null} Final counts, or null if another worker holds the import
+   */
+  async processImport(importId) {
+    const claimed = await this.pool.query(
+      `UPDATE csv_imports SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'processing')
+         AND (locked_at IS NULL OR locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+       RETURNING *`,
+      [importId]
+    );
+    if (claimed.rows.length === 0) return null;
+    const job = claimed.rows[0];
+
+    try {
+      const { rows } = parseSpreadsheet(job.file_data, job.filename);
+      const headers = job.headers || normalizeHeaders(rows[0]);
+      const dataRows = rows.slice(1);
+      const customFields = await this.customFieldService.getCampaignFields(job.campaign_id);
+
+      for (let start = job.processed_rows || 0; start < dataRows.length; start += BATCH_SIZE) {
+        await this._processBatch(job, headers, customFields, dataRows.slice(start, start + BATCH_SIZE), start);
+        await this.pool.query(
+          `UPDATE csv_imports SET processed_rows = $2, locked_at = NOW(), updated_at = NOW() WHERE id = $1`,
+          [importId, Math.min(start + BATCH_SIZE, dataRows.length)]
+        );
+      }
+
+      const counts = await this._refreshCounts(importId);
+      // The rows table keeps everything the report needs, so the raw file can go
+      await this.pool.query(
+        `UPDATE csv_imports
+         SET status = 'completed', imported_at = NOW(), locked_at = NULL, file_data = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [importId]
+      );
+
+      await this.trackEvent('csv_import', job.user_id, {
+        campaign_id: job.campaign_id,
+        import_id: importId,
+        prospect_count: counts.imported,
+        skipped: counts.duplicate + counts.invalid + counts.suppressed
+      });
+
+      this.logger.log(`[CsvImport] Import ${importId}: ${counts.imported} imported, ${counts.duplicate} duplicates, ${counts.invalid} invalid, ${counts.suppressed} suppressed`);
+      return counts;
+    } catch (err) {
+      await this.pool.query(
+        `UPDATE csv_imports SET status = 'failed', error_log = $2, locked_at = NULL, updated_at = NOW() WHERE id = $1`,
+        [importId, err.message]
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Pick up queued imports and ones whose worker died mid-file
+   * @returns {number} Imports processed
+   */
+  async resumeStalledImports() {
+    const result = await this.pool.query(
+      `SELECT id FROM csv_imports
+       WHERE status IN ('queued', 'processing')
+         AND (locked_at IS NULL OR locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+       ORDER BY created_at ASC
+       LIMIT 10`
+    );
+
+    let resumed = 0;
+    for (const row of result.rows) {
+      try {
+        if (await this.processImport(row.id)) resumed++;
+      } catch (err) {
+        this.logger.error(`[CsvImport] Resume of import ${row.id} failed:`, err.message);
+      }
+    }
+    return resumed;
+  }
+
+  /**
+   * Import progress and counts
+   */
+  async getImport(userId, importId) {
+    const result = await this.pool.query(
+      `SELECT id, campaign_id, filename, total_rows, processed_rows, imported_count, duplicate_count,
+              invalid_count, suppressed_count, failed_count, column_mapping, headers, status, error_log,
+              file_type, encoding, delimiter, imported_at, created_at, updated_at
+       FROM csv_imports
+       WHERE id = $1 AND user_id = $2`,
+      [importId, userId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      ...row,
+      progress: row.total_rows ? Math.round(((row.processed_rows || 0) / row.total_rows) * 100) : 0
+    };
+  }
+
+  /**
+   * A campaign's imports, newest first
+   */
+  async listImports(userId, campaignId) {
+    const result = await this.pool.query(
+      `SELECT id, campaign_id, filename, total_rows, processed_rows, imported_count, duplicate_count,
+              invalid_count, suppressed_count, failed_count, status, imported_at, created_at
+       FROM csv_imports
+       WHERE campaign_id = $1 AND user_id = $2
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [campaignId, userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * CSV of every row that was not imported: row number, status and reason, then the original columns
+   * @returns {string|null}
+   */
+  async buildRejectionReport(userId, importId) {
+    const job = await this.pool.query(
+      `SELECT id, headers FROM csv_imports WHERE id = $1 AND user_id = $2`,
+      [importId, userId]
+    );
+    if (job.rows.length === 0) return null;
+
+    const headers = job.rows[0].headers || [];
+    const rows = await this.pool.query(
+      `SELECT row_number, status, error_message, raw_data
+       FROM csv_import_rows
+       WHERE import_id = $1 AND status != 'imported'
+       ORDER BY row_number ASC`,
+      [importId]
+    );
+
+    const lines = [['row', 'status', 'reason', ...headers].map(csvCell).join(',')];
+    for (const row of rows.rows) {
+      const raw = row.raw_data || {};
+      lines.push([row.row_number, row.status, row.error_message, ...headers.map(h => raw[h])].map(csvCell).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Track analytics event
+   */
+  async trackEvent(eventType, userId = null, metadata = {}) {
+    try {
+      await this.pool.query(
+        `INSERT INTO analytics_events (event_type, user_id, metadata) VALUES ($1, $2, $3)`,
+        [eventType, userId, JSON.stringify(metadata)]
+      );
+    } catch (err) {
+      this.logger.error('[CsvImport] Failed to track event:', err.message);
+    }
+  }
+
+  // ---- Internal ----
+
+  async _processBatch(job, headers, customFields, rows, offset) {
+    const mapping = job.column_mapping || {};
+    const records = rows.map((row, i) => {
+      const raw = rowToObject(headers, row);
+      const record = buildProspect(raw, mapping);
+
+      const customRaw = {};
+      for (const [field, header] of Object.entries(mapping)) {
+        if (field.startsWith('custom:')) customRaw[field.slice(7)] = raw[header];
+      }
+      const custom = this.customFieldService.parseValues(customFields, customRaw);
+      record.prospect.custom_fields = custom.values;
+      record.errors.push(...custom.errors);
+
+      // Header is row 1, so the first data row is row 2 of the spreadsheet
+      return { rowNumber: offset + i + 2, raw, ...record };
+    });
+
+    const validEmails = records.filter(r => r.errors.length === 0).map(r => r.prospect.email);
+    const suppressed = await this.unsubscribeService.filterSuppressed(job.user_id, validEmails);
+    const recentlyContacted = await this.contactRegistry.findBlockedEmails(
+      job.user_id, validEmails, { excludeCampaignId: job.campaign_id }
+    );
+
+    for (const record of records) {
+      let status = 'imported';
+      let error = null;
+      let prospectId = null;
+
+      if (record.errors.length > 0) {
+        status = 'invalid';
+        error = record.errors.join('; ');
+      } else if (suppressed.has(record.prospect.email)) {
+        status = 'suppressed';
+        error = 'Address or domain is on the suppression list';
+      } else if (recentlyContacted.has(record.prospect.email)) {
+        status = 'duplicate';
+        error = recentlyContacted.get(record.prospect.email).reason;
+      } else {
+        const p = record.prospect;
+        const inserted = await this.pool.query(
+          `INSERT INTO prospects
+           (campaign_id, email, first_name, last_name, company_name, title, website, linkedin_url, industry, location,
+            custom_fields, source, status, fit_score)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'csv_import', 'discovered', 50)
+           ON CONFLICT (campaign_id, email) DO NOTHING
+           RETURNING id`,
+          [job.campaign_id, p.email, p.first_name, p.last_name, p.company_name, p.title,
+            p.website, p.linkedin_url, p.industry, p.location, JSON.stringify(p.custom_fields)]
+        );
+        if (inserted.rows.length > 0) {
+          prospectId = inserted.rows[0].id;
+        } else {
+          status = 'duplicate';
+          error = 'Email is already a prospect in this campaign';
+        }
+      }
+
+      await this.pool.query(
+        `INSERT INTO csv_import_rows (import_id, prospect_id, row_number, raw_data, email, status, error_message)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (import_id, row_number) DO NOTHING`,
+        [job.id, prospectId, record.rowNumber, JSON.stringify(record.raw),
+          record.prospect.email || null, status, error]
+      );
+    }
+
+    await this.contactRegistry.linkCampaignProspects(job.campaign_id);
+  }
+
+  async _refreshCounts(importId) {
+    const result = await this.pool.query(
+      `SELECT status, COUNT(*) as count FROM csv_import_rows WHERE import_id = $1 GROUP BY status`,
+      [importId]
+    );
+    const counts = { imported: 0, duplicate: 0, invalid: 0, suppressed: 0 };
+    for (const row of result.rows) counts[row.status] = parseInt(row.count);
+
+    await this.pool.query(
+      `UPDATE csv_imports
+       SET imported_count = $2, duplicate_count = $3, invalid_count = $4, suppressed_count = $5,
+           failed_count = $4 + $5, updated_at = NOW()
+       WHERE id = $1`,
+      [importId, counts.imported, counts.duplicate, counts.invalid, counts.suppressed]
+    );
+    return counts;
+  }
+}
+
+/**
+ * Trimmed, unique header names (blank headers become "Column N")
+ */
+function normalizeHeaders(row) {
+  const seen = new Map();
+  return (row || []).map((value, i) => {
+    const base = String(value || '').trim() || `Column ${i + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base} (${count})` : base;
+  });
+}
+
+/**
+ * Guess { field: header } from header names; each header maps to at most one field
+ */
+function proposeMapping(headers, customFields = []) {
+  const keys = headers.map(headerKey);
+  const mapping = {};
+  const used = new Set();
+
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const index = keys.findIndex((key, i) => !used.has(i) && aliases.includes(key));
+    if (index !== -1) {
+      mapping[field] = headers[index];
+      used.add(index);
+    }
+  }
+
+  // "Primary Email", "Email (work)" and the like
+  if (!mapping.email) {
+    const index = keys.findIndex((key, i) => !used.has(i) && key.includes('email'));
+    if (index !== -1) {
+      mapping.email = headers[index];
+      used.add(index);
+    }
+  }
+
+  // Custom fields match on their key or label
+  for (const field of customFields) {
+    const aliases = [headerKey(field.field_key), headerKey(field.label)];
+    const index = keys.findIndex((key, i) => !used.has(i) && aliases.includes(key));
+    if (index !== -1) {
+      mapping[`custom:${field.field_key}`] = headers[index];
+      used.add(index);
+    }
+  }
+
+  return mapping;
+}
+
+function validateMapping(mapping, headers, customFields = []) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw new Error('column_mapping must be an object');
+
+  const normalized = {};
+  for (const [field, header] of Object.entries(mapping)) {
+    if (header === null || header === undefined || header === '') continue;
+    const known = field.startsWith('custom:')
+      ? customFields.some(custom => `custom:${custom.field_key}` === field)
+      : !!FIELD_ALIASES[field];
+    if (!known) throw new Error(`Unknown field: ${field}`);
+    if (!headers.includes(header)) throw new Error(`Column not found in file: ${header}`);
+    normalized[field] = header;
+  }
+  if (!normalized.email) throw new Error('A column must be mapped to email');
+  return normalized;
+}
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[_\-.:]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function rowToObject(headers, row) {
+  const obj = {};
+  headers.forEach((header, i) => { obj[header] = row[i] !== undefined ? String(row[i]) : ''; });
+  return obj;
+}
+
+/**
+ * Map one raw row to prospect columns and collect its validation errors
+ * @returns {object} { prospect, errors }
+ */
+function buildProspect(raw, mapping) {
+  const value = (field) => (mapping[field] ? String(raw[mapping[field]] || '').trim() : '');
+  const errors = [];
+
+  const email = value('email').toLowerCase().replace(/^mailto:/, '');
+  if (!email) errors.push('Missing email');
+  else if (!EMAIL_PATTERN.test(email)) errors.push(`Invalid email: ${email}`);
+
+  let firstName = value('first_name');
+  let lastName = value('last_name');
+  if (!firstName && !lastName && value('full_name')) {
+    const parts = value('full_name').split(/\s+/);
+    firstName = parts[0];
+    lastName = parts.slice(1).join(' ');
+  }
+
+  const domain = email.split('@')[1] || '';
+  const corporateDomain = domain && !ContactRegistryService.isFreeEmailDomain(domain) ? domain : null;
+  let companyName = value('company_name');
+  if (!companyName && corporateDomain) companyName = companyFromDomain(corporateDomain);
+  if (!companyName && errors.length === 0) errors.push('Missing company (personal email addresses need a company column)');
+
+  const prospect = {
+    email,
+    first_name: firstName,
+    last_name: lastName,
+    company_name: companyName,
+    title: value('title'),
+    website: value('website') || corporateDomain,
+    linkedin_url: value('linkedin_url'),
+    industry: value('industry'),
+    location: value('location')
+  };
+
+  for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+    if (!prospect[field]) {
+      prospect[field] = null;
+    } else if (prospect[field].length > limit) {
+      if (field === 'email') errors.push(`Email longer than ${limit} characters`);
+      prospect[field] = prospect[field].slice(0, limit);
+    }
+  }
+
+  return { prospect, errors };
+}
+
+function companyFromDomain(domain) {
+  const label = domain.split('.').slice(-3).find(part => part.length > 3) || domain.split('.')[0];
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = CsvImportService;
@@ -0,0 +1,311 @@
+const { STANDARD_TAGS, renderMergeTags, findMissingMergeTags, prospectMergeValues } = require('./merge-tags');
+
+/**
+ * Custom Field Service
+ *
+ * Per-campaign prospect fields beyond the fixed prospects columns (tech stack,
+ * recent funding, mutual connection...). Definitions live in
+ * campaign_custom_fields; values are stored typed on prospects.custom_fields
+ * keyed by field_key, which is also the merge tag name (`{{tech_stack}}`).
+ *
+ * Fields flagged include_in_ai are passed to email generation prompts; required
+ * fields are checked by the merge preview before a campaign's copy goes out.
+ */
+
+const FIELD_TYPES = ['text', 'number', 'date', 'url', 'boolean'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_FIELDS = 25;
+const MAX_TEXT_LENGTH = 1000;
+const PREVIEW_SAMPLE = 25;
+
+class CustomFieldService {
+  constructor(pool) {
+    this.pool = pool;
+    this.logger = console;
+  }
+
+  /**
+   * A campaign's field definitions (owner only)
+   */
+  async listFields(userId, campaignId) {
+    await this._assertCampaign(userId, campaignId);
+    return this.getCampaignFields(campaignId);
+  }
+
+  /**
+   * Field definitions in display order, without an ownership check
+   */
+  async getCampaignFields(campaignId) {
+    const result = await this.pool.query(
+      `SELECT id, campaign_id, field_key, label, field_type, is_required, include_in_ai, position
+       FROM campaign_custom_fields
+       WHERE campaign_id = $1
+       ORDER BY position ASC, id ASC`,
+      [campaignId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Define a field
+   *
+   * @param {object} data - { label, field_key?, field_type, is_required, include_in_ai }
+   */
+  async createField(userId, campaignId, data = {}) {
+    await this._assertCampaign(userId, campaignId);
+
+    const label = String(data.label || '').trim().slice(0, 100);
+    if (!label) throw new Error('Field label is required');
+    const key = data.field_key ? String(data.field_key).trim().toLowerCase() : toFieldKey(label);
+    if (!KEY_PATTERN.test(key)) throw new Error('field_key must start with a letter and use only a-z, 0-9 and _');
+    if (STANDARD_TAGS.includes(key)) throw new Error(`"${key}" is a built-in prospect field`);
+
+    const fieldType = data.field_type || 'text';
+    if (!FIELD_TYPES.includes(fieldType)) throw new Error(`field_type must be one of: ${FIELD_TYPES.join(', ')}`);
+
+    const existing = await this.getCampaignFields(campaignId);
+    if (existing.length >= MAX_FIELDS) throw new Error(`A campaign can have at most ${MAX_FIELDS} custom fields`);
+    if (existing.some(field => field.field_key === key)) throw new Error(`Field "${key}" already exists`);
+
+    const result = await this.pool.query(
+      `INSERT INTO campaign_custom_fields (campaign_id, field_key, label, field_type, is_required, include_in_ai, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, campaign_id, field_key, label, field_type, is_required, include_in_ai, position`,
+      [campaignId, key, label, fieldType, !!data.is_required, data.include_in_ai !== false, existing.length]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update label/flags/position (the key and type are fixed once values exist)
+   */
+  async updateField(userId, campaignId, fieldId, data = {}) {
+    await this._assertCampaign(userId, campaignId);
+
+    const updates = {};
+    if (data.label !== undefined) {
+      const label = String(data.label || '').trim().slice(0, 100);
+      if (!label) throw new Error('Field label is required');
+      updates.label = label;
+    }
+    if (data.is_required !== undefined) updates.is_required = !!data.is_required;
+    if (data.include_in_ai !== undefined) updates.include_in_ai = !!data.include_in_ai;
+    if (data.position !== undefined) updates.position = parseInt(data.position) || 0;
+
+    const keys = Object.keys(updates);
+    const setClause = [...keys.map((key, i) => `${key} = $${i + 3}`), 'updated_at = NOW()'].join(', ');
+    const result = await this.pool.query(
+      `UPDATE campaign_custom_fields SET ${setClause}
+       WHERE id = $1 AND campaign_id = $2
+       RETURNING id, campaign_id, field_key, label, field_type, is_required, include_in_ai, position`,
+      [fieldId, campaignId, ...keys.map(key => updates[key])]
+    );
+    if (result.rows.length === 0) throw new Error('Field not found');
+    return result.rows[0];
+  }
+
+  /**
+   * Remove a field definition and its values from the campaign's prospects
+   */
+  async deleteField(userId, campaignId, fieldId) {
+    await this._assertCampaign(userId, campaignId);
+
+    const result = await this.pool.query(
+      `DELETE FROM campaign_custom_fields WHERE id = $1 AND campaign_id = $2 RETURNING field_key`,
+      [fieldId, campaignId]
+    );
+    if (result.rows.length === 0) return { success: false };
+
+    await this.pool.query(
+      `UPDATE prospects SET custom_fields = custom_fields - $2 WHERE campaign_id = $1`,
+      [campaignId, result.rows[0].field_key]
+    );
+    return { success: true };
+  }
+
+  /**
+   * Set custom values on a prospect; null or '' clears a value
+   *
+   * @param {object} values - { field_key: value }
+   */
+  async setProspectValues(userId, prospectId, values = {}) {
+    const prospect = await this.pool.query(
+      `SELECT p.id, p.campaign_id, p.custom_fields
+       FROM prospects p JOIN campaigns c ON c.id = p.campaign_id
+       WHERE p.id = $1 AND c.user_id = $2`,
+      [prospectId, userId]
+    );
+    if (prospect.rows.length === 0) throw new Error('Prospect not found');
+
+    const fields = await this.getCampaignFields(prospect.rows[0].campaign_id);
+    const unknown = Object.keys(values).filter(key => !fields.some(field => field.field_key === key));
+    if (unknown.length > 0) throw new Error(`Unknown field: ${unknown[0]}`);
+
+    const { values: parsed, cleared, errors } = extractValues(fields, values);
+    if (errors.length > 0) throw new Error(errors[0]);
+
+    const merged = { ...(prospect.rows[0].custom_fields || {}), ...parsed };
+    for (const key of cleared) delete merged[key];
+
+    await this.pool.query(
+      `UPDATE prospects SET custom_fields = $2 WHERE id = $1`,
+      [prospectId, JSON.stringify(merged)]
+    );
+    return merged;
+  }
+
+  /**
+   * Custom field lines for an email generation prompt ('' when there are none)
+   */
+  async describeForPrompt(prospect) {
+    const values = prospect.custom_fields || {};
+    if (Object.keys(values).length === 0) return '';
+
+    const fields = await this.getCampaignFields(prospect.campaign_id);
+    return fields
+      .filter(field => field.include_in_ai && !isEmpty(values[field.field_key]))
+      .map(field => `${field.label}: ${values[field.field_key]}`)
+      .join('\n');
+  }
+
+  /**
+   * Render copy for the campaign's prospects and flag the ones it doesn't fit
+   *
+   * @param {object} copy - { subject, body } with merge tags
+   * @returns {object} { fields, summary, prospects } (prospects with problems first)
+   */
+  async previewMergeTags(userId, campaignId, copy = {}) {
+    await this._assertCampaign(userId, campaignId);
+    const fields = await this.getCampaignFields(campaignId);
+    const required = fields.filter(field => field.is_required);
+
+    const result = await this.pool.query(
+      `SELECT p.id, p.email, p.first_name, p.last_name, p.title, p.company_name, p.industry, p.website,
+              p.location, p.custom_fields, ge.recipient_name, ge.recipient_email, csc.sender_name
+       FROM prospects p
+       LEFT JOIN LATERAL (
+         SELECT recipient_name, recipient_email FROM generated_emails
+         WHERE prospect_id = p.id ORDER BY created_at DESC LIMIT 1
+       ) ge ON true
+       LEFT JOIN campaign_sending_context csc ON csc.campaign_id = p.campaign_id
+       WHERE p.campaign_id = $1
+       ORDER BY p.created_at ASC`,
+      [campaignId]
+    );
+
+    const previews = result.rows.map(prospect => {
+      const values = prospectMergeValues(prospect, { sender_name: prospect.sender_name });
+      const missingRequired = required
+        .filter(field => isEmpty((prospect.custom_fields || {})[field.field_key]))
+        .map(field => field.field_key);
+      const missingTags = findMissingMergeTags(`${copy.subject || ''}\n${copy.body || ''}`, values);
+
+      return {
+        prospect_id: prospect.id,
+        email: values.email,
+        name: values.full_name,
+        company_name: prospect.company_name,
+        subject: renderMergeTags(copy.subject, values),
+        body: renderMergeTags(copy.body, values),
+        missing_required: missingRequired,
+        missing_tags: missingTags
+      };
+    });
+
+    const flagged = previews.filter(p => p.missing_required.length > 0 || p.missing_tags.length > 0);
+    return {
+      fields,
+      summary: {
+        total: previews.length,
+        missing_required: previews.filter(p => p.missing_required.length > 0).length,
+        missing_tags: previews.filter(p => p.missing_tags.length > 0).length
+      },
+      prospects: [...flagged, ...previews.filter(p => !flagged.includes(p))].slice(0, PREVIEW_SAMPLE)
+    };
+  }
+
+  /**
+   * Parse raw values (e.g. an import row) against field definitions
+   *
+   * @param {Array} fields - from getCampaignFields
+   * @param {object} raw - { field_key: value } (keys without a definition are ignored)
+   * @returns {object} { values, cleared: [keys], errors: [messages] }
+   */
+  parseValues(fields, raw = {}) {
+    return extractValues(fields, raw);
+  }
+
+  // ---- Internal ----
+
+  async _assertCampaign(userId, campaignId) {
+    const result = await this.pool.query(
+      'SELECT id FROM campaigns WHERE id = $1 AND user_id = $2',
+      [campaignId, userId]
+    );
+    if (result.rows.length === 0) throw new Error('Campaign not found');
+  }
+}
+
+function extractValues(fields, raw = {}) {
+  const values = {};
+  const cleared = [];
+  const errors = [];
+
+  for (const field of fields) {
+    if (!(field.field_key in raw)) continue;
+    const input = raw[field.field_key];
+    if (isEmpty(input)) {
+      cleared.push(field.field_key);
+      continue;
+    }
+
+    const parsed = coerceValue(field.field_type, input);
+    if (parsed === undefined) errors.push(`${field.label}: not a valid ${field.field_type}`);
+    else values[field.field_key] = parsed;
+  }
+
+  return { values, cleared, errors };
+}
+
+/**
+ * Typed value for storage, or undefined when the input doesn't fit the type
+ */
+function coerceValue(type, input) {
+  const text = String(input).trim();
+  switch (type) {
+    case 'number': {
+      const number = Number(text.replace(/[,\s$€£]/g, ''));
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof input === 'boolean') return input;
+      if (/^(true|yes|y|1)$/i.test(text)) return true;
+      if (/^(false|no|n|0)$/i.test(text)) return false;
+      return undefined;
+    case 'date': {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+    }
+    case 'url': {
+      const withScheme = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+      try {
+        const url = new URL(withScheme);
+        return url.hostname.includes('.') ? withScheme.slice(0, MAX_TEXT_LENGTH) : undefined;
+      } catch {
+        return undefined;
+      }
+    }
+    default:
+      return text.slice(0, MAX_TEXT_LENGTH);
+  }
+}
+
+function toFieldKey(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').replace(/^(\d)/, 'f_$1').slice(0, 50);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+module.exports = CustomFieldService;
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const RetryService = require('./retry-service');
+const { parseSpreadsheet } = require('./spreadsheet-parser');
+const { renderPrompt } = require('./prompt-registry');
+
+/**
+ * Discovery Providers
+ *
+ * Where prospect-discovery-service.js gets companies from. Every provider takes the same
+ * query (built from the structured ICP, see buildProviderQuery) and returns raw company
+ * records that normalizeCompany turns into prospect rows with a source and provenance.
+ *
+ *   dataset - a local company file (JSON array, CSV or XLSX), matched against the ICP
+ *             DISCOVERY_DATASET_PATH=/data/companies.csv
+ *   rest    - a generic HTTP search endpoint; receives { query, limit, exclude_domains } as JSON
+ *             DISCOVERY_REST_URL, DISCOVERY_REST_API_KEY (Bearer), DISCOVERY_REST_RESULTS_PATH (e.g. "data.companies")
+ *   ai      - brainstormed by the model. These companies are invented: rows are flagged
+ *             is_ai_generated and can't be queued until verified.
+ *
+ * DISCOVERY_PROVIDER picks the default (ai when unset); campaigns can override it.
+ */
+
+const PROVIDERS = {
+  dataset: { label: 'Company dataset', ai_generated: false },
+  rest: { label: 'REST data source', ai_generated: false },
+  ai: { label: 'AI brainstorm (invented companies)', ai_generated: true }
+};
+
+// Field spellings recognised in dataset/REST records
+const FIELD_ALIASES = {
+  company_name: ['company_name', 'company', 'name', 'organization', 'organisation', 'account_name'],
+  website: ['website', 'domain', 'url', 'homepage', 'company_website'],
+  industry: ['industry', 'sector', 'vertical', 'category'],
+  location: ['location', 'hq', 'headquarters', 'city', 'country', 'region'],
+  estimated_size: ['estimated_size', 'size', 'employees', 'employee_count', 'headcount', 'company_size'],
+  funding_stage: ['funding_stage', 'funding', 'stage', 'last_funding_round'],
+  description: ['description', 'about', 'summary', 'short_description', 'tagline'],
+  linkedin_url: ['linkedin_url', 'linkedin', 'company_linkedin_url'],
+  external_id: ['id', 'external_id', 'company_id', 'uuid']
+};
+
+/**
+ * Turn a structured ICP (see ProspectDiscoveryService.parseICP) into a provider query
+ */
+function buildProviderQuery(icp = {}) {
+  const list = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+    .map(v => String(v).trim()).filter(Boolean);
+  return {
+    industries: list(icp.industries),
+    company_sizes: list(icp.company_sizes),
+    geographies: list(icp.geographies),
+    keywords: list(icp.keywords),
+    funding_stages: list(icp.funding_stages),
+    job_titles: list(icp.job_titles)
+  };
+}
+
+/**
+ * Map a provider record onto prospect columns
+ *
+ * @returns {object} prospect fields plus source, source_ref, provenance and is_ai_generated
+ */
+function normalizeCompany(record, providerName, meta = {}) {
+  const pick = (field) => {
+    for (const alias of FIELD_ALIASES[field]) {
+      const value = findKey(record, alias);
+      if (value !== undefined && value !== null && String(value).trim() !== '') return String(value).trim();
+    }
+    return null;
+  };
+
+  const website = pick('website');
+  const domain = normalizeDomain(website);
+  const companyName = pick('company_name') || domain;
+  if (!companyName) return null;
+
+  const aiGenerated = PROVIDERS[providerName] ? PROVIDERS[providerName].ai_generated : false;
+  return {
+    company_name: companyName.slice(0, 255),
+    website: website ? website.slice(0, 255) : null,
+    domain,
+    industry: truncate(pick('industry'), 100),
+    location: truncate(pick('location'), 100),
+    estimated_size: truncate(pick('estimated_size'), 50),
+    team_size: truncate(record.team_size ? String(record.team_size) : null, 100),
+    funding_stage: truncate(pick('funding_stage'), 50),
+    linkedin_url: truncate(pick('linkedin_url'), 255),
+    pain_points: record.pain_points ? String(record.pain_points) : null,
+    relevance_score: clampScore(record.relevance_score),
+    reasoning: record.reasoning ? String(record.reasoning) : null,
+    source: aiGenerated ? 'ai_generated' : providerName,
+    source_ref: truncate(pick('external_id') || domain, 255),
+    is_ai_generated: aiGenerated,
+    provenance: {
+      provider: providerName,
+      ai_generated: aiGenerated,
+      retrieved_at: new Date().toISOString(),
+      description: pick('description'),
+      ...meta
+    }
+  };
+}
+
+/**
+ * Providers and whether each is usable in this deployment
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([name, info]) => ({
+    name,
+    label: info.label,
+    ai_generated: info.ai_generated,
+    configured: name === 'dataset' ? !!process.env.DISCOVERY_DATASET_PATH
+      : name === 'rest' ? !!process.env.DISCOVERY_REST_URL
+        : true
+  }));
+}
+
+/**
+ * Construct a provider by name
+ * @param {string} name - dataset | rest | ai
+ * @param {object} deps - { ai: AIService } (ai provider only)
+ */
+function createProvider(name, deps = {}) {
+  switch (name) {
+    case 'dataset': return new DatasetProvider(deps.datasetPath || process.env.DISCOVERY_DATASET_PATH);
+    case 'rest': return new RestProvider(deps.rest || {});
+    case 'ai': return new AiBrainstormProvider(deps.ai);
+    default: throw new Error(`Unknown discovery provider: ${name}`);
+  }
+}
+
+// ---- Providers ----
+
+class DatasetProvider {
+  constructor(filePath) {
+    this.name = 'dataset';
+    this.filePath = filePath;
+    this.cache = null;
+  }
+
+  /**
+   * Best ICP matches from the dataset, highest score first
+   * @returns {object} { records, meta }
+   */
+  async search(query, { limit = 25, excludeDomains = new Set() } = {}) {
+    const rows = this._load();
+    const criteria = [
+      ['industries', ['industry', 'sector', 'vertical', 'category', 'description']],
+      ['geographies', ['location', 'hq', 'headquarters', 'city', 'country', 'region']],
+      ['keywords', ['description', 'about', 'summary', 'industry', 'name', 'company_name', 'tags']],
+      ['funding_stages', ['funding_stage', 'funding', 'stage', 'last_funding_round']]
+    ].filter(([key]) => query[key] && query[key].length > 0);
+    const sizeRanges = (query.company_sizes || []).map(parseSizeRange).filter(Boolean);
+    const criteriaCount = criteria.length + (sizeRanges.length > 0 ? 1 : 0);
+
+    const scored = [];
+    for (const row of rows) {
+      const domain = normalizeDomain(findKey(row, 'website') || findKey(row, 'domain') || findKey(row, 'url'));
+      if (domain && excludeDomains.has(domain)) continue;
+
+      let matched = 0;
+      for (const [key, fields] of criteria) {
+        const haystack = fields.map(f => findKey(row, f)).filter(Boolean).join(' ').toLowerCase();
+        if (query[key].some(term => haystack.includes(term.toLowerCase()))) matched++;
+      }
+      if (sizeRanges.length > 0) {
+        const employees = parseEmployeeCount(findKey(row, 'employees') || findKey(row, 'employee_count') ||
+          findKey(row, 'headcount') || findKey(row, 'size') || findKey(row, 'estimated_size'));
+        if (employees !== null && sizeRanges.some(([min, max]) => employees >= min && employees <= max)) matched++;
+      }
+      if (criteriaCount > 0 && matched === 0) continue;
+
+      const score = criteriaCount > 0 ? Math.round((matched / criteriaCount) * 100) : 50;
+      scored.push({ ...row, relevance_score: score, reasoning: `Matched ${matched} of ${criteriaCount} ICP criteria in the company dataset` });
+    }
+
+    scored.sort((a, b) => b.relevance_score - a.relevance_score);
+    return { records: scored.slice(0, limit), meta: { dataset: path.basename(this.filePath) } };
+  }
+
+  _load() {
+    if (!this.filePath) throw new Error('DISCOVERY_DATASET_PATH is not configured');
+    const stat = fs.statSync(this.filePath);
+    if (this.cache && this.cache.mtimeMs === stat.mtimeMs) return this.cache.rows;
+
+    const buffer = fs.readFileSync(this.filePath);
+    let rows;
+    if (/\.json$/i.test(this.filePath)) {
+      const parsed = JSON.parse(buffer.toString('utf8'));
+      rows = Array.isArray(parsed) ? parsed : (parsed.companies || parsed.data || []);
+    } else {
+      const [headers, ...data] = parseSpreadsheet(buffer, this.filePath).rows;
+      const keys = (headers || []).map(h => String(h).trim().toLowerCase().replace(/[\s-]+/g, '_'));
+      rows = data.map(values => Object.fromEntries(keys.map((k, i) => [k, values[i]])));
+    }
+
+    this.cache = { mtimeMs: stat.mtimeMs, rows };
+    return rows;
+  }
+}
+
+class RestProvider {
+  constructor(config = {}) {
+    this.name = 'rest';
+    this.url = config.url || process.env.DISCOVERY_REST_URL;
+    this.apiKey = config.apiKey || process.env.DISCOVERY_REST_API_KEY;
+    this.resultsPath = config.resultsPath || process.env.DISCOVERY_REST_RESULTS_PATH || '';
+  }
+
+  async search(query, { limit = 25, excludeDomains = new Set() } = {}) {
+    if (!this.url) throw new Error('DISCOVERY_REST_URL is not configured');
+
+    const response = await RetryService.fetchWithRetry(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({ query, limit, exclude_domains: [...excludeDomains] }),
+      signal: AbortSignal.timeout(15000)
+    });
+    if (!response.ok) throw new Error(`Discovery source returned HTTP ${response.status}`);
+
+    const body = await response.json();
+    let records = this.resultsPath
+      ? this.resultsPath.split('.').reduce((value, key) => (value ? value[key] : undefined), body)
+      : (Array.isArray(body) ? body : body.results || body.companies || body.data);
+    if (!Array.isArray(records)) throw new Error('Discovery source response has no result list');
+
+    records = records.filter(r => {
+      const domain = normalizeDomain(findKey(r, 'website') || findKey(r, 'domain'));
+      return !domain || !excludeDomains.has(domain);
+    });
+    return { records: records.slice(0, limit), meta: { endpoint: new URL(this.url).host } };
+  }
+}
+
+class AiBrainstormProvider {
+  constructor(ai) {
+    this.name = 'ai';
+    this.ai = ai;
+  }
+
+  async search(query, { limit = 25, campaign = {}, userId, icp } = {}) {
+    const prompt = renderPrompt('prospect_discovery', {
+      limit,
+      icp: icp || query,
+      product_description: campaign.description || 'Not specified'
+    });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
+
+    return {
+      records: result.content?.prospects || [],
+      meta: { task: 'prospect_discovery' },
+      cost_cents: result.cost_cents
+    };
+  }
+}
+
+// ---- Helpers ----
+
+function findKey(record, key) {
+  if (!record || typeof record !== 'object') return undefined;
+  if (record[key] !== undefined) return record[key];
+  const wanted = key.toLowerCase();
+  const match = Object.keys(record).find(k => k.toLowerCase().replace(/[\s-]+/g, '_') === wanted);
+  return match === undefined ? undefined : record[match];
+}
+
+function normalizeDomain(value) {
+  if (!value) return null;
+  const domain = String(value).trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '').split('/')[0].split(':')[0].replace(/^www\./, '');
+  return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+/**
+ * "50-200 employees" → [50, 200]; "1000+" → [1000, Infinity]
+ */
+function parseSizeRange(text) {
+  const value = String(text).replace(/,/g, '');
+  const range = value.match(/(\d+)\s*(?:-|–|to)\s*(\d+)/i);
+  if (range) return [parseInt(range[1]), parseInt(range[2])];
+  const open = value.match(/(\d+)\s*\+/);
+  if (open) return [parseInt(open[1]), Infinity];
+  return null;
+}
+
+function parseEmployeeCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const range = parseSizeRange(value);
+  if (range) return range[0];
+  const n = parseInt(String(value).replace(/,/g, ''));
+  return Number.isNaN(n) ? null : n;
+}
+
+function clampScore(value) {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? 50 : Math.max(1, Math.min(100, n));
+}
+
+function truncate(value, max) {
+  return value ? String(value).slice(0, max) : null;
+}
+
+module.exports = {
+  buildProviderQuery,
+  normalizeCompany,
+  listProviders,
+  createProvider
+};
@@ -0,0 +1,373 @@
+/**
+ * Email Experiment Service
+ *
+ * A/B/n tests of campaign email copy. An experiment covers the first email
+ * (scope 'initial') or one follow-up step (scope 'step') and has 2-5 variants:
+ *   - A is the control: the copy the campaign would send anyway (as reviewed)
+ *   - B..E each carry a brief for the AI ("instructions") and/or fixed
+ *     subject/body copy; a fixed subject alone tests subject lines against the
+ *     control's body
+ *
+ * While an experiment runs, every prospect's non-control copy is written next
+ * to the normal draft (email-generation-service.js, scheduler.js) and reviewed
+ * with it: a first email's variants are approved or rejected along with the
+ * draft, by a person or the campaign's policy, and follow-up variants go
+ * through the policy's copy rules (approval-service.js). At send time each
+ * queued email is assigned a variant from a hash of experiment and prospect,
+ * so the split is stable across retries and restarts; copy that isn't
+ * approved goes out as the control. Results compare reply rate or
+ * positive-reply rate per variant (experiment-stats.js), with bounces shown
+ * alongside. Once concluded, remaining sends use the winner where its copy
+ * exists.
+ */
+
+const crypto = require('crypto');
+const { evaluateVariants } = require('./experiment-stats');
+
+const VARIANT_NAMES = ['A', 'B', 'C', 'D', 'E'];
+const SCOPES = ['initial', 'step'];
+const METRICS = ['reply_rate', 'positive_reply_rate'];
+const MAX_COPY_LENGTH = 5000;
+
+class EmailExperimentService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Start an experiment on a campaign
+   * @param {object} options - { name, scope, stepNumber, variants: [{ label, instructions, subject, body }], metric }
+   */
+  async createExperiment(userId, campaignId, options = {}) {
+    await this._assertCampaign(userId, campaignId);
+
+    const scope = options.scope || 'initial';
+    if (!SCOPES.includes(scope)) throw new Error(`scope must be one of: ${SCOPES.join(', ')}`);
+    const metric = options.metric || 'reply_rate';
+    if (!METRICS.includes(metric)) throw new Error(`metric must be one of: ${METRICS.join(', ')}`);
+
+    let stepNumber = null;
+    if (scope === 'step') {
+      stepNumber = parseInt(options.stepNumber);
+      if (!Number.isInteger(stepNumber) || stepNumber < 1) throw new Error('step_number must be a positive integer');
+    }
+
+    const variants = normalizeVariants(options.variants);
+    const name = String(options.name || '').trim().slice(0, 255) ||
+      (scope === 'step' ? `Follow-up ${stepNumber} copy test` : 'First email copy test');
+
+    const running = await this.getRunning(campaignId, scope, stepNumber);
+    if (running) throw new Error('An experiment is already running for this email');
+
+    const result = await this.pool.query(`
+      INSERT INTO email_experiments (campaign_id, name, scope, step_number, variants, metric, status)
+      VALUES ($1, $2, $3, $4, $5, $6, 'running')
+      RETURNING *
+    `, [campaignId, name, scope, stepNumber, JSON.stringify(variants), metric]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * A campaign's experiments, newest first, with how many sends each variant got
+   */
+  async listExperiments(userId, campaignId) {
+    await this._assertCampaign(userId, campaignId);
+    const result = await this.pool.query(`
+      SELECT e.*,
+        (SELECT COALESCE(json_object_agg(s.variant, s.sent), '{}'::json) FROM (
+          SELECT q.variant, COUNT(*) AS sent FROM campaign_sending_queue q
+          WHERE q.experiment_id = e.id AND q.status = 'sent'
+          GROUP BY q.variant
+        ) s) AS sent_by_variant
+      FROM email_experiments e
+      WHERE e.campaign_id = $1
+      ORDER BY e.created_at DESC, e.id DESC
+    `, [campaignId]);
+    return result.rows;
+  }
+
+  /**
+   * The running experiment for a campaign's first email or a follow-up step (null if none)
+   */
+  async getRunning(campaignId, scope = 'initial', stepNumber = null) {
+    const result = await this.pool.query(`
+      SELECT * FROM email_experiments
+      WHERE campaign_id = $1 AND scope = $2 AND status = 'running'
+        AND step_number IS NOT DISTINCT FROM $3
+      ORDER BY id DESC
+      LIMIT 1
+    `, [campaignId, scope, scope === 'step' ? stepNumber : null]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store one variant's copy for a prospect, pending review. Null subject/body fall
+   * back to the control's (possibly reviewer-edited) copy at send time.
+   * @param {object} copy - { generatedEmailId, sequenceStepId, variant, subject, body }
+   * @returns {number} the variant row's id
+   */
+  async saveVariant(experimentId, prospectId, copy) {
+    const result = await this.pool.query(`
+      INSERT INTO email_variants
+        (experiment_id, prospect_id, generated_email_id, sequence_step_id, variant, subject_line, email_body)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (experiment_id, prospect_id, variant) DO UPDATE SET
+        generated_email_id = EXCLUDED.generated_email_id,
+        sequence_step_id = EXCLUDED.sequence_step_id,
+        subject_line = EXCLUDED.subject_line,
+        email_body = EXCLUDED.email_body,
+        status = 'pending_approval'
+      RETURNING id
+    `, [experimentId, prospectId, copy.generatedEmailId || null, copy.sequenceStepId || null,
+      copy.variant, copy.subject || null, copy.body || null]);
+    return result.rows[0].id;
+  }
+
+  /**
+   * Approve or reject the pending first-email variants of reviewed drafts
+   * @param {number[]} generatedEmailIds
+   * @param {string} status - 'approved' or 'rejected'
+   */
+  async reviewVariants(generatedEmailIds, status) {
+    if (generatedEmailIds.length === 0) return;
+    await this.pool.query(`
+      UPDATE email_variants SET status = $2
+      WHERE generated_email_id = ANY($1) AND sequence_step_id IS NULL AND status = 'pending_approval'
+    `, [generatedEmailIds, status]);
+  }
+
+  /**
+   * Stable variant for a prospect: hash of experiment and prospect, or the winner once concluded
+   */
+  assignVariant(experiment, prospectId) {
+    if (experiment.status === 'concluded' && experiment.winning_variant) return experiment.winning_variant;
+    const variants = parseVariants(experiment.variants);
+    const hash = crypto.createHash('md5').update(`${experiment.id}-${prospectId}`).digest('hex');
+    return variants[parseInt(hash.substring(0, 8), 16) % variants.length].name;
+  }
+
+  /**
+   * Assign a queued email to its experiment variant and swap in that copy. Returns
+   * { experiment_id, variant, subject_line, email_body }, or null when the email
+   * isn't part of an experiment (or is already assigned). A send whose variant copy
+   * is missing (e.g. generation failed) or not approved goes out as the control and
+   * isn't counted.
+   */
+  async applyToQueueItem(item) {
+    if (item.variant) return null;
+
+    const byStep = Boolean(item.sequence_step_id);
+    if (!byStep && !item.generated_email_id) return null;
+
+    const result = await this.pool.query(`
+      SELECT e.id, e.status, e.variants, e.winning_variant,
+             ev.variant, ev.subject_line, ev.email_body, ev.status AS variant_status
+      FROM email_experiments e
+      JOIN email_variants ev ON ev.experiment_id = e.id
+      WHERE e.status IN ('running', 'concluded')
+        AND ev.prospect_id = $1
+        AND ${byStep ? 'ev.sequence_step_id = $2' : 'ev.generated_email_id = $2 AND ev.sequence_step_id IS NULL'}
+    `, [item.prospect_id, byStep ? item.sequence_step_id : item.generated_email_id]);
+    if (result.rows.length === 0) return null;
+
+    const experiment = result.rows[0];
+    const variant = this.assignVariant(experiment, item.prospect_id);
+
+    let copy = { subject_line: item.subject_line, email_body: item.email_body };
+    if (variant !== VARIANT_NAMES[0]) {
+      const row = result.rows.find(r => r.variant === variant);
+      if (!row || row.variant_status !== 'approved') return null;
+      copy = {
+        subject_line: row.subject_line || item.subject_line,
+        email_body: row.email_body || item.email_body
+      };
+    }
+
+    await this.pool.query(`
+      UPDATE campaign_sending_queue
+      SET experiment_id = $1, variant = $2, subject_line = $3, email_body = $4, updated_at = NOW()
+      WHERE id = $5
+    `, [experiment.id, variant, copy.subject_line, copy.email_body, item.queue_id]);
+
+    return { experiment_id: experiment.id, variant, ...copy };
+  }
+
+  /**
+   * Per-variant sends, replies, positive replies and bounces, with significance on the experiment's metric.
+   * A reply counts for a send when it arrived after it.
+   */
+  async getResults(userId, experimentId) {
+    const experiment = await this._getOwned(userId, experimentId);
+
+    const result = await this.pool.query(`
+      SELECT q.variant,
+        COUNT(*) AS sent,
+        COUNT(*) FILTER (WHERE EXISTS (
+          SELECT 1 FROM prospect_reply_inbox r
+          WHERE r.prospect_id = q.prospect_id AND r.campaign_id = q.campaign_id AND r.reply_received_at >= q.sent_at
+        )) AS replies,
+        COUNT(*) FILTER (WHERE EXISTS (
+          SELECT 1 FROM prospect_reply_inbox r
+          WHERE r.prospect_id = q.prospect_id AND r.campaign_id = q.campaign_id AND r.reply_received_at >= q.sent_at
+            AND r.reply_category = 'interested'
+        )) AS positive_replies,
+        COUNT(*) FILTER (WHERE EXISTS (
+          SELECT 1 FROM email_delivery_status d
+          WHERE d.queue_id = q.id AND d.delivery_status = 'bounced'
+        )) AS bounces
+      FROM campaign_sending_queue q
+      WHERE q.experiment_id = $1 AND q.status = 'sent'
+      GROUP BY q.variant
+    `, [experimentId]);
+
+    const counts = new Map(result.rows.map(r => [r.variant, r]));
+    const conversionKey = experiment.metric === 'positive_reply_rate' ? 'positive_replies' : 'replies';
+    const variants = parseVariants(experiment.variants).map(v => {
+      const row = counts.get(v.name) || {};
+      const sent = parseInt(row.sent) || 0;
+      const replies = parseInt(row.replies) || 0;
+      const positive = parseInt(row.positive_replies) || 0;
+      const bounces = parseInt(row.bounces) || 0;
+      return {
+        variant: v.name,
+        label: v.label || null,
+        sent,
+        replies,
+        positive_replies: positive,
+        bounces,
+        reply_rate: rate(replies, sent),
+        positive_reply_rate: rate(positive, sent),
+        bounce_rate: rate(bounces, sent)
+      };
+    });
+
+    const evaluation = evaluateVariants(variants.map(v => ({
+      variant: v.variant,
+      total: v.sent,
+      conversions: v[conversionKey]
+    })));
+
+    return {
+      experiment,
+      metric: experiment.metric,
+      variants,
+      leader: evaluation.leader,
+      significant: evaluation.significant,
+      winner: evaluation.winner,
+      alpha: evaluation.alpha,
+      comparisons: evaluation.comparisons,
+      total_sent: variants.reduce((sum, v) => sum + v.sent, 0)
+    };
+  }
+
+  /**
+   * Stop the split and send the winner from now on. Without an explicit choice the
+   * winner must be statistically significant.
+   */
+  async conclude(userId, experimentId, winningVariant = null) {
+    const experiment = await this._getOwned(userId, experimentId);
+    if (experiment.status !== 'running') throw new Error('Experiment is not running');
+
+    let winner = winningVariant ? String(winningVariant).trim().toUpperCase() : null;
+    if (winner) {
+      if (!parseVariants(experiment.variants).some(v => v.name === winner)) {
+        throw new Error('winning_variant is not a variant of this experiment');
+      }
+    } else {
+      const results = await this.getResults(userId, experimentId);
+      if (!results.winner) throw new Error('No significant winner yet; choose a winning_variant to conclude anyway');
+      winner = results.winner;
+    }
+
+    const result = await this.pool.query(`
+      UPDATE email_experiments
+      SET status = 'concluded', winning_variant = $2, ended_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [experimentId, winner]);
+    return result.rows[0];
+  }
+
+  /**
+   * Stop an experiment without a winner; unsent emails go out as the control
+   */
+  async cancel(userId, experimentId) {
+    const experiment = await this._getOwned(userId, experimentId);
+    if (experiment.status !== 'running') throw new Error('Experiment is not running');
+
+    const result = await this.pool.query(`
+      UPDATE email_experiments
+      SET status = 'cancelled', ended_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [experimentId]);
+    return result.rows[0];
+  }
+
+  /**
+   * The variants that need copy written for each prospect (everything but the control)
+   */
+  challengers(experiment) {
+    return parseVariants(experiment.variants).slice(1);
+  }
+
+  // ---- Internal ----
+
+  async _getOwned(userId, experimentId) {
+    const result = await this.pool.query(`
+      SELECT e.* FROM email_experiments e
+      JOIN campaigns c ON e.campaign_id = c.id
+      WHERE e.id = $1 AND c.user_id = $2
+    `, [experimentId, userId]);
+    if (result.rows.length === 0) throw new Error('Experiment not found');
+    return result.rows[0];
+  }
+
+  async _assertCampaign(userId, campaignId) {
+    const result = await this.pool.query(
+      'SELECT id FROM campaigns WHERE id = $1 AND user_id = $2',
+      [campaignId, userId]
+    );
+    if (result.rows.length === 0) throw new Error('Campaign not found');
+  }
+}
+
+/**
+ * Validate variant definitions and name them A, B, C... in order (A = control)
+ */
+function normalizeVariants(variants) {
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > VARIANT_NAMES.length) {
+    throw new Error(`variants must be a list of 2-${VARIANT_NAMES.length} variants (the first is the control)`);
+  }
+
+  return variants.map((v, i) => {
+    const text = key => {
+      const value = v && typeof v[key] === 'string' ? v[key].trim() : '';
+      if (value.length > MAX_COPY_LENGTH) throw new Error(`Variant ${VARIANT_NAMES[i]} ${key} is too long`);
+      return value || undefined;
+    };
+    const variant = {
+      name: VARIANT_NAMES[i],
+      label: (v && typeof v.label === 'string' && v.label.trim().slice(0, 100)) || undefined,
+      instructions: text('instructions'),
+      subject: text('subject'),
+      body: text('body')
+    };
+    if (i === 0) return { name: variant.name, label: variant.label || 'Control' };
+    if (!variant.instructions && !variant.subject && !variant.body) {
+      throw new Error(`Variant ${variant.name} needs instructions, a subject or a body`);
+    }
+    return variant;
+  });
+}
+
+function parseVariants(variants) {
+  return typeof variants === 'string' ? JSON.parse(variants) : (variants || []);
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+module.exports = EmailExperimentService;
@@ -2,15 +2,28 @@
  * Email Generation Service
  *
  * Autonomous pipeline step 2: researched prospects → personalized email drafts
- * Uses Sonnet for quality email drafts. Stores as pending_approval for the queue.
+ * Uses Sonnet for quality email drafts. Stores as pending_approval for the queue,
+ * unless the campaign's approval policy (approval-service.js) approves it.
+ * A running copy experiment gets its challenger variants written alongside (email-experiment-service.js).
  */
 
 const AIService = require('./ai-service');
+const { renderPrompt } = require('./prompt-registry');
+const CustomFieldService = require('./custom-field-service');
+const ApprovalService = require('./approval-service');
+const RevisionService = require('./revision-service');
+const StyleMemoryService = require('./style-memory-service');
+const EmailExperimentService = require('./email-experiment-service');
 
 class EmailGenerationService {
   constructor(pool) {
     this.pool = pool;
     this.ai = new AIService(pool);
+    this.customFieldService = new CustomFieldService(pool);
+    this.approvalService = new ApprovalService(pool);
+    this.revisions = new RevisionService(pool);
+    this.styleMemory = new StyleMemoryService(pool);
+    this.experiments = new EmailExperimentService(pool);
   }
 
   /**
@@ -86,7 +99,8 @@ class EmailGenerationService {
     const emailResult = await this.pool.query(`
       SELECT ge.*, c.user_id, c.description, c.icp_description, c.icp_structured,
              p.company_name, p.website, p.industry, p.location, p.estimated_size,
-             p.pain_points, p.research_summary, p.ai_reasoning
+             p.pain_points, p.research_summary, p.ai_reasoning,
+             p.first_name, p.last_name, p.title, p.custom_fields
       FROM generated_emails ge
       JOIN campaigns c ON ge.campaign_id = c.id
       JOIN prospects p ON ge.prospect_id = p.id
@@ -98,41 +112,22 @@ class EmailGenerationService {
     if (email.user_id !== userId) throw new Error('Unauthorized');
 
     const user = await this._getUser(userId);
-
-    const result = await this.ai.callJSON('email_draft', {
-      system: `You are an elite cold email copywriter. Write a personalized cold email.
-${feedback ? `The user rejected the previous draft with this feedback: "${feedback}". Improve accordingly.` : ''}
-
-Rules:
-- First line must be a personalized hook about THEIR company, not about you
-- Under 120 words total
-- One clear CTA (question, not a demand)
-- No buzzwords, no hype, no "hope this finds you well"
-- Sound like a real person, not a template
-- Reference specific details about their company
-
-Return JSON: {
-  "subject": "string (under 60 chars, no spam words)",
-  "body": "string (the full email body)",
-  "personalization_notes": "string (what makes this email specific to them)"
-}`,
-      messages: [{
-        role: 'user',
-        content: `Prospect: ${email.company_name}
-Industry: ${email.industry}
-Size: ${email.estimated_size}
-Pain Points: ${email.pain_points}
-Research: ${email.research_summary || email.ai_reasoning || 'None'}
-
-Our Product: ${email.description}
-Sender: ${user.sender_name || user.name || 'the sender'}
-${email.subject_line ? `Previous subject: ${email.subject_line}\nPrevious body: ${email.email_body}` : ''}`
-      }]
-    }, { userId });
+    const details = await this._prospectDetails(email);
+    const style = await this.styleMemory.forPrompt(userId, email.campaign_id);
+
+    const prompt = renderPrompt('email_regenerate', {
+      email,
+      sender: user.sender_name || user.name || 'the sender',
+      details,
+      style,
+      feedback
+    });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
 
     const draft = result.content;
 
-    // Update the existing email
+    // Update the existing email, keeping the replaced draft in its history
+    await this.revisions.ensureOriginal('email', emailId);
     await this.pool.query(`
       UPDATE generated_emails SET
         subject_line = $1,
@@ -143,51 +138,35 @@ ${email.subject_line ? `Previous subject: ${email.subject_line}\nPrevious body:
       WHERE id = $4
     `, [draft.subject, draft.body, draft.personalization_notes, emailId]);
 
+    await this.revisions.record('email', emailId, {
+      kind: 'regenerated',
+      campaignId: email.campaign_id,
+      subject: draft.subject,
+      body: draft.body,
+      recipientEmail: email.recipient_email,
+      authorId: userId,
+      reason: feedback || null
+    });
+
+    const approval = await this._applyApprovalPolicy(emailId);
+
     return {
       id: emailId,
       subject: draft.subject,
       body: draft.body,
       personalization_notes: draft.personalization_notes,
-      status: 'pending_approval'
+      status: approval && approval.decision === 'auto_approved' ? 'approved' : 'pending_approval',
+      approval
     };
   }
 
   // ---- Internal ----
 
   async _generateEmail(prospect, campaign, user) {
-    const result = await this.ai.callJSON('email_draft', {
-      system: `You are an elite cold email copywriter. Write a personalized cold email.
-
-Rules:
-- First line must be a personalized hook about THEIR company, not about you
-- Under 120 words total
-- One clear CTA (question, not a demand)
-- No buzzwords, no hype, no "hope this finds you well"
-- Sound like a real person, not a template
-- Reference specific details about their company
-
-Return JSON: {
-  "subject": "string (under 60 chars, no spam words)",
-  "body": "string (the full email body)",
-  "personalization_notes": "string (what makes this email specific to them)",
-  "recipient_name": "string (best guess at decision maker name)",
-  "recipient_email": "string (best guess at email, or empty)"
-}`,
-      messages: [{
-        role: 'user',
-        content: `Prospect: ${prospect.company_name}
-Website: ${prospect.website || 'unknown'}
-Industry: ${prospect.industry}
-Size: ${prospect.estimated_size}
-Location: ${prospect.location}
-Pain Points: ${prospect.pain_points}
-Research: ${prospect.research_summary || prospect.ai_reasoning || 'None'}
-
-Our Product: ${campaign.description}
-ICP: ${campaign.icp_description || JSON.stringify(campaign.icp_structured) || 'Not specified'}
-Sender: ${user.sender_name || user.name || 'the sender'}`
-      }]
-    }, { userId: user.id });
+    const details = await this._prospectDetails(prospect);
+    const style = await this.styleMemory.forPrompt(user.id, campaign.id);
+    const prompt = this._draftPrompt(prospect, campaign, user, details, style);
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId: user.id });
 
     const draft = result.content;
 
@@ -200,8 +179,9 @@ Sender: ${user.sender_name || user.name || 'the sender'}`
     `, [
       prospect.id,
       campaign.id,
-      draft.recipient_email || null,
-      draft.recipient_name || null,
+      // A known (imported or verified) address beats the model's guess
+      prospect.email || draft.recipient_email || null,
+      [prospect.first_name, prospect.last_name].filter(Boolean).join(' ') || draft.recipient_name || null,
       draft.subject,
       draft.body,
       draft.personalization_notes
@@ -213,6 +193,12 @@ Sender: ${user.sender_name || user.name || 'the sender'}`
       [prospect.id]
     );
 
+    await this.revisions.ensureOriginal('email', insertResult.rows[0].id);
+
+    const variants = await this._generateVariants(insertResult.rows[0].id, prospect, campaign, user, details, style);
+
+    const approval = await this._applyApprovalPolicy(insertResult.rows[0].id);
+
     return {
       id: insertResult.rows[0].id,
       prospect_id: prospect.id,
@@ -220,11 +206,91 @@ Sender: ${user.sender_name || user.name || 'the sender'}`
       subject: draft.subject,
       body: draft.body,
       personalization_notes: draft.personalization_notes,
-      status: 'pending_approval',
-      ai_cost_cents: result.cost_cents
+      status: approval && approval.decision === 'auto_approved' ? 'approved' : 'pending_approval',
+      approval,
+      variants,
+      ai_cost_cents: result.cost_cents + variants.reduce((sum, v) => sum + v.cost_cents, 0)
     };
   }
 
+  /**
+   * Challenger copy for the campaign's running first-email experiment. A variant whose
+   * generation fails is skipped; that prospect's send then goes out as the control.
+   * @returns {Array<{variant, subject, cost_cents}>}
+   */
+  async _generateVariants(emailId, prospect, campaign, user, details, style) {
+    const experiment = await this.experiments.getRunning(campaign.id, 'initial');
+    if (!experiment) return [];
+
+    const written = [];
+    for (const variant of this.experiments.challengers(experiment)) {
+      try {
+        let copy = { subject: variant.subject || null, body: variant.body || null };
+        let costCents = 0;
+        if (variant.instructions) {
+          const prompt = this._draftPrompt(prospect, campaign, user, details, style, variant.instructions);
+          const result = await this.ai.callJSON(prompt.task, prompt.input, { userId: user.id });
+          costCents = result.cost_cents || 0;
+          copy = {
+            subject: variant.subject || result.content.subject,
+            body: variant.body || result.content.body
+          };
+        }
+        await this.experiments.saveVariant(experiment.id, prospect.id, {
+          generatedEmailId: emailId,
+          variant: variant.name,
+          subject: copy.subject,
+          body: copy.body
+        });
+        written.push({ variant: variant.name, subject: copy.subject, cost_cents: costCents });
+      } catch (err) {
+        console.error(`[EmailGen] Variant ${variant.name} failed for email ${emailId}:`, err.message);
+      }
+    }
+    return written;
+  }
+
+  /**
+   * First-email prompt (prompts/outreach.js); a variant brief is added as an extra rule
+   */
+  _draftPrompt(prospect, campaign, user, details, style, brief = '') {
+    return renderPrompt('email_draft', {
+      prospect,
+      campaign,
+      sender: user.sender_name || user.name || 'the sender',
+      details,
+      style,
+      brief
+    });
+  }
+
+  /**
+   * Campaign auto-approval policy; a failure leaves the draft in the queue
+   */
+  async _applyApprovalPolicy(emailId) {
+    try {
+      const approval = await this.approvalService.evaluateEmail(emailId);
+      return approval && { decision: approval.decision, rule: approval.rule };
+    } catch (err) {
+      console.error(`[EmailGen] Approval policy check failed for email ${emailId}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Known contact and the campaign's custom fields, as prompt lines ending in a newline ('' if none)
+   */
+  async _prospectDetails(prospect) {
+    const lines = [];
+    const contact = [prospect.first_name, prospect.last_name].filter(Boolean).join(' ');
+    if (contact) lines.push(`Contact: ${contact}${prospect.title ? `, ${prospect.title}` : ''}`);
+
+    const custom = await this.customFieldService.describeForPrompt(prospect);
+    if (custom) lines.push(custom);
+
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+
   async _getCampaign(campaignId, userId) {
     const result = await this.pool.query(
       'SELECT * FROM campaigns WHERE id = $1 AND user_id = $2',
@@ -1,5 +1,14 @@
 const https = require('https');
 const { URL } = require('url');
+const UnsubscribeService = require('./unsubscribe-service');
+const EmailVerificationService = require('./email-verification-service');
+
+const VERIFICATION_REASONS = {
+  invalid_format: 'Invalid email format',
+  disposable_domain: 'Disposable email domain',
+  no_mail_server: 'Domain has no mail server',
+  mailbox_rejected: 'Mailbox rejected by recipient server'
+};
 
 /**
  * Email Delivery Service
@@ -17,6 +26,7 @@ class EmailService {
     this.pool = pool;
     this.apiKey = apiKey || process.env.EMAIL_API_KEY;
     this.emailApiUrl = process.env.EMAIL_API_URL || 'https://api.postmarkapp.com';
+    this.verificationService = new EmailVerificationService(pool);
     this.logger = console;
   }
 
@@ -57,7 +67,7 @@ class EmailService {
       }
 
       // Step 4: Add CAN-SPAM compliance (unsubscribe link)
-      const bodyWithUnsubscribe = this.addUnsubscribeLink(body, metadata);
+      const bodyWithUnsubscribe = this.addUnsubscribeLink(body, { ...metadata, recipient_email: recipientEmail });
 
       // Step 5: Send email via Postmark (or mock if no API key)
       const sendResult = await this.sendViaPostmark(
@@ -102,47 +112,18 @@ class EmailService {
   }
 
   /**
-   * Validate email format and MX records
+   * Validate email format, MX records and (when enabled) the mailbox itself.
+   * Only addresses verified as invalid are refused; risky/unknown still send.
    */
   async validateEmail(email) {
-    // Basic format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return {
-        valid: false,
-        reason: 'Invalid email format',
-        format_valid: false
-      };
-    }
-
-    // Extract domain and check MX records (simplified - would need DNS lookup in production)
-    const domain = email.split('@')[1];
-    if (!domain || domain.length < 3) {
-      return {
-        valid: false,
-        reason: 'Invalid domain',
-        format_valid: false
-      };
-    }
-
-    // Perform actual DNS MX lookup
-    let hasKnownMx = false;
-    try {
-      const dns = require('dns').promises;
-      const mxRecords = await dns.resolveMx(domain);
-      hasKnownMx = mxRecords && mxRecords.length > 0;
-    } catch (dnsErr) {
-      // DNS lookup failed — domain may not exist or have no MX records
-      // Fall back to format-only validation (don't block on DNS issues)
-      this.logger.warn(`[Email] MX lookup failed for ${domain}: ${dnsErr.code || dnsErr.message}`);
-      hasKnownMx = false;
-    }
-
+    const result = await this.verificationService.verify(email);
     return {
-      valid: true,
-      format_valid: true,
-      mx_records_checked: true,
-      smtp_verified: hasKnownMx
+      valid: result.status !== 'invalid',
+      status: result.status,
+      reason: VERIFICATION_REASONS[result.reason] || result.reason,
+      format_valid: result.reason !== 'invalid_format',
+      mx_records_checked: result.mx_found !== null,
+      smtp_verified: result.smtp_accepted === true
     };
   }
 
@@ -270,11 +251,22 @@ class EmailService {
   }
 
   /**
-   * Add unsubscribe link to email body (CAN-SPAM compliance)
+   * Add unsubscribe link to email body (CAN-SPAM compliance). The link must carry a signed
+   * token (see unsubscribe-service.js), so an email without one can't be sent.
    */
   addUnsubscribeLink(body, metadata = {}) {
-    const unsubscribeLink = metadata.unsubscribe_link ||
-      `${process.env.APP_URL || 'https://koldly.com'}/unsubscribe/${metadata.campaign_id || 'default'}`;
+    let unsubscribeLink = metadata.unsubscribe_link;
+    if (!unsubscribeLink && metadata.user_id && metadata.recipient_email) {
+      unsubscribeLink = new UnsubscribeService(this.pool).buildUnsubscribeUrl({
+        userId: metadata.user_id,
+        campaignId: metadata.campaign_id,
+        prospectId: metadata.prospect_id,
+        email: metadata.recipient_email
+      });
+    }
+    if (!unsubscribeLink) {
+      throw new Error('Cannot build an unsubscribe link without a user and recipient');
+    }
 
     const footer = `
 
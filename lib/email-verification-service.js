@@ -0,0 +1,427 @@
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Email Verification Service
+ *
+ * Checks recipient addresses before they are queued:
+ *   - format, disposable domains and role addresses (info@, sales@...)
+ *   - DNS MX lookup (falling back to the domain's A/AAAA record, RFC 5321 §5.1)
+ *   - optional SMTP RCPT probe against the primary MX, plus a probe for a random
+ *     address on the same domain to detect catch-all servers
+ *
+ * Results are cached per address in email_verifications. Statuses:
+ *   valid    - mailbox accepted by the server (not catch-all, not a role address)
+ *   risky    - catch-all domain or role address
+ *   unknown  - domain receives mail but the mailbox wasn't confirmed (no probe / inconclusive)
+ *   invalid  - never send: bad format, disposable, no mail server, or mailbox rejected
+ *
+ * SMTP probing needs outbound port 25, which many hosts block, so it is opt-in
+ * (EMAIL_VERIFY_SMTP=true).
+ */
+
+const CACHE_DAYS = { valid: 30, invalid: 30, risky: 14, unknown: 3 };
+const SMTP_TIMEOUT_MS = 10000;
+// Addresses checked at once by verifyMany; keeps campaign start from checking hundreds one by one
+const VERIFY_CONCURRENCY = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DISPOSABLE_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com',
+  'temp-mail.org', 'tempmail.com', 'tempmailo.com', 'yopmail.com', 'trashmail.com', 'getnada.com',
+  'dispostable.com', 'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com', 'mintemail.com',
+  'mailnesia.com', 'emailondeck.com', 'spamgourmet.com', 'mytemp.email', 'burnermail.io', 'mohmal.com'
+]);
+
+const ROLE_LOCAL_PARTS = new Set([
+  'admin', 'info', 'support', 'sales', 'contact', 'hello', 'office', 'help', 'billing', 'marketing',
+  'team', 'jobs', 'careers', 'hr', 'noreply', 'no-reply', 'postmaster', 'abuse', 'webmaster',
+  'press', 'media', 'enquiries', 'inquiries', 'accounts', 'service', 'feedback'
+]);
+
+class EmailVerificationService {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.dns = require('dns').promises;
+    this.smtpEnabled = options.smtp !== undefined ? !!options.smtp : process.env.EMAIL_VERIFY_SMTP === 'true';
+    this.heloName = process.env.EMAIL_VERIFY_HELO || os.hostname() || 'localhost';
+    this.probeFrom = process.env.EMAIL_VERIFY_FROM || `verify@${this.heloName}`;
+    this.logger = console;
+  }
+
+  /**
+   * Verify one address (cached results are reused until they expire)
+   *
+   * @param {string} email
+   * @param {object} options - { smtp: override probing, force: ignore the cache }
+   * @returns {object} { email, status, reason, mx_found, mx_host, smtp_checked, smtp_accepted, catch_all, disposable, role_address, cached }
+   */
+  async verify(email, options = {}) {
+    const normalized = normalizeEmail(email);
+    if (!options.force && normalized) {
+      const cached = await this.getCached([normalized]);
+      if (cached.has(normalized)) return cached.get(normalized);
+    }
+
+    const result = await this._check(normalized, options, new Map());
+    if (normalized && result.domain) await this._store(result);
+    return result;
+  }
+
+  /**
+   * Verify a list of addresses, VERIFY_CONCURRENCY at a time; MX and catch-all lookups
+   * are shared per domain
+   * @returns {Map} email → result, in the order given
+   */
+  async verifyMany(emails, options = {}) {
+    const normalized = [...new Set((emails || []).map(normalizeEmail).filter(Boolean))];
+    const cached = options.force ? new Map() : await this.getCached(normalized);
+    const pending = normalized.filter(email => !cached.has(email));
+    const checked = new Map();
+    const domains = new Map();
+
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        const email = pending[next++];
+        const result = await this._check(email, options, domains);
+        if (result.domain) await this._store(result);
+        checked.set(email, result);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(VERIFY_CONCURRENCY, pending.length) }, worker));
+
+    return new Map(normalized.map(email => [email, cached.get(email) || checked.get(email)]));
+  }
+
+  /**
+   * Unexpired cached results
+   * @returns {Map} email → result
+   */
+  async getCached(emails) {
+    const normalized = [...new Set((emails || []).map(normalizeEmail).filter(Boolean))];
+    if (normalized.length === 0) return new Map();
+
+    const result = await this.pool.query(
+      `SELECT * FROM email_verifications WHERE email = ANY($1) AND expires_at > NOW()`,
+      [normalized]
+    );
+    return new Map(result.rows.map(row => [row.email, { ...row, cached: true }]));
+  }
+
+  /**
+   * Verify a campaign's recipients (pending, approved or awaiting-verification emails, and prospects with an address)
+   * and record the results on email_recipient_status and prospects
+   *
+   * @returns {object} { checked, valid, risky, unknown, invalid }
+   */
+  async verifyCampaignRecipients(campaignId, options = {}) {
+    const recipients = await this.pool.query(
+      `SELECT DISTINCT LOWER(email) as email FROM (
+         SELECT ge.recipient_email as email FROM generated_emails ge
+         WHERE ge.campaign_id = $1 AND ge.status IN ('pending_approval', 'approved', 'awaiting_verification')
+           AND ge.recipient_email IS NOT NULL
+         UNION
+         SELECT p.email FROM prospects p WHERE p.campaign_id = $1 AND p.email IS NOT NULL
+       ) r`,
+      [campaignId]
+    );
+
+    const results = await this.verifyMany(recipients.rows.map(r => r.email), options);
+    const summary = { checked: results.size, valid: 0, risky: 0, unknown: 0, invalid: 0 };
+
+    for (const result of results.values()) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+      await this._recordForCampaign(campaignId, result);
+    }
+    return summary;
+  }
+
+  /**
+   * Scheduler entry point: verify recipients of emails waiting for approval or sending.
+   * With probing enabled, DNS-only results from campaign start are probed here.
+   * @returns {number} Addresses checked
+   */
+  async verifyPendingRecipients(limit = 100) {
+    const pending = await this.pool.query(
+      `SELECT DISTINCT ON (LOWER(ge.recipient_email)) ge.campaign_id, LOWER(ge.recipient_email) as email
+       FROM generated_emails ge
+       LEFT JOIN email_verifications ev ON ev.email = LOWER(ge.recipient_email)
+       WHERE ge.status IN ('pending_approval', 'approved', 'awaiting_verification')
+         AND ge.recipient_email IS NOT NULL
+         AND (ev.email IS NULL OR ev.expires_at <= NOW()
+              OR ($2 AND ev.status = 'unknown' AND ev.smtp_checked = FALSE))
+       LIMIT $1`,
+      [limit, this.smtpEnabled]
+    );
+
+    const results = await this.verifyMany(pending.rows.map(r => r.email), { force: true });
+    for (const row of pending.rows) {
+      const result = results.get(row.email);
+      if (result) await this._recordForCampaign(row.campaign_id, result);
+    }
+    return pending.rows.length;
+  }
+
+  // ---- Internal ----
+
+  async _check(email, options, domains) {
+    const result = {
+      email,
+      domain: null,
+      status: 'invalid',
+      reason: null,
+      mx_found: null,
+      mx_host: null,
+      smtp_checked: false,
+      smtp_accepted: null,
+      smtp_response: null,
+      catch_all: null,
+      disposable: false,
+      role_address: false,
+      cached: false
+    };
+
+    if (!email || !EMAIL_PATTERN.test(email) || email.length > 254) {
+      result.reason = 'invalid_format';
+      return result;
+    }
+
+    const [local, domain] = email.split('@');
+    result.domain = domain;
+    result.disposable = DISPOSABLE_DOMAINS.has(domain);
+    result.role_address = ROLE_LOCAL_PARTS.has(local.split('+')[0]);
+
+    if (result.disposable) {
+      result.reason = 'disposable_domain';
+      return result;
+    }
+
+    if (!domains.has(domain)) domains.set(domain, { mx: this._lookupMx(domain), catchAll: undefined });
+    const domainInfo = domains.get(domain);
+    const mx = await domainInfo.mx;
+
+    if (mx.error) {
+      result.status = 'unknown';
+      result.reason = 'dns_error';
+      return result;
+    }
+    result.mx_found = !!mx.host;
+    result.mx_host = mx.host;
+    if (!mx.host) {
+      result.reason = 'no_mail_server';
+      return result;
+    }
+
+    const probe = options.smtp !== undefined ? options.smtp : this.smtpEnabled;
+    if (probe) {
+      // One catch-all probe per domain, shared like the MX lookup: addresses checked
+      // while it runs (verifyMany works concurrently) wait for its answer
+      const checkCatchAll = domainInfo.catchAll === undefined;
+      let settleCatchAll = null;
+      if (checkCatchAll) domainInfo.catchAll = new Promise(resolve => { settleCatchAll = resolve; });
+      let smtp = { accepted: null, catchAll: null, response: null };
+      try {
+        smtp = await this._smtpProbe(mx.host, email, checkCatchAll);
+      } finally {
+        if (checkCatchAll) {
+          const catchAll = smtp.catchAll ?? null;
+          // Inconclusive: let a later address on the domain probe again
+          if (catchAll === null) domainInfo.catchAll = undefined;
+          settleCatchAll(catchAll);
+        }
+      }
+      result.smtp_checked = true;
+      result.smtp_accepted = smtp.accepted;
+      result.smtp_response = smtp.response ? String(smtp.response).slice(0, 500) : null;
+      result.catch_all = checkCatchAll ? (smtp.catchAll ?? null) : await domainInfo.catchAll;
+
+      if (smtp.accepted === false) {
+        result.reason = 'mailbox_rejected';
+        return result;
+      }
+    }
+
+    if (result.catch_all) {
+      result.status = 'risky';
+      result.reason = 'catch_all';
+    } else if (result.role_address) {
+      result.status = 'risky';
+      result.reason = 'role_address';
+    } else if (result.smtp_accepted) {
+      result.status = 'valid';
+      result.reason = 'mailbox_accepted';
+    } else {
+      result.status = 'unknown';
+      result.reason = result.smtp_checked ? 'smtp_inconclusive' : 'mx_only';
+    }
+    return result;
+  }
+
+  /**
+   * Primary mail host for a domain: { host } (host null if none) or { error }
+   */
+  async _lookupMx(domain) {
+    try {
+      const records = await this.dns.resolveMx(domain);
+      const usable = (records || []).filter(r => r.exchange && r.exchange !== '.');
+      if (usable.length > 0) {
+        usable.sort((a, b) => a.priority - b.priority);
+        return { host: usable[0].exchange };
+      }
+      // A null MX ("." per RFC 7505) means the domain accepts no mail
+      if ((records || []).length > 0) return { host: null };
+    } catch (err) {
+      if (!['ENODATA', 'ENOTFOUND'].includes(err.code)) return { error: err.code || err.message };
+      if (err.code === 'ENOTFOUND') return { host: null };
+    }
+
+    // No MX records: mail goes to the domain's address record
+    try {
+      const addresses = await this.dns.resolve4(domain);
+      return { host: addresses.length > 0 ? domain : null };
+    } catch (err) {
+      return ['ENODATA', 'ENOTFOUND'].includes(err.code) ? { host: null } : { error: err.code || err.message };
+    }
+  }
+
+  /**
+   * RCPT probe; optionally also probes a random address to detect catch-all
+   * @returns {object} { accepted: true|false|null, catchAll: true|false|null, response }
+   */
+  _smtpProbe(host, email, checkCatchAll = true) {
+    return new Promise((resolve) => {
+      const socket = net.createConnection({ host, port: 25 });
+      const outcome = { accepted: null, catchAll: null, response: null };
+      let buffer = '';
+      let waiting = null;
+      let done = false;
+
+      const finish = () => {
+        if (done) return;
+        done = true;
+        socket.destroy();
+        resolve(outcome);
+        // Don't leave the conversation below waiting on a reply that can't come
+        if (waiting) {
+          const { reject } = waiting;
+          waiting = null;
+          reject(new Error('SMTP connection closed'));
+        }
+      };
+
+      const reply = () => new Promise((res, reject) => {
+        if (done) return reject(new Error('SMTP connection closed'));
+        waiting = { resolve: res, reject };
+        drain();
+      });
+
+      const drain = () => {
+        if (!waiting) return;
+        const lines = buffer.split('\r\n');
+        for (let i = 0; i < lines.length - 1; i++) {
+          if (/^\d{3} /.test(lines[i])) {
+            const text = lines.slice(0, i + 1).join('\n');
+            buffer = lines.slice(i + 1).join('\r\n');
+            const { resolve: res } = waiting;
+            waiting = null;
+            res({ code: parseInt(lines[i].slice(0, 3)), text });
+            return;
+          }
+        }
+      };
+
+      const send = async (line) => {
+        socket.write(`${line}\r\n`);
+        return reply();
+      };
+
+      socket.setTimeout(SMTP_TIMEOUT_MS, finish);
+      socket.on('error', finish);
+      socket.on('close', finish);
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        drain();
+      });
+
+      (async () => {
+        const greeting = await reply();
+        if (greeting.code !== 220) return finish();
+        if ((await send(`EHLO ${this.heloName}`)).code !== 250) return finish();
+        if ((await send(`MAIL FROM:<${this.probeFrom}>`)).code !== 250) return finish();
+
+        const rcpt = await send(`RCPT TO:<${email}>`);
+        outcome.response = rcpt.text;
+        if (rcpt.code === 250 || rcpt.code === 251) outcome.accepted = true;
+        else if (rcpt.code >= 550 && rcpt.code <= 553) outcome.accepted = false;
+
+        if (outcome.accepted && checkCatchAll) {
+          const random = `${crypto.randomBytes(8).toString('hex')}@${email.split('@')[1]}`;
+          const probe = await send(`RCPT TO:<${random}>`);
+          if (probe.code === 250 || probe.code === 251) outcome.catchAll = true;
+          else if (probe.code >= 550 && probe.code <= 553) outcome.catchAll = false;
+        }
+
+        socket.write('QUIT\r\n');
+        finish();
+      })().catch(finish);
+    });
+  }
+
+  async _store(result) {
+    const expiresAt = new Date(Date.now() + (CACHE_DAYS[result.status] || 1) * 24 * 60 * 60 * 1000);
+    await this.pool.query(
+      `INSERT INTO email_verifications
+       (email, domain, status, reason, mx_found, mx_host, smtp_checked, smtp_accepted, smtp_response,
+        catch_all, disposable, role_address, checked_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), $13)
+       ON CONFLICT (email) DO UPDATE SET
+         status = EXCLUDED.status, reason = EXCLUDED.reason, mx_found = EXCLUDED.mx_found,
+         mx_host = EXCLUDED.mx_host, smtp_checked = EXCLUDED.smtp_checked, smtp_accepted = EXCLUDED.smtp_accepted,
+         smtp_response = EXCLUDED.smtp_response, catch_all = EXCLUDED.catch_all, disposable = EXCLUDED.disposable,
+         role_address = EXCLUDED.role_address, checked_at = NOW(), expires_at = EXCLUDED.expires_at`,
+      [result.email, result.domain, result.status, result.reason, result.mx_found, result.mx_host,
+        result.smtp_checked, result.smtp_accepted, result.smtp_response, result.catch_all,
+        result.disposable, result.role_address, expiresAt]
+    );
+  }
+
+  async _recordForCampaign(campaignId, result) {
+    // Bounces and complaints are stronger evidence than a probe; keep their status
+    await this.pool.query(
+      `INSERT INTO email_recipient_status
+       (campaign_id, recipient_email, status, validation_type, format_valid, mx_records_checked, smtp_verified, last_checked)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       ON CONFLICT (campaign_id, recipient_email) DO UPDATE SET
+         status = CASE WHEN email_recipient_status.bounce_count > 0 OR email_recipient_status.complaint_count > 0
+           THEN email_recipient_status.status ELSE EXCLUDED.status END,
+         validation_type = EXCLUDED.validation_type, format_valid = EXCLUDED.format_valid,
+         mx_records_checked = EXCLUDED.mx_records_checked, smtp_verified = EXCLUDED.smtp_verified,
+         last_checked = NOW(), updated_at = NOW()`,
+      [campaignId, result.email, result.status, result.smtp_checked ? 'smtp' : 'dns',
+        result.reason !== 'invalid_format', result.mx_found !== null, result.smtp_accepted === true]
+    );
+
+    await this.pool.query(
+      `UPDATE prospects SET email_verification_status = $3, email_verified_at = NOW()
+       WHERE campaign_id = $1 AND LOWER(email) = $2`,
+      [campaignId, result.email, result.status]
+    );
+
+    // Emails to unconfirmed AI-invented prospects were waiting on this result
+    if (result.status === 'valid' || result.status === 'invalid') {
+      await this.pool.query(
+        `UPDATE generated_emails SET status = $3, updated_at = NOW()
+         WHERE campaign_id = $1 AND LOWER(recipient_email) = $2 AND status = 'awaiting_verification'`,
+        [campaignId, result.email, result.status === 'valid' ? 'approved' : 'blocked_invalid_recipient']
+      );
+    }
+  }
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,249 @@
+/**
+ * Experiment Statistics
+ *
+ * Significance testing shared by UI experiments (product-intelligence-service.js)
+ * and email copy experiments (email-experiment-service.js). The leading variant
+ * is compared with every other one using a two-proportion z-test; with more than
+ * two variants the threshold is Bonferroni-corrected, so a winner needs
+ * p < alpha / (variants - 1) against each rival. With two variants this is the
+ * familiar |z| ≥ 1.96 at alpha = 0.05.
+ *
+ * The Bayesian mode models each variant's rate as Beta(1 + conversions,
+ * 1 + misses) and reads probability-to-be-best, probability-to-beat-control and
+ * expected loss off Monte Carlo draws. Expected loss (how much rate is given up,
+ * on average, by shipping a variant if it isn't the best) stays meaningful when
+ * results are checked repeatedly, so it drives the stopping rule. Draws use a
+ * seeded generator so the same data always gives the same numbers.
+ */
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided z-test for the difference between two conversion rates
+ * @param {object} a - { total, conversions }
+ * @param {object} b - { total, conversions }
+ * @returns {object} { z, p_value } (z = 0, p_value = 1 when there's nothing to compare)
+ */
+function twoProportionZTest(a, b) {
+  const n1 = Number(a.total) || 0;
+  const n2 = Number(b.total) || 0;
+  if (n1 === 0 || n2 === 0) return { z: 0, p_value: 1 };
+
+  const c1 = Number(a.conversions) || 0;
+  const c2 = Number(b.conversions) || 0;
+  const pPool = (c1 + c2) / (n1 + n2);
+  const se = Math.sqrt(pPool * (1 - pPool) * (1 / n1 + 1 / n2));
+  if (se === 0) return { z: 0, p_value: 1 };
+
+  const z = (c1 / n1 - c2 / n2) / se;
+  return { z, p_value: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * Compare any number of variants
+ * @param {Array<{variant, total, conversions}>} variants
+ * @param {object} options - { alpha }
+ * @returns {object} { variants (with rate, best first), leader, significant, winner, alpha, comparisons }
+ */
+function evaluateVariants(variants, { alpha = 0.05 } = {}) {
+  const ranked = variants
+    .map(v => {
+      const total = Number(v.total) || 0;
+      const conversions = Number(v.conversions) || 0;
+      return { ...v, total, conversions, rate: total > 0 ? conversions / total : 0 };
+    })
+    .sort((a, b) => b.rate - a.rate || b.total - a.total);
+
+  if (ranked.length < 2) {
+    return { variants: ranked, leader: ranked[0] ? ranked[0].variant : null, significant: false, winner: null, alpha, comparisons: [] };
+  }
+
+  const leader = ranked[0];
+  const adjustedAlpha = alpha / (ranked.length - 1);
+  const comparisons = ranked.slice(1).map(rival => {
+    const { z, p_value } = twoProportionZTest(leader, rival);
+    return { variant: rival.variant, z, p_value, significant: z > 0 && p_value < adjustedAlpha };
+  });
+  const significant = comparisons.every(c => c.significant);
+
+  return {
+    variants: ranked,
+    leader: leader.variant,
+    significant,
+    winner: significant ? leader.variant : null,
+    alpha: adjustedAlpha,
+    comparisons
+  };
+}
+
+/**
+ * Bayesian comparison of any number of variants
+ * @param {Array<{variant, total, conversions}>} variants
+ * @param {object} options - { control (default first variant), draws, seed }
+ * @returns {object} { control, variants: [{ variant, total, conversions, posterior_mean,
+ *   credible_interval, prob_best, prob_beat_control, expected_loss }], best }
+ */
+function bayesianEvaluate(variants, { control = null, draws = 20000, seed = 1 } = {}) {
+  const arms = variants.map(v => {
+    const total = Number(v.total) || 0;
+    const conversions = Math.min(Number(v.conversions) || 0, total);
+    return { variant: v.variant, total, conversions, alpha: 1 + conversions, beta: 1 + total - conversions };
+  });
+  if (arms.length === 0) return { control: null, variants: [], best: null };
+
+  const controlIndex = Math.max(arms.findIndex(a => a.variant === control), 0);
+  const random = seededRandom(seed);
+  const wins = new Array(arms.length).fill(0);
+  const beats = new Array(arms.length).fill(0);
+  const loss = new Array(arms.length).fill(0);
+  const samples = new Array(arms.length);
+
+  for (let d = 0; d < draws; d++) {
+    let best = 0;
+    for (let i = 0; i < arms.length; i++) {
+      samples[i] = betaSample(arms[i].alpha, arms[i].beta, random);
+      if (samples[i] > samples[best]) best = i;
+    }
+    wins[best]++;
+    for (let i = 0; i < arms.length; i++) {
+      if (samples[i] > samples[controlIndex]) beats[i]++;
+      loss[i] += samples[best] - samples[i];
+    }
+  }
+
+  const results = arms.map((arm, i) => ({
+    variant: arm.variant,
+    total: arm.total,
+    conversions: arm.conversions,
+    posterior_mean: arm.alpha / (arm.alpha + arm.beta),
+    credible_interval: credibleInterval(arm.alpha, arm.beta),
+    prob_best: wins[i] / draws,
+    prob_beat_control: i === controlIndex ? null : beats[i] / draws,
+    expected_loss: loss[i] / draws
+  }));
+  const best = results.reduce((a, b) => (b.expected_loss < a.expected_loss ? b : a));
+
+  return { control: arms[controlIndex].variant, variants: results, best: best.variant };
+}
+
+/**
+ * Thompson sampling: draw once from each variant's posterior and pick the highest
+ * @param {Array<{variant, total, conversions}>} variants
+ * @param {Function} random - uniform [0, 1) generator
+ */
+function thompsonSample(variants, random = Math.random) {
+  let pick = null;
+  let pickDraw = -1;
+  for (const v of variants) {
+    const total = Number(v.total) || 0;
+    const conversions = Math.min(Number(v.conversions) || 0, total);
+    const draw = betaSample(1 + conversions, 1 + total - conversions, random);
+    if (draw > pickDraw) {
+      pick = v.variant;
+      pickDraw = draw;
+    }
+  }
+  return pick;
+}
+
+/**
+ * Whether an experiment can stop, and what to ship
+ * @param {object} bayes - result of bayesianEvaluate
+ * @param {object} rules - { minSample (per variant), winProbability, lossThreshold }
+ * @returns {object} { min_sample_reached, samples_needed, can_stop, reason, recommended_winner }
+ */
+function stoppingDecision(bayes, { minSample = 100, winProbability = 0.95, lossThreshold = 0.005 } = {}) {
+  const samplesNeeded = bayes.variants.reduce((n, v) => n + Math.max(minSample - v.total, 0), 0);
+  const decision = {
+    min_sample_reached: samplesNeeded === 0,
+    samples_needed: samplesNeeded,
+    can_stop: false,
+    reason: 'collecting',
+    recommended_winner: null
+  };
+  if (bayes.variants.length < 2 || !decision.min_sample_reached) return decision;
+
+  const best = bayes.variants.find(v => v.variant === bayes.best);
+  if (best.expected_loss < lossThreshold && best.prob_best >= winProbability) {
+    return { ...decision, can_stop: true, reason: 'winner', recommended_winner: best.variant };
+  }
+  // Any choice costs less than the threshold: the variants are practically equivalent
+  if (bayes.variants.every(v => v.expected_loss < lossThreshold)) {
+    return { ...decision, can_stop: true, reason: 'equivalent', recommended_winner: bayes.control };
+  }
+  return { ...decision, reason: 'uncertain' };
+}
+
+// ---- Internal ----
+
+/**
+ * Deterministic uniform [0, 1) generator (mulberry32)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function betaSample(alpha, beta, random) {
+  const x = gammaSample(alpha, random);
+  const y = gammaSample(beta, random);
+  return x / (x + y);
+}
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia & Tsang; shapes below 1 are boosted)
+ */
+function gammaSample(shape, random) {
+  if (shape < 1) return gammaSample(shape + 1, random) * Math.pow(random() || Number.MIN_VALUE, 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normalSample(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function normalSample(random) {
+  const u = random() || Number.MIN_VALUE;
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Approximate 95% interval (normal approximation to the beta posterior)
+ */
+function credibleInterval(alpha, beta) {
+  const mean = alpha / (alpha + beta);
+  const sd = Math.sqrt((alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1)));
+  return [Math.max(mean - 1.96 * sd, 0), Math.min(mean + 1.96 * sd, 1)];
+}
+
+module.exports = {
+  normalCdf,
+  twoProportionZTest,
+  evaluateVariants,
+  bayesianEvaluate,
+  thompsonSample,
+  stoppingDecision
+};
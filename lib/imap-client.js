@@ -0,0 +1,313 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * IMAP Client
+ *
+ * Minimal IMAP4rev1 client for reply polling: implicit TLS (993) or STARTTLS,
+ * LOGIN, SELECT, UID SEARCH, UID FETCH of full message bodies and IDLE.
+ * Commands run one at a time; server literals ({n}) are read as raw bytes so
+ * 8-bit message content survives intact.
+ *
+ * Options:
+ *   host, port (993), secure ('tls' | 'starttls' | 'none'), username, password,
+ *   timeout ms (60000), rejectUnauthorized (true)
+ */
+
+const DEFAULT_PORT = { tls: 993, starttls: 143, none: 143 };
+
+class ImapClient {
+  constructor(options = {}) {
+    if (!options.host) throw new Error('IMAP host is required');
+
+    const secure = options.secure === true ? 'tls' : (options.secure || (parseInt(options.port) === 143 ? 'starttls' : 'tls'));
+    if (!DEFAULT_PORT[secure]) throw new Error(`Invalid IMAP security mode: ${secure}`);
+
+    this.options = {
+      host: options.host,
+      port: parseInt(options.port) || DEFAULT_PORT[secure],
+      secure,
+      username: options.username,
+      password: options.password,
+      timeout: options.timeout || 60000,
+      rejectUnauthorized: options.rejectUnauthorized !== false
+    };
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.current = { text: '', literals: [] };
+    this.literalBytes = null;
+    this.tagCounter = 0;
+    this.pending = null;
+    this.greeting = null;
+    this.capabilities = [];
+    this.onUntagged = null;
+    this.closed = false;
+  }
+
+  /**
+   * Connect, upgrade (STARTTLS) and log in
+   */
+  async connect() {
+    const { host, port, secure, rejectUnauthorized, timeout } = this.options;
+
+    const greeting = new Promise((resolve, reject) => { this.greeting = { resolve, reject }; });
+    await new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      };
+      this.socket = secure === 'tls'
+        ? tls.connect({ host, port, servername: host, rejectUnauthorized }, onConnect)
+        : net.connect({ host, port }, onConnect);
+      this.socket.once('error', reject);
+      this.socket.setTimeout(timeout, () => this.socket.destroy(new Error('IMAP connection timeout')));
+    });
+    this._attach();
+
+    const hello = await greeting;
+    if (!/^\* (OK|PREAUTH)/i.test(hello.text)) throw new Error(`IMAP server refused connection: ${hello.text}`);
+
+    if (secure === 'starttls') {
+      await this._capability();
+      if (!this.capabilities.includes('STARTTLS')) throw new Error('IMAP server does not support STARTTLS');
+      await this.command('STARTTLS');
+      await this._upgrade();
+    }
+
+    if (!/^\* PREAUTH/i.test(hello.text)) {
+      await this.command(`LOGIN ${quote(this.options.username)} ${quote(this.options.password)}`);
+    }
+    await this._capability();
+  }
+
+  /**
+   * Select a mailbox
+   * @returns {object} { exists, uidValidity, uidNext }
+   */
+  async select(mailbox = 'INBOX') {
+    const { untagged } = await this.command(`SELECT ${quote(mailbox)}`);
+    const info = { exists: 0, uidValidity: null, uidNext: null };
+    for (const response of untagged) {
+      const exists = /^\* (\d+) EXISTS/i.exec(response.text);
+      if (exists) info.exists = parseInt(exists[1]);
+      const validity = /\[UIDVALIDITY (\d+)\]/i.exec(response.text);
+      if (validity) info.uidValidity = parseInt(validity[1]);
+      const next = /\[UIDNEXT (\d+)\]/i.exec(response.text);
+      if (next) info.uidNext = parseInt(next[1]);
+    }
+    return info;
+  }
+
+  /**
+   * UIDs matching a search, e.g. search('UID 120:*') or search('SINCE 1-Mar-2026')
+   */
+  async search(criteria) {
+    const { untagged } = await this.command(`UID SEARCH ${criteria}`);
+    const uids = [];
+    for (const response of untagged) {
+      const match = /^\* SEARCH\s*(.*)$/i.exec(response.text);
+      if (match) uids.push(...match[1].trim().split(/\s+/).filter(Boolean).map(Number));
+    }
+    return uids.sort((a, b) => a - b);
+  }
+
+  /**
+   * Fetch full raw messages without setting \Seen
+   * @returns {Array} [{ uid, raw: Buffer }]
+   */
+  async fetch(uids) {
+    if (!uids.length) return [];
+    const { untagged } = await this.command(`UID FETCH ${uids.join(',')} (UID BODY.PEEK[])`);
+    const messages = [];
+    for (const response of untagged) {
+      if (!/^\* \d+ FETCH/i.test(response.text)) continue;
+      const uid = /UID (\d+)/i.exec(response.text);
+      if (uid && response.literals.length > 0) {
+        messages.push({ uid: parseInt(uid[1]), raw: response.literals[response.literals.length - 1] });
+      }
+    }
+    return messages.sort((a, b) => a.uid - b.uid);
+  }
+
+  /**
+   * IDLE until the server reports new mail (EXISTS) or the timeout passes
+   * @returns {boolean} true when new mail arrived
+   */
+  async idle(timeoutMs = 25 * 60 * 1000) {
+    if (!this.capabilities.includes('IDLE')) throw new Error('IMAP server does not support IDLE');
+
+    let newMail = false;
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    const timer = setTimeout(() => finish(), timeoutMs);
+
+    this.onUntagged = (response) => {
+      if (/^\* \d+ EXISTS/i.test(response.text)) {
+        newMail = true;
+        finish();
+      }
+    };
+
+    // The "+ idling" continuation needs no reply; DONE ends the command.
+    // The socket stays quiet while idling, so the inactivity timeout is suspended.
+    this.socket.setTimeout(0);
+    const command = this.command('IDLE', () => {});
+    try {
+      await Promise.race([done, command]);
+    } finally {
+      clearTimeout(timer);
+      this.onUntagged = null;
+      if (!this.closed) this.socket.setTimeout(this.options.timeout);
+    }
+
+    if (!this.closed) {
+      this.socket.write('DONE\r\n');
+      await command;
+    }
+    return newMail;
+  }
+
+  async logout() {
+    if (this.closed) return;
+    try {
+      await this.command('LOGOUT');
+    } catch {
+      // Server may close first
+    }
+    this.destroy();
+  }
+
+  destroy() {
+    this.closed = true;
+    if (this.socket && !this.socket.destroyed) this.socket.destroy();
+  }
+
+  /**
+   * Run a tagged command
+   * @returns {object} { status, text, untagged }
+   */
+  command(line, onContinue = null) {
+    if (this.closed) return Promise.reject(new Error('IMAP connection closed'));
+    if (this.pending) return Promise.reject(new Error('IMAP command already in progress'));
+
+    const tag = `K${++this.tagCounter}`;
+    return new Promise((resolve, reject) => {
+      this.pending = { tag, untagged: [], resolve, reject, onContinue };
+      this.socket.write(`${tag} ${line}\r\n`);
+    });
+  }
+
+  // ---- Internal ----
+
+  async _capability() {
+    const { untagged } = await this.command('CAPABILITY');
+    const response = untagged.find(r => /^\* CAPABILITY /i.test(r.text));
+    this.capabilities = response ? response.text.slice(13).trim().toUpperCase().split(/\s+/) : [];
+  }
+
+  _attach() {
+    this.socket.on('data', (chunk) => this._onData(chunk));
+    this.socket.on('error', (err) => this._fail(err));
+    this.socket.on('close', () => this._fail(new Error('IMAP connection closed')));
+  }
+
+  _upgrade() {
+    const { host, rejectUnauthorized, timeout } = this.options;
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    return new Promise((resolve, reject) => {
+      const secured = tls.connect({ socket: this.socket, servername: host, rejectUnauthorized }, () => {
+        secured.removeListener('error', reject);
+        this.socket = secured;
+        this._attach();
+        resolve();
+      });
+      secured.once('error', reject);
+      secured.setTimeout(timeout, () => secured.destroy(new Error('IMAP connection timeout')));
+    });
+  }
+
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    for (;;) {
+      if (this.literalBytes !== null) {
+        if (this.buffer.length < this.literalBytes) return;
+        this.current.literals.push(this.buffer.slice(0, this.literalBytes));
+        this.buffer = this.buffer.slice(this.literalBytes);
+        this.literalBytes = null;
+        continue;
+      }
+
+      const index = this.buffer.indexOf('\r\n');
+      if (index === -1) return;
+      const line = this.buffer.slice(0, index).toString('utf8');
+      this.buffer = this.buffer.slice(index + 2);
+      this.current.text += line;
+
+      const literal = /\{(\d+)\}$/.exec(line);
+      if (literal) {
+        this.literalBytes = parseInt(literal[1]);
+        continue;
+      }
+
+      const response = this.current;
+      this.current = { text: '', literals: [] };
+      this._dispatch(response);
+    }
+  }
+
+  _dispatch(response) {
+    if (this.greeting) {
+      const greeting = this.greeting;
+      this.greeting = null;
+      greeting.resolve(response);
+      return;
+    }
+
+    const pending = this.pending;
+
+    if (response.text.startsWith('+')) {
+      if (pending && pending.onContinue) pending.onContinue(response);
+      return;
+    }
+
+    if (response.text.startsWith('*')) {
+      if (pending) pending.untagged.push(response);
+      if (this.onUntagged) this.onUntagged(response);
+      return;
+    }
+
+    if (pending && response.text.startsWith(`${pending.tag} `)) {
+      this.pending = null;
+      const [, status, text] = /^\S+ (\S+) ?(.*)$/.exec(response.text) || [];
+      if (String(status).toUpperCase() === 'OK') {
+        pending.resolve({ status: 'OK', text, untagged: pending.untagged });
+      } else {
+        pending.reject(new Error(`IMAP ${status}: ${text}`));
+      }
+    }
+  }
+
+  _fail(err) {
+    this.closed = true;
+    if (this.greeting) {
+      this.greeting.reject(err);
+      this.greeting = null;
+    }
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) pending.reject(err);
+  }
+}
+
+/**
+ * IMAP quoted string
+ */
+function quote(value) {
+  return `"${String(value || '').replace(/(["\\])/g, '\\$1')}"`;
+}
+
+module.exports = ImapClient;
@@ -0,0 +1,250 @@
+const ImapClient = require('./imap-client');
+const MailboxService = require('./mailbox-service');
+const InboundReplyService = require('./inbound-reply-service');
+const { parseMessage, stripQuotedText } = require('./mime-parser');
+
+/**
+ * IMAP Poller Service
+ *
+ * Reply detection for mailboxes we send from directly, as an alternative to
+ * ESP inbound webhooks. Each mailbox with imap_enabled is polled on a schedule
+ * (and optionally watched with IDLE); new INBOX messages since the last seen UID
+ * are parsed and fed through InboundReplyService.ingestReply() and then
+ * categorized — the same pipeline /api/webhooks/inbound uses.
+ *
+ * UID tracking: imap_last_uid is only meaningful within imap_uid_validity; when
+ * the server reports a new UIDVALIDITY the mailbox is re-synced from the last
+ * INITIAL_SYNC_DAYS (replies are deduplicated by Message-ID).
+ */
+
+const INITIAL_SYNC_DAYS = 14;
+const FETCH_BATCH = 25;
+const IDLE_RESTART_MS = 25 * 60 * 1000;
+
+class ImapPollerService {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.mailboxService = new MailboxService(pool);
+    this.inboundReplyService = new InboundReplyService(pool);
+    this.replyResponseService = options.replyResponseService || null;
+    this.createClient = options.createClient || ((settings) => new ImapClient(settings));
+    this.watchers = new Map();
+    this.polling = new Set();
+    this.logger = console;
+  }
+
+  /**
+   * Poll every IMAP-enabled mailbox once
+   */
+  async pollAll() {
+    const result = await this.pool.query(
+      `SELECT * FROM sender_mailboxes WHERE imap_enabled = TRUE AND status <> 'paused' ORDER BY id ASC`
+    );
+
+    const stats = { mailboxes: 0, fetched: 0, matched: 0, failed: 0 };
+    for (const mailbox of result.rows) {
+      const outcome = await this.pollMailbox(mailbox);
+      stats.mailboxes++;
+      stats.fetched += outcome.fetched || 0;
+      stats.matched += outcome.matched || 0;
+      if (outcome.error) stats.failed++;
+    }
+    return stats;
+  }
+
+  /**
+   * Fetch and ingest new messages for one mailbox
+   * @returns {object} { fetched, matched, error }
+   */
+  async pollMailbox(mailbox) {
+    // IDLE wake-ups and the scheduled poll can overlap
+    if (this.polling.has(mailbox.id)) return { fetched: 0, matched: 0, skipped: true };
+    this.polling.add(mailbox.id);
+
+    const settings = this.mailboxService.getImapSettings(mailbox);
+    if (!settings) {
+      this.polling.delete(mailbox.id);
+      return { fetched: 0, matched: 0, error: 'No IMAP settings' };
+    }
+
+    const client = this.createClient(settings);
+    try {
+      await client.connect();
+      const result = await this._sync(client, mailbox);
+      await this.pool.query(
+        `UPDATE sender_mailboxes SET imap_last_polled_at = NOW(), imap_last_error = NULL WHERE id = $1`,
+        [mailbox.id]
+      );
+      return result;
+    } catch (err) {
+      this.logger.error(`[IMAP] Poll failed for mailbox ${mailbox.id}:`, err.message);
+      await this.pool.query(
+        `UPDATE sender_mailboxes SET imap_last_polled_at = NOW(), imap_last_error = $2 WHERE id = $1`,
+        [mailbox.id, err.message]
+      ).catch(() => {});
+      return { fetched: 0, matched: 0, error: err.message };
+    } finally {
+      this.polling.delete(mailbox.id);
+      await client.logout().catch(() => {});
+    }
+  }
+
+  /**
+   * Keep an IDLE connection open and poll as soon as new mail arrives
+   */
+  watchMailbox(mailbox) {
+    if (this.watchers.has(mailbox.id)) return;
+    const watcher = { stopped: false, client: null };
+    this.watchers.set(mailbox.id, watcher);
+
+    const loop = async () => {
+      while (!watcher.stopped) {
+        try {
+          const settings = this.mailboxService.getImapSettings(mailbox);
+          if (!settings) throw new Error('No IMAP settings');
+          watcher.client = this.createClient(settings);
+          await watcher.client.connect();
+          await watcher.client.select('INBOX');
+
+          while (!watcher.stopped) {
+            const newMail = await watcher.client.idle(IDLE_RESTART_MS);
+            if (newMail && !watcher.stopped) await this.pollMailbox(mailbox);
+          }
+        } catch (err) {
+          if (watcher.stopped) break;
+          this.logger.error(`[IMAP] IDLE watcher for mailbox ${mailbox.id} failed:`, err.message);
+          // Back off before reconnecting; the scheduled poll still covers the gap
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, 60000);
+            if (timer.unref) timer.unref();
+          });
+        } finally {
+          if (watcher.client) await watcher.client.logout().catch(() => {});
+        }
+      }
+    };
+
+    watcher.done = loop();
+  }
+
+  /**
+   * Start IDLE watchers for every IMAP-enabled mailbox
+   */
+  async startWatchers() {
+    const result = await this.pool.query(
+      `SELECT * FROM sender_mailboxes WHERE imap_enabled = TRUE AND status <> 'paused'`
+    );
+    result.rows.forEach(mailbox => this.watchMailbox(mailbox));
+    return result.rows.length;
+  }
+
+  async stopWatchers() {
+    const watchers = [...this.watchers.values()];
+    this.watchers.clear();
+    for (const watcher of watchers) {
+      watcher.stopped = true;
+      if (watcher.client) watcher.client.destroy();
+    }
+    await Promise.all(watchers.map(w => w.done));
+  }
+
+  // ---- Internal ----
+
+  async _sync(client, mailbox) {
+    const box = await client.select('INBOX');
+
+    let lastUid = mailbox.imap_last_uid ? parseInt(mailbox.imap_last_uid) : null;
+    if (lastUid !== null && String(box.uidValidity) !== String(mailbox.imap_uid_validity)) {
+      this.logger.warn(`[IMAP] UIDVALIDITY changed for mailbox ${mailbox.id}, re-syncing`);
+      lastUid = null;
+    }
+
+    let uids;
+    if (lastUid === null) {
+      const since = new Date(Date.now() - INITIAL_SYNC_DAYS * 86400000);
+      uids = await client.search(`SINCE ${imapDate(since)}`);
+    } else {
+      // "n:*" always includes the highest UID, even when it is below n
+      uids = (await client.search(`UID ${lastUid + 1}:*`)).filter(uid => uid > lastUid);
+    }
+
+    let fetched = 0;
+    let matched = 0;
+    let highest = lastUid || 0;
+
+    for (let i = 0; i < uids.length; i += FETCH_BATCH) {
+      const messages = await client.fetch(uids.slice(i, i + FETCH_BATCH));
+      for (const { uid, raw } of messages) {
+        fetched++;
+        if (await this._ingest(mailbox, raw)) matched++;
+        highest = Math.max(highest, uid);
+      }
+
+      await this._saveCursor(mailbox.id, box.uidValidity, highest);
+    }
+
+    if (uids.length === 0 && lastUid === null && box.uidNext) {
+      await this._saveCursor(mailbox.id, box.uidValidity, box.uidNext - 1);
+    }
+
+    return { fetched, matched };
+  }
+
+  async _ingest(mailbox, raw) {
+    let parsed;
+    try {
+      parsed = parseMessage(raw);
+    } catch (err) {
+      this.logger.error(`[IMAP] Unparseable message in mailbox ${mailbox.id}:`, err.message);
+      return false;
+    }
+
+    // Our own sends (e.g. copies filed into INBOX) are not replies
+    if (!parsed.from || parsed.from === String(mailbox.email).toLowerCase()) return false;
+
+    const result = await this.inboundReplyService.ingestReply({
+      from: parsed.fromName ? `${parsed.fromName} <${parsed.from}>` : parsed.from,
+      fromName: parsed.fromName,
+      to: parsed.to,
+      cc: parsed.cc,
+      subject: parsed.subject,
+      text: stripQuotedText(parsed.text) || parsed.text,
+      html: parsed.html,
+      messageId: parsed.messageId,
+      inReplyTo: parsed.inReplyTo,
+      references: parsed.references,
+      receivedAt: parsed.date
+    });
+
+    if (result.matched && !result.duplicate) {
+      this._categorize(result.reply_id, result.user_id);
+      return true;
+    }
+    return false;
+  }
+
+  _categorize(replyId, userId) {
+    if (!this.replyResponseService) {
+      const ReplyResponseService = require('./reply-response-service');
+      this.replyResponseService = new ReplyResponseService(this.pool);
+    }
+    this.replyResponseService.categorizeReply(replyId, userId).catch(err => {
+      this.logger.error('[IMAP] Categorization failed:', err.message);
+    });
+  }
+
+  async _saveCursor(mailboxId, uidValidity, lastUid) {
+    await this.pool.query(
+      `UPDATE sender_mailboxes SET imap_uid_validity = $2, imap_last_uid = $3 WHERE id = $1`,
+      [mailboxId, uidValidity, lastUid]
+    );
+  }
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function imapDate(date) {
+  return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+}
+
+module.exports = ImapPollerService;
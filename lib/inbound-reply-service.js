@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const OutOfOfficeService = require('./out-of-office-service');
+
+/**
+ * Inbound Reply Service
+ *
+ * Threads outbound sends and resolves inbound replies back to the exact queue
+ * item (campaign, prospect, sequence step) they answer.
+ *
+ * Outbound: every send stores its RFC Message-ID on the queue item; follow-ups
+ * to the same prospect carry In-Reply-To/References pointing at earlier sends,
+ * and responses to a reply point at the prospect's message.
+ * With REPLY_PLUS_ADDRESSING=true the Reply-To also gets a signed plus-address
+ * token (outreach+r-<id>-<sig>@domain).
+ *
+ * Inbound resolution order:
+ *   1. In-Reply-To / References against sent Message-IDs
+ *   2. A reply token in any To/Cc address
+ *   3. The sender's email against the most recently sent item to that address
+ * so a prospect in two campaigns and a colleague forwarding the thread both
+ * land on the right campaign.
+ *
+ * Out-of-office auto-replies don't halt the sequence; it's pushed back to after the
+ * prospect's return (see out-of-office-service.js).
+ */
+
+const TOKEN_PATTERN = /\+r-([0-9a-z]+)-([0-9a-f]{10})@/i;
+
+class InboundReplyService {
+  constructor(pool) {
+    this.pool = pool;
+    this.secret = process.env.REPLY_TOKEN_SECRET || process.env.JWT_SECRET;
+    this.plusAddressing = process.env.REPLY_PLUS_ADDRESSING === 'true';
+    this.outOfOffice = new OutOfOfficeService(pool);
+    this.logger = console;
+  }
+
+  // ---- Outbound ----
+
+  /**
+   * In-Reply-To/References headers for the next email to a prospect in a campaign
+   * @param {string} replyMessageId - Message-ID of the prospect's reply when answering it
+   * @returns {object} headers (empty for the first email)
+   */
+  async getThreadHeaders(campaignId, prospectId, replyMessageId = null) {
+    const result = await this.pool.query(
+      `SELECT rfc_message_id FROM campaign_sending_queue
+       WHERE campaign_id = $1 AND prospect_id = $2 AND status = 'sent' AND rfc_message_id IS NOT NULL
+       ORDER BY sent_at ASC`,
+      [campaignId, prospectId]
+    );
+    const ids = result.rows.map(row => row.rfc_message_id);
+    if (replyMessageId && !ids.includes(replyMessageId)) ids.push(replyMessageId);
+    if (ids.length === 0) return {};
+
+    return {
+      'In-Reply-To': ids[ids.length - 1],
+      // Keep the header bounded: first message plus the most recent ones
+      'References': (ids.length > 10 ? [ids[0], ...ids.slice(-9)] : ids).join(' ')
+    };
+  }
+
+  /**
+   * Reply-To address for a queue item (plus-addressed when enabled)
+   */
+  buildReplyTo(address, queueId) {
+    if (!this.plusAddressing || !address || !queueId || !this.secret) return address;
+    const [local, domain] = String(address).split('@');
+    if (!domain) return address;
+    return `${local.split('+')[0]}+${this.createReplyToken(queueId)}@${domain}`;
+  }
+
+  createReplyToken(queueId) {
+    const id = parseInt(queueId).toString(36);
+    return `r-${id}-${this._sign(id)}`;
+  }
+
+  /**
+   * Queue id from a plus-addressed reply token, or null if absent/invalid
+   */
+  parseReplyToken(address) {
+    const match = TOKEN_PATTERN.exec(String(address || ''));
+    if (!match || !this.secret) return null;
+    const id = match[1].toLowerCase();
+    const signature = match[2].toLowerCase();
+    const expected = this._sign(id);
+    if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+    return parseInt(id, 36);
+  }
+
+  // ---- Inbound ----
+
+  /**
+   * Resolve an inbound message to the queue item it replies to
+   *
+   * @param {object} message - { from, to, cc, messageId, inReplyTo, references }
+   * @returns {object|null} { queue_id, campaign_id, prospect_id, sequence_step_id, user_id, matched_by, ... }
+   */
+  async resolveThread(message) {
+    const inReplyTo = InboundReplyService.parseMessageIds(message.inReplyTo);
+    const references = InboundReplyService.parseMessageIds(message.references).reverse();
+    const ids = [...new Set([...inReplyTo, ...references])];
+
+    if (ids.length > 0) {
+      const result = await this.pool.query(
+        `${MATCH_SELECT} WHERE q.rfc_message_id = ANY($1)`,
+        [ids]
+      );
+      if (result.rows.length > 0) {
+        const rank = (row) => ids.indexOf(row.rfc_message_id);
+        const row = result.rows.sort((a, b) => rank(a) - rank(b))[0];
+        return { ...row, matched_by: inReplyTo.includes(row.rfc_message_id) ? 'in_reply_to' : 'references' };
+      }
+    }
+
+    const recipients = [...toList(message.to), ...toList(message.cc)];
+    for (const address of recipients) {
+      const queueId = this.parseReplyToken(address);
+      if (!queueId) continue;
+      const result = await this.pool.query(`${MATCH_SELECT} WHERE q.id = $1`, [queueId]);
+      if (result.rows.length > 0) return { ...result.rows[0], matched_by: 'reply_token' };
+    }
+
+    const sender = InboundReplyService.extractAddresses(message.from)[0];
+    if (sender) {
+      const result = await this.pool.query(
+        `${MATCH_SELECT}
+         WHERE q.status = 'sent' AND LOWER(q.recipient_email) = $1
+         ORDER BY q.sent_at DESC NULLS LAST
+         LIMIT 1`,
+        [sender]
+      );
+      if (result.rows.length > 0) return { ...result.rows[0], matched_by: 'sender' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Store an inbound reply against its thread and halt the prospect's sequence
+   * (or, for an out-of-office reply, push it back to after their return)
+   *
+   * @param {object} message - { from, fromName, to, cc, subject, text, html, messageId, inReplyTo, references, receivedAt }
+   * @returns {object} { matched, reply_id, campaign_id, prospect_id, user_id, matched_by, duplicate, out_of_office }
+   */
+  async ingestReply(message) {
+    const messageId = InboundReplyService.parseMessageIds(message.messageId)[0] || null;
+
+    if (messageId) {
+      const existing = await this.pool.query(
+        `SELECT id, campaign_id, prospect_id FROM prospect_reply_inbox WHERE message_id = $1`,
+        [messageId]
+      );
+      if (existing.rows.length > 0) {
+        return { matched: true, duplicate: true, reply_id: existing.rows[0].id, ...existing.rows[0] };
+      }
+    }
+
+    const match = await this.resolveThread(message);
+    if (!match) return { matched: false };
+
+    const fromEmail = InboundReplyService.extractAddresses(message.from)[0] || String(message.from || '');
+    const receivedAt = message.receivedAt ? new Date(message.receivedAt) : new Date();
+    const body = message.text || message.html || '';
+    const subject = message.subject || '(no subject)';
+    const outOfOffice = OutOfOfficeService.isOutOfOffice(subject, body);
+    const halt = match.stop_on_reply !== false && !outOfOffice;
+
+    const inserted = await this.pool.query(
+      `INSERT INTO prospect_reply_inbox
+       (prospect_id, campaign_id, generated_email_id, recipient_email, recipient_name,
+        reply_from_email, reply_from_name, reply_subject, reply_body, reply_received_at,
+        original_email_subject, original_email_snippet, sequence_halted_at,
+        message_id, in_reply_to, queue_id, sequence_step_id, matched_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      [
+        match.prospect_id, match.campaign_id, match.generated_email_id, match.recipient_email, match.recipient_name,
+        fromEmail, message.fromName || null, subject.slice(0, 255), body, receivedAt,
+        match.subject_line, (match.email_body || '').slice(0, 500), halt ? new Date() : null,
+        messageId, InboundReplyService.parseMessageIds(message.inReplyTo)[0] || null,
+        match.queue_id, match.sequence_step_id, match.matched_by
+      ]
+    );
+    if (inserted.rows.length === 0) return { matched: true, duplicate: true };
+
+    const replyId = inserted.rows[0].id;
+
+    // prospect_replies drives stop-on-reply in the sending queue
+    await this.pool.query(
+      `INSERT INTO prospect_replies
+       (prospect_id, campaign_id, recipient_email, reply_received_at, sequence_halted_at, reply_subject, reply_preview,
+        reply_id, is_out_of_office)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [match.prospect_id, match.campaign_id, match.recipient_email, receivedAt, halt ? new Date() : null,
+        subject.slice(0, 255), body.slice(0, 500), replyId, outOfOffice]
+    );
+
+    if (halt) {
+      await this.pool.query(
+        `UPDATE campaign_sending_queue SET status = 'halted', updated_at = NOW()
+         WHERE campaign_id = $1 AND prospect_id = $2 AND status = 'pending' AND reply_draft_id IS NULL`,
+        [match.campaign_id, match.prospect_id]
+      );
+    }
+
+    if (outOfOffice) {
+      await this.outOfOffice.handleReply(replyId)
+        .catch(err => this.logger.error('[Inbound] Out-of-office rescheduling failed:', err.message));
+    } else {
+      await this.pool.query(
+        `UPDATE prospects SET status = 'replied'
+         WHERE id = $1 AND status NOT IN ('unsubscribed', 'bounced')`,
+        [match.prospect_id]
+      ).catch(err => this.logger.error('[Inbound] Prospect status update failed:', err.message));
+    }
+
+    this.logger.log(`[Inbound] Reply from ${fromEmail} matched to campaign ${match.campaign_id}, prospect ${match.prospect_id} (${match.matched_by})`);
+
+    return {
+      matched: true,
+      duplicate: false,
+      reply_id: replyId,
+      campaign_id: match.campaign_id,
+      prospect_id: match.prospect_id,
+      user_id: match.user_id,
+      matched_by: match.matched_by,
+      out_of_office: outOfOffice
+    };
+  }
+
+  /**
+   * Normalize an inbound webhook body (Mailgun route, SES via SNS, or generic JSON)
+   * @returns {object} message for ingestReply()
+   */
+  static parseWebhookPayload(provider, body = {}) {
+    if (provider === 'mailgun') {
+      const headers = {};
+      try {
+        const list = typeof body['message-headers'] === 'string' ? JSON.parse(body['message-headers']) : body['message-headers'];
+        for (const [name, value] of list || []) headers[name.toLowerCase()] = value;
+      } catch {
+        // Fall back to the top-level fields below
+      }
+      return {
+        from: body.from || body.sender,
+        to: body.To || body.recipient,
+        cc: body.Cc || headers.cc,
+        subject: body.subject,
+        text: body['stripped-text'] || body['body-plain'] || '',
+        html: body['stripped-html'] || body['body-html'] || null,
+        messageId: body['Message-Id'] || headers['message-id'],
+        inReplyTo: body['In-Reply-To'] || headers['in-reply-to'],
+        references: body.References || headers.references,
+        receivedAt: body.timestamp ? new Date(parseInt(body.timestamp) * 1000) : null
+      };
+    }
+
+    if (provider === 'ses') {
+      const message = typeof body.Message === 'string' ? JSON.parse(body.Message) : body;
+      const mail = message.mail || {};
+      const common = mail.commonHeaders || {};
+      const header = (name) => (mail.headers || []).find(h => h.name.toLowerCase() === name)?.value;
+      return {
+        from: common.from?.[0] || mail.source,
+        to: common.to || mail.destination,
+        cc: common.cc,
+        subject: common.subject,
+        text: message.content || '',
+        messageId: common.messageId || header('message-id'),
+        inReplyTo: header('in-reply-to'),
+        references: header('references'),
+        receivedAt: mail.timestamp || null
+      };
+    }
+
+    return {
+      from: body.from || body.sender,
+      to: body.to || body.recipient,
+      cc: body.cc,
+      subject: body.subject,
+      text: body.text || body.body || '',
+      html: body.html || null,
+      messageId: body.message_id,
+      inReplyTo: body.in_reply_to,
+      references: body.references,
+      receivedAt: body.received_at || null
+    };
+  }
+
+  /**
+   * Message-IDs from a header value, normalized to "<id>" form
+   */
+  static parseMessageIds(value) {
+    if (!value) return [];
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    const bracketed = text.match(/<[^<>\s]+>/g);
+    if (bracketed) return bracketed;
+    return text.split(/\s+/).filter(Boolean).map(id => `<${id}>`);
+  }
+
+  /**
+   * Lowercased bare addresses from "Name <a@b.com>, c@d.com" style values
+   */
+  static extractAddresses(value) {
+    const text = Array.isArray(value) ? value.join(',') : String(value || '');
+    return (text.match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || []).map(address => address.toLowerCase());
+  }
+
+  // ---- Internal ----
+
+  _sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(`reply:${value}`).digest('hex').slice(0, 10);
+  }
+}
+
+const MATCH_SELECT = `
+  SELECT q.id as queue_id, q.campaign_id, q.prospect_id, q.sequence_step_id, q.generated_email_id,
+         q.recipient_email, q.recipient_name, q.subject_line, q.email_body, q.rfc_message_id,
+         c.user_id, csc.stop_on_reply
+  FROM campaign_sending_queue q
+  JOIN campaigns c ON c.id = q.campaign_id
+  LEFT JOIN campaign_sending_context csc ON csc.campaign_id = q.campaign_id`;
+
+function toList(value) {
+  return InboundReplyService.extractAddresses(value);
+}
+
+module.exports = InboundReplyService;
@@ -3,17 +3,22 @@
  *
  * Handles prospect replies with AI categorization:
  * - GET /api/inbox/replies — list all replies with filtering
- * - GET /api/inbox/replies/:id — get single reply
+ * - GET /api/inbox/replies/:id — get single reply with its conversation
  * - PATCH /api/inbox/replies/:id/read — mark as read
  * - PATCH /api/inbox/replies/:id/archive — toggle archive
- * - POST /api/inbox/replies/:id/categorize — re-categorize with AI
+ * - POST /api/inbox/replies/:id/categorize — re-categorize with the classifier pipeline
+ * - PUT /api/inbox/replies/:id/category — confirm or correct a category (stored as a labelled example)
+ * - GET /api/inbox/classifier/stats — per-category precision measured on reviewed replies
+ * - GET/PUT /api/inbox/classifier/settings — review and rule-acceptance thresholds
  */
 
 const { body, param, query, validationResult } = require('express-validator');
 const ReplyResponseService = require('./reply-response-service');
+const { CATEGORIES } = require('./reply-categorization-service');
 
 function registerInboxRoutes(app, pool, authService) {
   const replyResponseService = new ReplyResponseService(pool);
+  const classifier = replyResponseService.classifier;
   // Authenticate and extract user from JWT token
   async function authenticateUser(req) {
     const token = req.headers.authorization?.split(' ')[1];
@@ -37,15 +42,16 @@ function registerInboxRoutes(app, pool, authService) {
   /**
    * GET /api/inbox/replies
    * List prospect replies with filtering and pagination
-   * Query params: category, campaign_id, is_read, is_archived, limit, offset, sort
+   * Query params: category, campaign_id, is_read, is_archived, needs_review, limit, offset, sort
    */
   app.get('/api/inbox/replies', requireAuth, [
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
     query('offset').optional().isInt({ min: 0 }).toInt(),
     query('campaign_id').optional().isInt().toInt(),
-    query('category').optional().isIn(['interested', 'not_interested', 'ooo', 'objection', 'uncategorized']),
+    query('category').optional().isIn(CATEGORIES),
     query('is_read').optional().isBoolean().toBoolean(),
     query('is_archived').optional().isBoolean().toBoolean(),
+    query('needs_review').optional().isBoolean().toBoolean(),
     query('sort').optional().isIn(['newest', 'oldest', 'confidence_high', 'confidence_low'])
   ], async (req, res) => {
     try {
@@ -56,7 +62,7 @@ function registerInboxRoutes(app, pool, authService) {
 
       const limit = req.query.limit || 20;
       const offset = req.query.offset || 0;
-      const { campaign_id, category, is_read, is_archived, sort } = req.query;
+      const { campaign_id, category, is_read, is_archived, needs_review, sort } = req.query;
 
       let query = `
         SELECT
@@ -72,6 +78,8 @@ function registerInboxRoutes(app, pool, authService) {
           pri.reply_received_at,
           pri.reply_category,
           pri.category_confidence,
+          pri.category_source,
+          pri.needs_review,
           pri.original_email_subject,
           pri.is_read,
           pri.is_archived,
@@ -102,6 +110,11 @@ function registerInboxRoutes(app, pool, authService) {
         params.push(is_archived);
       }
 
+      if (needs_review !== undefined) {
+        query += ` AND needs_review = $${params.length + 1}`;
+        params.push(needs_review);
+      }
+
       // Sorting
       if (sort === 'oldest') {
         query += ` ORDER BY reply_received_at ASC`;
@@ -138,6 +151,10 @@ function registerInboxRoutes(app, pool, authService) {
         countQuery += ` AND is_archived = $${countParams.length + 1}`;
         countParams.push(is_archived);
       }
+      if (needs_review !== undefined) {
+        countQuery += ` AND needs_review = $${countParams.length + 1}`;
+        countParams.push(needs_review);
+      }
 
       const countResult = await pool.query(countQuery, countParams);
       const total = parseInt(countResult.rows[0].total);
@@ -160,7 +177,8 @@ function registerInboxRoutes(app, pool, authService) {
 
   /**
    * GET /api/inbox/replies/:id
-   * Get single reply with full details
+   * Get single reply with full details, plus the conversation with the prospect:
+   * emails sent (or scheduled responses) with their delivery status, and their replies
    */
   app.get('/api/inbox/replies/:id', requireAuth, [
     param('id').isInt()
@@ -184,9 +202,32 @@ function registerInboxRoutes(app, pool, authService) {
         return res.status(404).json({ error: 'Reply not found' });
       }
 
+      const reply = result.rows[0];
+      const conversation = await pool.query(
+        `SELECT * FROM (
+           SELECT 'outbound' as direction, q.id as queue_id, NULL::int as reply_id, q.reply_draft_id,
+             q.subject_line as subject, q.email_body as body, q.recipient_email as address,
+             q.status, d.delivery_status, COALESCE(q.sent_at, q.scheduled_for) as occurred_at
+           FROM campaign_sending_queue q
+           LEFT JOIN LATERAL (
+             SELECT delivery_status FROM email_delivery_status
+             WHERE queue_id = q.id ORDER BY id DESC LIMIT 1
+           ) d ON TRUE
+           WHERE q.campaign_id = $1 AND q.prospect_id = $2
+             AND (q.status IN ('sent', 'failed') OR q.reply_draft_id IS NOT NULL)
+           UNION ALL
+           SELECT 'inbound', r.queue_id, r.id, NULL, r.reply_subject, r.reply_body, r.reply_from_email,
+             'received', NULL, r.reply_received_at
+           FROM prospect_reply_inbox r
+           WHERE r.campaign_id = $1 AND r.prospect_id = $2
+         ) m
+         ORDER BY occurred_at`,
+        [reply.campaign_id, reply.prospect_id]
+      );
+
       res.json({
         success: true,
-        data: result.rows[0]
+        data: { ...reply, conversation: conversation.rows }
       });
     } catch (err) {
       console.error('Error fetching reply:', err);
@@ -324,6 +365,90 @@ function registerInboxRoutes(app, pool, authService) {
     }
   });
 
+  /**
+   * PUT /api/inbox/replies/:id/category
+   * Confirm or correct a reply's category. Clears it from the review bucket and stores it
+   * as a labelled example for the classifier.
+   */
+  app.put('/api/inbox/replies/:id/category', requireAuth, [
+    param('id').isInt(),
+    body('category').isIn(CATEGORIES)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const review = await replyResponseService.reviewCategory(parseInt(req.params.id), req.user.id, req.body.category);
+
+      res.json({
+        success: true,
+        data: review
+      });
+    } catch (err) {
+      console.error('Error recording reply category:', err);
+      if (err.message === 'Reply not found') {
+        return res.status(404).json({ error: err.message });
+      }
+      res.status(500).json({ error: 'Failed to update category' });
+    }
+  });
+
+  /**
+   * GET /api/inbox/classifier/stats
+   * Per-category precision of rule and LLM verdicts, and the size of the review bucket
+   */
+  app.get('/api/inbox/classifier/stats', requireAuth, async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await classifier.getPrecisionStats(req.user.id)
+      });
+    } catch (err) {
+      console.error('Error fetching classifier stats:', err);
+      res.status(500).json({ error: 'Failed to fetch classifier stats' });
+    }
+  });
+
+  /**
+   * GET /api/inbox/classifier/settings
+   * PUT /api/inbox/classifier/settings
+   * Confidence below review_threshold goes to review; rule verdicts at or above
+   * rule_accept_threshold skip the LLM
+   */
+  app.get('/api/inbox/classifier/settings', requireAuth, async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await classifier.getSettings(req.user.id)
+      });
+    } catch (err) {
+      console.error('Error fetching classifier settings:', err);
+      res.status(500).json({ error: 'Failed to fetch classifier settings' });
+    }
+  });
+
+  app.put('/api/inbox/classifier/settings', requireAuth, [
+    body('review_threshold').optional().isFloat({ min: 0, max: 1 }),
+    body('rule_accept_threshold').optional().isFloat({ min: 0, max: 1 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json({
+        success: true,
+        data: await classifier.updateSettings(req.user.id, req.body)
+      });
+    } catch (err) {
+      console.error('Error updating classifier settings:', err);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
   /**
    * GET /api/inbox/stats
    * Get inbox statistics (category counts, unread count)
@@ -336,7 +461,8 @@ function registerInboxRoutes(app, pool, authService) {
         SELECT
           pri.reply_category,
           COUNT(*) as count,
-          SUM(CASE WHEN pri.is_read = false THEN 1 ELSE 0 END) as unread_count
+          SUM(CASE WHEN pri.is_read = false THEN 1 ELSE 0 END) as unread_count,
+          SUM(CASE WHEN pri.needs_review = true THEN 1 ELSE 0 END) as review_count
         FROM prospect_reply_inbox pri
         INNER JOIN campaigns c ON pri.campaign_id = c.id AND c.user_id = $1
         WHERE pri.is_archived = false
@@ -356,16 +482,17 @@ function registerInboxRoutes(app, pool, authService) {
       const stats = {
         total: 0,
         by_category: {},
-        unread: 0
+        unread: 0,
+        needs_review: 0
       };
 
       result.rows.forEach(row => {
-        stats.total += row.count;
-        stats.by_category[row.reply_category] = {
-          count: row.count,
-          unread: row.unread_count
-        };
-        stats.unread += row.unread_count;
+        const count = parseInt(row.count) || 0;
+        const unread = parseInt(row.unread_count) || 0;
+        stats.total += count;
+        stats.by_category[row.reply_category] = { count, unread };
+        stats.unread += unread;
+        stats.needs_review += parseInt(row.review_count) || 0;
       });
 
       res.json({
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Anthropic = require('@anthropic-ai/sdk');
+const RetryService = require('./retry-service');
+
+/**
+ * LLM Providers
+ *
+ * The backends ai-service.js sends completions to. Every provider takes the same request
+ * ({ task, model, system, messages, maxTokens, json }) and returns { text, tokensIn, tokensOut };
+ * routing, caching, budgets, escalation and usage tracking stay in AIService.
+ *
+ *   anthropic        - the Anthropic Messages API (ANTHROPIC_API_KEY, optional ANTHROPIC_BASE_URL)
+ *   chat_completions - any OpenAI-compatible /chat/completions endpoint
+ *                      AI_CHAT_COMPLETIONS_URL (base URL, e.g. ".../v1"), AI_CHAT_COMPLETIONS_API_KEY (Bearer)
+ *   mock             - replays recorded responses from fixture files, one per task
+ *                      AI_MOCK_FIXTURES_DIR (default fixtures/llm). No network, no cost.
+ *
+ * Fixture files are JSON arrays of { content, tokens_in, tokens_out } entries, plus one of:
+ *   input_hash - replayed for exactly that system prompt + messages (what recordFixture writes)
+ *   match      - replayed when the prompt contains this text (case-insensitive)
+ *   neither    - a default; when a task has several, the prompt hash picks one
+ * Setting AI_RECORD_FIXTURES=1 makes AIService record live responses for later replay.
+ */
+
+const REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+/**
+ * Construct a provider by name
+ * @param {string} name - anthropic | chat_completions | mock
+ * @param {object} config - per-provider overrides ({ client, apiKey, baseUrl, fixturesDir })
+ */
+function createProvider(name, config = {}) {
+  switch (name) {
+    case 'anthropic': return new AnthropicProvider(config);
+    case 'chat_completions': return new ChatCompletionsProvider(config);
+    case 'mock': return new MockProvider(config);
+    default: throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Hash of what was asked, independent of provider and model
+ */
+function inputHash(system, messages) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ system: system || '', messages: messages || [] }))
+    .digest('hex');
+}
+
+/**
+ * Store a live response so the mock provider can replay it
+ */
+function recordFixture(task, request, response, fixturesDir = process.env.AI_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+  const file = fixturePath(fixturesDir, task);
+  const hash = inputHash(request.system, request.messages);
+  const entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+
+  const kept = entries.filter(entry => entry.input_hash !== hash);
+  kept.push({
+    input_hash: hash,
+    content: response.text,
+    tokens_in: response.tokensIn,
+    tokens_out: response.tokensOut,
+    recorded_at: new Date().toISOString()
+  });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(kept, null, 2) + '\n');
+}
+
+// ---- Providers ----
+
+class AnthropicProvider {
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+    this._client = config.client || null;
+  }
+
+  // Created on first use so services can be constructed without credentials
+  get client() {
+    if (!this._client) {
+      this._client = new Anthropic({ apiKey: this.apiKey, timeout: REQUEST_TIMEOUT_MS });
+    }
+    return this._client;
+  }
+
+  set client(client) {
+    this._client = client;
+  }
+
+  async complete({ model, system, messages, maxTokens }) {
+    const params = { model, max_tokens: maxTokens, messages };
+    if (system) params.system = system;
+
+    let response;
+    try {
+      response = await this.client.messages.create(params);
+    } catch (err) {
+      if (err instanceof Anthropic.APIConnectionTimeoutError) err.timeout = true;
+      throw err;
+    }
+
+    return {
+      text: response.content[0]?.text || '',
+      tokensIn: response.usage?.input_tokens || 0,
+      tokensOut: response.usage?.output_tokens || 0
+    };
+  }
+}
+
+class ChatCompletionsProvider {
+  constructor(config = {}) {
+    this.name = 'chat_completions';
+    this.baseUrl = config.baseUrl || process.env.AI_CHAT_COMPLETIONS_URL;
+    this.apiKey = config.apiKey || process.env.AI_CHAT_COMPLETIONS_API_KEY;
+  }
+
+  async complete({ model, system, messages, maxTokens }) {
+    if (!this.baseUrl) throw new Error('AI_CHAT_COMPLETIONS_URL is not configured');
+
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => ({ role: message.role, content: messageText(message) }))
+      ]
+    };
+
+    let response;
+    try {
+      response = await RetryService.fetchWithRetry(`${this.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (err) {
+      if (err.name === 'TimeoutError' || err.name === 'AbortError') err.timeout = true;
+      throw err;
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const err = new Error(`Chat completions endpoint returned HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    const result = await response.json();
+    return {
+      text: result.choices?.[0]?.message?.content || '',
+      tokensIn: result.usage?.prompt_tokens || 0,
+      tokensOut: result.usage?.completion_tokens || 0
+    };
+  }
+}
+
+class MockProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.fixturesDir = config.fixturesDir || process.env.AI_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.cache = new Map();
+  }
+
+  async complete({ task, system, messages, json }) {
+    const hash = inputHash(system, messages);
+    const prompt = [system || '', ...messages.map(messageText)].join('\n').toLowerCase();
+    const entries = this._load(task);
+
+    const defaults = entries.filter(entry => !entry.input_hash && !entry.match);
+    const entry = entries.find(e => e.input_hash === hash)
+      || entries.find(e => e.match && prompt.includes(String(e.match).toLowerCase()))
+      || (defaults.length > 0 ? defaults[parseInt(hash.slice(0, 8), 16) % defaults.length] : null);
+
+    // No fixture for the task: an empty but well-formed answer
+    const text = entry
+      ? (typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content))
+      : (json ? '{}' : `[mock response for ${task}]`);
+
+    return {
+      text,
+      tokensIn: entry?.tokens_in ?? estimateTokens(prompt),
+      tokensOut: entry?.tokens_out ?? estimateTokens(text)
+    };
+  }
+
+  _load(task) {
+    const file = fixturePath(this.fixturesDir, task);
+    if (!fs.existsSync(file)) return [];
+
+    const stat = fs.statSync(file);
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.entries;
+
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const entries = Array.isArray(parsed) ? parsed : (parsed.responses || []);
+    this.cache.set(file, { mtimeMs: stat.mtimeMs, entries });
+    return entries;
+  }
+}
+
+// ---- Helpers ----
+
+function fixturePath(dir, task) {
+  return path.join(dir, `${String(task).replace(/[^a-z0-9_-]/gi, '_')}.json`);
+}
+
+/**
+ * Message content as plain text (Anthropic-style content blocks are flattened)
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content.map(block => (typeof block === 'string' ? block : block.text || '')).join('');
+  }
+  return '';
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+module.exports = {
+  createProvider,
+  inputHash,
+  recordFixture
+};
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const ColdEmailSender = require('./cold-email-sender');
+const WarmupService = require('./warmup-service');
+
+/**
+ * Mailbox Service
+ *
+ * Per-user registry of sending mailboxes. Each mailbox has its own provider
+ * credentials (encrypted at rest), daily cap and warmup state. Campaigns attach
+ * one or more mailboxes; the sending queue rotates new prospects across them and
+ * keeps every prospect's follow-ups on the mailbox that sent the first email.
+ *
+ * A mailbox without a provider sends through the default env-configured ESP.
+ * Credentials may include an `imap` block ({ host, port, secure, username, password })
+ * for reply polling (see imap-poller-service.js).
+ * While a mailbox is warming its cap is the lower of daily_limit and its ramp day.
+ * Users can (re)start a ramp from day 1 or pause it (frozen); the rollover job
+ * decides when it's warmed.
+ */
+
+const SUPPORTED_PROVIDERS = ['ses', 'mailgun', 'smtp'];
+const EDITABLE_FIELDS = ['display_name', 'reply_to_email', 'daily_limit', 'status', 'warmup_status', 'imap_enabled'];
+const MAILBOX_STATUSES = ['active', 'paused', 'error'];
+// Start (a fresh ramp) or pause; other warmup states are the rollover job's to set
+const WARMUP_TRANSITIONS = ['warming', 'frozen'];
+
+// Selected with every mailbox row the queue looks at
+const MAILBOX_COLUMNS = `m.*,
+  CASE WHEN m.sent_today_date = CURRENT_DATE THEN m.sent_today ELSE 0 END as sent_today,
+  CASE
+    WHEN m.warmup_status = 'frozen' THEN 0
+    WHEN m.warmup_status IN ('warming', 'slowed') THEN LEAST(m.daily_limit, COALESCE(
+      (SELECT wp.max_emails_per_day FROM email_warmup_plans wp
+       WHERE wp.mailbox_id = m.id AND wp.day_number = m.warmup_day), m.daily_limit))
+    ELSE m.daily_limit
+  END as effective_daily_limit`;
+
+class MailboxService {
+  constructor(pool) {
+    this.pool = pool;
+    this.senders = new Map();
+    this.defaultSender = null;
+    this.warmupService = new WarmupService(pool);
+    this.logger = console;
+  }
+
+  /**
+   * Register a mailbox
+   *
+   * @param {number} userId
+   * @param {object} data - { email, display_name, reply_to_email, provider, credentials, daily_limit }
+   */
+  async createMailbox(userId, data = {}) {
+    const email = (data.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new Error('Valid email is required');
+    this._validateProvider(data.provider, data.credentials);
+
+    const result = await this.pool.query(
+      `INSERT INTO sender_mailboxes
+       (user_id, email, display_name, reply_to_email, provider, credentials_encrypted, daily_limit, imap_enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        userId,
+        email,
+        data.display_name || null,
+        data.reply_to_email || null,
+        data.provider || null,
+        data.credentials ? encryptCredentials(data.credentials) : null,
+        parseInt(data.daily_limit) || 40,
+        !!(data.credentials && data.credentials.imap)
+      ]
+    );
+
+    return sanitize(result.rows[0]);
+  }
+
+  /**
+   * List a user's mailboxes (credentials never leave the service)
+   */
+  async listMailboxes(userId) {
+    const result = await this.pool.query(
+      `SELECT ${MAILBOX_COLUMNS},
+         (SELECT COUNT(*) FROM campaign_mailboxes cm WHERE cm.mailbox_id = m.id) as campaign_count
+       FROM sender_mailboxes m
+       WHERE m.user_id = $1
+       ORDER BY m.created_at ASC`,
+      [userId]
+    );
+    return result.rows.map(sanitize);
+  }
+
+  /**
+   * Update mailbox settings and/or credentials
+   */
+  async updateMailbox(userId, mailboxId, data = {}) {
+    const updates = {};
+    for (const key of EDITABLE_FIELDS) {
+      if (data[key] !== undefined) updates[key] = data[key];
+    }
+    if (updates.daily_limit !== undefined) updates.daily_limit = Math.max(0, parseInt(updates.daily_limit) || 0);
+    if (updates.status !== undefined && !MAILBOX_STATUSES.includes(updates.status)) {
+      throw new Error(`status must be one of: ${MAILBOX_STATUSES.join(', ')}`);
+    }
+    if (updates.warmup_status !== undefined && !WARMUP_TRANSITIONS.includes(updates.warmup_status)) {
+      throw new Error(`warmup_status must be one of: ${WARMUP_TRANSITIONS.join(', ')}`);
+    }
+    if (updates.warmup_status === 'frozen') updates.warmup_status_reason = 'Paused by user';
+    if (data.provider !== undefined || data.credentials !== undefined) {
+      this._validateProvider(data.provider, data.credentials);
+      updates.provider = data.provider || null;
+      updates.credentials_encrypted = data.credentials ? encryptCredentials(data.credentials) : null;
+      if (updates.imap_enabled === undefined) updates.imap_enabled = !!(data.credentials && data.credentials.imap);
+    }
+    const startWarmup = updates.warmup_status === 'warming';
+    if (startWarmup) delete updates.warmup_status;
+
+    const keys = Object.keys(updates);
+    if (keys.length === 0 && !startWarmup) throw new Error('No mailbox fields provided');
+
+    const setClause = [...keys.map((key, i) => `${key} = $${i + 3}`), 'updated_at = NOW()'].join(', ');
+    const result = await this.pool.query(
+      `UPDATE sender_mailboxes SET ${setClause}
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [mailboxId, userId, ...keys.map(key => updates[key])]
+    );
+
+    if (result.rows.length === 0) throw new Error('Mailbox not found');
+    this._dropSender(parseInt(mailboxId));
+
+    // (Re)starting warmup generates a fresh ramp up to the mailbox's daily limit
+    if (startWarmup) {
+      await this.warmupService.startMailboxWarmup(result.rows[0].id, result.rows[0].daily_limit);
+      return sanitize(await this._getMailboxRow(result.rows[0].id));
+    }
+    return sanitize(result.rows[0]);
+  }
+
+  /**
+   * Delete a mailbox (queue items fall back to rotation via ON DELETE SET NULL)
+   */
+  async deleteMailbox(userId, mailboxId) {
+    const result = await this.pool.query(
+      `DELETE FROM sender_mailboxes WHERE id = $1 AND user_id = $2 RETURNING id`,
+      [mailboxId, userId]
+    );
+    this._dropSender(parseInt(mailboxId));
+    return { success: result.rows.length > 0 };
+  }
+
+  /**
+   * Replace the set of mailboxes attached to a campaign
+   */
+  async setCampaignMailboxes(userId, campaignId, mailboxIds = []) {
+    const ids = [...new Set(mailboxIds.map(id => parseInt(id)).filter(Boolean))];
+
+    const campaign = await this.pool.query(
+      `SELECT id FROM campaigns WHERE id = $1 AND user_id = $2`,
+      [campaignId, userId]
+    );
+    if (campaign.rows.length === 0) throw new Error('Campaign not found');
+
+    if (ids.length > 0) {
+      const owned = await this.pool.query(
+        `SELECT id FROM sender_mailboxes WHERE user_id = $1 AND id = ANY($2)`,
+        [userId, ids]
+      );
+      if (owned.rows.length !== ids.length) throw new Error('One or more mailboxes not found');
+    }
+
+    await this.pool.query(`DELETE FROM campaign_mailboxes WHERE campaign_id = $1`, [campaignId]);
+    for (const mailboxId of ids) {
+      await this.pool.query(
+        `INSERT INTO campaign_mailboxes (campaign_id, mailbox_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [campaignId, mailboxId]
+      );
+    }
+
+    return this.getCampaignMailboxes(campaignId);
+  }
+
+  /**
+   * Mailboxes attached to a campaign, with today's effective send count
+   */
+  async getCampaignMailboxes(campaignId) {
+    const result = await this._campaignMailboxRows(campaignId);
+    return result.map(sanitize);
+  }
+
+  /**
+   * Pick the mailbox a prospect's next email goes out from.
+   *
+   * - Campaign has no mailboxes        → { mailbox: null } (legacy single-sender path)
+   * - Prospect already has a mailbox   → that mailbox, or { wait } if it is paused/at cap
+   * - Otherwise                        → least-utilized active mailbox with capacity, or { wait }
+   *
+   * @returns {object} { mailbox, wait, reason }
+   */
+  async selectMailbox(campaignId, prospectId, stickyMailboxId = null) {
+    const attached = await this._campaignMailboxRows(campaignId);
+
+    let stickyId = stickyMailboxId;
+    if (!stickyId) {
+      const previous = await this.pool.query(
+        `SELECT mailbox_id FROM campaign_sending_queue
+         WHERE campaign_id = $1 AND prospect_id = $2 AND mailbox_id IS NOT NULL
+         ORDER BY sent_at DESC NULLS LAST LIMIT 1`,
+        [campaignId, prospectId]
+      );
+      stickyId = previous.rows[0]?.mailbox_id || null;
+    }
+
+    if (stickyId) {
+      const sticky = attached.find(m => m.id === stickyId) || await this._getMailboxRow(stickyId);
+      if (sticky) {
+        if (sticky.status !== 'active') return { mailbox: null, wait: true, reason: `Mailbox ${sticky.email} is ${sticky.status}` };
+        if (!hasCapacity(sticky)) return { mailbox: null, wait: true, reason: `Mailbox ${sticky.email} at daily cap` };
+        return { mailbox: sticky };
+      }
+      // Sticky mailbox was deleted — fall through to rotation
+    }
+
+    if (attached.length === 0) return { mailbox: null };
+
+    const candidates = attached
+      .filter(m => m.status === 'active' && hasCapacity(m))
+      .sort((a, b) => utilization(a) - utilization(b) ||
+        (new Date(a.last_sent_at || 0) - new Date(b.last_sent_at || 0)));
+
+    if (candidates.length === 0) {
+      return { mailbox: null, wait: true, reason: 'All campaign mailboxes are paused or at their daily cap' };
+    }
+    return { mailbox: candidates[0] };
+  }
+
+  /**
+   * Count a send against a mailbox's daily cap (rolls over on a new day)
+   */
+  async recordSend(mailboxId) {
+    await this.pool.query(
+      `UPDATE sender_mailboxes
+       SET sent_today = CASE WHEN sent_today_date = CURRENT_DATE THEN sent_today + 1 ELSE 1 END,
+           sent_today_date = CURRENT_DATE,
+           last_sent_at = NOW(),
+           last_error = NULL
+       WHERE id = $1`,
+      [mailboxId]
+    );
+  }
+
+  /**
+   * Record a provider failure against a mailbox
+   */
+  async recordError(mailboxId, message) {
+    await this.pool.query(
+      `UPDATE sender_mailboxes SET last_error = $2, updated_at = NOW() WHERE id = $1`,
+      [mailboxId, message]
+    );
+  }
+
+  /**
+   * ColdEmailSender for a mailbox row (default env sender when the mailbox has no provider)
+   */
+  getSender(mailbox) {
+    if (!mailbox || !mailbox.provider) {
+      if (!this.defaultSender) this.defaultSender = new ColdEmailSender();
+      return this.defaultSender;
+    }
+
+    const cacheKey = mailbox.id;
+    const cached = this.senders.get(cacheKey);
+    if (cached && cached.version === String(mailbox.updated_at)) return cached.sender;
+    if (cached) this._dropSender(cacheKey);
+
+    const credentials = decryptCredentials(mailbox.credentials_encrypted) || {};
+    const sender = new ColdEmailSender({
+      provider: mailbox.provider,
+      apiKey: credentials.api_key,
+      domain: credentials.domain,
+      region: credentials.region,
+      fromEmail: mailbox.email,
+      smtp: mailbox.provider === 'smtp' ? {
+        host: credentials.host,
+        port: credentials.port,
+        secure: credentials.secure,
+        username: credentials.username,
+        password: credentials.password
+      } : null
+    });
+    this.senders.set(cacheKey, { sender, version: String(mailbox.updated_at) });
+    return sender;
+  }
+
+  /**
+   * Decrypted IMAP settings for reply polling, or null when none are configured
+   */
+  getImapSettings(mailbox) {
+    const credentials = decryptCredentials(mailbox && mailbox.credentials_encrypted);
+    return (credentials && credentials.imap) || null;
+  }
+
+  // ---- Internal ----
+
+  async _campaignMailboxRows(campaignId) {
+    const result = await this.pool.query(
+      `SELECT ${MAILBOX_COLUMNS}
+       FROM campaign_mailboxes cm
+       JOIN sender_mailboxes m ON m.id = cm.mailbox_id
+       WHERE cm.campaign_id = $1
+       ORDER BY m.id ASC`,
+      [campaignId]
+    );
+    return result.rows;
+  }
+
+  async _getMailboxRow(mailboxId) {
+    const result = await this.pool.query(
+      `SELECT ${MAILBOX_COLUMNS}
+       FROM sender_mailboxes m WHERE m.id = $1`,
+      [mailboxId]
+    );
+    return result.rows[0] || null;
+  }
+
+  _dropSender(mailboxId) {
+    const cached = this.senders.get(mailboxId);
+    if (!cached) return;
+    this.senders.delete(mailboxId);
+    // Pooled SMTP connections belong to the old credentials
+    cached.sender.close().catch(err => this.logger.error('[Mailbox] Sender close failed:', err.message));
+  }
+
+  _validateProvider(provider, credentials) {
+    if (credentials && credentials.imap) {
+      const imap = credentials.imap;
+      if (!imap.host || !imap.username || !imap.password) {
+        throw new Error('credentials.imap requires host, username and password');
+      }
+      if (imap.secure && !['tls', 'starttls', 'none'].includes(imap.secure)) {
+        throw new Error('credentials.imap.secure must be one of: tls, starttls, none');
+      }
+    }
+    if (!provider) return;
+    if (!SUPPORTED_PROVIDERS.includes(provider)) {
+      throw new Error(`Unsupported provider: ${provider}. Use one of: ${SUPPORTED_PROVIDERS.join(', ')}`);
+    }
+    if (provider === 'smtp') {
+      if (!credentials || !credentials.host) throw new Error('credentials.host is required for smtp');
+      if (credentials.secure && !['starttls', 'tls', 'none'].includes(credentials.secure)) {
+        throw new Error('credentials.secure must be one of: starttls, tls, none');
+      }
+      return;
+    }
+    if (!credentials || !credentials.api_key) throw new Error(`credentials.api_key is required for ${provider}`);
+    if (provider === 'mailgun' && !credentials.domain) throw new Error('credentials.domain is required for mailgun');
+  }
+}
+
+function dailyLimit(mailbox) {
+  const limit = mailbox.effective_daily_limit ?? mailbox.daily_limit;
+  return parseInt(limit) || 0;
+}
+
+function hasCapacity(mailbox) {
+  return (parseInt(mailbox.sent_today) || 0) < dailyLimit(mailbox);
+}
+
+function utilization(mailbox) {
+  const limit = dailyLimit(mailbox) || 1;
+  return (parseInt(mailbox.sent_today) || 0) / limit;
+}
+
+function sanitize(row) {
+  if (!row) return row;
+  const { credentials_encrypted, ...rest } = row;
+  return { ...rest, has_credentials: !!credentials_encrypted };
+}
+
+// AES-256-GCM with a key derived from MAILBOX_ENCRYPTION_KEY (falls back to JWT_SECRET)
+function encryptionKey() {
+  const secret = process.env.MAILBOX_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) throw new Error('MAILBOX_ENCRYPTION_KEY or JWT_SECRET must be set');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encryptCredentials(credentials) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+function decryptCredentials(value) {
+  if (!value) return null;
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+}
+
+module.exports = MailboxService;
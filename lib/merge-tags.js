@@ -0,0 +1,97 @@
+/**
+ * Merge Tags
+ *
+ * `{{first_name}}`-style placeholders in email copy, with an optional fallback
+ * for prospects missing the value: `{{first_name | fallback:"there"}}`.
+ * Values come from the prospect row (plus the recipient name on its generated
+ * email) and the campaign's custom fields (see custom-field-service.js);
+ * unknown or empty tags without a fallback render as an empty string.
+ */
+
+const TAG_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*(?:\|\s*fallback\s*:\s*(?:"([^"]*)"|'([^']*)'))?\s*\}\}/g;
+
+const STANDARD_TAGS = [
+  'first_name', 'last_name', 'full_name', 'email', 'title',
+  'company_name', 'industry', 'website', 'location', 'sender_name'
+];
+
+/**
+ * Replace merge tags in text
+ *
+ * @param {string} text
+ * @param {object} values - Tag name → value
+ */
+function renderMergeTags(text, values = {}) {
+  if (!text) return text || '';
+  return String(text).replace(TAG_PATTERN, (match, name, doubleQuoted, singleQuoted) => {
+    const value = values[name.toLowerCase()];
+    if (!isBlank(value)) return String(value);
+    return doubleQuoted ?? singleQuoted ?? '';
+  });
+}
+
+/**
+ * Tag names used in text
+ */
+function extractMergeTags(text) {
+  const tags = new Set();
+  for (const match of String(text || '').matchAll(TAG_PATTERN)) tags.add(match[1].toLowerCase());
+  return [...tags];
+}
+
+/**
+ * Tags in text that would render empty: no value and no fallback
+ */
+function findMissingMergeTags(text, values = {}) {
+  const missing = new Set();
+  for (const match of String(text || '').matchAll(TAG_PATTERN)) {
+    const name = match[1].toLowerCase();
+    const hasFallback = match[2] !== undefined || match[3] !== undefined;
+    if (!hasFallback && isBlank(values[name])) missing.add(name);
+  }
+  return [...missing];
+}
+
+/**
+ * Merge values for a prospect
+ *
+ * @param {object} prospect - prospects row (optionally with recipient_name)
+ * @param {object} extra - e.g. { sender_name }
+ */
+function prospectMergeValues(prospect = {}, extra = {}) {
+  const [nameFirst, ...nameRest] = String(prospect.recipient_name || '').trim().split(/\s+/).filter(Boolean);
+  const firstName = prospect.first_name || nameFirst || null;
+  const lastName = prospect.last_name || (nameRest.length ? nameRest.join(' ') : null);
+
+  // Custom field keys never shadow the standard tags (custom-field-service.js rejects them)
+  const custom = {};
+  for (const [key, value] of Object.entries(prospect.custom_fields || {})) {
+    if (!STANDARD_TAGS.includes(key)) custom[key] = value;
+  }
+
+  return {
+    ...custom,
+    first_name: firstName,
+    last_name: lastName,
+    full_name: [firstName, lastName].filter(Boolean).join(' ') || null,
+    email: prospect.email || prospect.recipient_email || null,
+    title: prospect.title || null,
+    company_name: prospect.company_name || null,
+    industry: prospect.industry || null,
+    website: prospect.website || null,
+    location: prospect.location || null,
+    ...extra
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+module.exports = {
+  STANDARD_TAGS,
+  renderMergeTags,
+  extractMergeTags,
+  findMissingMergeTags,
+  prospectMergeValues
+};
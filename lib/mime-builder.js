@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+/**
+ * MIME Builder
+ *
+ * Builds RFC 5322 messages for the SMTP transport: multipart/alternative
+ * text + HTML bodies (quoted-printable), RFC 2047 encoded headers and a
+ * Message-ID on the sender's domain. Lines are CRLF-terminated; SMTP
+ * dot-stuffing is left to the transport.
+ */
+
+const LINE_LIMIT = 76;
+
+/**
+ * Build a raw message
+ *
+ * @param {object} params - { from, fromName, to, toName, replyTo, subject, html, text, headers, messageId, date }
+ * @returns {object} { raw, messageId } - messageId includes angle brackets
+ */
+function buildMessage(params) {
+  const { from, fromName, to, toName, replyTo, subject, html, headers = {} } = params;
+  const text = params.text || (html ? htmlToText(html) : '');
+  const messageId = params.messageId || generateMessageId(from);
+
+  const lines = [
+    `From: ${formatAddress(from, fromName)}`,
+    `To: ${formatAddress(to, toName)}`,
+    ...(replyTo ? [`Reply-To: ${formatAddress(replyTo)}`] : []),
+    `Subject: ${encodeHeaderValue(subject || '')}`,
+    `Date: ${(params.date || new Date()).toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) continue;
+    lines.push(`${sanitizeHeaderName(name)}: ${encodeHeaderValue(String(value))}`);
+  }
+
+  if (html) {
+    const boundary = `=_koldly_${crypto.randomBytes(12).toString('hex')}`;
+    lines.push(`Content-Type: multipart/alternative; boundary="${boundary}"`, '');
+    lines.push(`--${boundary}`, ...bodyPart('text/plain', text));
+    lines.push(`--${boundary}`, ...bodyPart('text/html', html));
+    lines.push(`--${boundary}--`, '');
+  } else {
+    lines.push(...bodyPart('text/plain', text));
+  }
+
+  return { raw: lines.join('\r\n'), messageId };
+}
+
+/**
+ * Generate a Message-ID on the sending domain
+ */
+function generateMessageId(fromEmail) {
+  const domain = String(fromEmail || '').split('@')[1] || 'koldly.local';
+  return `<${Date.now().toString(36)}.${crypto.randomBytes(8).toString('hex')}@${domain.toLowerCase()}>`;
+}
+
+/**
+ * "Name <email>" with the display name encoded/quoted when needed
+ */
+function formatAddress(email, name = null) {
+  if (!name) return email;
+  if (/[^\x20-\x7e]/.test(name)) return `${encodeWord(name)} <${email}>`;
+  if (/[()<>\[\]:;@\\,."]/.test(name)) return `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>`;
+  return `${name} <${email}>`;
+}
+
+/**
+ * Encode a header value with RFC 2047 when it contains non-ASCII characters
+ */
+function encodeHeaderValue(value) {
+  const clean = String(value).replace(/[\r\n]+/g, ' ');
+  return /[^\x20-\x7e\t]/.test(clean) ? encodeWord(clean) : clean;
+}
+
+/**
+ * Quoted-printable encode (RFC 2045), soft-wrapping at 76 characters
+ */
+function encodeQuotedPrintable(input) {
+  const bytes = Buffer.from(String(input).replace(/\r?\n/g, '\r\n'), 'utf8');
+  const out = [];
+  let line = '';
+
+  const push = (token) => {
+    if (line.length + token.length > LINE_LIMIT - 1) {
+      out.push(line + '=');
+      line = '';
+    }
+    line += token;
+  };
+
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte === 0x0d && bytes[i + 1] === 0x0a) {
+      // Trailing whitespace must be encoded before a hard line break
+      line = line.replace(/[ \t]$/, (ch) => `=${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+      out.push(line);
+      line = '';
+      i++;
+      continue;
+    }
+    const printable = (byte >= 0x21 && byte <= 0x7e && byte !== 0x3d) || byte === 0x20 || byte === 0x09;
+    push(printable ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`);
+  }
+
+  line = line.replace(/[ \t]$/, (ch) => `=${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  out.push(line);
+  return out.join('\r\n');
+}
+
+/**
+ * Plain-text fallback for HTML-only emails
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\s*\/?>/gi, '\n')
+    .replace(/<a\s[^>]*href="([^"]+)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---- Internal ----
+
+function bodyPart(contentType, content) {
+  return [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(content),
+    ''
+  ];
+}
+
+function encodeWord(value) {
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function sanitizeHeaderName(name) {
+  return String(name).replace(/[^A-Za-z0-9-]/g, '');
+}
+
+module.exports = {
+  buildMessage,
+  generateMessageId,
+  formatAddress,
+  encodeHeaderValue,
+  encodeQuotedPrintable,
+  htmlToText
+};
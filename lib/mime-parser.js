@@ -0,0 +1,246 @@
+const { htmlToText } = require('./mime-builder');
+
+/**
+ * MIME Parser
+ *
+ * Parses raw RFC 5322 messages fetched over IMAP into the message shape
+ * InboundReplyService.ingestReply() expects: addresses, threading headers and
+ * the best text body (text/plain preferred, HTML converted otherwise).
+ * Handles folded and RFC 2047 encoded headers, nested multiparts,
+ * base64/quoted-printable and non-UTF-8 charsets.
+ *
+ * stripQuotedText() drops the quoted original from a reply so categorization
+ * only sees what the prospect actually wrote.
+ */
+
+/**
+ * Parse a raw message
+ *
+ * @param {Buffer|string} raw
+ * @returns {object} { headers, from, fromName, to, cc, subject, messageId, inReplyTo, references, date, text, html, autoSubmitted }
+ */
+function parseMessage(raw) {
+  const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw), 'utf8');
+  const { headers, body } = splitPart(buffer);
+  const bodies = { text: null, html: null };
+  collectBodies(headers, body, bodies);
+
+  const from = parseAddress(headers.from);
+  const date = headers.date ? new Date(headers.date) : null;
+
+  return {
+    headers,
+    from: from.email,
+    fromName: from.name,
+    to: headers.to || '',
+    cc: headers.cc || '',
+    subject: headers.subject || '',
+    messageId: headers['message-id'] || null,
+    inReplyTo: headers['in-reply-to'] || null,
+    references: headers.references || null,
+    date: date && !isNaN(date) ? date : null,
+    text: bodies.text !== null ? bodies.text : (bodies.html ? htmlToText(bodies.html) : ''),
+    html: bodies.html,
+    autoSubmitted: isAutoSubmitted(headers)
+  };
+}
+
+/**
+ * Unfold and decode a header block into a lowercase-keyed object (first value wins)
+ */
+function parseHeaders(block) {
+  const headers = {};
+  const unfolded = String(block).replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    const name = line.slice(0, index).trim().toLowerCase();
+    if (headers[name] !== undefined) continue;
+    headers[name] = decodeWords(line.slice(index + 1).trim());
+  }
+  return headers;
+}
+
+/**
+ * Decode RFC 2047 encoded-words (=?charset?B|Q?...?=)
+ */
+function decodeWords(value) {
+  return String(value)
+    // Whitespace between adjacent encoded-words is not significant
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([bqBQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : decodeQuotedPrintable(text.replace(/_/g, ' '));
+        return decodeCharset(bytes, charset);
+      } catch {
+        return match;
+      }
+    });
+}
+
+/**
+ * Remove quoted history, forwarded originals and signatures from a reply body
+ */
+function stripQuotedText(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // "On Tue, Mar 3, 2026 at 10:00 AM Jo <jo@acme.io> wrote:" (may wrap onto the next line)
+    if (/^On\s.+wrote:$/i.test(trimmed) ||
+        (/^On\s/i.test(trimmed) && /wrote:$/i.test(`${trimmed} ${(lines[i + 1] || '').trim()}`))) break;
+    if (/^-{2,}\s*(Original Message|Forwarded message)\s*-{2,}$/i.test(trimmed)) break;
+    if (/^_{20,}$/.test(trimmed)) break;
+    // Outlook-style header block of the quoted message
+    if (/^From:\s.+/i.test(trimmed) && /^(Sent|Date):\s/i.test((lines[i + 1] || '').trim())) break;
+    // Signature delimiter
+    if (line === '-- ' || line === '--') break;
+    if (trimmed.startsWith('>')) continue;
+
+    kept.push(line);
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * { name, email } from a single address header value
+ */
+function parseAddress(value) {
+  if (!value) return { name: null, email: null };
+  const angle = /^\s*"?([^"<]*?)"?\s*<([^>]+)>/.exec(value);
+  if (angle) return { name: angle[1].trim() || null, email: angle[2].trim().toLowerCase() };
+  const bare = /[^\s<>,;"']+@[^\s<>,;"']+/.exec(value);
+  return { name: null, email: bare ? bare[0].toLowerCase() : null };
+}
+
+// ---- Internal ----
+
+function splitPart(buffer) {
+  let index = buffer.indexOf('\r\n\r\n');
+  let separator = 4;
+  const lf = buffer.indexOf('\n\n');
+  if (index === -1 || (lf !== -1 && lf < index)) {
+    index = lf;
+    separator = 2;
+  }
+  if (index === -1) return { headers: parseHeaders(buffer.toString('latin1')), body: Buffer.alloc(0) };
+
+  return {
+    // Raw 8-bit headers are interpreted as UTF-8 (RFC 6532)
+    headers: parseHeaders(buffer.slice(0, index).toString('utf8')),
+    body: buffer.slice(index + separator)
+  };
+}
+
+function collectBodies(headers, body, bodies) {
+  const contentType = parseContentType(headers['content-type']);
+  const disposition = (headers['content-disposition'] || '').toLowerCase();
+  if (disposition.startsWith('attachment')) return;
+
+  if (contentType.type.startsWith('multipart/') && contentType.params.boundary) {
+    for (const part of splitMultipart(body, contentType.params.boundary)) {
+      const parsed = splitPart(part);
+      collectBodies(parsed.headers, parsed.body, bodies);
+    }
+    return;
+  }
+
+  if (contentType.type === 'message/rfc822') return;
+  if (contentType.type !== 'text/plain' && contentType.type !== 'text/html') return;
+
+  const decoded = decodeCharset(
+    decodeTransfer(body, headers['content-transfer-encoding']),
+    contentType.params.charset || 'utf-8'
+  );
+
+  if (contentType.type === 'text/plain' && bodies.text === null) bodies.text = decoded.trim();
+  if (contentType.type === 'text/html' && bodies.html === null) bodies.html = decoded;
+}
+
+function splitMultipart(body, boundary) {
+  const text = body.toString('latin1');
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let position = text.indexOf(delimiter);
+
+  while (position !== -1) {
+    const start = text.indexOf('\n', position);
+    if (start === -1) break;
+    if (text.slice(position + delimiter.length, position + delimiter.length + 2) === '--') break;
+    const next = text.indexOf(`\n${delimiter}`, start);
+    const end = next === -1 ? text.length : next;
+    // Drop the CR that belongs to the delimiter line
+    const chunk = text.slice(start + 1, text[end - 1] === '\r' ? end - 1 : end);
+    parts.push(Buffer.from(chunk, 'latin1'));
+    position = next === -1 ? -1 : next + 1;
+  }
+
+  return parts;
+}
+
+function parseContentType(value) {
+  const [type, ...rest] = String(value || 'text/plain').split(';');
+  const params = {};
+  for (const param of rest) {
+    const index = param.indexOf('=');
+    if (index === -1) continue;
+    params[param.slice(0, index).trim().toLowerCase()] = param.slice(index + 1).trim().replace(/^"|"$/g, '');
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function decodeTransfer(body, encoding) {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body.toString('latin1'));
+    default:
+      return body;
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const cleaned = String(text).replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < cleaned.length; i++) {
+    if (cleaned[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(cleaned.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(cleaned.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(cleaned.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(bytes, charset) {
+  const label = String(charset || 'utf-8').trim().toLowerCase();
+  try {
+    return new TextDecoder(label === 'us-ascii' ? 'utf-8' : label).decode(bytes);
+  } catch {
+    return Buffer.from(bytes).toString('utf8');
+  }
+}
+
+function isAutoSubmitted(headers) {
+  const autoSubmitted = (headers['auto-submitted'] || '').toLowerCase();
+  return (autoSubmitted !== '' && autoSubmitted !== 'no') ||
+    /^(bulk|junk|list|auto_reply)$/i.test(headers.precedence || '') ||
+    headers['x-autoreply'] !== undefined ||
+    headers['x-autorespond'] !== undefined;
+}
+
+module.exports = {
+  parseMessage,
+  parseHeaders,
+  decodeWords,
+  stripQuotedText,
+  parseAddress
+};
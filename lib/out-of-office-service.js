@@ -0,0 +1,404 @@
+/**
+ * Out-of-Office Service
+ *
+ * An auto-reply isn't an answer, so it doesn't halt the prospect's sequence the way a
+ * real reply does. Instead the sequence is paused until they're back:
+ *
+ *   1. Detection: out-of-office phrasing in the subject or body (at ingest), or the
+ *      LLM categorizer's 'ooo' verdict later on
+ *   2. Return date: parsed from the text ("back on March 3rd", "out until 10/14",
+ *      "returning Monday", ISO dates); when there's none the pause lasts the campaign's
+ *      ooo_default_pause_days
+ *   3. The prospect's remaining queue items keep their spacing and move so the first
+ *      one goes out in the first sending slot after the return date
+ *   4. An alternate contact named in the reply ("please contact Jane Doe at jane@acme.com",
+ *      quoted history aside; never one of our own sending addresses) is recorded, and added to the campaign as a new prospect when the campaign opts in
+ *      (ooo_create_alternate_contact), subject to suppression and the contact policy
+ *
+ * A real reply from the same prospect still stops the sequence.
+ */
+
+const UnsubscribeService = require('./unsubscribe-service');
+const ContactRegistryService = require('./contact-registry-service');
+const { resolveWindow, nextSendSlot } = require('./sending-window');
+const { stripQuotedText } = require('./mime-parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAUSE_DAYS = 7;
+const MAX_RETURN_DAYS = 366;
+
+const OOO_PATTERNS = [
+  /\bout of (the )?office\b/i,
+  /\b(automatic|auto)[- ]?reply\b/i,
+  /\bautoreply\b/i,
+  /^\s*auto:/i,
+  /\bon (annual |parental |maternity |paternity |sick |medical )?leave\b/i,
+  /\b(on|currently on) (vacation|holiday|holidays|sabbatical|pto)\b/i,
+  /\b(away|out) (from|of) (the office|my desk|the country)\b/i,
+  /\bout until\b/i,
+  /\blimited (access to|availability on) (my )?e-?mail\b/i
+];
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const MONTH_NAME = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Each pattern yields { year, month, day } (year optional) or { weekday }. Loose matches
+// ("Monday", "24/7") only count as a return date right after a return cue.
+const DATE_PATTERNS = [
+  {
+    regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g,
+    parts: m => ({ year: +m[1], month: +m[2], day: +m[3] })
+  },
+  {
+    regex: new RegExp(`\\b(${MONTH_NAME})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'),
+    parts: m => ({ year: m[3] ? +m[3] : null, month: MONTHS[m[1].slice(0, 3).toLowerCase()], day: +m[2] })
+  },
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_NAME})\\b\\.?(?:,?\\s+(\\d{4}))?`, 'gi'),
+    parts: m => ({ year: m[3] ? +m[3] : null, month: MONTHS[m[2].slice(0, 3).toLowerCase()], day: +m[1] })
+  },
+  {
+    // 10/14, 10/14/2026 — month first unless the first number can't be a month
+    regex: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g,
+    parts: m => {
+      const [month, day] = +m[1] > 12 ? [+m[2], +m[1]] : [+m[1], +m[2]];
+      return { year: m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : null, month, day, loose: !m[3] };
+    }
+  },
+  {
+    // 14.10.2026 — day first
+    regex: /\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/g,
+    parts: m => ({ year: +m[3], month: +m[2], day: +m[1] })
+  },
+  {
+    regex: new RegExp(`\\b(${WEEKDAYS.join('|')})\\b`, 'gi'),
+    parts: m => ({ weekday: WEEKDAYS.indexOf(m[1].toLowerCase()), loose: true })
+  }
+];
+
+// Words right before a date that say it's the return date
+const RETURN_CUE = /\b(back|return|returns|returning|until|till|til|through|thru|resum\w*|reachable|in the office)\b[^.!?\n]{0,40}$/i;
+
+// Words before an address that offer it as someone to contact instead
+const CONTACT_CUE = /\b(contact|reach|e-?mail|write|get in touch|speak|talk|forward|direct)\w*\b[^\n]{0,60}$/i;
+
+const AUTOMATED_SENDER = /^(no-?reply|do-?not-?reply|mailer-daemon|postmaster|bounces?)[@+.]/i;
+// Our plus-addressed Reply-To (see inbound-reply-service.js)
+const REPLY_TOKEN = /\+r-[0-9a-z]+-[0-9a-f]{10}@/i;
+const NAME_STOPWORDS = new Set([
+  'please', 'kindly', 'contact', 'email', 'e-mail', 'mail', 'reach', 'write', 'colleague', 'my', 'our', 'the',
+  'for', 'urgent', 'matters', 'questions', 'enquiries', 'inquiries', 'assistance', 'help', 'you', 'can', 'or',
+  'and', 'to', 'in', 'meantime', 'alternatively', 'otherwise', 'if', 'mr', 'mrs', 'ms'
+]);
+
+class OutOfOfficeService {
+  constructor(pool) {
+    this.pool = pool;
+    this.unsubscribeService = new UnsubscribeService(pool);
+    this.contactRegistry = new ContactRegistryService(pool);
+    this.logger = console;
+  }
+
+  /**
+   * Whether a reply reads like an out-of-office auto-reply
+   */
+  static isOutOfOffice(subject, body) {
+    const subjectText = String(subject || '');
+    const bodyText = String(body || '').slice(0, 2000);
+    return OOO_PATTERNS.some(pattern => pattern.test(subjectText) || pattern.test(bodyText));
+  }
+
+  /**
+   * The date an auto-reply says the sender is back
+   *
+   * Dates right after a cue ("back on", "until", "returning") win; otherwise the first
+   * calendar date that isn't in the past. A date without a year is the next one to come.
+   * Weekdays and bare numeric dates only count after a cue ("back on Monday", "until 10/14").
+   *
+   * @param {string} text - subject and body
+   * @param {Date} receivedAt - when the reply arrived (what "Monday" and missing years are relative to)
+   * @returns {string|null} YYYY-MM-DD
+   */
+  static parseReturnDate(text, receivedAt = new Date()) {
+    if (!text) return null;
+    const today = isoDate(new Date(receivedAt));
+    const latest = addDays(today, MAX_RETURN_DAYS);
+
+    const candidates = findDateCandidates(String(text), today)
+      .filter(c => c.date && c.date >= today && c.date <= latest && (c.cued || !c.loose));
+    const pick = candidates.find(c => c.cued) || candidates[0];
+    return pick ? pick.date : null;
+  }
+
+  /**
+   * The first address in an auto-reply offered as someone to contact ("please reach Jane Doe
+   * at ..."), with the name written before it
+   * @param {string} text - the reply without its quoted history
+   * @param {string[]} excludeEmails - the prospect's own addresses and ours
+   * @returns {object|null} { name, email }
+   */
+  static parseAlternateContact(text, excludeEmails = []) {
+    if (!text) return null;
+    const source = String(text);
+    const emailRegex = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+    let match;
+    while ((match = emailRegex.exec(source)) !== null) {
+      const email = match[0].toLowerCase();
+      if (isExcludedContact(email, excludeEmails)) continue;
+      const prefix = source.slice(Math.max(0, match.index - 80), match.index);
+      if (!CONTACT_CUE.test(prefix)) continue;
+      return { name: nameBefore(prefix), email };
+    }
+    return null;
+  }
+
+  /**
+   * Treat a reply as out-of-office: record what it said and push the prospect's
+   * remaining sequence to after their return
+   *
+   * @param {number} replyId - prospect_reply_inbox id
+   * @param {object} hints - { returnDate, alternateContact } from the LLM (text parsing fills the gaps)
+   * @returns {object} { reply_id, return_date, resume_at, rescheduled, alternate_contact, alternate_prospect_id }
+   */
+  async handleReply(replyId, hints = {}) {
+    const result = await this.pool.query(
+      `SELECT pri.id, pri.campaign_id, pri.prospect_id, pri.recipient_email, pri.reply_from_email,
+              pri.reply_subject, pri.reply_body, pri.reply_received_at, pri.alternate_prospect_id,
+              c.user_id,
+              ARRAY(SELECT address FROM campaign_mailboxes cm
+                    JOIN sender_mailboxes sm ON sm.id = cm.mailbox_id,
+                    unnest(ARRAY[sm.email, sm.reply_to_email]) address
+                    WHERE cm.campaign_id = pri.campaign_id AND address IS NOT NULL) as mailbox_emails,
+              p.company_name, p.website, p.industry, p.fit_score,
+              p.timezone as prospect_timezone, p.location as prospect_location,
+              csc.sender_email, csc.reply_to_email, csc.ooo_default_pause_days, csc.ooo_create_alternate_contact,
+              csc.sending_window_start, csc.sending_window_end, csc.timezone,
+              csc.skip_weekends, csc.holidays, csc.use_prospect_timezone
+       FROM prospect_reply_inbox pri
+       JOIN campaigns c ON pri.campaign_id = c.id
+       LEFT JOIN prospects p ON pri.prospect_id = p.id
+       LEFT JOIN campaign_sending_context csc ON csc.campaign_id = pri.campaign_id
+       WHERE pri.id = $1`,
+      [replyId]
+    );
+    const reply = result.rows[0];
+    if (!reply) throw new Error('Reply not found');
+
+    const receivedAt = reply.reply_received_at ? new Date(reply.reply_received_at) : new Date();
+    const text = `${reply.reply_subject || ''}\n${reply.reply_body || ''}`;
+    const returnDate = normalizeDate(hints.returnDate, receivedAt) || OutOfOfficeService.parseReturnDate(text, receivedAt);
+    const pauseDays = Number.isInteger(reply.ooo_default_pause_days) ? reply.ooo_default_pause_days : DEFAULT_PAUSE_DAYS;
+    const resumeFrom = returnDate
+      ? new Date(`${addDays(returnDate, 1)}T00:00:00Z`)
+      : new Date(receivedAt.getTime() + pauseDays * DAY_MS);
+    const window = resolveWindow(reply, { timezone: reply.prospect_timezone, location: reply.prospect_location });
+    const resumeAt = nextSendSlot(resumeFrom, window);
+    // Neither the prospect nor one of our own sending addresses (quoted in the auto-reply) is an alternate
+    const ownEmails = [reply.reply_from_email, reply.recipient_email, reply.sender_email, reply.reply_to_email,
+      ...(reply.mailbox_emails || [])];
+    const hinted = normalizeContact(hints.alternateContact);
+    const alternate = (hinted && !isExcludedContact(hinted.email, ownEmails) ? hinted : null) ||
+      OutOfOfficeService.parseAlternateContact(stripQuotedText(reply.reply_body), ownEmails);
+
+    await this.pool.query(
+      `UPDATE prospect_replies SET is_out_of_office = TRUE, sequence_halted_at = NULL WHERE reply_id = $1`,
+      [reply.id]
+    );
+
+    // A real reply from the prospect still stops the sequence
+    const realReply = await this.pool.query(
+      `SELECT 1 FROM prospect_replies
+       WHERE prospect_id = $1 AND campaign_id = $2 AND is_out_of_office IS NOT TRUE
+       LIMIT 1`,
+      [reply.prospect_id, reply.campaign_id]
+    );
+    const rescheduled = realReply.rows.length > 0 ? 0 : await this._shiftSequence(reply, resumeAt, window);
+
+    let alternateProspectId = reply.alternate_prospect_id || null;
+    if (alternate && reply.ooo_create_alternate_contact && !alternateProspectId) {
+      alternateProspectId = await this._createAlternateProspect(reply, alternate);
+    }
+
+    await this.pool.query(
+      `UPDATE prospect_reply_inbox
+       SET reply_category = 'ooo', ooo_return_date = $2, ooo_resume_at = $3, alternate_contact = $4,
+           alternate_prospect_id = $5, sequence_halted_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [reply.id, returnDate, resumeAt, alternate ? JSON.stringify(alternate) : null, alternateProspectId]
+    );
+
+    this.logger.log(`[OOO] Reply ${reply.id}: prospect ${reply.prospect_id} back ${returnDate || 'unknown'}, ${rescheduled} item(s) moved to ${resumeAt.toISOString()}`);
+
+    return {
+      reply_id: reply.id,
+      return_date: returnDate,
+      resume_at: resumeAt,
+      rescheduled,
+      alternate_contact: alternate,
+      alternate_prospect_id: alternateProspectId
+    };
+  }
+
+  /**
+   * A reply that turned out not to be an auto-reply counts for stop-on-reply again
+   */
+  async releaseReply(replyId) {
+    await this.pool.query(
+      `UPDATE prospect_replies SET is_out_of_office = FALSE WHERE reply_id = $1 AND is_out_of_office = TRUE`,
+      [replyId]
+    );
+  }
+
+  // ---- Internal ----
+
+  /**
+   * Move the prospect's pending (or reply-halted) sequence items so the first goes out at
+   * resumeAt. Items already due after it stay put; bounce halts (which carry an error) aren't touched.
+   * @returns {number} Items rescheduled
+   */
+  async _shiftSequence(reply, resumeAt, window) {
+    const items = await this.pool.query(
+      `SELECT id, scheduled_for FROM campaign_sending_queue
+       WHERE campaign_id = $1 AND prospect_id = $2 AND reply_draft_id IS NULL
+         AND (status = 'pending' OR (status = 'halted' AND error_message IS NULL))
+       ORDER BY scheduled_for ASC`,
+      [reply.campaign_id, reply.prospect_id]
+    );
+    if (items.rows.length === 0) return 0;
+
+    const offset = Math.max(resumeAt.getTime() - new Date(items.rows[0].scheduled_for).getTime(), 0);
+    for (const item of items.rows) {
+      const scheduledFor = nextSendSlot(new Date(new Date(item.scheduled_for).getTime() + offset), window);
+      await this.pool.query(
+        `UPDATE campaign_sending_queue SET status = 'pending', scheduled_for = $2, updated_at = NOW() WHERE id = $1`,
+        [item.id, scheduledFor]
+      );
+    }
+    return items.rows.length;
+  }
+
+  /**
+   * Add the alternate contact to the campaign as a new prospect at the same company
+   * @returns {number|null} Prospect id (null when suppressed, held back by the contact policy, or already there)
+   */
+  async _createAlternateProspect(reply, contact) {
+    if (await this.unsubscribeService.isSuppressed(reply.user_id, contact.email)) return null;
+    const blocked = await this.contactRegistry.findBlockedEmails(
+      reply.user_id, [contact.email], { excludeCampaignId: reply.campaign_id }
+    );
+    if (blocked.has(contact.email)) return null;
+
+    const [firstName, ...rest] = (contact.name || '').split(/\s+/).filter(Boolean);
+    const inserted = await this.pool.query(
+      `INSERT INTO prospects
+       (campaign_id, email, first_name, last_name, company_name, website, industry, source, status, fit_score)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'ooo_referral', 'discovered', $8)
+       ON CONFLICT (campaign_id, email) DO NOTHING
+       RETURNING id`,
+      [reply.campaign_id, contact.email, firstName || null, rest.join(' ') || null,
+        reply.company_name || contact.email.split('@')[1], reply.website || null, reply.industry || null,
+        reply.fit_score || 50]
+    );
+    if (inserted.rows.length === 0) return null;
+
+    await this.contactRegistry.linkCampaignProspects(reply.campaign_id);
+    return inserted.rows[0].id;
+  }
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(iso, days) {
+  return isoDate(new Date(Date.parse(`${iso}T00:00:00Z`) + days * DAY_MS));
+}
+
+/**
+ * YYYY-MM-DD for a valid calendar date, else null
+ */
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return isoDate(date);
+}
+
+/**
+ * Every date-like phrase in the text, in order, resolved against `today`
+ */
+function findDateCandidates(text, today) {
+  const found = [];
+  for (const { regex, parts } of DATE_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      found.push({ index: match.index, end: match.index + match[0].length, ...parts(match) });
+    }
+  }
+  found.sort((a, b) => a.index - b.index);
+
+  const [year] = today.split('-').map(Number);
+  const todayWeekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+
+  return found
+    // "Monday, March 3rd" is one date, and "3rd" inside "March 3rd" isn't another
+    .filter((c, i) => !found.some((o, j) => j !== i && o.index <= c.index && o.end >= c.end && (o.index < c.index || o.end > c.end)))
+    .filter((c, i, list) => !(c.weekday !== undefined && list[i + 1] && list[i + 1].index - c.end <= 3))
+    .map(c => {
+      let date = null;
+      if (c.weekday !== undefined) {
+        date = addDays(today, ((c.weekday - todayWeekday + 6) % 7) + 1);
+      } else if (c.year) {
+        date = calendarDate(c.year, c.month, c.day);
+      } else {
+        date = calendarDate(year, c.month, c.day);
+        if (date && date < today) date = calendarDate(year + 1, c.month, c.day);
+      }
+      return {
+        index: c.index,
+        date,
+        loose: !!c.loose,
+        cued: RETURN_CUE.test(text.slice(Math.max(0, c.index - 60), c.index))
+      };
+    });
+}
+
+/**
+ * A date hint from the model (ISO date or timestamp) as YYYY-MM-DD, if usable
+ */
+function normalizeDate(value, receivedAt) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+  const date = isoDate(parsed);
+  const today = isoDate(receivedAt);
+  return date >= today && date <= addDays(today, MAX_RETURN_DAYS) ? date : null;
+}
+
+function normalizeContact(contact) {
+  if (!contact || typeof contact !== 'object' || !contact.email) return null;
+  const email = String(contact.email).trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return null;
+  return { name: contact.name ? String(contact.name).trim() : null, email };
+}
+
+function isExcludedContact(email, excludeEmails) {
+  const address = email.toLowerCase();
+  return AUTOMATED_SENDER.test(address) || REPLY_TOKEN.test(address) ||
+    excludeEmails.some(e => e && String(e).trim().toLowerCase() === address);
+}
+
+/**
+ * The capitalised name written just before an address ("contact Jane Doe at", "Jane Doe <")
+ */
+function nameBefore(prefix) {
+  const match = prefix.match(/([A-Z][A-Za-z'’-]+(?:[ \t]+[A-Z][A-Za-z'’-]+){0,3})[ \t]*(?:\(|<|\bat\b|\bvia\b|\bon\b|:|,|-|–)?[ \t]*$/);
+  if (!match) return null;
+  const words = match[1].split(/\s+/);
+  while (words.length > 0 && NAME_STOPWORDS.has(words[0].toLowerCase())) words.shift();
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+module.exports = OutOfOfficeService;
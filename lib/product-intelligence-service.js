@@ -3,10 +3,20 @@
  *
  * A/B testing infrastructure, product signal ingestion, and automated report generation.
  * Reports use Claude (Sonnet) for analysis and are stored in operator_digest.
+ *
+ * Experiments are evaluated with a z-test ('frequentist') or beta-binomial posteriors
+ * ('bayesian'), see experiment-stats.js. Traffic is split evenly by hash ('fixed') or
+ * shifted towards the likely winner by Thompson sampling ('thompson'); adaptive
+ * allocation biases z-tests, so Thompson experiments are always evaluated the Bayesian
+ * way. No winner is declared before every variant has sample_size_target assignments.
  */
 
 const crypto = require('crypto');
 const AIService = require('./ai-service');
+const { evaluateVariants, bayesianEvaluate, thompsonSample, stoppingDecision } = require('./experiment-stats');
+
+const EVALUATION_MODES = ['frequentist', 'bayesian'];
+const ALLOCATIONS = ['fixed', 'thompson'];
 
 class ProductIntelligenceService {
   constructor(pool) {
@@ -20,13 +30,36 @@ class ProductIntelligenceService {
 
   /**
    * Create a new A/B experiment
+   * @param {number} sampleSizeTarget - Minimum assignments per variant before a winner is called
+   * @param {object} options - { evaluationMode, allocation, controlVariant, winProbability, lossThreshold }
    */
-  async createExperiment(name, target, variants, description = '', sampleSizeTarget = 100) {
+  async createExperiment(name, target, variants, description = '', sampleSizeTarget = 100, options = {}) {
+    const names = variantNames({ variants });
+    if (names.length < 2) throw new Error('At least two variants required');
+
+    const allocation = options.allocation || 'fixed';
+    if (!ALLOCATIONS.includes(allocation)) throw new Error(`allocation must be one of: ${ALLOCATIONS.join(', ')}`);
+    const evaluationMode = options.evaluationMode || (allocation === 'thompson' ? 'bayesian' : 'frequentist');
+    if (!EVALUATION_MODES.includes(evaluationMode)) throw new Error(`evaluation_mode must be one of: ${EVALUATION_MODES.join(', ')}`);
+    if (allocation === 'thompson' && evaluationMode !== 'bayesian') {
+      throw new Error('Thompson sampling allocation requires the bayesian evaluation mode');
+    }
+
+    const controlVariant = options.controlVariant || names[0];
+    if (!names.includes(controlVariant)) throw new Error('control_variant must be one of the variants');
+    const winProbability = options.winProbability === undefined ? 0.95 : Number(options.winProbability);
+    if (!(winProbability >= 0.5 && winProbability < 1)) throw new Error('win_probability must be between 0.5 and 1');
+    const lossThreshold = options.lossThreshold === undefined ? 0.005 : Number(options.lossThreshold);
+    if (!(lossThreshold > 0 && lossThreshold < 1)) throw new Error('loss_threshold must be between 0 and 1');
+
     const result = await this.pool.query(`
-      INSERT INTO ab_experiments (name, description, target, variants, sample_size_target)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO ab_experiments
+        (name, description, target, variants, sample_size_target, evaluation_mode, allocation,
+         control_variant, win_probability, loss_threshold)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
-    `, [name, description, target, JSON.stringify(variants), sampleSizeTarget]);
+    `, [name, description, target, JSON.stringify(variants), sampleSizeTarget || 100, evaluationMode, allocation,
+      controlVariant, winProbability, lossThreshold]);
     return result.rows[0];
   }
 
@@ -44,7 +77,8 @@ class ProductIntelligenceService {
   }
 
   /**
-   * Deterministic variant assignment (hash of userId/sessionId + experimentId)
+   * Variant assignment: deterministic hash of userId/sessionId + experimentId, or a
+   * Thompson sample for adaptive experiments. Either way a visitor keeps their first variant.
    */
   async assignVariant(experimentId, userId = null, sessionId = null) {
     if (!userId && !sessionId) throw new Error('Either userId or sessionId required');
@@ -60,14 +94,19 @@ class ProductIntelligenceService {
     const exp = await this.pool.query('SELECT * FROM ab_experiments WHERE id = $1 AND status = $2', [experimentId, 'running']);
     if (exp.rows.length === 0) return null;
 
-    const variants = typeof exp.rows[0].variants === 'string' ? JSON.parse(exp.rows[0].variants) : exp.rows[0].variants;
-    if (!variants || variants.length === 0) return null;
-
-    // Deterministic assignment via hash
-    const hashInput = `${experimentId}-${userId || sessionId}`;
-    const hash = crypto.createHash('md5').update(hashInput).digest('hex');
-    const index = parseInt(hash.substring(0, 8), 16) % variants.length;
-    const variant = typeof variants[index] === 'object' ? variants[index].name : variants[index];
+    const names = variantNames(exp.rows[0]);
+    if (names.length === 0) return null;
+
+    let variant;
+    if (exp.rows[0].allocation === 'thompson') {
+      const counts = await this._variantCounts(experimentId, names);
+      variant = thompsonSample(counts);
+    } else {
+      // Deterministic assignment via hash
+      const hashInput = `${experimentId}-${userId || sessionId}`;
+      const hash = crypto.createHash('md5').update(hashInput).digest('hex');
+      variant = names[parseInt(hash.substring(0, 8), 16) % names.length];
+    }
 
     // Record assignment
     try {
@@ -99,53 +138,57 @@ class ProductIntelligenceService {
   }
 
   /**
-   * Evaluate experiment results with statistical significance (Z-test)
+   * Evaluate experiment results. Both analyses are returned; `mode` (default: the
+   * experiment's evaluation_mode) decides which one calls the winner:
+   *   - frequentist: z-test of the leader against every other variant
+   *   - bayesian: probability to be best and expected loss against the stopping rule
+   * @param {object} options - { mode }
    */
-  async evaluateExperiment(experimentId) {
+  async evaluateExperiment(experimentId, { mode = null } = {}) {
     const exp = await this.pool.query('SELECT * FROM ab_experiments WHERE id = $1', [experimentId]);
     if (exp.rows.length === 0) throw new Error('Experiment not found');
+    const experiment = exp.rows[0];
 
-    const results = await this.pool.query(`
-      SELECT
-        variant,
-        COUNT(*) as total,
-        COUNT(*) FILTER (WHERE converted = true) as conversions,
-        ROUND(100.0 * COUNT(*) FILTER (WHERE converted = true) / NULLIF(COUNT(*), 0), 2) as conversion_rate
-      FROM ab_assignments
-      WHERE experiment_id = $1
-      GROUP BY variant
-      ORDER BY conversion_rate DESC
-    `, [experimentId]);
+    const evaluationMode = mode || experiment.evaluation_mode || 'frequentist';
+    if (!EVALUATION_MODES.includes(evaluationMode)) throw new Error(`mode must be one of: ${EVALUATION_MODES.join(', ')}`);
+    if (evaluationMode === 'frequentist' && experiment.allocation === 'thompson') {
+      throw new Error('Thompson sampling experiments can only be evaluated in bayesian mode');
+    }
+
+    const names = variantNames(experiment);
+    const variantResults = await this._variantCounts(experimentId, names);
+    variantResults.sort((a, b) => b.conversion_rate - a.conversion_rate);
+
+    const frequentist = evaluateVariants(variantResults);
+    const bayesian = bayesianEvaluate(variantResults, { control: experiment.control_variant || names[0] });
+    const rules = {
+      minSample: experiment.sample_size_target || 100,
+      winProbability: Number(experiment.win_probability) || 0.95,
+      lossThreshold: Number(experiment.loss_threshold) || 0.005
+    };
 
-    const variantResults = results.rows;
-
-    // Statistical significance check (Z-test for two proportions)
-    let significant = false;
-    let winner = null;
-
-    if (variantResults.length >= 2) {
-      const a = variantResults[0];
-      const b = variantResults[1];
-      const n1 = parseInt(a.total);
-      const n2 = parseInt(b.total);
-      const p1 = parseInt(a.conversions) / n1;
-      const p2 = parseInt(b.conversions) / n2;
-      const pPool = (parseInt(a.conversions) + parseInt(b.conversions)) / (n1 + n2);
-      const se = Math.sqrt(pPool * (1 - pPool) * (1/n1 + 1/n2));
-
-      if (se > 0) {
-        const z = Math.abs(p1 - p2) / se;
-        significant = z >= 1.96; // p < 0.05
-        if (significant) winner = a.variant;
-      }
+    let stopping = stoppingDecision(bayesian, rules);
+    if (evaluationMode === 'frequentist') {
+      // Fixed-sample test: only read once every variant reached the minimum sample
+      const decided = stopping.min_sample_reached && frequentist.significant;
+      stopping = {
+        ...stopping,
+        can_stop: decided,
+        reason: !stopping.min_sample_reached ? 'collecting' : decided ? 'winner' : 'uncertain',
+        recommended_winner: decided ? frequentist.winner : null
+      };
     }
 
     return {
-      experiment: exp.rows[0],
+      experiment,
+      mode: evaluationMode,
       variants: variantResults,
-      significant,
-      winner,
-      total_assignments: variantResults.reduce((sum, v) => sum + parseInt(v.total), 0)
+      significant: stopping.reason === 'winner',
+      winner: stopping.reason === 'winner' ? stopping.recommended_winner : null,
+      comparisons: experiment.allocation === 'thompson' ? [] : frequentist.comparisons,
+      bayesian,
+      stopping: { ...stopping, min_sample_per_variant: rules.minSample, win_probability: rules.winProbability, loss_threshold: rules.lossThreshold },
+      total_assignments: variantResults.reduce((sum, v) => sum + v.total, 0)
     };
   }
 
@@ -154,7 +197,8 @@ class ProductIntelligenceService {
    */
   async concludeExperiment(experimentId, winningVariant = null) {
     const evaluation = await this.evaluateExperiment(experimentId);
-    const winner = winningVariant || evaluation.winner;
+    // Equivalent variants stop on the control
+    const winner = winningVariant || evaluation.winner || evaluation.stopping.recommended_winner;
 
     await this.pool.query(`
       UPDATE ab_experiments SET status = 'concluded', winning_variant = $1, end_date = NOW()
@@ -176,6 +220,34 @@ class ProductIntelligenceService {
     return result.rows;
   }
 
+  /**
+   * Assignments and conversions per variant, including variants nobody was assigned yet
+   */
+  async _variantCounts(experimentId, names) {
+    const result = await this.pool.query(`
+      SELECT
+        variant,
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE converted = true) as conversions
+      FROM ab_assignments
+      WHERE experiment_id = $1
+      GROUP BY variant
+    `, [experimentId]);
+
+    const counts = new Map(result.rows.map(r => [r.variant, r]));
+    const ordered = names.concat(result.rows.map(r => r.variant).filter(v => !names.includes(v)));
+    return ordered.map(variant => {
+      const total = parseInt(counts.get(variant)?.total) || 0;
+      const conversions = parseInt(counts.get(variant)?.conversions) || 0;
+      return {
+        variant,
+        total,
+        conversions,
+        conversion_rate: total > 0 ? Math.round(10000 * conversions / total) / 100 : 0
+      };
+    });
+  }
+
   // ============================================
   // PRODUCT SIGNAL INGESTION
   // ============================================
@@ -358,4 +430,12 @@ Return JSON: { "health_score": number (1-10), "revenue_analysis": {}, "pricing_r
   }
 }
 
+/**
+ * Variant names from an experiment's variants (strings or { name } objects)
+ */
+function variantNames(experiment) {
+  const variants = typeof experiment.variants === 'string' ? JSON.parse(experiment.variants) : experiment.variants;
+  return (variants || []).map(v => (typeof v === 'object' ? v.name : v)).filter(Boolean);
+}
+
 module.exports = ProductIntelligenceService;
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const AIService = require('./ai-service');
+const { getPrompt, renderPrompt, validateOutput } = require('./prompt-registry');
+
+/**
+ * Prompt Evaluation
+ *
+ * Runs one version of a registered prompt (prompt-registry.js) over its golden set and
+ * scores every answer:
+ *   schema         - the answer parses and matches the prompt's output schema
+ *   word_limits    - fields stay within the prompt's checks.word_limits
+ *   char_limits    - fields stay within checks.char_limits (e.g. subject length)
+ *   banned_phrases - none of checks.banned_phrases appear anywhere in the answer
+ *   category       - for cases with expected.category, how often the answer agrees
+ *
+ * Golden sets live in fixtures/golden/<prompt id>.json:
+ *   [{ "name": "...", "variables": { ...prompt variables }, "expected": { "category": "interested" } }]
+ * eval-prompts.js runs this from the command line, replaying answers through the mock
+ * provider (llm-providers.js) so it needs no network, database or API key.
+ */
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'fixtures', 'golden');
+const DEFAULT_MIN_ACCURACY = 0.8;
+
+/**
+ * A prompt's golden cases, or null when it has none
+ */
+function loadGoldenSet(promptId, dir = GOLDEN_DIR) {
+  const file = path.join(dir, `${promptId}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Prompt ids that have a golden set
+ */
+function listGoldenSets(dir = GOLDEN_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, '')).sort();
+}
+
+/**
+ * Run a prompt version over golden cases
+ *
+ * @param {string} promptId
+ * @param {object} options - { version, cases (default: the stored golden set), ai (default: an
+ *   offline AIService), minAccuracy }
+ * @returns {object} { prompt, version, cases, passed, ok, checks, category_accuracy, failures }
+ */
+async function evaluatePrompt(promptId, options = {}) {
+  const definition = getPrompt(promptId, options.version);
+  const cases = options.cases || loadGoldenSet(promptId);
+  if (!cases || cases.length === 0) throw new Error(`No golden set for prompt ${promptId}`);
+
+  const ai = options.ai || new AIService(null);
+  const minAccuracy = options.minAccuracy ?? DEFAULT_MIN_ACCURACY;
+  const checks = { schema: tally(), word_limits: tally(), char_limits: tally(), banned_phrases: tally() };
+  const accuracy = { correct: 0, total: 0 };
+  const failures = [];
+  let passed = 0;
+
+  for (const [i, goldenCase] of cases.entries()) {
+    const name = goldenCase.name || `case ${i + 1}`;
+    let content;
+    try {
+      const prompt = renderPrompt(promptId, goldenCase.variables || {}, { version: definition.version });
+      const call = definition.output ? ai.callJSON.bind(ai) : ai.call.bind(ai);
+      content = (await call(prompt.task, prompt.input, { skipCache: true })).content;
+    } catch (err) {
+      failures.push({ case: name, check: 'error', detail: err.message });
+      continue;
+    }
+
+    const score = scoreOutput(definition, content, goldenCase.expected);
+    let casePassed = true;
+    for (const [check, problems] of Object.entries(score.checks)) {
+      if (problems.length > 0) {
+        checks[check].failed++;
+        casePassed = false;
+        failures.push({ case: name, check, detail: problems.join('; ') });
+      } else {
+        checks[check].passed++;
+      }
+    }
+    if (score.category) {
+      accuracy.total++;
+      if (score.category.correct) {
+        accuracy.correct++;
+      } else {
+        casePassed = false;
+        failures.push({ case: name, check: 'category', detail: `expected ${score.category.expected}, got ${score.category.actual}` });
+      }
+    }
+    if (casePassed) passed++;
+  }
+
+  const categoryAccuracy = accuracy.total > 0
+    ? { ...accuracy, accuracy: Math.round((accuracy.correct / accuracy.total) * 1000) / 1000 }
+    : null;
+  const checkFailures = failures.filter(f => f.check !== 'category').length;
+
+  return {
+    prompt: promptId,
+    version: definition.version,
+    cases: cases.length,
+    passed,
+    ok: checkFailures === 0 && (!categoryAccuracy || categoryAccuracy.accuracy >= minAccuracy),
+    checks,
+    category_accuracy: categoryAccuracy,
+    failures
+  };
+}
+
+/**
+ * Score one answer against a prompt's schema and checks
+ * @returns {object} { checks: { schema, word_limits, char_limits, banned_phrases: [problems] }, category }
+ */
+function scoreOutput(definition, content, expected = {}) {
+  const limits = definition.checks.word_limits || {};
+  const charLimits = definition.checks.char_limits || {};
+  const banned = definition.checks.banned_phrases || [];
+
+  const schema = definition.output
+    ? (typeof content === 'object' && content !== null ? validateOutput(definition.output, content) : ['answer is not JSON'])
+    : [];
+
+  const wordLimits = [];
+  for (const [field, max] of Object.entries(limits)) {
+    const text = field === '*' ? (typeof content === 'string' ? content : '') : content?.[field];
+    if (typeof text !== 'string') continue;
+    const words = countWords(text);
+    if (words > max) wordLimits.push(`${field === '*' ? 'answer' : field} has ${words} words (limit ${max})`);
+  }
+
+  const characterLimits = [];
+  for (const [field, max] of Object.entries(charLimits)) {
+    const value = content?.[field];
+    if (typeof value === 'string' && value.length > max) {
+      characterLimits.push(`${field} has ${value.length} characters (limit ${max})`);
+    }
+  }
+
+  const text = strings(content).join('\n').toLowerCase();
+  const bannedPhrases = banned.filter(phrase => text.includes(phrase.toLowerCase())).map(phrase => `contains "${phrase}"`);
+
+  const category = expected && expected.category
+    ? { expected: expected.category, actual: content?.category ?? null, correct: content?.category === expected.category }
+    : null;
+
+  return { checks: { schema, word_limits: wordLimits, char_limits: characterLimits, banned_phrases: bannedPhrases }, category };
+}
+
+// ---- Helpers ----
+
+function tally() {
+  return { passed: 0, failed: 0 };
+}
+
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+function strings(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(strings);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(strings);
+  return [];
+}
+
+module.exports = {
+  loadGoldenSet,
+  listGoldenSets,
+  evaluatePrompt,
+  scoreOutput
+};
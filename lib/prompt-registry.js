@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prompt Registry
+ *
+ * Every prompt the pipeline sends lives in prompts/*.js as a versioned definition:
+ *   { id, version, task, description, variables, optional, output, checks, maxTokens,
+ *     system(vars), user(vars), draft }
+ *   variables - names the caller must pass (undefined is an error; optional ones default to '')
+ *   output    - JSON schema of the model's answer (omitted for plain-text prompts); AIService
+ *               validates answers against it, and prompt-eval.js scores golden sets with it
+ *   checks    - { word_limits: { field: max words, '*' for plain text }, char_limits: { field: max characters },
+ *               banned_phrases: [...] }; scored by prompt-eval.js only, never a reason to escalate
+ *
+ * A wording change is a new version next to the old one, never an edit in place. The live
+ * version is the highest one not marked draft: true; PROMPT_VERSIONS='{"email_draft": 1}'
+ * pins a version (e.g. to roll back). ai_usage rows record which version produced each call.
+ */
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+let registry = null;
+
+/**
+ * Look up a prompt definition
+ * @param {string} id
+ * @param {number} version - defaults to the live version
+ */
+function getPrompt(id, version = null) {
+  const versions = load().get(id);
+  if (!versions) throw new Error(`Unknown prompt: ${id}`);
+
+  const wanted = version || activeVersion(id, versions);
+  const definition = versions.find(v => v.version === Number(wanted));
+  if (!definition) throw new Error(`Prompt ${id} has no version ${wanted}`);
+  return definition;
+}
+
+/**
+ * Build the AIService input for a prompt
+ * @returns {object} { id, version, task, input: { system, messages, jsonSchema, maxTokens, promptId, promptVersion } }
+ */
+function renderPrompt(id, variables = {}, { version = null } = {}) {
+  const definition = getPrompt(id, version);
+  const missing = definition.variables.filter(name => variables[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${id} v${definition.version} is missing variables: ${missing.join(', ')}`);
+  }
+
+  const vars = { ...Object.fromEntries(definition.optional.map(name => [name, ''])), ...variables };
+  return {
+    id,
+    version: definition.version,
+    task: definition.task,
+    input: {
+      system: definition.system(vars),
+      messages: [{ role: 'user', content: definition.user(vars) }],
+      jsonSchema: definition.output || undefined,
+      maxTokens: definition.maxTokens,
+      promptId: id,
+      promptVersion: definition.version
+    }
+  };
+}
+
+/**
+ * Every prompt with its versions and which one is live
+ */
+function listPrompts() {
+  return [...load().entries()].map(([id, versions]) => ({
+    id,
+    task: versions[versions.length - 1].task,
+    versions: versions.map(v => ({ version: v.version, description: v.description || null, draft: !!v.draft })),
+    active: activeVersion(id, versions)
+  }));
+}
+
+/**
+ * Check a value against the JSON schema subset prompts use:
+ * type (or a list of types), required, properties, items, enum, minimum, maximum
+ * @returns {string[]} problems, empty when valid
+ */
+function validateOutput(schema, value, at = '$') {
+  if (!schema) return [];
+  const errors = [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    return [`${at} should be ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} should be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} should be at most ${schema.maximum}`);
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateOutput(property, value[key], `${at}.${key}`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateOutput(schema.items, item, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+// ---- Helpers ----
+
+function load() {
+  if (registry) return registry;
+
+  const byId = new Map();
+  const files = fs.readdirSync(PROMPTS_DIR).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    for (const definition of require(path.join(PROMPTS_DIR, file))) {
+      const versions = byId.get(definition.id) || [];
+      if (versions.some(v => v.version === definition.version)) {
+        throw new Error(`Prompt ${definition.id} v${definition.version} is defined twice`);
+      }
+      versions.push({ optional: [], checks: {}, ...definition });
+      byId.set(definition.id, versions);
+    }
+  }
+  for (const versions of byId.values()) versions.sort((a, b) => a.version - b.version);
+
+  registry = byId;
+  return registry;
+}
+
+function activeVersion(id, versions) {
+  const pinned = pinnedVersions()[id];
+  if (pinned) return Number(pinned);
+  const live = versions.filter(v => !v.draft);
+  const candidates = live.length > 0 ? live : versions;
+  return candidates[candidates.length - 1].version;
+}
+
+function pinnedVersions() {
+  try {
+    return JSON.parse(process.env.PROMPT_VERSIONS || '{}');
+  } catch (err) {
+    console.error('[Prompts] PROMPT_VERSIONS is not valid JSON:', err.message);
+    return {};
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
+
+module.exports = {
+  getPrompt,
+  renderPrompt,
+  listPrompts,
+  validateOutput
+};
@@ -1,4 +1,5 @@
-const { chat } = require('./polsia-ai');
+const AIService = require('./ai-service');
+const { renderPrompt } = require('./prompt-registry');
 
 /**
  * Proof Service
@@ -7,6 +8,7 @@ const { chat } = require('./polsia-ai');
 class ProofService {
   constructor(pool) {
     this.pool = pool;
+    this.ai = new AIService(pool);
   }
 
   /**
@@ -14,27 +16,9 @@ class ProofService {
    */
   async generateSampleEmail(companyName, contactName = null) {
     try {
-      const prompt = `You are Koldly, an AI sales development representative. Generate a personalized cold email for outreach to ${companyName}.
-
-The email should be:
-- Personalized and specific (not generic)
-- Focused on value, not a hard sell
-- Professional but conversational in tone
-- 3-4 sentences maximum
-- Include a clear reason for reaching out (e.g., recent signal like a product launch, hiring, fundraising)
-- End with a soft CTA (e.g., "Worth a 15 min chat?")
-
-Generate ONLY the email content (subject line + body), no additional text.
-
-Format:
-SUBJECT: [subject line here]
-BODY:
-[email body here]`;
-
-      const content = await chat(prompt, {
-        system: 'You are a world-class sales development representative writing personalized cold emails.',
-        maxTokens: 400
-      });
+      const prompt = renderPrompt('proof_demo', { company_name: companyName });
+      const result = await this.ai.call(prompt.task, prompt.input);
+      const content = result.content;
       const [subjectLine, bodyPart] = content.split('BODY:\n');
       const subject = subjectLine.replace('SUBJECT: ', '').trim();
       const body = bodyPart.trim();
@@ -2,53 +2,60 @@
  * Prospect Discovery Service
  *
  * Autonomous pipeline step 1: ICP → discover prospects → research
- * Uses Haiku for discovery (cheap, high-volume) and Sonnet for research (quality-critical).
+ * Discovery pulls companies from a pluggable provider (dataset, REST source or Haiku brainstorm,
+ * see discovery-providers.js); Sonnet does the research (quality-critical).
  */
 
 const AIService = require('./ai-service');
+const { renderPrompt } = require('./prompt-registry');
+const UnsubscribeService = require('./unsubscribe-service');
+const EmailVerificationService = require('./email-verification-service');
+const ContactRegistryService = require('./contact-registry-service');
+const { createProvider, buildProviderQuery, normalizeCompany } = require('./discovery-providers');
 
 class ProspectDiscoveryService {
   constructor(pool) {
     this.pool = pool;
     this.ai = new AIService(pool);
+    this.unsubscribeService = new UnsubscribeService(pool);
+    this.verificationService = new EmailVerificationService(pool);
+    this.contactRegistry = new ContactRegistryService(pool);
   }
 
   /**
    * Parse a free-text ICP description into structured fields (Haiku)
    */
   async parseICP(icpText, userId) {
-    const result = await this.ai.callJSON('icp_parse', {
-      system: `You are an ICP (Ideal Customer Profile) analyst. Parse the user's description into structured fields.
-Return JSON: {
-  "industries": ["string"],
-  "company_sizes": ["string"],
-  "job_titles": ["string"],
-  "geographies": ["string"],
-  "pain_points": ["string"],
-  "keywords": ["string"],
-  "funding_stages": ["string"],
-  "summary": "one-sentence summary"
-}`,
-      messages: [{ role: 'user', content: icpText }]
-    }, { userId });
+    const prompt = renderPrompt('icp_parse', { icp_text: icpText });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
 
     return result.content;
   }
 
   /**
-   * Discover prospects matching an ICP (Haiku, batched)
-   * IMPORTANT: These are AI-GENERATED prospect profiles, not real company data.
-   * They should be treated as brainstorming/preview — users must verify before sending.
-   * For real prospect data, use CSV import or a future Apollo.io integration.
+   * Discover prospects matching an ICP from a data source provider (see discovery-providers.js)
+   *
+   * The provider is options.provider (saved on the campaign), else the campaign's
+   * discovery_provider, else DISCOVERY_PROVIDER, else 'ai'.
+   * IMPORTANT: the 'ai' provider invents companies (Haiku brainstorm). Those rows are
+   * flagged is_ai_generated and are never queued until verified (see confirmProspect).
    */
-  async discoverProspects(campaignId, userId, batchSize = 25) {
+  async discoverProspects(campaignId, userId, batchSize = 25, options = {}) {
     const campaign = await this._getCampaign(campaignId, userId);
     if (!campaign) throw new Error('Campaign not found');
 
-    // Check budget
-    const budget = await this.ai.checkBudget(userId);
-    if (!budget.allowed) {
-      throw new Error('AI budget exceeded for this billing period');
+    const providerName = options.provider || campaign.discovery_provider || process.env.DISCOVERY_PROVIDER || 'ai';
+    const provider = createProvider(providerName, { ai: this.ai });
+    if (options.provider && options.provider !== campaign.discovery_provider) {
+      await this.pool.query('UPDATE campaigns SET discovery_provider = $1 WHERE id = $2', [providerName, campaignId]);
+    }
+
+    // Check budget (data providers only need the model to parse a new ICP)
+    if (providerName === 'ai' || !campaign.icp_structured) {
+      const budget = await this.ai.checkBudget(userId);
+      if (!budget.allowed) {
+        throw new Error('AI budget exceeded for this billing period');
+      }
     }
 
     // Check entitlements
@@ -76,57 +83,72 @@ Return JSON: {
       [campaignId]
     );
 
-    const result = await this.ai.callJSON('prospect_discovery', {
-      system: `You are a B2B prospect researcher. Generate ${actualBatch} hypothetical prospect company profiles that match the given ICP.
-IMPORTANT: These are AI-generated examples for brainstorming purposes. They are NOT real companies.
-For each prospect, provide detailed and plausible information. Each prospect should be unique.
-
-Return JSON: {
-  "prospects": [
-    {
-      "company_name": "string",
-      "website": "string (plausible domain)",
-      "industry": "string",
-      "location": "string (city, state/country)",
-      "estimated_size": "string (e.g. 50-200 employees)",
-      "team_size": "string",
-      "funding_stage": "string (e.g. Series A, bootstrapped)",
-      "pain_points": "string (2-3 sentences)",
-      "relevance_score": number (1-100),
-      "reasoning": "string (why this company is a good fit)"
+    // Companies already in the campaign aren't fetched again
+    const existing = await this.pool.query(
+      'SELECT website FROM prospects WHERE campaign_id = $1 AND website IS NOT NULL',
+      [campaignId]
+    );
+    const existingDomains = new Set(existing.rows.map(r => websiteDomain(r.website)).filter(Boolean));
+
+    const query = buildProviderQuery(icp || {});
+    let result;
+    try {
+      result = await provider.search(query, {
+        limit: actualBatch, excludeDomains: existingDomains, campaign, userId, icp
+      });
+    } catch (err) {
+      // Back to pending so the pipeline retries on its next run
+      await this.pool.query("UPDATE campaigns SET discovery_status = 'pending' WHERE id = $1", [campaignId]);
+      throw new Error(`Discovery provider "${providerName}" failed: ${err.message}`);
     }
-  ]
-}`,
-      messages: [{
-        role: 'user',
-        content: `ICP: ${JSON.stringify(icp)}\n\nProduct/Service: ${campaign.description || 'Not specified'}\n\nGenerate ${actualBatch} prospect companies.`
-      }]
-    }, { userId });
 
-    const prospects = result.content?.prospects || [];
+    const prospects = result.records
+      .map(record => normalizeCompany(record, providerName, { ...result.meta, query }))
+      .filter(p => p && !(p.domain && existingDomains.has(p.domain)));
+
+    // Companies another campaign contacted inside the user's domain cooldown
+    const recentlyContacted = await this.contactRegistry.findBlockedDomains(
+      userId, prospects.map(p => p.website).filter(Boolean), { excludeCampaignId: campaignId }
+    );
 
-    // Insert prospects into DB
+    // Insert prospects into DB (skipping companies whose domain is on the suppression list)
     const insertedProspects = [];
+    let suppressedCount = 0;
+    let recentlyContactedCount = 0;
     for (const p of prospects) {
+      if (p.website && await this.unsubscribeService.isDomainSuppressed(userId, p.website)) {
+        suppressedCount++;
+        continue;
+      }
+      if (p.domain && recentlyContacted.has(p.domain)) {
+        recentlyContactedCount++;
+        continue;
+      }
+
       try {
         const insertResult = await this.pool.query(
           `INSERT INTO prospects
-           (campaign_id, company_name, website, industry, location, estimated_size, team_size, funding_stage, pain_points, relevance_score, status, fit_score, ai_reasoning)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'discovered', $11, $12)
+           (campaign_id, company_name, website, industry, location, estimated_size, team_size, funding_stage, pain_points,
+            linkedin_url, relevance_score, status, fit_score, ai_reasoning, source, source_ref, provenance, is_ai_generated)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'discovered', $11, $12, $13, $14, $15, $16)
            RETURNING id`,
           [
             campaignId,
             p.company_name,
-            p.website || null,
-            p.industry || null,
-            p.location || null,
-            p.estimated_size || null,
-            p.team_size || null,
-            p.funding_stage || null,
-            p.pain_points || null,
-            p.relevance_score || 50,
-            p.relevance_score || 50,
-            p.reasoning || null
+            p.website,
+            p.industry,
+            p.location,
+            p.estimated_size,
+            p.team_size,
+            p.funding_stage,
+            p.pain_points,
+            p.linkedin_url,
+            p.relevance_score,
+            p.reasoning,
+            p.source,
+            p.source_ref,
+            JSON.stringify(p.provenance),
+            p.is_ai_generated
           ]
         );
         insertedProspects.push({ ...p, id: insertResult.rows[0].id });
@@ -143,12 +165,38 @@ Return JSON: {
 
     return {
       campaign_id: campaignId,
+      provider: providerName,
+      ai_generated: prospects.some(p => p.is_ai_generated),
       prospects_discovered: insertedProspects.length,
+      prospects_suppressed: suppressedCount,
+      prospects_recently_contacted: recentlyContactedCount,
       prospects: insertedProspects,
-      ai_cost_cents: result.cost_cents
+      ai_cost_cents: result.cost_cents || 0
     };
   }
 
+  /**
+   * Record that a user checked an AI-generated prospect is a real company and person,
+   * which releases its emails awaiting verification to be queued (see CampaignSendingService.queueInitialEmails)
+   */
+  async confirmProspect(userId, prospectId) {
+    const result = await this.pool.query(
+      `UPDATE prospects p SET identity_confirmed_at = NOW()
+       FROM campaigns c
+       WHERE p.campaign_id = c.id AND p.id = $1 AND c.user_id = $2
+       RETURNING p.id, p.is_ai_generated, p.identity_confirmed_at`,
+      [prospectId, userId]
+    );
+    if (result.rows.length === 0) throw new Error('Prospect not found');
+
+    await this.pool.query(
+      `UPDATE generated_emails SET status = 'approved', updated_at = NOW()
+       WHERE prospect_id = $1 AND status = 'awaiting_verification'`,
+      [prospectId]
+    );
+    return result.rows[0];
+  }
+
   /**
    * Generate deep research for a batch of prospects (Sonnet, quality-critical)
    */
@@ -180,23 +228,8 @@ Return JSON: {
     const researched = [];
     for (const prospect of prospects) {
       try {
-        const result = await this.ai.callJSON('prospect_research', {
-          system: `You are a B2B sales researcher. Generate detailed research notes for a prospect company.
-Include: key decision makers, recent news/events, technology stack hints, potential pain points specific to their situation, and recommended email angle.
-
-Return JSON: {
-  "decision_makers": [{"name": "string", "title": "string", "email_guess": "string"}],
-  "recent_events": ["string"],
-  "tech_indicators": ["string"],
-  "specific_pain_points": ["string"],
-  "recommended_angle": "string",
-  "research_summary": "string (2-3 paragraphs)"
-}`,
-          messages: [{
-            role: 'user',
-            content: `Company: ${prospect.company_name}\nWebsite: ${prospect.website || 'unknown'}\nIndustry: ${prospect.industry}\nSize: ${prospect.estimated_size}\nLocation: ${prospect.location}\nKnown pain points: ${prospect.pain_points}\n\nOur product: ${campaign.description}`
-          }]
-        }, { userId });
+        const prompt = renderPrompt('prospect_research', { prospect, product_description: campaign.description });
+        const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
 
         const research = result.content;
 
@@ -218,13 +251,7 @@ Return JSON: {
 
         // If we got decision maker info, set recipient details
         if (research.decision_makers && research.decision_makers.length > 0) {
-          const dm = research.decision_makers[0];
-          if (dm.email_guess) {
-            await this.pool.query(
-              'UPDATE prospects SET linkedin_url = $1 WHERE id = $2',
-              [dm.title || null, prospect.id]
-            );
-          }
+          await this._applyDecisionMaker(prospect, research.decision_makers[0]);
         }
 
         researched.push({ id: prospect.id, company: prospect.company_name, research });
@@ -238,6 +265,42 @@ Return JSON: {
 
   // ---- Internal helpers ----
 
+  /**
+   * Store the researched contact. Guessed addresses are verified first and
+   * dropped if they can't receive mail; imported addresses are never replaced.
+   */
+  async _applyDecisionMaker(prospect, dm) {
+    const [firstName, ...rest] = String(dm.name || '').trim().split(/\s+/);
+    let email = null;
+    let verificationStatus = null;
+
+    if (dm.email_guess && !prospect.email) {
+      const verification = await this.verificationService.verify(dm.email_guess);
+      if (verification.status !== 'invalid') {
+        email = verification.email;
+        verificationStatus = verification.status;
+      }
+    }
+
+    try {
+      await this.pool.query(
+        `UPDATE prospects SET
+          first_name = COALESCE(first_name, $1),
+          last_name = COALESCE(last_name, $2),
+          title = COALESCE(title, $3),
+          email = COALESCE(email, $4),
+          email_verification_status = CASE WHEN $4::text IS NOT NULL AND email IS NULL THEN $5 ELSE email_verification_status END,
+          email_verified_at = CASE WHEN $4::text IS NOT NULL AND email IS NULL THEN NOW() ELSE email_verified_at END,
+          email_guessed = CASE WHEN $4::text IS NOT NULL AND email IS NULL THEN TRUE ELSE email_guessed END
+        WHERE id = $6`,
+        [firstName || null, rest.join(' ') || null, dm.title || null, email, verificationStatus, prospect.id]
+      );
+    } catch (err) {
+      // Another prospect in the campaign already has this address
+      if (err.code !== '23505') throw err;
+    }
+  }
+
   async _getCampaign(campaignId, userId) {
     const result = await this.pool.query(
       'SELECT * FROM campaigns WHERE id = $1 AND user_id = $2',
@@ -271,4 +334,9 @@ Return JSON: {
   }
 }
 
+function websiteDomain(website) {
+  return String(website).trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '').split('/')[0].split(':')[0].replace(/^www\./, '');
+}
+
 module.exports = ProspectDiscoveryService;
@@ -1,142 +1,91 @@
 /**
  * Reply Categorization Service
  *
- * Auto-categorizes prospect replies using keyword matching and patterns.
- * Categories: interested, not_interested, ooo, objection, uncategorized
+ * The rule pass of the reply classifier (reply-classifier-service.js): phrase patterns
+ * cheap enough to run on every reply. Rules aim for precision, not coverage: a reply
+ * that matches nothing, or matches rules for different categories, is left to the LLM.
+ * Single words that read either way ("available", "tomorrow", "budget") are not rules.
+ *
+ * Categories: interested, objection, question, not_interested, ooo, spam, uncategorized
  */
 
-const REPLY_PATTERNS = {
-  interested: {
-    keywords: [
-      'interested',
-      'let\'s talk',
-      'set up a call',
-      'when can we discuss',
-      'love to learn more',
-      'looks great',
-      'this could work',
-      'let\'s connect',
-      'would love to',
-      'definitely interested',
-      'count me in',
-      'sounds good',
-      'impressive',
-      'intrigued',
-      'tell me more',
-      'call me',
-      'book a time',
-      'available',
-      'next week',
-      'tomorrow',
-      'this week'
-    ],
-    confidence: 0.95
+const OutOfOfficeService = require('./out-of-office-service');
+
+const CATEGORIES = ['interested', 'objection', 'question', 'not_interested', 'ooo', 'spam', 'uncategorized'];
+
+const RULES = [
+  {
+    category: 'not_interested',
+    confidence: 0.97,
+    pattern: /\b(unsubscribe|remove me|take me off|stop (emailing|contacting|sending)|do not (contact|email) me|don'?t (contact|email) me)\b/i
+  },
+  {
+    category: 'not_interested',
+    confidence: 0.92,
+    pattern: /\b(not interested|no,? thanks|no thank you|not a (good )?fit for us|not something we need|we'?ll pass|please pass)\b/i
   },
-  not_interested: {
-    keywords: [
-      'not interested',
-      'not right now',
-      'not a fit',
-      'not looking',
-      'no thanks',
-      'not applicable',
-      'not relevant',
-      'pass',
-      'we\'re good',
-      'already have',
-      'different approach',
-      'not at this time',
-      'wrong timing',
-      'not suitable',
-      'not a priority',
-      'can\'t help'
-    ],
-    confidence: 0.90
+  {
+    category: 'ooo',
+    confidence: 0.95,
+    test: (subject, body) => OutOfOfficeService.isOutOfOffice(subject, body)
   },
-  ooo: {
-    keywords: [
-      'out of office',
-      'ooo',
-      'on vacation',
-      'away',
-      'return',
-      'back on',
-      'out until',
-      'auto-reply',
-      'out of the office',
-      'vacation',
-      'sick leave',
-      'parental leave',
-      'sabbatical'
-    ],
-    confidence: 0.98
+  {
+    category: 'spam',
+    confidence: 0.95,
+    pattern: /\b(undeliverable|delivery status notification|mail delivery (failed|subsystem)|address not found|message (could not|couldn'?t) be delivered)\b/i
   },
-  objection: {
-    keywords: [
-      'budget',
-      'cost',
-      'too expensive',
-      'price too high',
-      'we use',
-      'already using',
-      'competitor',
-      'we have something',
-      'concern',
-      'worried about',
-      'how does it compare',
-      'integration',
-      'doesn\'t integrate',
-      'complexity',
-      'learning curve',
-      'support needed'
-    ],
-    confidence: 0.80
+  {
+    category: 'interested',
+    confidence: 0.9,
+    pattern: /\b((i'?m|we'?re|i am|we are) (very |definitely )?interested|(happy|keen|glad|love|like) to (chat|talk|connect|learn more|hop on a call|set (up )?a (call|time|meeting))|let'?s (talk|chat|connect|set up a (call|time|meeting)|find a time|schedule)|book a (call|time|meeting)|send (me |over )?(some )?(times|a calendar (link|invite)|an invite))\b/i
+  },
+  {
+    category: 'objection',
+    confidence: 0.85,
+    pattern: /\b(too expensive|(don'?t|do not) have (the |a )?budget|no budget|already (use|using|work with|have a (tool|solution|vendor))|locked into|under contract|bad timing|not the right time|(circle|check) back (in|next) (q[1-4]|quarter|year|month))\b/i
+  },
+  {
+    category: 'question',
+    confidence: 0.8,
+    pattern: /\b(how (much|does|do|is)|what (is|are|does)|do you (integrate|support|work with|offer)|can you (share|send|explain)|is (it|there) )[^?]{0,120}\?/i
   }
-};
+];
 
+/**
+ * Run the rules over a reply
+ * @param {string} replySubject
+ * @param {string} replyBody - the prospect's own text (quoted history stripped)
+ * @returns {object} { category, confidence, matched: [categories whose rules fired] }
+ */
 function categorizeReply(replySubject, replyBody) {
   if (!replySubject && !replyBody) {
-    return { category: 'uncategorized', confidence: 0 };
+    return { category: 'uncategorized', confidence: 0, matched: [] };
   }
 
-  const text = `${replySubject || ''} ${replyBody || ''}`.toLowerCase();
-  const scores = {};
+  const subject = String(replySubject || '');
+  const body = String(replyBody || '');
+  const text = `${subject}\n${body}`;
+  const best = new Map();
 
-  // Score each category based on keyword matches
-  for (const [category, { keywords }] of Object.entries(REPLY_PATTERNS)) {
-    let matchCount = 0;
-    for (const keyword of keywords) {
-      if (text.includes(keyword.toLowerCase())) {
-        matchCount++;
-      }
-    }
-    scores[category] = matchCount;
+  for (const rule of RULES) {
+    const hit = rule.test ? rule.test(subject, body) : rule.pattern.test(text);
+    if (hit && rule.confidence > (best.get(rule.category) || 0)) best.set(rule.category, rule.confidence);
   }
 
-  // Find highest scoring category
-  let bestCategory = 'uncategorized';
-  let bestScore = 0;
-  let confidence = 0;
-
-  for (const [category, score] of Object.entries(scores)) {
-    if (score > bestScore) {
-      bestScore = score;
-      bestCategory = category;
-      confidence = Math.min(REPLY_PATTERNS[category].confidence, (score / 5) * 0.95);
-    }
-  }
+  const matched = [...best.keys()];
+  if (matched.length === 0) return { category: 'uncategorized', confidence: 0, matched };
 
-  // If no matches found, return uncategorized
-  if (bestScore === 0) {
-    return { category: 'uncategorized', confidence: 0 };
-  }
+  // An auto-reply or bounce quotes whatever it's bouncing, so it wins any conflict
+  const decisive = matched.find(category => category === 'ooo' || category === 'spam');
+  if (decisive) return { category: decisive, confidence: best.get(decisive), matched };
 
-  return {
-    category: bestCategory,
-    confidence: Math.round(confidence * 100) / 100
-  };
+  const [category] = matched.sort((a, b) => best.get(b) - best.get(a));
+  // Rules for different categories fired: say so with a confidence the LLM will override
+  const confidence = matched.length > 1 ? Math.round(best.get(category) * 50) / 100 : best.get(category);
+  return { category, confidence, matched };
 }
 
 module.exports = {
+  CATEGORIES,
   categorizeReply
-};
\ No newline at end of file
+};
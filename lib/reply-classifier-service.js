@@ -0,0 +1,276 @@
+/**
+ * Reply Classifier Service
+ *
+ * One pipeline decides every reply's category:
+ *   1. Rule pass (reply-categorization-service.js) over the prospect's own text. A rule
+ *      verdict whose calibrated confidence reaches the user's rule_accept_threshold is final.
+ *   2. LLM pass otherwise, with the user's reviewed replies as few-shot examples
+ *      (corrections first). When the rules agree with the model, the stronger of the two
+ *      calibrated confidences is kept.
+ *   3. Anything below the user's review_threshold, or left uncategorized, is flagged
+ *      needs_review and lands in the inbox's review bucket. A person's decision there is
+ *      stored as a labelled example.
+ *
+ * Calibration: a stated confidence is an opinion. Labelled examples record what each source
+ * predicted, at what confidence, and what the reviewer decided. A new confidence is blended
+ * with the accuracy of earlier predictions from the same source, for the same category, in
+ * the same 0.1-wide confidence band:
+ *   calibrated = (correct + raw × PRIOR_WEIGHT) / (reviewed + PRIOR_WEIGHT)
+ * With no history that's the stated confidence; after a few dozen reviews it's mostly the
+ * track record.
+ */
+
+const AIService = require('./ai-service');
+const { renderPrompt } = require('./prompt-registry');
+const { CATEGORIES, categorizeReply } = require('./reply-categorization-service');
+const { stripQuotedText } = require('./mime-parser');
+
+const DEFAULT_SETTINGS = { review_threshold: 0.7, rule_accept_threshold: 0.9 };
+const PRIOR_WEIGHT = 10;
+const MAX_EXAMPLES = 6;
+const EXAMPLE_LENGTH = 400;
+const SOURCES = ['rule', 'llm'];
+
+class ReplyClassifierService {
+  constructor(pool) {
+    this.pool = pool;
+    this.ai = new AIService(pool);
+  }
+
+  /**
+   * A user's thresholds (defaults until they save some)
+   */
+  async getSettings(userId) {
+    const result = await this.pool.query(
+      `SELECT review_threshold, rule_accept_threshold FROM reply_classifier_settings WHERE user_id = $1`,
+      [userId]
+    );
+    const row = result.rows[0];
+    if (!row) return { ...DEFAULT_SETTINGS };
+    return { review_threshold: Number(row.review_threshold), rule_accept_threshold: Number(row.rule_accept_threshold) };
+  }
+
+  /**
+   * Save a user's thresholds
+   * @param {object} updates - { review_threshold, rule_accept_threshold } (0-1)
+   */
+  async updateSettings(userId, updates = {}) {
+    const settings = await this.getSettings(userId);
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (updates[key] === undefined) continue;
+      const value = Number(updates[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error(`${key} must be between 0 and 1`);
+      }
+      settings[key] = value;
+    }
+
+    await this.pool.query(
+      `INSERT INTO reply_classifier_settings (user_id, review_threshold, rule_accept_threshold)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id) DO UPDATE SET
+         review_threshold = EXCLUDED.review_threshold,
+         rule_accept_threshold = EXCLUDED.rule_accept_threshold,
+         updated_at = NOW()`,
+      [userId, settings.review_threshold, settings.rule_accept_threshold]
+    );
+    return settings;
+  }
+
+  /**
+   * Categorize a reply and store the verdict on it
+   * @returns {object} { category, confidence, raw_confidence, source, needs_review, rule,
+   *   and from the LLM pass: reasoning, sentiment, ooo_return_date, alternate_contact, key_objection }
+   */
+  async classify(replyId, userId) {
+    const reply = await this._getReply(replyId, userId);
+    if (!reply) throw new Error('Reply not found');
+
+    const settings = await this.getSettings(userId);
+    const body = stripQuotedText(reply.reply_body || '');
+    const rule = categorizeReply(reply.reply_subject, body);
+    const ruleConfidence = rule.category === 'uncategorized'
+      ? 0
+      : await this._calibrate(userId, 'rule', rule.category, rule.confidence);
+
+    let verdict;
+    if (rule.category !== 'uncategorized' && ruleConfidence >= settings.rule_accept_threshold) {
+      verdict = { category: rule.category, source: 'rule', raw_confidence: rule.confidence, confidence: ruleConfidence };
+    } else {
+      const llm = await this._llmPass(reply, body, userId);
+      const category = CATEGORIES.includes(llm.category) ? llm.category : 'uncategorized';
+      const raw = clamp(llm.confidence);
+      let confidence = category === 'uncategorized' ? 0 : await this._calibrate(userId, 'llm', category, raw);
+      if (category === rule.category) confidence = Math.max(confidence, ruleConfidence);
+      verdict = { ...llm, category, source: 'llm', raw_confidence: raw, confidence };
+    }
+
+    verdict.confidence = Math.round(verdict.confidence * 100) / 100;
+    verdict.rule = rule;
+    verdict.needs_review = verdict.category === 'uncategorized' || verdict.confidence < settings.review_threshold;
+
+    await this.pool.query(
+      `UPDATE prospect_reply_inbox
+       SET reply_category = $2, category_confidence = $3, raw_confidence = $4, category_source = $5,
+           needs_review = $6, ai_categorization = $7, classified_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [reply.id, verdict.category, verdict.confidence, verdict.raw_confidence, verdict.source,
+        verdict.needs_review, JSON.stringify(verdict)]
+    );
+
+    return verdict;
+  }
+
+  /**
+   * Record a person's category for a reply (a confirmation or a correction)
+   * @returns {object} { reply_id, category, previous_category, corrected }
+   */
+  async recordLabel(replyId, userId, category) {
+    if (!CATEGORIES.includes(category)) throw new Error(`Unknown category: ${category}`);
+    const reply = await this._getReply(replyId, userId);
+    if (!reply) throw new Error('Reply not found');
+
+    // A reply reviewed twice keeps the classifier's original verdict as its prediction
+    await this.pool.query(
+      `INSERT INTO reply_category_labels
+       (user_id, reply_id, predicted_category, predicted_source, predicted_confidence, label, subject, body_excerpt)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (reply_id) DO UPDATE SET label = EXCLUDED.label, updated_at = NOW()`,
+      [userId, reply.id, reply.reply_category, reply.category_source || 'unclassified', reply.raw_confidence,
+        category, reply.reply_subject, stripQuotedText(reply.reply_body || '').slice(0, EXAMPLE_LENGTH)]
+    );
+
+    await this.pool.query(
+      `UPDATE prospect_reply_inbox
+       SET reply_category = $2, category_confidence = 1, category_source = 'human',
+           needs_review = FALSE, reviewed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [reply.id, category]
+    );
+
+    return {
+      reply_id: reply.id,
+      category,
+      previous_category: reply.reply_category,
+      corrected: reply.reply_category !== category
+    };
+  }
+
+  /**
+   * Per-category precision of rule and LLM verdicts, measured on reviewed replies
+   * @returns {object} { categories: { [category]: { reviewed, correct, precision, by_source } }, overall, review_queue, settings }
+   */
+  async getPrecisionStats(userId) {
+    const labels = await this.pool.query(
+      `SELECT predicted_category, predicted_source,
+              COUNT(*) as reviewed,
+              COUNT(*) FILTER (WHERE label = predicted_category) as correct
+       FROM reply_category_labels
+       WHERE user_id = $1 AND predicted_source = ANY($2)
+       GROUP BY predicted_category, predicted_source`,
+      [userId, SOURCES]
+    );
+    const queue = await this.pool.query(
+      `SELECT COUNT(*) as pending
+       FROM prospect_reply_inbox pri
+       JOIN campaigns c ON pri.campaign_id = c.id
+       WHERE c.user_id = $1 AND pri.needs_review = TRUE AND pri.is_archived = FALSE`,
+      [userId]
+    );
+
+    const categories = {};
+    for (const category of CATEGORIES.filter(c => c !== 'uncategorized')) {
+      categories[category] = { ...tally(0, 0), by_source: Object.fromEntries(SOURCES.map(s => [s, tally(0, 0)])) };
+    }
+    let reviewedTotal = 0;
+    let correctTotal = 0;
+    for (const row of labels.rows) {
+      const entry = categories[row.predicted_category];
+      if (!entry) continue;
+      const reviewed = parseInt(row.reviewed);
+      const correct = parseInt(row.correct);
+      entry.by_source[row.predicted_source] = tally(reviewed, correct);
+      Object.assign(entry, tally(entry.reviewed + reviewed, entry.correct + correct));
+      reviewedTotal += reviewed;
+      correctTotal += correct;
+    }
+
+    return {
+      categories,
+      overall: tally(reviewedTotal, correctTotal),
+      review_queue: parseInt(queue.rows[0].pending),
+      settings: await this.getSettings(userId)
+    };
+  }
+
+  // ---- Internal ----
+
+  async _llmPass(reply, body, userId) {
+    const examples = await this._examples(userId);
+    const prompt = renderPrompt('reply_categorization', {
+      reply: { from_email: reply.reply_from_email, subject: reply.reply_subject, body },
+      examples
+    });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
+
+    return result.content || {};
+  }
+
+  /**
+   * The user's reviewed replies as prompt examples, corrections first
+   */
+  async _examples(userId) {
+    const result = await this.pool.query(
+      `SELECT subject, body_excerpt, label
+       FROM reply_category_labels
+       WHERE user_id = $1
+       ORDER BY (predicted_category IS DISTINCT FROM label) DESC, created_at DESC
+       LIMIT $2`,
+      [userId, MAX_EXAMPLES]
+    );
+    if (result.rows.length === 0) return '';
+
+    const examples = result.rows.map(row =>
+      `Subject: ${row.subject || '(none)'}\nReply: ${(row.body_excerpt || '').slice(0, EXAMPLE_LENGTH)}\nCategory: ${row.label}`
+    ).join('\n\n');
+    return `\nReplies this team has already categorized (follow their judgement on similar replies):\n\n${examples}\n`;
+  }
+
+  /**
+   * Blend a stated confidence with the track record of the same source, category and band
+   */
+  async _calibrate(userId, source, category, raw) {
+    const low = Math.floor(raw * 10) / 10;
+    const result = await this.pool.query(
+      `SELECT COUNT(*) as reviewed, COUNT(*) FILTER (WHERE label = predicted_category) as correct
+       FROM reply_category_labels
+       WHERE user_id = $1 AND predicted_source = $2 AND predicted_category = $3
+         AND predicted_confidence >= $4 AND predicted_confidence < $5`,
+      [userId, source, category, low, low + 0.1]
+    );
+    const reviewed = parseInt(result.rows[0].reviewed) || 0;
+    const correct = parseInt(result.rows[0].correct) || 0;
+    return (correct + raw * PRIOR_WEIGHT) / (reviewed + PRIOR_WEIGHT);
+  }
+
+  async _getReply(replyId, userId) {
+    const result = await this.pool.query(
+      `SELECT pri.*, c.user_id
+       FROM prospect_reply_inbox pri
+       JOIN campaigns c ON pri.campaign_id = c.id
+       WHERE pri.id = $1 AND c.user_id = $2`,
+      [replyId, userId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+function clamp(value) {
+  return Math.min(Math.max(Number(value) || 0, 0), 1);
+}
+
+function tally(reviewed, correct) {
+  return { reviewed, correct, precision: reviewed > 0 ? correct / reviewed : null };
+}
+
+module.exports = ReplyClassifierService;
@@ -1,67 +1,54 @@
 /**
  * Reply Response Drafting Service
  *
- * Autonomous pipeline step 4: categorize incoming replies → draft responses
+ * Autonomous pipeline step 4: categorize incoming replies → draft responses.
+ * Replies the classifier isn't sure about wait for review in the inbox before drafting.
  *
  * Categories:
  * - interested → Sonnet meeting draft
  * - objection → Sonnet counter/reframe
- * - ooo → Haiku auto-reschedule
+ * - ooo → no draft; the sequence is rescheduled to after their return (OutOfOfficeService)
  * - not_interested → Haiku polite close-out
  * - spam/bounce → skip
  */
 
 const AIService = require('./ai-service');
+const { renderPrompt } = require('./prompt-registry');
+const RevisionService = require('./revision-service');
+const OutOfOfficeService = require('./out-of-office-service');
+const ReplyClassifierService = require('./reply-classifier-service');
 
 class ReplyResponseService {
   constructor(pool) {
     this.pool = pool;
     this.ai = new AIService(pool);
+    this.revisions = new RevisionService(pool);
+    this.outOfOffice = new OutOfOfficeService(pool);
+    this.classifier = new ReplyClassifierService(pool);
   }
 
   /**
-   * Categorize a reply email (Haiku — cheap, fast)
+   * Categorize a reply through the classifier pipeline (rules, then Haiku)
    */
   async categorizeReply(replyId, userId) {
-    const reply = await this._getReply(replyId, userId);
-    if (!reply) throw new Error('Reply not found');
-
-    const result = await this.ai.callJSON('reply_categorization', {
-      system: `You are a sales email categorization expert. Categorize this reply from a prospect.
-
-Categories:
-- "interested": They want to learn more, schedule a call, or are open to conversation
-- "objection": They have concerns, pricing issues, timing issues, or push back but haven't said no
-- "ooo": Out of office / auto-reply with a return date
-- "not_interested": Clear decline, unsubscribe request, or hard no
-- "spam": Irrelevant, automated marketing, or bounced email
-- "question": They have a specific question but haven't indicated interest or disinterest
-
-Return JSON: {
-  "category": "string",
-  "confidence": number (0-1),
-  "reasoning": "string",
-  "ooo_return_date": "string or null (ISO date if OOO)",
-  "key_objection": "string or null (if objection, what is it)",
-  "sentiment": "positive|neutral|negative"
-}`,
-      messages: [{
-        role: 'user',
-        content: `From: ${reply.sender_email}\nSubject: ${reply.subject}\n\n${reply.body_text || reply.body_html || ''}`
-      }]
-    }, { userId });
-
-    const categorization = result.content;
-
-    // Update reply record with category
-    await this.pool.query(
-      'UPDATE prospect_reply_inbox SET category = $1, ai_categorization = $2 WHERE id = $3',
-      [categorization.category, JSON.stringify(categorization), replyId]
-    );
-
+    const categorization = await this.classifier.classify(replyId, userId);
+    if (!categorization.needs_review) await this._applyOutOfOffice(replyId, categorization);
     return categorization;
   }
 
+  /**
+   * A person's category for a reply (from the inbox review bucket or a manual recategorization)
+   * @returns {object} { reply_id, category, previous_category, corrected }
+   */
+  async reviewCategory(replyId, userId, category) {
+    const review = await this.classifier.recordLabel(replyId, userId, category);
+    if (category === 'ooo' || review.previous_category === 'ooo') {
+      const reply = await this._getReply(replyId, userId);
+      await this._applyOutOfOffice(replyId, this._categorization(reply), category);
+    }
+    return review;
+  }
+
   /**
    * Draft a response based on reply category
    */
@@ -70,8 +57,8 @@ Return JSON: {
     if (!reply) throw new Error('Reply not found');
 
     // Get or compute categorization
-    let category = reply.category;
-    if (!category) {
+    let category = reply.reply_category;
+    if (!category || category === 'uncategorized') {
       const categorization = await this.categorizeReply(replyId, userId);
       category = categorization.category;
     }
@@ -88,7 +75,7 @@ Return JSON: {
       case 'objection':
         return this._draftObjectionResponse(reply, userId);
       case 'ooo':
-        return this._draftOOOResponse(reply, userId);
+        return this._handleOutOfOffice(reply, userId);
       case 'not_interested':
         return this._draftCloseOut(reply, userId);
       case 'question':
@@ -99,31 +86,44 @@ Return JSON: {
   }
 
   /**
-   * Process all uncategorized/undrafted replies for a user
+   * Process all unclassified/undrafted replies for a user: new replies are classified,
+   * and replies cleared by review get their draft
    */
   async processNewReplies(userId) {
     // Get replies without drafts
     const repliesResult = await this.pool.query(`
-      SELECT pri.id
+      SELECT pri.id, pri.reply_category, pri.classified_at
       FROM prospect_reply_inbox pri
       JOIN campaigns c ON pri.campaign_id = c.id
       WHERE c.user_id = $1
-        AND pri.category IS NULL
+        AND pri.needs_review IS NOT TRUE
+        AND (
+          pri.classified_at IS NULL
+          OR (pri.reviewed_at IS NOT NULL AND pri.reply_category NOT IN ('ooo', 'spam', 'uncategorized'))
+        )
         AND NOT EXISTS (
           SELECT 1 FROM reply_drafts rd WHERE rd.reply_id = pri.id
         )
-      ORDER BY pri.received_at DESC
+      ORDER BY pri.reply_received_at DESC
       LIMIT 20
     `, [userId]);
 
     const results = [];
     for (const row of repliesResult.rows) {
       try {
-        // Categorize
-        const categorization = await this.categorizeReply(row.id, userId);
+        // Categorize (replies cleared by review already have their category)
+        let category = row.reply_category;
+        if (!row.classified_at) {
+          const categorization = await this.categorizeReply(row.id, userId);
+          category = categorization.category;
+          if (categorization.needs_review) {
+            results.push({ reply_id: row.id, category, needs_review: true });
+            continue;
+          }
+        }
         // Draft response
         const draft = await this.draftResponse(row.id, userId);
-        results.push({ reply_id: row.id, category: categorization.category, draft });
+        results.push({ reply_id: row.id, category, draft });
       } catch (err) {
         console.error(`[ReplyResponse] Failed for reply #${row.id}:`, err.message);
         results.push({ reply_id: row.id, error: err.message });
@@ -138,93 +138,56 @@ Return JSON: {
   async _draftInterestedResponse(reply, userId) {
     const context = await this._getConversationContext(reply);
 
-    const result = await this.ai.callJSON('reply_draft_interested', {
-      system: `You are an expert SDR. The prospect has shown interest. Draft a warm, concise response that:
-1. Acknowledges what they said specifically
-2. Proposes 2-3 specific time slots for a call (use relative dates like "this Thursday" or "next Tuesday")
-3. Keeps it under 80 words
-4. Sounds human and enthusiastic but not overly eager
-
-Return JSON: {
-  "subject": "string",
-  "body": "string",
-  "suggested_action": "schedule_meeting"
-}`,
-      messages: [{
-        role: 'user',
-        content: `Their reply:\nFrom: ${reply.sender_email}\nSubject: ${reply.subject}\nBody: ${reply.body_text || ''}\n\nOriginal outreach context:\n${context}`
-      }]
-    }, { userId });
+    const prompt = renderPrompt('reply_interested', { reply: this._promptReply(reply), context });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
 
     return this._saveDraft(reply, result.content, 'interested', result.model);
   }
 
   async _draftObjectionResponse(reply, userId) {
     const context = await this._getConversationContext(reply);
-    const categorization = reply.ai_categorization ? JSON.parse(reply.ai_categorization) : {};
-
-    const result = await this.ai.callJSON('reply_draft_objection', {
-      system: `You are an expert SDR handling an objection. Draft a response that:
-1. Validates their concern — don't dismiss it
-2. Reframes with a specific counter-point or case study reference
-3. Asks one follow-up question to keep the conversation going
-4. Under 100 words
-5. No pressure tactics
-
-${categorization.key_objection ? `Their main objection: "${categorization.key_objection}"` : ''}
-
-Return JSON: {
-  "subject": "string",
-  "body": "string",
-  "suggested_action": "follow_up"
-}`,
-      messages: [{
-        role: 'user',
-        content: `Their reply:\nFrom: ${reply.sender_email}\nSubject: ${reply.subject}\nBody: ${reply.body_text || ''}\n\nOriginal outreach context:\n${context}`
-      }]
-    }, { userId });
+    const categorization = this._categorization(reply);
+
+    const prompt = renderPrompt('reply_objection', {
+      reply: this._promptReply(reply),
+      context,
+      key_objection: categorization.key_objection
+    });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
 
     return this._saveDraft(reply, result.content, 'objection', result.model);
   }
 
-  async _draftOOOResponse(reply, userId) {
-    const categorization = reply.ai_categorization ? JSON.parse(reply.ai_categorization) : {};
-
-    const result = await this.ai.callJSON('ooo_scheduling', {
-      system: `The prospect is out of office. Create a brief note to follow up after their return.
-
-Return JSON: {
-  "subject": "string",
-  "body": "string (short, 2-3 sentences, reference their return)",
-  "follow_up_date": "string (ISO date — their return date + 1 day, or 7 days from now if unknown)",
-  "suggested_action": "schedule_follow_up"
-}`,
-      messages: [{
-        role: 'user',
-        content: `OOO reply: ${reply.body_text || reply.subject}\nReturn date: ${categorization.ooo_return_date || 'unknown'}`
-      }]
-    }, { userId });
-
-    return this._saveDraft(reply, result.content, 'ooo', result.model);
+  /**
+   * Out-of-office replies get no draft: the remaining sequence is moved to after the
+   * prospect's return. The model is only asked when neither categorization nor the
+   * text gives a return date.
+   */
+  async _handleOutOfOffice(reply, userId) {
+    const categorization = this._categorization(reply);
+    const text = `${reply.reply_subject || ''}\n${reply.reply_body || ''}`;
+    const hints = {
+      returnDate: categorization.ooo_return_date || null,
+      alternateContact: categorization.alternate_contact || null
+    };
+
+    if (!hints.returnDate && !OutOfOfficeService.parseReturnDate(text, reply.reply_received_at || new Date())) {
+      const prompt = renderPrompt('ooo_extraction', {
+        received_at: new Date(reply.reply_received_at || Date.now()).toISOString(),
+        reply_text: reply.reply_body || reply.reply_subject
+      });
+      const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
+      hints.returnDate = result.content.return_date || null;
+      hints.alternateContact = hints.alternateContact || result.content.alternate_contact || null;
+    }
+
+    const outcome = await this.outOfOffice.handleReply(reply.id, hints);
+    return { skipped: true, reason: 'out_of_office', ...outcome };
   }
 
   async _draftCloseOut(reply, userId) {
-    const result = await this.ai.callJSON('close_out_draft', {
-      system: `The prospect has said no. Write a brief, graceful close-out that:
-1. Thanks them for their time
-2. Leaves the door open without being pushy
-3. Under 40 words
-
-Return JSON: {
-  "subject": "string",
-  "body": "string",
-  "suggested_action": "close"
-}`,
-      messages: [{
-        role: 'user',
-        content: `Their reply: ${reply.body_text || reply.subject}`
-      }]
-    }, { userId });
+    const prompt = renderPrompt('close_out', { reply_text: reply.reply_body || reply.reply_subject });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
 
     return this._saveDraft(reply, result.content, 'not_interested', result.model);
   }
@@ -232,23 +195,8 @@ Return JSON: {
   async _draftQuestionResponse(reply, userId) {
     const context = await this._getConversationContext(reply);
 
-    const result = await this.ai.callJSON('reply_draft_interested', {
-      system: `The prospect has asked a question. Draft a helpful response that:
-1. Directly answers their question
-2. Ties the answer back to value for them
-3. Includes a soft CTA to continue the conversation
-4. Under 100 words
-
-Return JSON: {
-  "subject": "string",
-  "body": "string",
-  "suggested_action": "follow_up"
-}`,
-      messages: [{
-        role: 'user',
-        content: `Their question:\nFrom: ${reply.sender_email}\nSubject: ${reply.subject}\nBody: ${reply.body_text || ''}\n\nOriginal outreach context:\n${context}`
-      }]
-    }, { userId });
+    const prompt = renderPrompt('reply_question', { reply: this._promptReply(reply), context });
+    const result = await this.ai.callJSON(prompt.task, prompt.input, { userId });
 
     return this._saveDraft(reply, result.content, 'question', result.model);
   }
@@ -271,6 +219,8 @@ Return JSON: {
       modelUsed
     ]);
 
+    await this.revisions.ensureOriginal('reply_draft', insertResult.rows[0].id);
+
     return {
       id: insertResult.rows[0].id,
       reply_id: reply.id,
@@ -283,6 +233,33 @@ Return JSON: {
     };
   }
 
+  /**
+   * Auto-replies pause the sequence until the prospect is back; a reply that turns out
+   * not to be one counts for stop-on-reply again
+   */
+  async _applyOutOfOffice(replyId, categorization, category = categorization.category) {
+    if (category === 'ooo') {
+      await this.outOfOffice.handleReply(replyId, {
+        returnDate: categorization.ooo_return_date,
+        alternateContact: categorization.alternate_contact
+      });
+    } else {
+      await this.outOfOffice.releaseReply(replyId);
+    }
+  }
+
+  _categorization(reply) {
+    if (!reply.ai_categorization) return {};
+    return typeof reply.ai_categorization === 'string' ? JSON.parse(reply.ai_categorization) : reply.ai_categorization;
+  }
+
+  /**
+   * The reply as the prompts in prompts/replies.js take it
+   */
+  _promptReply(reply) {
+    return { from_email: reply.reply_from_email, subject: reply.reply_subject, body: reply.reply_body };
+  }
+
   async _getReply(replyId, userId) {
     const result = await this.pool.query(`
       SELECT pri.*, c.user_id, c.description
@@ -0,0 +1,290 @@
+/**
+ * Revision Service
+ *
+ * Edit history for generated emails and reply drafts. Each item keeps numbered
+ * revisions in content_revisions:
+ *   - original:    the AI draft as generated
+ *   - regenerated: a new AI draft replacing it (reason = the reviewer's feedback)
+ *   - edit:        a reviewer's changes, saved on edit-and-approve
+ *   - rejection:   a rejection, with a reason category and free-text reason
+ *
+ * Items created before history existed get their current content recorded as the
+ * original the first time they change. History is returned with word-level diffs
+ * so reviewer changes can be audited and fed back into generation.
+ */
+
+const ITEM_TABLES = {
+  email: {
+    table: 'generated_emails',
+    subject: 'subject_line',
+    body: 'email_body',
+    recipient: 'recipient_email'
+  },
+  reply_draft: {
+    table: 'reply_drafts',
+    subject: 'draft_subject',
+    body: 'draft_body',
+    recipient: null
+  }
+};
+
+const REJECTION_CATEGORIES = [
+  'tone', 'too_long', 'inaccurate', 'irrelevant', 'wrong_recipient', 'spammy', 'duplicate', 'other'
+];
+
+// Beyond this many word pairs a diff is reported as a full replacement
+const MAX_DIFF_CELLS = 4000000;
+
+class RevisionService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Record a new revision of an item
+   * @param {string} itemType - 'email' or 'reply_draft'
+   * @param {number} itemId
+   * @param {object} revision - { kind, campaignId, subject, body, recipientEmail, authorId, reasonCategory, reason }
+   * @returns {object|null} The revision, or null for an edit that changed nothing
+   */
+  async record(itemType, itemId, revision) {
+    const { kind, campaignId = null, subject = null, body = null, recipientEmail = null } = revision;
+    this._table(itemType);
+
+    if (kind === 'edit') {
+      const latest = await this._latestContent(itemType, itemId);
+      if (latest && latest.subject === subject && latest.body === body &&
+          (latest.recipient_email || null) === (recipientEmail || null)) {
+        return null;
+      }
+    }
+
+    const result = await this.pool.query(`
+      INSERT INTO content_revisions
+        (item_type, item_id, campaign_id, revision_number, kind, subject, body, recipient_email,
+         author_user_id, reason_category, reason)
+      SELECT $1, $2, $3, COALESCE(MAX(revision_number), 0) + 1, $4, $5, $6, $7, $8, $9, $10
+      FROM content_revisions
+      WHERE item_type = $1 AND item_id = $2
+      RETURNING *
+    `, [itemType, itemId, campaignId, kind, subject, body, recipientEmail,
+      revision.authorId || null, revision.reasonCategory || null, revision.reason || null]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Record an item's current content as its original if it has no history yet
+   */
+  async ensureOriginal(itemType, itemId) {
+    const t = this._table(itemType);
+    await this.pool.query(`
+      INSERT INTO content_revisions
+        (item_type, item_id, campaign_id, revision_number, kind, subject, body, recipient_email)
+      SELECT $1, i.id, i.campaign_id, 1, 'original', i.${t.subject}, i.${t.body}, ${t.recipient ? `i.${t.recipient}` : 'NULL'}
+      FROM ${t.table} i
+      WHERE i.id = $2
+        AND NOT EXISTS (SELECT 1 FROM content_revisions WHERE item_type = $1 AND item_id = $2)
+    `, [itemType, itemId]);
+  }
+
+  /**
+   * Check a rejection category (null when none was given)
+   */
+  normalizeRejectionCategory(category) {
+    if (category === undefined || category === null || category === '') return null;
+    const normalized = String(category).trim().toLowerCase();
+    if (!REJECTION_CATEGORIES.includes(normalized)) {
+      throw new Error(`category must be one of: ${REJECTION_CATEGORIES.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * An item's revisions, each with a diff against the previous version of the content,
+   * plus the overall diff from the original to the latest version
+   */
+  async getHistory(userId, itemType, itemId) {
+    const t = this._table(itemType);
+    const owner = await this.pool.query(`
+      SELECT i.id FROM ${t.table} i
+      JOIN campaigns c ON i.campaign_id = c.id
+      WHERE i.id = $1 AND c.user_id = $2
+    `, [itemId, userId]);
+    if (owner.rows.length === 0) throw new Error('Item not found');
+
+    const result = await this.pool.query(`
+      SELECT r.id, r.revision_number, r.kind, r.subject, r.body, r.recipient_email,
+             r.author_user_id, u.name AS author_name, r.reason_category, r.reason, r.created_at
+      FROM content_revisions r
+      LEFT JOIN users u ON r.author_user_id = u.id
+      WHERE r.item_type = $1 AND r.item_id = $2
+      ORDER BY r.revision_number
+    `, [itemType, itemId]);
+
+    let previous = null;
+    const revisions = result.rows.map(revision => {
+      if (revision.kind === 'rejection') return { ...revision, diff: null };
+      const diff = previous ? diffContent(previous, revision) : null;
+      previous = revision;
+      return { ...revision, diff };
+    });
+
+    const contents = result.rows.filter(r => r.kind !== 'rejection');
+    const overall = contents.length > 1 ? diffContent(contents[0], contents[contents.length - 1]) : null;
+
+    return { item_type: itemType, item_id: itemId, revisions, overall };
+  }
+
+  /**
+   * Reviewer edits and rejections across a user's campaigns, newest first. Edits carry
+   * the diff from the version the reviewer saw.
+   * @param {object} filters - { campaignId, kind: 'edit'|'rejection', itemType, limit }
+   */
+  async listChanges(userId, filters = {}) {
+    const { campaignId, kind, itemType, limit = 50 } = filters;
+    const params = [userId];
+    const conditions = ['c.user_id = $1', `r.kind IN ('edit', 'rejection')`];
+    if (campaignId) {
+      params.push(campaignId);
+      conditions.push(`r.campaign_id = $${params.length}`);
+    }
+    if (kind) {
+      params.push(kind);
+      conditions.push(`r.kind = $${params.length}`);
+    }
+    if (itemType) {
+      this._table(itemType);
+      params.push(itemType);
+      conditions.push(`r.item_type = $${params.length}`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    const result = await this.pool.query(`
+      SELECT r.id, r.item_type, r.item_id, r.campaign_id, c.name AS campaign_name, r.revision_number,
+             r.kind, r.subject, r.body, r.recipient_email, r.author_user_id, r.reason_category, r.reason,
+             r.created_at,
+             prev.subject AS previous_subject, prev.body AS previous_body,
+             prev.recipient_email AS previous_recipient_email
+      FROM content_revisions r
+      JOIN campaigns c ON r.campaign_id = c.id
+      LEFT JOIN LATERAL (
+        SELECT p.subject, p.body, p.recipient_email FROM content_revisions p
+        WHERE p.item_type = r.item_type AND p.item_id = r.item_id
+          AND p.revision_number < r.revision_number AND p.kind <> 'rejection'
+        ORDER BY p.revision_number DESC
+        LIMIT 1
+      ) prev ON TRUE
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(row => {
+      const { previous_subject, previous_body, previous_recipient_email, ...change } = row;
+      const diff = row.kind === 'edit'
+        ? diffContent({ subject: previous_subject, body: previous_body, recipient_email: previous_recipient_email }, row)
+        : null;
+      return { ...change, diff };
+    });
+  }
+
+  /**
+   * Word-level diff of two texts
+   * @returns {Array<{op: 'equal'|'insert'|'delete', text: string}>}
+   */
+  static diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const ops = [];
+    const push = (op, text) => {
+      const last = ops[ops.length - 1];
+      if (last && last.op === op) last.text += text;
+      else ops.push({ op, text });
+    };
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+      if (a.length) push('delete', a.join(''));
+      if (b.length) push('insert', b.join(''));
+      return ops;
+    }
+
+    // Longest common subsequence of words, compared without their trailing whitespace
+    const words = tokens => tokens.map(t => t.trim());
+    const wa = words(a);
+    const wb = words(b);
+    const width = wb.length + 1;
+    const lcs = new Uint32Array((wa.length + 1) * width);
+    for (let i = wa.length - 1; i >= 0; i--) {
+      for (let j = wb.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = wa[i] === wb[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < wa.length && j < wb.length) {
+      if (wa[i] === wb[j]) {
+        push('equal', b[j]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        push('delete', a[i++]);
+      } else {
+        push('insert', b[j++]);
+      }
+    }
+    while (i < wa.length) push('delete', a[i++]);
+    while (j < wb.length) push('insert', b[j++]);
+
+    return ops;
+  }
+
+  // ---- Internal ----
+
+  async _latestContent(itemType, itemId) {
+    const result = await this.pool.query(`
+      SELECT subject, body, recipient_email FROM content_revisions
+      WHERE item_type = $1 AND item_id = $2 AND kind <> 'rejection'
+      ORDER BY revision_number DESC
+      LIMIT 1
+    `, [itemType, itemId]);
+    return result.rows[0] || null;
+  }
+
+  _table(itemType) {
+    const t = ITEM_TABLES[itemType];
+    if (!t) throw new Error(`Unknown item type: ${itemType}`);
+    return t;
+  }
+}
+
+/**
+ * Subject and body diffs with word counts
+ */
+function diffContent(before, after) {
+  const subject = RevisionService.diffWords(before.subject, after.subject);
+  const body = RevisionService.diffWords(before.body, after.body);
+  const count = (ops, op) => ops
+    .filter(o => o.op === op)
+    .reduce((n, o) => n + tokenize(o.text).length, 0);
+
+  return {
+    subject,
+    body,
+    recipient_changed: (before.recipient_email || null) !== (after.recipient_email || null),
+    words_added: count(subject, 'insert') + count(body, 'insert'),
+    words_removed: count(subject, 'delete') + count(body, 'delete')
+  };
+}
+
+/**
+ * Words with their trailing whitespace (leading whitespace stays on the first token)
+ */
+function tokenize(text) {
+  return String(text || '').match(/^\s*\S+\s*|\S+\s*/g) || [];
+}
+
+module.exports = RevisionService;
@@ -1,41 +1,28 @@
 const cron = require('node-cron');
+const { renderPrompt } = require('./prompt-registry');
 
 // Helper for rate limiting between items
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Generate follow-up email using AIService (Haiku)
-async function generateFollowUpEmail(aiService, prospect, originalEmail, dayNumber, description) {
-  const angleMap = {
-    3: 'a different value proposition angle, referencing the original email but adding new perspective on ROI',
-    7: 'a final breakup-style email with urgency and clear CTA, acknowledging silence but expressing genuine interest'
-  };
-
-  const angle = angleMap[dayNumber] || 'a follow-up email';
-
-  const result = await aiService.callJSON('follow_up_generation', {
-    system: `You are an expert cold email follow-up writer. Write a Day ${dayNumber} follow-up email that:
-1. References the original email sent ${dayNumber} days ago
-2. Uses ${angle}
-3. Keeps it concise (under 100 words)
-4. Includes a clear CTA (soft for Day 3, direct for Day 7)
-5. Sounds natural and personal, not templated
-6. Maintains the same tone as the original
-
-Return as JSON: {"subject": "...", "body": "...", "notes": "..."}`,
-    messages: [
-      {
-        role: 'user',
-        content: `Company: ${prospect.company_name}
-Industry: ${prospect.industry}
-Original Email Subject: ${originalEmail.subject_line}
-Original Email Body: ${originalEmail.email_body}
-
-Our Solution: ${description}`
-      }
-    ]
+// Generate follow-up email using AIService (Haiku); style = learned guidelines (style-memory-service.js)
+async function generateFollowUpEmail(aiService, prospect, originalEmail, step, description, isFinal, style = '') {
+  const dayNumber = step.days_after_initial;
+  const angle = step.ai_instructions || 'a short follow-up that adds one new reason to reply';
+
+  const prompt = renderPrompt('follow_up', {
+    company_name: prospect.company_name,
+    industry: prospect.industry,
+    original_subject: originalEmail.subject_line,
+    original_body: originalEmail.email_body,
+    day_number: dayNumber,
+    angle,
+    is_final: isFinal,
+    product_description: description,
+    style
   });
+  const result = await aiService.callJSON(prompt.task, prompt.input);
 
   const emailData = result.content;
   return {
@@ -45,17 +32,29 @@ Our Solution: ${description}`
   };
 }
 
-// Main scheduler job - generate follow-ups for emails sent 3 and 7 days ago
+// Main scheduler job - build each prospect's follow-up sequence once their first email is sent.
+// Steps come from the campaign's sequence template (default: AI-written Day 3 / Day 7).
+// A step with a running copy experiment also gets its challenger variants (email-experiment-service.js),
+// approved against the campaign's policy (approval-service.js).
 async function runSequenceJob(pool, aiService) {
   console.log('[Scheduler] Starting email sequence follow-up job');
   const startTime = Date.now();
-
-  const stats = { total: 0, day3: 0, day7: 0, failed: 0 };
+  const SequenceTemplateService = require('./sequence-template-service');
+  const CampaignSendingService = require('./campaign-sending-service');
+  const StyleMemoryService = require('./style-memory-service');
+  const EmailExperimentService = require('./email-experiment-service');
+  const ApprovalService = require('./approval-service');
+  const templateService = new SequenceTemplateService(pool);
+  const sendingService = new CampaignSendingService(pool);
+  const styleMemory = new StyleMemoryService(pool);
+  const experimentService = new EmailExperimentService(pool);
+  const approvalService = new ApprovalService(pool);
+
+  const stats = { total: 0, sequences: 0, steps: 0, failed: 0 };
 
   try {
-    // Get all sent emails that need Day 3 follow-ups
-    // (sent exactly 3+ days ago AND no Day 3 sequence step exists)
-    const day3Result = await pool.query(`
+    // First emails that went out (through the sending queue or directly) without a sequence yet
+    const sentResult = await pool.query(`
       SELECT
         ge.id as email_id,
         ge.prospect_id,
@@ -63,16 +62,17 @@ async function runSequenceJob(pool, aiService) {
         ge.recipient_name,
         ge.subject_line,
         ge.email_body,
-        ge.sent_at,
+        q.id as queue_id,
         p.company_name,
         p.industry,
-        c.description
+        c.description,
+        c.user_id
       FROM generated_emails ge
       JOIN prospects p ON ge.prospect_id = p.id
       JOIN campaigns c ON ge.campaign_id = c.id
-      WHERE ge.status = 'sent'
-        AND ge.sent_at IS NOT NULL
-        AND ge.sent_at <= NOW() - INTERVAL '3 days'
+      LEFT JOIN campaign_sending_queue q
+        ON q.generated_email_id = ge.id AND q.is_followup = FALSE AND q.status = 'sent'
+      WHERE (ge.status = 'sent' OR q.id IS NOT NULL)
         AND NOT EXISTS (
           SELECT 1 FROM email_sequences es
           WHERE es.original_email_id = ge.id
@@ -80,72 +80,130 @@ async function runSequenceJob(pool, aiService) {
       LIMIT 50
     `);
 
-    console.log(`[Scheduler] Found ${day3Result.rows.length} emails needing Day 3 follow-ups`);
-    stats.total += day3Result.rows.length;
+    console.log(`[Scheduler] Found ${sentResult.rows.length} sent emails needing follow-up sequences`);
+    stats.total += sentResult.rows.length;
+
+    const campaignSteps = new Map();
+    const campaignStyles = new Map();
+    const stepExperiments = new Map();
 
-    // Generate Day 3 sequences
-    for (let i = 0; i < day3Result.rows.length; i++) {
-      const email = day3Result.rows[i];
+    for (let i = 0; i < sentResult.rows.length; i++) {
+      const email = sentResult.rows[i];
       try {
+        if (!campaignSteps.has(email.campaign_id)) {
+          campaignSteps.set(email.campaign_id, await templateService.getCampaignSteps(email.campaign_id));
+        }
+        const { templateId, steps } = campaignSteps.get(email.campaign_id);
+
         // Create sequence record
         const seqResult = await pool.query(
-          `INSERT INTO email_sequences (prospect_id, campaign_id, original_email_id, sequence_type)
-           VALUES ($1, $2, $3, $4)
+          `INSERT INTO email_sequences (prospect_id, campaign_id, original_email_id, sequence_type, template_id)
+           VALUES ($1, $2, $3, $4, $5)
            RETURNING id`,
-          [email.prospect_id, email.campaign_id, email.email_id, 'standard']
+          [email.prospect_id, email.campaign_id, email.email_id, templateId ? 'template' : 'standard', templateId]
         );
 
         const sequenceId = seqResult.rows[0].id;
+        let usedAI = false;
+
+        for (const step of steps) {
+          let content;
+          if (step.content_type === 'fixed') {
+            // Merge tags stay in the copy and are rendered at send time (campaign-sending-service.js)
+            content = { subject: step.subject_line, body: step.email_body, notes: null };
+          } else {
+            // Rate limiting between AI calls
+            if (usedAI) await delay(500);
+            usedAI = true;
+            if (!campaignStyles.has(email.campaign_id)) {
+              campaignStyles.set(email.campaign_id, await styleMemory.forPrompt(email.user_id, email.campaign_id));
+            }
+            content = await generateFollowUpEmail(
+              aiService,
+              { company_name: email.company_name, industry: email.industry },
+              { subject_line: email.subject_line, email_body: email.email_body },
+              step,
+              email.description,
+              step === steps[steps.length - 1],
+              campaignStyles.get(email.campaign_id)
+            );
+          }
+
+          // Steps without their own subject thread under the first email's
+          const subject = content.subject || `Re: ${email.subject_line || ''}`.trim();
+
+          const stepResult = await pool.query(
+            `INSERT INTO email_sequence_steps
+             (sequence_id, step_number, days_after_initial, subject_line, email_body, personalization_notes, status, template_step_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id`,
+            [sequenceId, step.step_number, step.days_after_initial, subject, content.body, content.notes, 'pending', step.id || null]
+          );
+          stats.steps++;
+
+          const experimentKey = `${email.campaign_id}-${step.step_number}`;
+          if (!stepExperiments.has(experimentKey)) {
+            stepExperiments.set(experimentKey, await experimentService.getRunning(email.campaign_id, 'step', step.step_number));
+          }
+          const experiment = stepExperiments.get(experimentKey);
+          for (const variant of experiment ? experimentService.challengers(experiment) : []) {
+            try {
+              let copy = { subject: variant.subject || null, body: variant.body || null };
+              if (variant.instructions) {
+                await delay(500);
+                if (!campaignStyles.has(email.campaign_id)) {
+                  campaignStyles.set(email.campaign_id, await styleMemory.forPrompt(email.user_id, email.campaign_id));
+                }
+                const generated = await generateFollowUpEmail(
+                  aiService,
+                  { company_name: email.company_name, industry: email.industry },
+                  { subject_line: email.subject_line, email_body: email.email_body },
+                  { ...step, ai_instructions: variant.instructions },
+                  email.description,
+                  step === steps[steps.length - 1],
+                  campaignStyles.get(email.campaign_id)
+                );
+                copy = { subject: variant.subject || generated.subject || subject, body: variant.body || generated.body };
+              }
+              const variantId = await experimentService.saveVariant(experiment.id, email.prospect_id, {
+                generatedEmailId: email.email_id,
+                sequenceStepId: stepResult.rows[0].id,
+                variant: variant.name,
+                subject: copy.subject,
+                body: copy.body
+              });
+              await approvalService.evaluateVariant(variantId);
+            } catch (err) {
+              // The send goes out as the control and isn't counted
+              console.error(`[Scheduler] Variant ${variant.name} failed for step ${step.step_number} of email #${email.email_id}:`, err.message);
+            }
+          }
+        }
 
-        // Generate Day 3 follow-up
-        const day3Email = await generateFollowUpEmail(
-          aiService,
-          { company_name: email.company_name, industry: email.industry },
-          { subject_line: email.subject_line, email_body: email.email_body },
-          3,
-          email.description
-        );
-
-        // Create Day 3 step
-        await pool.query(
-          `INSERT INTO email_sequence_steps (sequence_id, step_number, days_after_initial, subject_line, email_body, personalization_notes, status)
-           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-          [sequenceId, 1, 3, day3Email.subject, day3Email.body, day3Email.notes, 'pending']
-        );
-
-        // Generate Day 7 follow-up
-        const day7Email = await generateFollowUpEmail(
-          aiService,
-          { company_name: email.company_name, industry: email.industry },
-          { subject_line: email.subject_line, email_body: email.email_body },
-          7,
-          email.description
-        );
-
-        // Create Day 7 step
-        await pool.query(
-          `INSERT INTO email_sequence_steps (sequence_id, step_number, days_after_initial, subject_line, email_body, personalization_notes, status)
-           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-          [sequenceId, 2, 7, day7Email.subject, day7Email.body, day7Email.notes, 'pending']
-        );
+        // Sends that went through the queue get their follow-ups scheduled right away
+        if (email.queue_id) {
+          await sendingService.queueFollowupEmails(email.campaign_id, email.prospect_id);
+        }
 
-        stats.day3++;
-        console.log(`[Scheduler] ✓ Created sequence for email #${email.email_id}`);
+        stats.sequences++;
+        console.log(`[Scheduler] ✓ Created ${steps.length}-step sequence for email #${email.email_id}`);
       } catch (err) {
         stats.failed++;
         console.error(`[Scheduler] ✗ Failed to create sequence for email #${email.email_id}:`, err.message);
       }
 
-      // Rate limiting between AI calls
-      if (i < day3Result.rows.length - 1) {
+      // Rate limiting between prospects
+      if (i < sentResult.rows.length - 1) {
         await delay(500);
       }
     }
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`[Scheduler] Complete in ${duration}s - Day 3 sequences: ${stats.day3}, Failed: ${stats.failed}`);
+    console.log(`[Scheduler] Complete in ${duration}s - Sequences: ${stats.sequences}, Steps: ${stats.steps}, Failed: ${stats.failed}`);
+    return stats;
   } catch (err) {
     console.error('[Scheduler] Fatal error:', err);
+    return stats;
   }
 }
 
@@ -245,6 +303,7 @@ async function runPipelineJob(pool) {
       JOIN generated_emails ge ON ge.prospect_id = p.id AND ge.campaign_id = c.id
       JOIN users u ON c.user_id = u.id
       WHERE ge.status = 'approved'
+        AND (ge.held_until IS NULL OR ge.held_until <= NOW())
         AND c.status = 'active'
         AND u.sender_email IS NOT NULL
         AND NOT EXISTS (
@@ -457,7 +516,7 @@ async function runBetaLifecycleEmails(pool) {
 }
 
 // Initialize scheduler
-function initializeScheduler(pool, aiService, schedule = '0 0 * * *') {
+function initializeScheduler(pool, aiService, schedule = '0 * * * *') {
   console.log(`[Scheduler] Initializing with schedule: ${schedule}`);
 
   if (!cron.validate(schedule)) {
@@ -473,12 +532,17 @@ function initializeScheduler(pool, aiService, schedule = '0 0 * * *') {
   const loadProductIntel = () => { const S = require('./product-intelligence-service'); return new S(pool); };
   const loadMarketing = () => { const S = require('./marketing-service'); return new S(pool); };
   const loadStripe = () => { const S = require('./stripe-service'); return new S(pool); };
+  const loadWarmup = () => { const S = require('./warmup-service'); return new S(pool); };
+  const loadCsvImport = () => { const S = require('./csv-import-service'); return new S(pool); };
+  const loadEmailVerification = () => { const S = require('./email-verification-service'); return new S(pool); };
+  const ImapPollerService = require('./imap-poller-service');
+  const imapPoller = new ImapPollerService(pool);
 
   // ============================================
   // EXISTING JOBS
   // ============================================
 
-  // Main sequence job (daily at midnight)
+  // Main sequence job (hourly — sequences are built soon after each first send)
   const sequenceTask = cron.schedule(schedule, () => {
     runSequenceJob(pool, aiService);
   }, { scheduled: true, timezone: 'UTC' });
@@ -488,6 +552,53 @@ function initializeScheduler(pool, aiService, schedule = '0 0 * * *') {
     processSendingQueue(pool);
   }, { scheduled: true, timezone: 'UTC' });
 
+  // Warmup rollover: reset daily counters at each campaign's local midnight and
+  // advance/slow/freeze ramps (every 15 minutes; each campaign rolls once per local day)
+  const warmupRolloverTask = cron.schedule('*/15 * * * *', async () => {
+    try {
+      await loadWarmup().runDailyRollover();
+    } catch (err) {
+      console.error('[Scheduler] Warmup rollover error:', err.message);
+    }
+  }, { scheduled: true, timezone: 'UTC' });
+
+  // IMAP reply polling for mailboxes without an inbound webhook (every 5 minutes)
+  const imapPollTask = cron.schedule('*/5 * * * *', async () => {
+    try {
+      const stats = await imapPoller.pollAll();
+      if (stats.fetched > 0) {
+        console.log(`[Scheduler] IMAP poll: ${stats.fetched} fetched, ${stats.matched} replies matched across ${stats.mailboxes} mailboxes`);
+      }
+    } catch (err) {
+      console.error('[Scheduler] IMAP poll error:', err.message);
+    }
+  }, { scheduled: true, timezone: 'UTC' });
+
+  // IMAP IDLE watchers pick up replies between polls (opt-in: one connection per mailbox)
+  if (process.env.IMAP_IDLE === 'true') {
+    imapPoller.startWatchers().catch(err => console.error('[Scheduler] IMAP IDLE start error:', err.message));
+  }
+
+  // CSV/XLSX imports: start queued files and resume ones interrupted by a restart (every 5 minutes)
+  const csvImportTask = cron.schedule('*/5 * * * *', async () => {
+    try {
+      const resumed = await loadCsvImport().resumeStalledImports();
+      if (resumed > 0) console.log(`[Scheduler] CSV imports: ${resumed} resumed`);
+    } catch (err) {
+      console.error('[Scheduler] CSV import resume error:', err.message);
+    }
+  }, { scheduled: true, timezone: 'UTC' });
+
+  // Email verification: check recipients of pending/approved emails (every 30 minutes)
+  const emailVerificationTask = cron.schedule('*/30 * * * *', async () => {
+    try {
+      const checked = await loadEmailVerification().verifyPendingRecipients();
+      if (checked > 0) console.log(`[Scheduler] Email verification: ${checked} addresses checked`);
+    } catch (err) {
+      console.error('[Scheduler] Email verification error:', err.message);
+    }
+  }, { scheduled: true, timezone: 'UTC' });
+
   // Autonomous pipeline processor (every 15 minutes)
   const pipelineTask = cron.schedule('*/15 * * * *', () => {
     runPipelineJob(pool);
@@ -609,8 +720,12 @@ function initializeScheduler(pool, aiService, schedule = '0 0 * * *') {
   // STARTUP LOGGING
   // ============================================
 
-  console.log('[Scheduler] Email sequence scheduler initialized (daily)');
+  console.log('[Scheduler] Email sequence scheduler initialized (hourly)');
   console.log('[Scheduler] Campaign sending queue processor initialized (every 5 min)');
+  console.log('[Scheduler] Warmup rollover initialized (every 15 min)');
+  console.log(`[Scheduler] IMAP reply polling initialized (every 5 min${process.env.IMAP_IDLE === 'true' ? ', IDLE watchers on' : ''})`);
+  console.log('[Scheduler] CSV import resume initialized (every 5 min)');
+  console.log(`[Scheduler] Email verification initialized (every 30 min${process.env.EMAIL_VERIFY_SMTP === 'true' ? ', SMTP probing on' : ''})`);
   console.log('[Scheduler] Autonomous pipeline processor initialized (every 15 min)');
   console.log('[Scheduler] Cache cleanup initialized (daily at 3am UTC)');
   console.log('[Scheduler] Beta lifecycle emails initialized (hourly)');
@@ -624,6 +739,10 @@ function initializeScheduler(pool, aiService, schedule = '0 0 * * *') {
   return {
     task: sequenceTask,
     sendingTask,
+    warmupRolloverTask,
+    imapPollTask,
+    csvImportTask,
+    emailVerificationTask,
     pipelineTask,
     betaLifecycleTask,
     retentionTask,
@@ -636,6 +755,8 @@ function initializeScheduler(pool, aiService, schedule = '0 0 * * *') {
     quarterlyReportTask,
     runNow: () => runSequenceJob(pool, aiService),
     processSendingQueueNow: () => processSendingQueue(pool),
+    pollImapNow: () => imapPoller.pollAll(),
+    stopImapWatchers: () => imapPoller.stopWatchers(),
     runPipelineNow: () => runPipelineJob(pool),
     runBetaLifecycleNow: () => runBetaLifecycleEmails(pool)
   };
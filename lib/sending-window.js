@@ -0,0 +1,264 @@
+/**
+ * Sending Window
+ *
+ * Timezone-aware scheduling helpers for the campaign sending queue.
+ * Computes the next moment a campaign is allowed to send, given its
+ * window (e.g. 09:00–17:00, or 22:00–06:00 overnight), IANA timezone,
+ * weekend and holiday rules.
+ *
+ * Pure functions only (no DB access) so the queue can call them per item.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MAX_LOOKAHEAD_DAYS = 31;
+
+// Coarse location → IANA timezone hints used when a prospect has no explicit timezone.
+// Matched against the free-text prospects.location field, first match wins.
+// US state codes are case-sensitive and must follow a comma ("Austin, TX").
+const LOCATION_TIMEZONES = [
+  // US states / cities
+  [/,\s*(NY|MA|PA|FL|GA|NJ|VA|NC|OH|MI|DC|CT|MD)\b/, 'America/New_York'],
+  [/,\s*(TX|IL|MN|MO|WI|TN|LA)\b/, 'America/Chicago'],
+  [/,\s*(CO|UT|NM)\b/, 'America/Denver'],
+  [/,\s*AZ\b/, 'America/Phoenix'],
+  [/,\s*(CA|WA|OR|NV)\b/, 'America/Los_Angeles'],
+  [/\b(new york|nyc|boston|philadelphia|miami|atlanta|washington dc)\b/i, 'America/New_York'],
+  [/\b(chicago|austin|dallas|houston|minneapolis)\b/i, 'America/Chicago'],
+  [/\b(denver|salt lake city|boulder)\b/i, 'America/Denver'],
+  [/\b(phoenix)\b/i, 'America/Phoenix'],
+  [/\b(san francisco|los angeles|seattle|portland|san diego|san jose|palo alto)\b/i, 'America/Los_Angeles'],
+  // Rest of world (countries + major cities)
+  [/\b(toronto|ontario|montreal|quebec)\b/i, 'America/Toronto'],
+  [/\b(vancouver|british columbia)\b/i, 'America/Vancouver'],
+  [/\b(london|uk|united kingdom|england|scotland|manchester)\b/i, 'Europe/London'],
+  [/\b(dublin|ireland)\b/i, 'Europe/Dublin'],
+  [/\b(paris|france)\b/i, 'Europe/Paris'],
+  [/\b(berlin|munich|germany)\b/i, 'Europe/Berlin'],
+  [/\b(amsterdam|netherlands)\b/i, 'Europe/Amsterdam'],
+  [/\b(madrid|barcelona|spain)\b/i, 'Europe/Madrid'],
+  [/\b(stockholm|sweden)\b/i, 'Europe/Stockholm'],
+  [/\b(tel aviv|israel)\b/i, 'Asia/Jerusalem'],
+  [/\b(dubai|uae|united arab emirates)\b/i, 'Asia/Dubai'],
+  [/\b(bangalore|bengaluru|mumbai|delhi|india)\b/i, 'Asia/Kolkata'],
+  [/\b(singapore)\b/i, 'Asia/Singapore'],
+  [/\b(tokyo|japan)\b/i, 'Asia/Tokyo'],
+  [/\b(sydney|melbourne|australia)\b/i, 'Australia/Sydney'],
+  [/\b(sao paulo|são paulo|brazil)\b/i, 'America/Sao_Paulo'],
+  [/\b(usa|united states)\b/i, 'America/New_York']
+];
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Break a Date into wall-clock parts in the given timezone
+ * @returns {object} { year, month, day, hour, minute, second, weekday (0=Sun), date: 'YYYY-MM-DD' }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: weekdays[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date (DST-aware)
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes: the offset at the guessed instant may differ across a DST boundary
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(guess), timeZone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+    guess = asUtc - offset;
+  }
+  return new Date(guess);
+}
+
+/**
+ * Parse a Postgres TIME / "HH:MM[:SS]" string into minutes after midnight
+ */
+function parseTimeOfDay(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const match = String(value).match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return fallback;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 24 || minutes > 59) return fallback;
+  return Math.min(hours * 60 + minutes, 24 * 60);
+}
+
+/**
+ * Normalize a holidays value (array of dates, JSON string, or null) into a Set of 'YYYY-MM-DD'
+ */
+function normalizeHolidays(holidays) {
+  if (!holidays) return new Set();
+  let list = holidays;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = list.split(',');
+    }
+  }
+  if (!Array.isArray(list)) return new Set();
+  return new Set(list
+    .map(d => (d instanceof Date ? d.toISOString().slice(0, 10) : String(d).trim().slice(0, 10)))
+    .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d)));
+}
+
+/**
+ * Build a window config from a campaign_sending_context row (+ optional prospect row)
+ *
+ * @param {object} context - { sending_window_start, sending_window_end, timezone, skip_weekends, holidays, use_prospect_timezone }
+ * @param {object} prospect - { timezone, location } (optional)
+ */
+function resolveWindow(context = {}, prospect = null) {
+  let timeZone = isValidTimezone(context.timezone) ? context.timezone : DEFAULT_TIMEZONE;
+
+  if (context.use_prospect_timezone && prospect) {
+    const prospectZone = isValidTimezone(prospect.timezone)
+      ? prospect.timezone
+      : inferTimezone(prospect.location);
+    if (prospectZone) timeZone = prospectZone;
+  }
+
+  return {
+    start: parseTimeOfDay(context.sending_window_start, 9 * 60),
+    end: parseTimeOfDay(context.sending_window_end, 17 * 60),
+    timeZone,
+    skipWeekends: !!context.skip_weekends,
+    holidays: normalizeHolidays(context.holidays)
+  };
+}
+
+function isSendingDay(parts, window) {
+  if (window.skipWeekends && (parts.weekday === 0 || parts.weekday === 6)) return false;
+  if (window.holidays && window.holidays.has(parts.date)) return false;
+  return true;
+}
+
+function previousDay(parts) {
+  const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - 1));
+  return { weekday: day.getUTCDay(), date: day.toISOString().slice(0, 10) };
+}
+
+/**
+ * Compute the earliest instant >= `from` that falls inside the sending window.
+ * A window whose start equals its end is treated as open all day. A window that
+ * ends before it starts runs overnight; its early hours belong to the day it
+ * opened, so weekends and holidays apply to that day.
+ *
+ * @param {Date} from
+ * @param {object} window - output of resolveWindow()
+ * @returns {Date}
+ */
+function nextSendSlot(from, window) {
+  const allDay = window.start === window.end;
+  const overnight = window.start > window.end;
+  let candidate = new Date(from);
+
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+    const parts = getZonedParts(candidate, window.timeZone);
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+
+    if (overnight && minuteOfDay < window.end && isSendingDay(previousDay(parts), window)) return candidate;
+
+    if (isSendingDay(parts, window)) {
+      if (allDay) return candidate;
+      if (minuteOfDay < window.start) {
+        return zonedTimeToUtc({
+          year: parts.year, month: parts.month, day: parts.day,
+          hour: Math.floor(window.start / 60), minute: window.start % 60
+        }, window.timeZone);
+      }
+      if (overnight || minuteOfDay < window.end) return candidate;
+    }
+
+    // Roll to the start of the next local day
+    const nextDay = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + 1));
+    candidate = zonedTimeToUtc({
+      year: nextDay.getUTCFullYear(),
+      month: nextDay.getUTCMonth() + 1,
+      day: nextDay.getUTCDate(),
+      hour: allDay ? 0 : Math.floor(window.start / 60),
+      minute: allDay ? 0 : window.start % 60
+    }, window.timeZone);
+  }
+
+  // Misconfigured window (e.g. every day is a holiday) — don't block forever
+  return new Date(from);
+}
+
+/**
+ * Check whether `date` is inside the sending window
+ */
+function isWithinWindow(date, window) {
+  return nextSendSlot(date, window).getTime() <= new Date(date).getTime();
+}
+
+/**
+ * Best-effort IANA timezone from a free-text location ("Austin, TX", "Berlin, Germany")
+ * @returns {string|null}
+ */
+function inferTimezone(location) {
+  if (!location || typeof location !== 'string') return null;
+  for (const [pattern, zone] of LOCATION_TIMEZONES) {
+    if (pattern.test(location)) return zone;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseTimeOfDay,
+  normalizeHolidays,
+  resolveWindow,
+  nextSendSlot,
+  isWithinWindow,
+  inferTimezone
+};
@@ -0,0 +1,256 @@
+/**
+ * Sequence Template Service
+ *
+ * User-defined follow-up sequences. A template holds any number of steps, each
+ * sent `days_after_initial` days after the first email and either written by AI
+ * from the step's angle instructions (content_type 'ai') or sent as fixed copy
+ * with merge tags (content_type 'fixed', see merge-tags.js).
+ *
+ * Campaigns reference a template through campaigns.sequence_template_id; the
+ * sequence job materializes the steps per prospect once the first email is sent
+ * and the sending queue schedules them. Campaigns without a template keep the
+ * built-in Day 3 / Day 7 sequence (DEFAULT_STEPS).
+ */
+
+const MAX_STEPS = 10;
+const MAX_DELAY_DAYS = 90;
+const CONTENT_TYPES = ['ai', 'fixed'];
+
+const DEFAULT_STEPS = [
+  {
+    step_number: 1,
+    days_after_initial: 3,
+    content_type: 'ai',
+    ai_instructions: 'a different value proposition angle, referencing the original email but adding new perspective on ROI',
+    subject_line: null,
+    email_body: null
+  },
+  {
+    step_number: 2,
+    days_after_initial: 7,
+    content_type: 'ai',
+    ai_instructions: 'a final breakup-style email with urgency and clear CTA, acknowledging silence but expressing genuine interest',
+    subject_line: null,
+    email_body: null
+  }
+];
+
+class SequenceTemplateService {
+  constructor(pool) {
+    this.pool = pool;
+    this.logger = console;
+  }
+
+  /**
+   * List a user's templates with their steps and the campaigns using them
+   */
+  async listTemplates(userId) {
+    const result = await this.pool.query(
+      `SELECT st.*,
+         (SELECT COUNT(*) FROM campaigns c WHERE c.sequence_template_id = st.id) as campaign_count
+       FROM sequence_templates st
+       WHERE st.user_id = $1
+       ORDER BY st.created_at ASC`,
+      [userId]
+    );
+    if (result.rows.length === 0) return [];
+
+    const steps = await this._getSteps(result.rows.map(t => t.id));
+    return result.rows.map(template => ({
+      ...template,
+      campaign_count: parseInt(template.campaign_count || 0),
+      steps: steps.filter(step => step.template_id === template.id)
+    }));
+  }
+
+  /**
+   * One template with its steps, or null
+   */
+  async getTemplate(userId, templateId) {
+    const result = await this.pool.query(
+      `SELECT * FROM sequence_templates WHERE id = $1 AND user_id = $2`,
+      [templateId, userId]
+    );
+    if (result.rows.length === 0) return null;
+    return { ...result.rows[0], steps: await this._getSteps([result.rows[0].id]) };
+  }
+
+  /**
+   * Create a template
+   *
+   * @param {object} data - { name, description, steps: [{ days_after_initial, content_type, ai_instructions, subject_line, email_body }] }
+   */
+  async createTemplate(userId, data = {}) {
+    const name = String(data.name || '').trim();
+    if (!name) throw new Error('Template name is required');
+    const steps = normalizeSteps(data.steps);
+
+    const result = await this.pool.query(
+      `INSERT INTO sequence_templates (user_id, name, description, step_count)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [userId, name.slice(0, 255), data.description || null, steps.length]
+    );
+
+    await this._insertSteps(result.rows[0].id, steps);
+    return this.getTemplate(userId, result.rows[0].id);
+  }
+
+  /**
+   * Update name/description/active flag; `steps` replaces the whole step list
+   */
+  async updateTemplate(userId, templateId, data = {}) {
+    const existing = await this.getTemplate(userId, templateId);
+    if (!existing) throw new Error('Template not found');
+
+    const updates = {};
+    if (data.name !== undefined) {
+      const name = String(data.name || '').trim();
+      if (!name) throw new Error('Template name is required');
+      updates.name = name.slice(0, 255);
+    }
+    if (data.description !== undefined) updates.description = data.description || null;
+    if (data.is_active !== undefined) updates.is_active = !!data.is_active;
+
+    let steps = null;
+    if (data.steps !== undefined) {
+      steps = normalizeSteps(data.steps);
+      updates.step_count = steps.length;
+    }
+
+    const keys = Object.keys(updates);
+    const setClause = [...keys.map((key, i) => `${key} = $${i + 3}`), 'updated_at = NOW()'].join(', ');
+    await this.pool.query(
+      `UPDATE sequence_templates SET ${setClause} WHERE id = $1 AND user_id = $2`,
+      [existing.id, userId, ...keys.map(key => updates[key])]
+    );
+
+    // Sequences already generated for prospects keep their copy; only new ones use the new steps
+    if (steps) {
+      await this.pool.query(`DELETE FROM sequence_template_steps WHERE template_id = $1`, [existing.id]);
+      await this._insertSteps(existing.id, steps);
+    }
+
+    return this.getTemplate(userId, existing.id);
+  }
+
+  /**
+   * Delete a template (campaigns using it fall back to the default sequence)
+   */
+  async deleteTemplate(userId, templateId) {
+    const result = await this.pool.query(
+      `DELETE FROM sequence_templates WHERE id = $1 AND user_id = $2 RETURNING id`,
+      [templateId, userId]
+    );
+    return { success: result.rows.length > 0 };
+  }
+
+  /**
+   * Point a campaign at a template (null restores the default sequence)
+   */
+  async assignToCampaign(userId, campaignId, templateId) {
+    if (templateId !== null && templateId !== undefined) {
+      const template = await this.getTemplate(userId, templateId);
+      if (!template) throw new Error('Template not found');
+      if (!template.is_active) throw new Error('Template is inactive');
+    }
+
+    const result = await this.pool.query(
+      `UPDATE campaigns SET sequence_template_id = $3
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, sequence_template_id`,
+      [campaignId, userId, templateId || null]
+    );
+    if (result.rows.length === 0) throw new Error('Campaign not found');
+    return result.rows[0];
+  }
+
+  /**
+   * Steps the sequence job should generate for a campaign
+   * @returns {object} { templateId, steps }
+   */
+  async getCampaignSteps(campaignId) {
+    const result = await this.pool.query(
+      `SELECT st.id
+       FROM campaigns c
+       JOIN sequence_templates st ON st.id = c.sequence_template_id AND st.is_active = TRUE
+       WHERE c.id = $1`,
+      [campaignId]
+    );
+    if (result.rows.length === 0) return { templateId: null, steps: DEFAULT_STEPS };
+
+    const templateId = result.rows[0].id;
+    return { templateId, steps: await this._getSteps([templateId]) };
+  }
+
+  // ---- Internal ----
+
+  async _getSteps(templateIds) {
+    const result = await this.pool.query(
+      `SELECT id, template_id, step_number, days_after_initial, content_type, ai_instructions, subject_line, email_body
+       FROM sequence_template_steps
+       WHERE template_id = ANY($1)
+       ORDER BY template_id ASC, step_number ASC`,
+      [templateIds]
+    );
+    return result.rows;
+  }
+
+  async _insertSteps(templateId, steps) {
+    for (const step of steps) {
+      await this.pool.query(
+        `INSERT INTO sequence_template_steps
+         (template_id, step_number, days_after_initial, content_type, ai_instructions, subject_line, email_body, step_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'followup')`,
+        [templateId, step.step_number, step.days_after_initial, step.content_type,
+          step.ai_instructions, step.subject_line, step.email_body]
+      );
+    }
+  }
+}
+
+/**
+ * Validate steps and number them in send order
+ */
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error('At least one step is required');
+  if (steps.length > MAX_STEPS) throw new Error(`A sequence can have at most ${MAX_STEPS} steps`);
+
+  const normalized = steps.map((step, i) => {
+    const label = `Step ${i + 1}`;
+    const days = parseInt(step.days_after_initial);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DELAY_DAYS) {
+      throw new Error(`${label}: days_after_initial must be between 1 and ${MAX_DELAY_DAYS}`);
+    }
+
+    const contentType = step.content_type || 'ai';
+    if (!CONTENT_TYPES.includes(contentType)) throw new Error(`${label}: content_type must be 'ai' or 'fixed'`);
+
+    const subject = step.subject_line ? String(step.subject_line).trim().slice(0, 255) : null;
+    const body = step.email_body ? String(step.email_body) : null;
+    const instructions = step.ai_instructions ? String(step.ai_instructions).trim() : null;
+
+    if (contentType === 'fixed' && !body) throw new Error(`${label}: fixed steps need an email_body`);
+    if (contentType === 'ai' && !instructions) throw new Error(`${label}: AI steps need ai_instructions`);
+
+    return {
+      days_after_initial: days,
+      content_type: contentType,
+      ai_instructions: contentType === 'ai' ? instructions : null,
+      // Blank subjects thread as "Re: <first subject>"
+      subject_line: subject,
+      email_body: contentType === 'fixed' ? body : null
+    };
+  });
+
+  normalized.sort((a, b) => a.days_after_initial - b.days_after_initial);
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].days_after_initial === normalized[i - 1].days_after_initial) {
+      throw new Error('Each step needs a different days_after_initial');
+    }
+  }
+
+  return normalized.map((step, i) => ({ ...step, step_number: i + 1 }));
+}
+
+module.exports = SequenceTemplateService;
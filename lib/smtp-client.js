@@ -0,0 +1,355 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * SMTP Client
+ *
+ * Minimal SMTP submission client for ColdEmailSender's `smtp` provider:
+ * implicit TLS (port 465) or STARTTLS, AUTH PLAIN/LOGIN, and a small pool of
+ * reusable connections per server. Connections are RSET between messages and
+ * closed after sitting idle.
+ *
+ * Options:
+ *   host, port (587), secure ('starttls' | 'tls' | 'none'), username, password,
+ *   maxConnections (3), idleTimeout ms (30000), timeout ms (30000),
+ *   rejectUnauthorized (true), clientName (EHLO hostname)
+ */
+
+const DEFAULT_PORT = { tls: 465, starttls: 587, none: 25 };
+
+class SmtpClient {
+  constructor(options = {}) {
+    if (!options.host) throw new Error('SMTP host is required');
+
+    const secure = options.secure === true ? 'tls' : (options.secure || (parseInt(options.port) === 465 ? 'tls' : 'starttls'));
+    if (!DEFAULT_PORT[secure]) throw new Error(`Invalid SMTP security mode: ${secure}`);
+
+    this.options = {
+      host: options.host,
+      port: parseInt(options.port) || DEFAULT_PORT[secure],
+      secure,
+      username: options.username || null,
+      password: options.password || null,
+      maxConnections: options.maxConnections || 3,
+      idleTimeout: options.idleTimeout || 30000,
+      timeout: options.timeout || 30000,
+      rejectUnauthorized: options.rejectUnauthorized !== false,
+      clientName: options.clientName || os.hostname() || 'localhost'
+    };
+
+    this.idle = [];
+    this.active = 0;
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Send a raw MIME message
+   *
+   * @param {object} envelope - { from, to } (bare addresses; to may be an array)
+   * @param {string} raw - CRLF message from mime-builder
+   * @returns {object} { accepted, response }
+   */
+  async send(envelope, raw) {
+    const connection = await this._acquire();
+    try {
+      const result = await connection.sendMail(envelope, raw);
+      this._release(connection);
+      return result;
+    } catch (err) {
+      // A failed transaction can leave the session in an unknown state — drop it
+      this._discard(connection);
+      throw err;
+    }
+  }
+
+  /**
+   * Check connectivity and credentials without sending
+   */
+  async verify() {
+    const connection = await this._acquire();
+    this._release(connection);
+    return true;
+  }
+
+  /**
+   * Close every pooled connection
+   */
+  async close() {
+    this.closed = true;
+    const idle = this.idle.splice(0);
+    await Promise.all(idle.map(({ connection, timer }) => {
+      clearTimeout(timer);
+      return connection.quit();
+    }));
+    for (const waiter of this.waiting.splice(0)) waiter.reject(new Error('SMTP client closed'));
+  }
+
+  // ---- Internal ----
+
+  async _acquire() {
+    if (this.closed) throw new Error('SMTP client closed');
+
+    while (this.idle.length > 0) {
+      const { connection, timer } = this.idle.pop();
+      clearTimeout(timer);
+      if (connection.isUsable()) {
+        this.active++;
+        return connection;
+      }
+    }
+
+    if (this.active >= this.options.maxConnections) {
+      await new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+      return this._acquire();
+    }
+
+    this.active++;
+    const connection = new SmtpConnection(this.options);
+    try {
+      await connection.open();
+      return connection;
+    } catch (err) {
+      connection.destroy();
+      this.active--;
+      this._wakeWaiter();
+      throw err;
+    }
+  }
+
+  _release(connection) {
+    this.active--;
+    if (this.closed || !connection.isUsable()) {
+      connection.quit();
+    } else {
+      const timer = setTimeout(() => {
+        this.idle = this.idle.filter(entry => entry.connection !== connection);
+        connection.quit();
+      }, this.options.idleTimeout);
+      if (timer.unref) timer.unref();
+      this.idle.push({ connection, timer });
+    }
+    this._wakeWaiter();
+  }
+
+  _discard(connection) {
+    this.active--;
+    connection.destroy();
+    this._wakeWaiter();
+  }
+
+  _wakeWaiter() {
+    const waiter = this.waiting.shift();
+    if (waiter) waiter.resolve();
+  }
+}
+
+/**
+ * One SMTP session. Commands are strictly sequential (no PIPELINING).
+ */
+class SmtpConnection {
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.pending = null;
+    this.extensions = {};
+    this.used = false;
+    this.ended = false;
+    this.error = null;
+  }
+
+  async open() {
+    const { host, port, secure, timeout, rejectUnauthorized } = this.options;
+
+    await new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      };
+      this.socket = secure === 'tls'
+        ? tls.connect({ host, port, servername: host, rejectUnauthorized }, onConnect)
+        : net.connect({ host, port }, onConnect);
+      this.socket.once('error', reject);
+      this.socket.setTimeout(timeout, () => this.socket.destroy(new Error('SMTP connection timeout')));
+    });
+    this._attach();
+
+    this._expect(await this._read(), 220);
+    await this._ehlo();
+
+    if (secure === 'starttls') {
+      if (!this.extensions.STARTTLS) throw new Error('SMTP server does not support STARTTLS');
+      this._expect(await this.command('STARTTLS'), 220);
+      await this._upgrade();
+      await this._ehlo();
+    }
+
+    if (this.options.username) await this._authenticate();
+  }
+
+  /**
+   * Run one mail transaction
+   */
+  async sendMail(envelope, raw) {
+    const recipients = Array.isArray(envelope.to) ? envelope.to : [envelope.to];
+
+    if (this.used) this._expect(await this.command('RSET'), 250);
+    this.used = true;
+
+    this._expect(await this.command(`MAIL FROM:<${envelope.from}>`), 250);
+    for (const recipient of recipients) {
+      this._expect(await this.command(`RCPT TO:<${recipient}>`), [250, 251]);
+    }
+    this._expect(await this.command('DATA'), 354);
+
+    const response = await this.command(`${dotStuff(raw)}\r\n.`);
+    this._expect(response, 250);
+    return { accepted: recipients, response: response.text };
+  }
+
+  async command(line) {
+    this.socket.write(`${line}\r\n`);
+    return this._read();
+  }
+
+  isUsable() {
+    return !this.ended && !this.error && this.socket && !this.socket.destroyed;
+  }
+
+  async quit() {
+    if (!this.isUsable()) return this.destroy();
+    try {
+      await this.command('QUIT');
+    } catch {
+      // Server may close before replying
+    }
+    this.destroy();
+  }
+
+  destroy() {
+    this.ended = true;
+    if (this.socket && !this.socket.destroyed) this.socket.destroy();
+  }
+
+  // ---- Internal ----
+
+  _attach() {
+    this.socket.on('data', (chunk) => this._onData(chunk));
+    this.socket.on('error', (err) => this._fail(err));
+    this.socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+  }
+
+  _detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+  }
+
+  _upgrade() {
+    const { host, rejectUnauthorized } = this.options;
+    this._detach();
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      const secured = tls.connect({ socket: plain, servername: host, rejectUnauthorized }, () => {
+        secured.removeListener('error', reject);
+        this.socket = secured;
+        this._attach();
+        resolve();
+      });
+      secured.once('error', reject);
+      secured.setTimeout(this.options.timeout, () => secured.destroy(new Error('SMTP connection timeout')));
+    });
+  }
+
+  _onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // Final line of a reply: "250 ok" (a "250-" prefix means more lines follow)
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const lines = this.lines.splice(0);
+        const reply = {
+          code: parseInt(line.slice(0, 3)),
+          lines: lines.map(l => l.slice(4)),
+          text: lines.map(l => l.slice(4)).join('\n')
+        };
+        const pending = this.pending;
+        this.pending = null;
+        if (pending) pending.resolve(reply);
+      }
+    }
+  }
+
+  _fail(err) {
+    if (!this.error) this.error = err;
+    this.ended = true;
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) pending.reject(err);
+  }
+
+  _read() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => { this.pending = { resolve, reject }; });
+  }
+
+  _expect(reply, codes) {
+    const allowed = Array.isArray(codes) ? codes : [codes];
+    if (!allowed.includes(reply.code)) {
+      const err = new Error(`SMTP error ${reply.code}: ${reply.text}`);
+      err.responseCode = reply.code;
+      throw err;
+    }
+    return reply;
+  }
+
+  async _ehlo() {
+    const reply = await this.command(`EHLO ${this.options.clientName}`);
+    if (reply.code !== 250) {
+      this._expect(await this.command(`HELO ${this.options.clientName}`), 250);
+      this.extensions = {};
+      return;
+    }
+    this.extensions = {};
+    for (const line of reply.lines.slice(1)) {
+      const [keyword, ...args] = line.trim().split(/\s+/);
+      this.extensions[keyword.toUpperCase()] = args.map(a => a.toUpperCase());
+    }
+  }
+
+  async _authenticate() {
+    const { username, password } = this.options;
+    const mechanisms = this.extensions.AUTH || [];
+
+    if (mechanisms.includes('PLAIN')) {
+      const token = Buffer.from(`\0${username}\0${password}`, 'utf8').toString('base64');
+      this._expect(await this.command(`AUTH PLAIN ${token}`), 235);
+      return;
+    }
+
+    if (mechanisms.includes('LOGIN')) {
+      this._expect(await this.command('AUTH LOGIN'), 334);
+      this._expect(await this.command(Buffer.from(username, 'utf8').toString('base64')), 334);
+      this._expect(await this.command(Buffer.from(password, 'utf8').toString('base64')), 235);
+      return;
+    }
+
+    throw new Error('SMTP server offers no supported AUTH mechanism (PLAIN, LOGIN)');
+  }
+}
+
+/**
+ * Escape lines starting with "." (RFC 5321 §4.5.2) and normalize line endings
+ */
+function dotStuff(raw) {
+  return String(raw).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+module.exports = SmtpClient;
@@ -0,0 +1,319 @@
+const zlib = require('zlib');
+
+/**
+ * Spreadsheet Parser
+ *
+ * Turns uploaded prospect lists into rows of strings for csv-import-service.js:
+ *   - CSV/TSV: encoding detection (BOM, UTF-8, falling back to Windows-1252),
+ *     delimiter detection (comma, semicolon, tab, pipe) and RFC 4180 quoting
+ *   - XLSX: first worksheet, read straight from the zip container
+ *   - multipart/form-data request bodies (the upload endpoint buffers them raw)
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Parse an uploaded file
+ *
+ * @param {Buffer} buffer
+ * @param {string} filename
+ * @returns {object} { format, rows: string[][], encoding, delimiter }
+ */
+function parseSpreadsheet(buffer, filename = '') {
+  if (isXlsx(buffer, filename)) {
+    return { format: 'xlsx', rows: parseXlsx(buffer), encoding: null, delimiter: null };
+  }
+
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  return { format: 'csv', rows: parseCsv(text, delimiter), encoding, delimiter };
+}
+
+/**
+ * Decode text bytes, detecting the encoding
+ * @returns {object} { text, encoding }
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.slice(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.slice(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.slice(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch {
+    // Excel's "CSV" export on Windows
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Pick the delimiter that splits the first lines most consistently
+ */
+function detectDelimiter(text) {
+  const sample = parseLines(text.slice(0, 64 * 1024)).slice(0, 10).filter(line => line.trim());
+  if (sample.length === 0) return ',';
+
+  let best = ',';
+  let bestScore = 0;
+  for (const delimiter of DELIMITERS) {
+    const counts = sample.map(line => countOutsideQuotes(line, delimiter));
+    const header = counts[0];
+    if (header === 0) continue;
+    const consistent = counts.filter(count => count === header).length;
+    const score = consistent * 1000 + header;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * RFC 4180 CSV (quoted fields may contain delimiters, quotes and newlines)
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * First worksheet of an XLSX workbook
+ * @returns {string[][]}
+ */
+function parseXlsx(buffer) {
+  const files = readZip(buffer);
+  const read = (name) => (files.has(name) ? files.get(name)().toString('utf8') : null);
+
+  const sharedStrings = [];
+  const stringsXml = read('xl/sharedStrings.xml');
+  if (stringsXml) {
+    for (const match of stringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(xmlText(match[1]));
+    }
+  }
+
+  const sheetXml = read(firstSheetPath(read)) || read('xl/worksheets/sheet1.xml');
+  if (!sheetXml) throw new Error('Workbook has no worksheets');
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1];
+      const inner = cell[2] || '';
+      const ref = /\br="([A-Z]+)\d+"/.exec(attrs);
+      const column = ref ? columnIndex(ref[1]) : row.length;
+      const type = (/\bt="(\w+)"/.exec(attrs) || [])[1];
+      const raw = (/<v>([\s\S]*?)<\/v>/.exec(inner) || [])[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[parseInt(raw)] || '';
+      else if (type === 'inlineStr') value = xmlText(inner);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      while (row.length < column) row.push('');
+      row[column] = value;
+    }
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => String(value).trim() !== ''));
+}
+
+/**
+ * Parse a buffered multipart/form-data body
+ * @returns {Array} [{ name, filename, contentType, data: Buffer }]
+ */
+function parseMultipartForm(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!boundary) throw new Error('Missing multipart boundary');
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+
+  const parts = [];
+  let position = body.indexOf(delimiter);
+  while (position !== -1) {
+    const start = position + delimiter.length;
+    if (body.slice(start, start + 2).toString() === '--') break;
+
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) break;
+    // Part = CRLF, headers, CRLF CRLF, data, CRLF
+    const part = body.slice(start + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const disposition = /content-disposition:([^\r\n]*)/i.exec(headers);
+      const name = disposition && /\bname="([^"]*)"/i.exec(disposition[1]);
+      const filename = disposition && /\bfilename="([^"]*)"/i.exec(disposition[1]);
+      const type = /content-type:\s*([^\r\n]*)/i.exec(headers);
+      parts.push({
+        name: name ? name[1] : null,
+        filename: filename ? filename[1] : null,
+        contentType: type ? type[1].trim() : null,
+        data: part.slice(headerEnd + 4)
+      });
+    }
+    position = next;
+  }
+
+  return parts;
+}
+
+// ---- Internal ----
+
+function isXlsx(buffer, filename) {
+  // Zip local file header
+  const zip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  return zip || /\.xlsx$/i.test(filename);
+}
+
+/**
+ * Lazily-inflated entries of a zip archive: name → () => Buffer
+ */
+function readZip(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid XLSX file');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt XLSX central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.slice(offset + 46, offset + 46 + nameLength).toString('utf8');
+
+    entries.set(name, () => {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.slice(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported XLSX compression method ${method}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function firstSheetPath(read) {
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+  if (!workbook || !rels) return null;
+
+  const sheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook);
+  if (!sheet) return null;
+  const relationship = new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`).exec(rels);
+  const target = relationship && /\bTarget="([^"]+)"/.exec(relationship[0]);
+  if (!target) return null;
+  return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1].replace(/^\.\//, '')}`;
+}
+
+function columnIndex(letters) {
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function xmlText(xml) {
+  // Skip phonetic runs (<rPh>) that Excel stores alongside East Asian text
+  const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...withoutPhonetic.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+function decodeXml(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function parseLines(text) {
+  return text.split(/\r\n|\n|\r/);
+}
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+module.exports = {
+  parseSpreadsheet,
+  decodeText,
+  detectDelimiter,
+  parseCsv,
+  parseXlsx,
+  parseMultipartForm
+};
@@ -0,0 +1,359 @@
+/**
+ * Style Memory Service
+ *
+ * Writing guidelines distilled from how reviewers change generated emails
+ * (content_revisions, see revision-service.js), kept per user and per campaign
+ * and added to the email_draft and follow_up_generation prompts:
+ *   - phrases reviewers delete (or add) in at least two emails
+ *   - emails or subject lines reviewers consistently shorten
+ *   - rejection categories seen at least twice
+ *   - the latest rejection reasons and regeneration feedback, verbatim
+ *
+ * Guidelines are re-learned when new revisions arrive. Once a user edits a list
+ * it is kept as written until reset; a reset clears it and learns only from
+ * revisions made afterwards.
+ */
+
+const RevisionService = require('./revision-service');
+
+const MIN_EVIDENCE = 2;
+const MIN_LENGTH_EDITS = 3;
+const MAX_GUIDELINES = 12;
+const MAX_FEEDBACK_NOTES = 3;
+const MAX_GUIDELINE_LENGTH = 300;
+const MAX_CHANGES = 300;
+
+const CATEGORY_GUIDELINES = {
+  tone: 'Use a plain, conversational tone; reviewers rejected drafts for tone',
+  too_long: 'Be brief: a short hook, one point and one question',
+  inaccurate: 'Only state facts that appear in the research; never guess figures',
+  irrelevant: "Tie the email to the prospect's own situation, not a generic pitch",
+  spammy: 'Avoid salesy language, hype and urgency'
+};
+
+const STOPWORDS = new Set([
+  'that', 'this', 'with', 'from', 'have', 'your', 'just', 'will', 'would', 'they',
+  'their', 'there', 'what', 'when', 'which', 'about', 'into', 'been', 'were', 'also'
+]);
+
+class StyleMemoryService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Guidelines for a campaign (or the user-wide ones when campaignId is null),
+   * re-learned first if reviewers changed anything since
+   */
+  async getMemory(userId, campaignId = null) {
+    if (campaignId) await this._assertCampaign(userId, campaignId);
+    const memory = await this.refresh(userId, campaignId);
+    return {
+      campaign_id: campaignId,
+      guidelines: memory.guidelines || [],
+      is_edited: !!memory.is_edited,
+      learned_at: memory.learned_at || null,
+      reset_at: memory.reset_at || null
+    };
+  }
+
+  /**
+   * Replace the guidelines with the user's own list (kept until reset)
+   * @param {string[]} guidelines
+   */
+  async updateGuidelines(userId, campaignId, guidelines) {
+    if (campaignId) await this._assertCampaign(userId, campaignId);
+    if (!Array.isArray(guidelines) || guidelines.length > 20) {
+      throw new Error('guidelines must be a list of at most 20 entries');
+    }
+    const entries = guidelines.map(text => String(text || '').trim()).filter(Boolean);
+    if (entries.some(text => text.length > MAX_GUIDELINE_LENGTH)) {
+      throw new Error(`Each guideline must be at most ${MAX_GUIDELINE_LENGTH} characters`);
+    }
+
+    const result = await this.pool.query(`
+      INSERT INTO style_memories (user_id, campaign_id, guidelines, is_edited)
+      VALUES ($1, $2, $3, TRUE)
+      ON CONFLICT (user_id, (COALESCE(campaign_id, 0))) DO UPDATE SET
+        guidelines = EXCLUDED.guidelines,
+        is_edited = TRUE,
+        updated_at = NOW()
+      RETURNING *
+    `, [userId, campaignId, JSON.stringify(entries.map(text => ({ text, source: 'manual' })))]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Forget the guidelines and learn again from revisions made from now on
+   */
+  async reset(userId, campaignId = null) {
+    if (campaignId) await this._assertCampaign(userId, campaignId);
+    const result = await this.pool.query(`
+      INSERT INTO style_memories (user_id, campaign_id, guidelines, is_edited, reset_at, last_revision_id)
+      VALUES ($1, $2, '[]', FALSE, NOW(), 0)
+      ON CONFLICT (user_id, (COALESCE(campaign_id, 0))) DO UPDATE SET
+        guidelines = '[]',
+        is_edited = FALSE,
+        reset_at = NOW(),
+        last_revision_id = 0,
+        learned_at = NULL,
+        updated_at = NOW()
+      RETURNING *
+    `, [userId, campaignId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Re-learn a scope's guidelines if there are revisions it hasn't seen
+   * @returns {object} The style_memories row (unsaved defaults if there is nothing to learn from)
+   */
+  async refresh(userId, campaignId = null) {
+    const existing = await this.pool.query(
+      'SELECT * FROM style_memories WHERE user_id = $1 AND COALESCE(campaign_id, 0) = COALESCE($2::int, 0)',
+      [userId, campaignId]
+    );
+    const memory = existing.rows[0] || { guidelines: [], is_edited: false, last_revision_id: 0, reset_at: null };
+    if (memory.is_edited) return memory;
+
+    const latest = await this.pool.query(`
+      SELECT COALESCE(MAX(r.id), 0) AS last_id
+      FROM content_revisions r
+      JOIN campaigns c ON r.campaign_id = c.id
+      WHERE c.user_id = $1 AND r.item_type = 'email'
+        AND r.kind IN ('edit', 'rejection', 'regenerated')
+        AND ($2::int IS NULL OR r.campaign_id = $2)
+        AND ($3::timestamptz IS NULL OR r.created_at > $3)
+    `, [userId, campaignId, memory.reset_at]);
+    const lastId = parseInt(latest.rows[0].last_id);
+    if (lastId === 0 || lastId <= (memory.last_revision_id || 0)) return memory;
+
+    const changes = await this._loadChanges(userId, campaignId, memory.reset_at);
+    const guidelines = distillGuidelines(changes);
+
+    const result = await this.pool.query(`
+      INSERT INTO style_memories (user_id, campaign_id, guidelines, last_revision_id, learned_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (user_id, (COALESCE(campaign_id, 0))) DO UPDATE SET
+        guidelines = EXCLUDED.guidelines,
+        last_revision_id = EXCLUDED.last_revision_id,
+        learned_at = NOW(),
+        updated_at = NOW()
+      WHERE style_memories.is_edited = FALSE
+      RETURNING *
+    `, [userId, campaignId, JSON.stringify(guidelines), lastId]);
+
+    return result.rows[0] || memory;
+  }
+
+  /**
+   * Prompt lines for a campaign: its own guidelines, then the user-wide ones
+   * ('' if there are none; never throws, so generation isn't blocked)
+   */
+  async forPrompt(userId, campaignId) {
+    try {
+      const scopes = campaignId ? [campaignId, null] : [null];
+      const seen = new Set();
+      const lines = [];
+      for (const scope of scopes) {
+        const memory = await this.refresh(userId, scope);
+        for (const guideline of memory.guidelines || []) {
+          const key = guideline.text.toLowerCase();
+          if (seen.has(key) || lines.length >= MAX_GUIDELINES) continue;
+          seen.add(key);
+          lines.push(`- ${guideline.text}`);
+        }
+      }
+      if (lines.length === 0) return '';
+      return `\nThis sender's reviewers keep making these changes. Follow these guidelines:\n${lines.join('\n')}\n`;
+    } catch (err) {
+      console.error('[StyleMemory] Failed to load guidelines:', err.message);
+      return '';
+    }
+  }
+
+  /**
+   * Share of reviewed emails approved without edits, per week
+   * @param {object} options - { campaignId, weeks }
+   */
+  async getApprovalMetrics(userId, { campaignId = null, weeks = 12 } = {}) {
+    if (campaignId) await this._assertCampaign(userId, campaignId);
+    const span = Math.min(Math.max(parseInt(weeks) || 12, 1), 52);
+
+    const result = await this.pool.query(`
+      SELECT DATE_TRUNC('week', ge.reviewed_at) AS week,
+             COUNT(*) AS reviewed,
+             COUNT(*) FILTER (WHERE ge.status = 'rejected') AS rejected,
+             COUNT(*) FILTER (WHERE ge.status <> 'rejected' AND edits.id IS NOT NULL) AS edited,
+             COUNT(*) FILTER (WHERE ge.status <> 'rejected' AND edits.id IS NULL) AS approved_without_edit
+      FROM generated_emails ge
+      JOIN campaigns c ON ge.campaign_id = c.id
+      LEFT JOIN LATERAL (
+        SELECT r.id FROM content_revisions r
+        WHERE r.item_type = 'email' AND r.item_id = ge.id AND r.kind = 'edit'
+        LIMIT 1
+      ) edits ON TRUE
+      WHERE c.user_id = $1
+        AND ($2::int IS NULL OR ge.campaign_id = $2)
+        AND ge.reviewed_at >= DATE_TRUNC('week', NOW()) - ($3::int - 1) * INTERVAL '1 week'
+      GROUP BY 1
+      ORDER BY 1
+    `, [userId, campaignId, span]);
+
+    const rate = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+    const totals = { reviewed: 0, approved_without_edit: 0, edited: 0, rejected: 0 };
+    const series = result.rows.map(row => {
+      const week = {
+        week: row.week,
+        reviewed: parseInt(row.reviewed),
+        approved_without_edit: parseInt(row.approved_without_edit),
+        edited: parseInt(row.edited),
+        rejected: parseInt(row.rejected)
+      };
+      for (const key of Object.keys(totals)) totals[key] += week[key];
+      return { ...week, approval_without_edit_rate: rate(week.approved_without_edit, week.reviewed) };
+    });
+
+    return {
+      weeks: series,
+      totals: { ...totals, approval_without_edit_rate: rate(totals.approved_without_edit, totals.reviewed) }
+    };
+  }
+
+  // ---- Internal ----
+
+  /**
+   * Recent email edits (with the version they replaced), rejections and regeneration feedback
+   */
+  async _loadChanges(userId, campaignId, resetAt) {
+    const result = await this.pool.query(`
+      SELECT r.id, r.item_id, r.kind, r.subject, r.body, r.reason_category, r.reason,
+             prev.subject AS previous_subject, prev.body AS previous_body
+      FROM content_revisions r
+      JOIN campaigns c ON r.campaign_id = c.id
+      LEFT JOIN LATERAL (
+        SELECT p.subject, p.body FROM content_revisions p
+        WHERE p.item_type = r.item_type AND p.item_id = r.item_id
+          AND p.revision_number < r.revision_number AND p.kind <> 'rejection'
+        ORDER BY p.revision_number DESC
+        LIMIT 1
+      ) prev ON TRUE
+      WHERE c.user_id = $1 AND r.item_type = 'email'
+        AND r.kind IN ('edit', 'rejection', 'regenerated')
+        AND ($2::int IS NULL OR r.campaign_id = $2)
+        AND ($3::timestamptz IS NULL OR r.created_at > $3)
+      ORDER BY r.id DESC
+      LIMIT ${MAX_CHANGES}
+    `, [userId, campaignId, resetAt]);
+    return result.rows;
+  }
+
+  async _assertCampaign(userId, campaignId) {
+    const result = await this.pool.query(
+      'SELECT id FROM campaigns WHERE id = $1 AND user_id = $2',
+      [campaignId, userId]
+    );
+    if (result.rows.length === 0) throw new Error('Campaign not found');
+  }
+}
+
+/**
+ * Turn revisions (newest first) into guidelines: { text, rule, evidence, source: 'learned' }
+ */
+function distillGuidelines(changes) {
+  const guidelines = [];
+  const add = (text, rule, evidence) => guidelines.push({ text, rule, evidence, source: 'learned' });
+
+  const edits = changes.filter(c => c.kind === 'edit' && c.previous_body !== null && c.previous_body !== undefined);
+  const removed = new Map();
+  const added = new Map();
+  const tally = (map, phrase, itemId) => {
+    if (!map.has(phrase)) map.set(phrase, new Set());
+    map.get(phrase).add(itemId);
+  };
+
+  for (const edit of edits) {
+    const ops = [
+      ...RevisionService.diffWords(edit.previous_subject, edit.subject),
+      ...RevisionService.diffWords(edit.previous_body, edit.body)
+    ];
+    for (const op of ops) {
+      if (op.op === 'equal') continue;
+      // A changed run can span sentences ("...you well. Saw" → "saw"); learn each part separately
+      for (const fragment of op.text.split(/[.!?;:\n]+\s*/)) {
+        const phrase = normalizePhrase(fragment);
+        if (phrase) tally(op.op === 'delete' ? removed : added, phrase, edit.item_id);
+      }
+    }
+  }
+
+  const frequent = map => [...map.entries()]
+    .filter(([, items]) => items.size >= MIN_EVIDENCE)
+    .sort((a, b) => b[1].size - a[1].size);
+  for (const [phrase, items] of frequent(removed)) add(`Avoid "${phrase}"`, 'avoid_phrase', items.size);
+  for (const [phrase, items] of frequent(added)) add(`Include "${phrase}" where it fits`, 'prefer_phrase', items.size);
+
+  // Consistent trimming
+  if (edits.length >= MIN_LENGTH_EDITS) {
+    const bodies = edits.map(e => ({ before: wordCount(e.previous_body), after: wordCount(e.body) }));
+    if (bodies.filter(b => b.after < b.before * 0.9).length > bodies.length / 2) {
+      const target = Math.ceil(median(bodies.map(b => b.after)) / 10) * 10;
+      add(`Keep the body under ${target} words`, 'body_length', bodies.length);
+    }
+
+    const subjects = edits
+      .filter(e => e.previous_subject && e.subject && e.previous_subject !== e.subject)
+      .map(e => ({ before: e.previous_subject.length, after: e.subject.length }));
+    if (subjects.length >= MIN_LENGTH_EDITS && subjects.filter(s => s.after < s.before).length > subjects.length / 2) {
+      const target = Math.ceil(median(subjects.map(s => s.after)) / 5) * 5;
+      add(`Keep subject lines under ${target} characters`, 'subject_length', subjects.length);
+    }
+  }
+
+  const categories = new Map();
+  for (const change of changes) {
+    if (change.kind === 'rejection' && CATEGORY_GUIDELINES[change.reason_category]) {
+      categories.set(change.reason_category, (categories.get(change.reason_category) || 0) + 1);
+    }
+  }
+  for (const [category, count] of [...categories.entries()].sort((a, b) => b[1] - a[1])) {
+    if (count >= MIN_EVIDENCE) add(CATEGORY_GUIDELINES[category], `rejected_${category}`, count);
+  }
+
+  // Reviewers' own words, newest first
+  const notes = new Set();
+  for (const change of changes) {
+    if (notes.size >= MAX_FEEDBACK_NOTES) break;
+    const reason = String(change.reason || '').replace(/\s+/g, ' ').trim();
+    if ((change.kind === 'rejection' || change.kind === 'regenerated') && reason) notes.add(reason.slice(0, 200));
+  }
+  for (const note of notes) add(`Reviewer feedback: "${note}"`, 'feedback', 1);
+
+  return guidelines.slice(0, MAX_GUIDELINES);
+}
+
+/**
+ * Lowercased phrase of 1-8 words without edge punctuation, or null if too generic to learn from
+ */
+function normalizePhrase(text) {
+  const phrase = String(text || '').toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[^a-z0-9$%]+|[^a-z0-9$%]+$/g, '');
+  if (!phrase) return null;
+  const words = phrase.split(' ');
+  if (words.length > 8) return null;
+  if (words.length === 1 && (phrase.length < 4 || STOPWORDS.has(phrase))) return null;
+  return phrase;
+}
+
+function wordCount(text) {
+  return (String(text || '').match(/\S+/g) || []).length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = StyleMemoryService;
@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+
+/**
+ * Tracking Service
+ *
+ * Optional open and click tracking for cold sends, switched on per campaign
+ * (campaign_sending_context.track_opens / track_clicks). At send time
+ * instrumentHtml() rewrites links to signed /t/c/<token> redirects and appends
+ * a 1x1 /t/o/<token> pixel; the public routes call recordOpen() / recordClick().
+ *
+ * Every hit is logged to email_tracking_events. Hits that are not a person
+ * reading the email — Apple Mail Privacy Protection prefetches, link scanners
+ * (Proofpoint, Mimecast, SafeLinks, ...) and clicks within seconds of the send —
+ * are kept with is_bot = TRUE and do not count towards the open/click counters
+ * on email_delivery_status.
+ *
+ * Tokens are `<base64url payload>.<base64url HMAC-SHA256>` like unsubscribe
+ * tokens; click tokens sign the destination so /t/c/ is not an open redirect.
+ */
+
+// Apple's MPP proxy fetches every image on delivery from 17.0.0.0/8
+const APPLE_PROXY_IP = /^(::ffff:)?17\./;
+
+const SCANNER_AGENTS = /proofpoint|mimecast|barracuda|safelinks|messagelabs|symantec|forcepoint|trendmicro|fireeye|ironport|sophos|zscaler|bitdefender|paloalto|urldefense|bot\b|crawler|spider|preview|python-requests|curl\/|wget|go-http-client|okhttp|headless/i;
+
+// No human clicks a link this soon after the send
+const SCANNER_CLICK_WINDOW_MS = 10 * 1000;
+
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+class TrackingService {
+  constructor(pool) {
+    this.pool = pool;
+    this.secret = process.env.TRACKING_SECRET || process.env.JWT_SECRET;
+    this.baseUrl = process.env.TRACKING_BASE_URL || process.env.APP_URL || 'https://koldly.com';
+    this.logger = console;
+  }
+
+  /**
+   * Add the open pixel and rewrite links for one queue item
+   *
+   * @param {string} html - Final body (unsubscribe footer already added)
+   * @param {object} options - { queueId, trackOpens, trackClicks }
+   */
+  instrumentHtml(html, { queueId, trackOpens = false, trackClicks = false } = {}) {
+    let output = String(html || '');
+    if (!queueId || (!trackOpens && !trackClicks)) return output;
+
+    if (trackClicks) {
+      output = output.replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi, (match, prefix, quote, href) => {
+        const url = decodeEntities(href.trim());
+        if (!this._isTrackable(url)) return match;
+        return `${prefix}${quote}${this.buildClickUrl(queueId, url)}${quote}`;
+      });
+    }
+
+    if (trackOpens) {
+      const pixel = `<img src="${this.buildOpenUrl(queueId)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+      output = /<\/body>/i.test(output) ? output.replace(/<\/body>/i, `${pixel}</body>`) : `${output}${pixel}`;
+    }
+
+    return output;
+  }
+
+  buildOpenUrl(queueId) {
+    return `${this.baseUrl}/t/o/${this.createToken({ queueId })}`;
+  }
+
+  buildClickUrl(queueId, url) {
+    return `${this.baseUrl}/t/c/${this.createToken({ queueId, url })}`;
+  }
+
+  createToken({ queueId, url = null }) {
+    if (!queueId) throw new Error('queueId is required');
+    const data = url ? { q: queueId, u: url } : { q: queueId };
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${payload}.${this._sign(payload)}`;
+  }
+
+  /**
+   * Verify a token and return { queueId, url }, or null if invalid
+   */
+  verifyToken(token) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) return null;
+    const [payload, signature] = token.split('.');
+    const expected = this._sign(payload);
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!data.q) return null;
+      return { queueId: data.q, url: data.u || null };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Record a pixel hit
+   * @param {object} request - { userAgent, ip, method }
+   * @returns {object|null} { recorded, is_bot, bot_reason } or null for an invalid token
+   */
+  async recordOpen(token, request = {}) {
+    const data = this.verifyToken(token);
+    if (!data || data.url) return null;
+    return this._record('open', data, request);
+  }
+
+  /**
+   * Record a tracked link click
+   * @returns {object|null} { recorded, is_bot, bot_reason } or null for an invalid token
+   */
+  async recordClick(token, request = {}) {
+    const data = this.verifyToken(token);
+    if (!data || !data.url) return null;
+    return this._record('click', data, request);
+  }
+
+  /**
+   * Decide whether a hit came from a person
+   * @returns {object} { isBot, reason }
+   */
+  classifyHit(eventType, { userAgent = '', ip = '', method = 'GET' } = {}, sentAt = null) {
+    if (String(method).toUpperCase() === 'HEAD') return { isBot: true, reason: 'head_request' };
+    if (!userAgent) return { isBot: true, reason: 'no_user_agent' };
+    if (SCANNER_AGENTS.test(userAgent)) return { isBot: true, reason: 'security_scanner' };
+
+    if (eventType === 'open' && APPLE_PROXY_IP.test(ip || '')) {
+      return { isBot: true, reason: 'apple_mpp' };
+    }
+
+    if (eventType === 'click' && sentAt && Date.now() - new Date(sentAt).getTime() < SCANNER_CLICK_WINDOW_MS) {
+      return { isBot: true, reason: 'too_fast' };
+    }
+
+    return { isBot: false, reason: null };
+  }
+
+  /**
+   * Human open/click totals for a campaign (bot hits reported separately)
+   */
+  async getCampaignEngagement(campaignId) {
+    const totals = await this.pool.query(
+      `SELECT
+         COUNT(*) AS sent,
+         COUNT(*) FILTER (WHERE open_count > 0) AS unique_opens,
+         COALESCE(SUM(open_count), 0) AS total_opens,
+         COUNT(*) FILTER (WHERE click_count > 0) AS unique_clicks,
+         COALESCE(SUM(click_count), 0) AS total_clicks
+       FROM email_delivery_status
+       WHERE campaign_id = $1`,
+      [campaignId]
+    );
+    const filtered = await this.pool.query(
+      `SELECT event_type, COUNT(*) AS count
+       FROM email_tracking_events
+       WHERE campaign_id = $1 AND is_bot = TRUE
+       GROUP BY event_type`,
+      [campaignId]
+    );
+
+    const row = totals.rows[0] || {};
+    const sent = parseInt(row.sent || 0);
+    const uniqueOpens = parseInt(row.unique_opens || 0);
+    const uniqueClicks = parseInt(row.unique_clicks || 0);
+    const botCount = (type) => parseInt((filtered.rows.find(r => r.event_type === type) || {}).count || 0);
+
+    return {
+      sent,
+      unique_opens: uniqueOpens,
+      total_opens: parseInt(row.total_opens || 0),
+      open_rate: rate(uniqueOpens, sent),
+      unique_clicks: uniqueClicks,
+      total_clicks: parseInt(row.total_clicks || 0),
+      click_rate: rate(uniqueClicks, sent),
+      filtered_bot_opens: botCount('open'),
+      filtered_bot_clicks: botCount('click')
+    };
+  }
+
+  /**
+   * Campaign analytics dashboard data (public/analytics.html)
+   * @returns {object|null} null when the campaign does not belong to the user
+   */
+  async getCampaignAnalytics(campaignId, userId, days = 30) {
+    const campaign = await this.pool.query(
+      `SELECT c.id, c.name, csc.track_opens, csc.track_clicks
+       FROM campaigns c
+       LEFT JOIN campaign_sending_context csc ON csc.campaign_id = c.id
+       WHERE c.id = $1 AND c.user_id = $2`,
+      [campaignId, userId]
+    );
+    if (campaign.rows.length === 0) return null;
+
+    const [engagement, totals, daily, prospects, templates, industries] = await Promise.all([
+      this.getCampaignEngagement(campaignId),
+      this.pool.query(
+        `SELECT
+           (SELECT COUNT(*) FROM prospects WHERE campaign_id = $1) AS total_prospects,
+           (SELECT COUNT(*) FROM email_delivery_status WHERE campaign_id = $1 AND delivery_status = 'bounced') AS bounces`,
+        [campaignId]
+      ),
+      this.pool.query(
+        `SELECT DATE(sent_at) AS date,
+                COUNT(*) AS emails_sent,
+                COUNT(*) FILTER (WHERE open_count > 0) AS unique_opens,
+                COUNT(*) FILTER (WHERE click_count > 0) AS unique_clicks
+         FROM email_delivery_status
+         WHERE campaign_id = $1 AND sent_at >= NOW() - ($2 || ' days')::INTERVAL
+         GROUP BY DATE(sent_at)
+         ORDER BY date DESC`,
+        [campaignId, String(days)]
+      ),
+      this.pool.query(
+        `SELECT p.id, p.company_name, p.industry,
+                COUNT(eds.id) AS emails_sent,
+                COALESCE(SUM(eds.open_count), 0) AS total_opens,
+                COALESCE(SUM(eds.click_count), 0) AS total_clicks,
+                GREATEST(MAX(eds.last_opened_at), MAX(eds.last_clicked_at)) AS last_interaction
+         FROM prospects p
+         LEFT JOIN email_delivery_status eds ON eds.prospect_id = p.id AND eds.campaign_id = p.campaign_id
+         WHERE p.campaign_id = $1
+         GROUP BY p.id, p.company_name, p.industry`,
+        [campaignId]
+      ),
+      this.pool.query(
+        `SELECT q.subject_line,
+                COUNT(*) AS sent_count,
+                COUNT(*) FILTER (WHERE eds.open_count > 0) AS unique_opens,
+                COUNT(*) FILTER (WHERE eds.click_count > 0) AS unique_clicks
+         FROM email_delivery_status eds
+         JOIN campaign_sending_queue q ON q.id = eds.queue_id
+         WHERE eds.campaign_id = $1
+         GROUP BY q.subject_line`,
+        [campaignId]
+      ),
+      this.pool.query(
+        `SELECT COALESCE(p.industry, 'Unknown') AS industry,
+                COUNT(DISTINCT p.id) AS prospect_count,
+                COUNT(eds.id) AS emails_sent,
+                COUNT(eds.id) FILTER (WHERE eds.open_count > 0) AS opens,
+                COUNT(eds.id) FILTER (WHERE eds.click_count > 0) AS clicks
+         FROM prospects p
+         LEFT JOIN email_delivery_status eds ON eds.prospect_id = p.id AND eds.campaign_id = p.campaign_id
+         WHERE p.campaign_id = $1
+         GROUP BY COALESCE(p.industry, 'Unknown')
+         ORDER BY emails_sent DESC`,
+        [campaignId]
+      )
+    ]);
+
+    const prospectEngagement = prospects.rows.map(p => {
+      const opens = parseInt(p.total_opens);
+      const clicks = parseInt(p.total_clicks);
+      const score = opens + clicks * 3;
+      return {
+        ...p,
+        emails_sent: parseInt(p.emails_sent),
+        total_opens: opens,
+        total_clicks: clicks,
+        engagement_score: score,
+        engagement_level: clicks > 0 || score >= 5 ? 'hot' : opens > 0 ? 'warm' : 'cold'
+      };
+    }).sort((a, b) => b.engagement_score - a.engagement_score);
+
+    const topTemplates = templates.rows.map(t => {
+      const sent = parseInt(t.sent_count);
+      const opens = parseInt(t.unique_opens);
+      const clicks = parseInt(t.unique_clicks);
+      return {
+        subject_line: t.subject_line,
+        sent_count: sent,
+        unique_opens: opens,
+        unique_clicks: clicks,
+        open_rate: rate(opens, sent),
+        click_rate: rate(clicks, sent),
+        engagement_score: Math.round(rate(opens, sent) + rate(clicks, sent) * 3)
+      };
+    }).sort((a, b) => b.engagement_score - a.engagement_score);
+
+    const totalsRow = totals.rows[0] || {};
+    const settings = campaign.rows[0];
+
+    return {
+      campaign: { id: settings.id, name: settings.name },
+      tracking: { opens: !!settings.track_opens, clicks: !!settings.track_clicks },
+      summary: {
+        total_prospects: parseInt(totalsRow.total_prospects || 0),
+        emails_sent: engagement.sent,
+        overall_open_rate: engagement.open_rate,
+        overall_click_rate: engagement.click_rate,
+        bounces: parseInt(totalsRow.bounces || 0),
+        filtered_bot_opens: engagement.filtered_bot_opens,
+        filtered_bot_clicks: engagement.filtered_bot_clicks
+      },
+      performance_over_time: daily.rows.map(d => ({
+        date: d.date,
+        emails_sent: parseInt(d.emails_sent),
+        unique_opens: parseInt(d.unique_opens),
+        unique_clicks: parseInt(d.unique_clicks)
+      })),
+      prospect_engagement: prospectEngagement,
+      top_templates: topTemplates,
+      industry_performance: industries.rows.map(i => ({
+        industry: i.industry,
+        prospect_count: parseInt(i.prospect_count),
+        emails_sent: parseInt(i.emails_sent),
+        opens: parseInt(i.opens),
+        clicks: parseInt(i.clicks),
+        open_rate: rate(parseInt(i.opens), parseInt(i.emails_sent)),
+        click_rate: rate(parseInt(i.clicks), parseInt(i.emails_sent))
+      }))
+    };
+  }
+
+  /**
+   * 1x1 transparent GIF served by the open pixel route
+   */
+  static get pixel() {
+    return TRACKING_PIXEL;
+  }
+
+  // ---- Internal ----
+
+  async _record(eventType, { queueId, url }, request) {
+    const result = await this.pool.query(
+      `SELECT id, campaign_id, prospect_id, sent_at FROM campaign_sending_queue WHERE id = $1`,
+      [queueId]
+    );
+    if (result.rows.length === 0) return { recorded: false };
+    const item = result.rows[0];
+
+    const { isBot, reason } = this.classifyHit(eventType, request, item.sent_at);
+
+    await this.pool.query(
+      `INSERT INTO email_tracking_events
+       (queue_id, campaign_id, prospect_id, event_type, url, user_agent, ip_address, is_bot, bot_reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [item.id, item.campaign_id, item.prospect_id, eventType, url,
+        request.userAgent ? String(request.userAgent).slice(0, 500) : null, request.ip || null, isBot, reason]
+    );
+
+    if (!isBot) {
+      // A human click implies an open, even when images were blocked
+      await this.pool.query(
+        eventType === 'open'
+          ? `UPDATE email_delivery_status
+             SET open_count = open_count + 1, first_opened_at = COALESCE(first_opened_at, NOW()),
+                 last_opened_at = NOW(), updated_at = NOW()
+             WHERE queue_id = $1`
+          : `UPDATE email_delivery_status
+             SET click_count = click_count + 1, first_clicked_at = COALESCE(first_clicked_at, NOW()),
+                 last_clicked_at = NOW(), open_count = GREATEST(open_count, 1),
+                 first_opened_at = COALESCE(first_opened_at, NOW()), last_opened_at = COALESCE(last_opened_at, NOW()),
+                 updated_at = NOW()
+             WHERE queue_id = $1`,
+        [item.id]
+      );
+    }
+
+    return { recorded: true, is_bot: isBot, bot_reason: reason };
+  }
+
+  _isTrackable(url) {
+    if (!/^https?:\/\//i.test(url)) return false;
+    // Unsubscribe links must reach the recipient untouched (and already carry their own token)
+    if (/\/unsubscribe(\/|\?|$)/i.test(url)) return false;
+    return !url.startsWith(`${this.baseUrl}/t/`);
+  }
+
+  _sign(payload) {
+    if (!this.secret) throw new Error('TRACKING_SECRET or JWT_SECRET must be set');
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+module.exports = TrackingService;
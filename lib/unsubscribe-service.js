@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+
+/**
+ * Unsubscribe Service
+ *
+ * Signed per-recipient unsubscribe tokens and the per-user suppression list.
+ * A suppressed email (or domain) is never queued again in any of the user's
+ * campaigns — the sending queue, CSV import and discovery all check here.
+ *
+ * Tokens are `<base64url payload>.<base64url HMAC-SHA256>` and do not expire
+ * (CAN-SPAM requires links to keep working for at least 30 days after send).
+ */
+class UnsubscribeService {
+  constructor(pool) {
+    this.pool = pool;
+    this.secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    this.baseUrl = process.env.APP_URL || 'https://koldly.com';
+    this.logger = console;
+  }
+
+  /**
+   * Create a signed unsubscribe token for one recipient
+   */
+  createToken({ userId, campaignId = null, prospectId = null, email }) {
+    if (!userId || !email) throw new Error('userId and email are required');
+    const payload = Buffer.from(JSON.stringify({
+      u: userId,
+      c: campaignId,
+      p: prospectId,
+      e: String(email).trim().toLowerCase()
+    })).toString('base64url');
+    return `${payload}.${this._sign(payload)}`;
+  }
+
+  /**
+   * Verify a token and return { userId, campaignId, prospectId, email }, or null if invalid
+   */
+  verifyToken(token) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) return null;
+    const [payload, signature] = token.split('.');
+    const expected = this._sign(payload);
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!data.u || !data.e) return null;
+      return { userId: data.u, campaignId: data.c || null, prospectId: data.p || null, email: data.e };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Public unsubscribe URL for a recipient (used in the footer and List-Unsubscribe header)
+   */
+  buildUnsubscribeUrl(params) {
+    return `${this.baseUrl}/unsubscribe/${this.createToken(params)}`;
+  }
+
+  /**
+   * Process an unsubscribe request from a signed token
+   * @returns {object} { success, email } or { success: false, error }
+   */
+  async unsubscribe(token, source = 'link') {
+    const data = this.verifyToken(token);
+    if (!data) return { success: false, error: 'Invalid or expired unsubscribe link' };
+
+    await this.suppress(data.userId, data.email, {
+      reason: 'unsubscribed',
+      source,
+      campaignId: data.campaignId
+    });
+
+    return { success: true, email: data.email };
+  }
+
+  /**
+   * Add an email or domain to a user's suppression list and cancel anything still queued to it
+   *
+   * @param {number} userId
+   * @param {string} value - email address, or domain when options.type === 'domain'
+   * @param {object} options - { type: 'email'|'domain', reason, source, campaignId }
+   */
+  async suppress(userId, value, options = {}) {
+    const type = options.type === 'domain' ? 'domain' : 'email';
+    const normalized = type === 'domain' ? normalizeDomain(value) : normalizeEmail(value);
+    if (!normalized) throw new Error(`Invalid ${type}: ${value}`);
+
+    await this.pool.query(
+      `INSERT INTO suppression_list (user_id, entry_type, value, reason, source, campaign_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id, entry_type, value) DO NOTHING`,
+      [userId, type, normalized, options.reason || 'unsubscribed', options.source || null, options.campaignId || null]
+    );
+
+    const match = type === 'domain'
+      ? `SPLIT_PART(LOWER(q.recipient_email), '@', 2) = $2`
+      : `LOWER(q.recipient_email) = $2`;
+
+    // Cancel pending sends across every campaign of this user
+    const cancelled = await this.pool.query(
+      `UPDATE campaign_sending_queue q
+       SET status = 'cancelled', error_message = 'Recipient suppressed', updated_at = NOW()
+       FROM campaigns c
+       WHERE q.campaign_id = c.id AND c.user_id = $1
+         AND q.status IN ('pending', 'failed') AND ${match}`,
+      [userId, normalized]
+    );
+
+    if (type === 'email') {
+      await this.pool.query(
+        `UPDATE prospects p SET status = 'unsubscribed'
+         FROM campaigns c
+         WHERE p.campaign_id = c.id AND c.user_id = $1 AND LOWER(p.email) = $2`,
+        [userId, normalized]
+      ).catch(err => this.logger.error('[Unsubscribe] Prospect status update failed:', err.message));
+    }
+
+    this.logger.log(`[Unsubscribe] Suppressed ${type} ${normalized} for user ${userId} (${cancelled.rowCount || 0} queued sends cancelled)`);
+    return { success: true, type, value: normalized, cancelled: cancelled.rowCount || 0 };
+  }
+
+  /**
+   * Check whether an email (or its domain) is suppressed for a user
+   */
+  async isSuppressed(userId, email) {
+    const suppressed = await this.filterSuppressed(userId, [email]);
+    return suppressed.size > 0;
+  }
+
+  /**
+   * Return the subset of emails that are suppressed for a user (as a Set of lowercased emails)
+   */
+  async filterSuppressed(userId, emails) {
+    const normalized = [...new Set((emails || []).map(normalizeEmail).filter(Boolean))];
+    if (normalized.length === 0) return new Set();
+
+    const domains = [...new Set(normalized.map(e => e.split('@')[1]))];
+    const result = await this.pool.query(
+      `SELECT entry_type, value FROM suppression_list
+       WHERE user_id = $1 AND (
+         (entry_type = 'email' AND value = ANY($2)) OR
+         (entry_type = 'domain' AND value = ANY($3))
+       )`,
+      [userId, normalized, domains]
+    );
+
+    const emailSet = new Set(result.rows.filter(r => r.entry_type === 'email').map(r => r.value));
+    const domainSet = new Set(result.rows.filter(r => r.entry_type === 'domain').map(r => r.value));
+    return new Set(normalized.filter(e => emailSet.has(e) || domainSet.has(e.split('@')[1])));
+  }
+
+  /**
+   * Check whether a domain (or website URL) is suppressed for a user
+   */
+  async isDomainSuppressed(userId, domainOrUrl) {
+    const domain = normalizeDomain(domainOrUrl);
+    if (!domain) return false;
+    const result = await this.pool.query(
+      `SELECT 1 FROM suppression_list WHERE user_id = $1 AND entry_type = 'domain' AND value = $2`,
+      [userId, domain]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * List a user's suppression entries (newest first)
+   */
+  async listSuppressions(userId, { limit = 100, offset = 0 } = {}) {
+    const result = await this.pool.query(
+      `SELECT id, entry_type, value, reason, source, campaign_id, created_at
+       FROM suppression_list WHERE user_id = $1
+       ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+      [userId, Math.min(limit, 500), offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Remove a suppression entry (manual re-subscribe by the account owner)
+   */
+  async removeSuppression(userId, suppressionId) {
+    const result = await this.pool.query(
+      `DELETE FROM suppression_list WHERE id = $1 AND user_id = $2 RETURNING id`,
+      [suppressionId, userId]
+    );
+    return { success: result.rows.length > 0 };
+  }
+
+  /**
+   * Normalize a domain, email or website URL to a bare domain ("https://www.acme.io/x" → "acme.io")
+   */
+  static normalizeDomain(value) {
+    return normalizeDomain(value);
+  }
+
+  // ---- Internal ----
+
+  _sign(payload) {
+    if (!this.secret) throw new Error('UNSUBSCRIBE_SECRET or JWT_SECRET must be set');
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+function normalizeEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+  const value = email.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+function normalizeDomain(value) {
+  if (!value || typeof value !== 'string') return null;
+  let domain = value.trim().toLowerCase();
+  if (domain.includes('@')) domain = domain.split('@').pop();
+  domain = domain.replace(/^[a-z]+:\/\//, '').split('/')[0].split(':')[0].replace(/^www\./, '');
+  return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+module.exports = UnsubscribeService;
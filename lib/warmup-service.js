@@ -0,0 +1,398 @@
+const { getZonedParts, isValidTimezone } = require('./sending-window');
+
+/**
+ * Warmup Service
+ *
+ * Drives daily sending volume from email_warmup_plans. A ramp schedule is
+ * generated when a campaign (or mailbox) starts; the sending queue caps each
+ * day at the current plan day's max_emails_per_day.
+ *
+ * Once per local day (campaign timezone; UTC for mailboxes) the rollover job
+ * resets daily counters, checks recent bounce/complaint rates and then either
+ * advances the ramp (healthy), holds it (slowed) or stops sending (frozen).
+ * Only a day that actually sent advances the ramp, so a paused or idle sender
+ * picks up where it left off. Frozen ramps stay frozen until resumed by the user.
+ */
+
+const RAMP_DEFAULTS = {
+  startVolume: 5,
+  growth: 1.25,
+  maxDays: 45
+};
+
+// Rates over the trailing window that slow or freeze the ramp
+const HEALTH_THRESHOLDS = {
+  windowDays: 7,
+  minSends: 10,
+  slowBounceRate: 0.03,
+  freezeBounceRate: 0.06,
+  slowComplaintRate: 0.001,
+  freezeComplaintRate: 0.003
+};
+
+class WarmupService {
+  constructor(pool) {
+    this.pool = pool;
+    this.logger = console;
+  }
+
+  /**
+   * Build a ramp schedule from startVolume up to targetVolume
+   * @returns {Array} [{ day_number, max_emails_per_day }]
+   */
+  buildRamp(targetVolume, options = {}) {
+    const { startVolume, growth, maxDays } = { ...RAMP_DEFAULTS, ...options };
+    const target = Math.max(1, parseInt(targetVolume) || 1);
+    const ramp = [];
+
+    let volume = Math.min(startVolume, target);
+    for (let day = 1; day <= maxDays; day++) {
+      ramp.push({ day_number: day, max_emails_per_day: Math.round(volume) });
+      if (Math.round(volume) >= target) break;
+      // Always grow by at least one email/day so short ramps still finish
+      volume = Math.min(target, Math.max(volume * growth, volume + 1));
+    }
+
+    return ramp;
+  }
+
+  /**
+   * Generate (or extend) a campaign's ramp. Keeps the current ramp day on restart.
+   */
+  async startCampaignWarmup(campaignId, targetVolume) {
+    const ramp = this.buildRamp(targetVolume);
+    for (const step of ramp) {
+      await this.pool.query(
+        `INSERT INTO email_warmup_plans (campaign_id, day_number, max_emails_per_day)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (campaign_id, day_number) DO UPDATE SET max_emails_per_day = $3, updated_at = NOW()`,
+        [campaignId, step.day_number, step.max_emails_per_day]
+      );
+    }
+    // Trim days beyond the new ramp (e.g. the daily limit was lowered)
+    await this.pool.query(
+      `DELETE FROM email_warmup_plans WHERE campaign_id = $1 AND mailbox_id IS NULL AND day_number > $2`,
+      [campaignId, ramp.length]
+    );
+    return { days: ramp.length, schedule: ramp };
+  }
+
+  /**
+   * Generate a mailbox's ramp and mark it as warming from day 1
+   */
+  async startMailboxWarmup(mailboxId, targetVolume) {
+    const ramp = this.buildRamp(targetVolume);
+    await this.pool.query(`DELETE FROM email_warmup_plans WHERE mailbox_id = $1`, [mailboxId]);
+    for (const step of ramp) {
+      await this.pool.query(
+        `INSERT INTO email_warmup_plans (mailbox_id, day_number, max_emails_per_day)
+         VALUES ($1, $2, $3)`,
+        [mailboxId, step.day_number, step.max_emails_per_day]
+      );
+    }
+    await this.pool.query(
+      `UPDATE sender_mailboxes
+       SET warmup_status = 'warming', warmup_day = 1, warmup_started_at = NOW(),
+           warmup_status_reason = NULL, warmup_advanced_on = CURRENT_DATE, updated_at = NOW()
+       WHERE id = $1`,
+      [mailboxId]
+    );
+    return { days: ramp.length, schedule: ramp };
+  }
+
+  /**
+   * Today's send cap for a campaign (daily_send_limit, lowered by the warmup ramp)
+   *
+   * @param {object} context - { campaign_id, daily_send_limit, warmup_enabled, warmup_day, warmup_status }
+   */
+  async getCampaignDailyCap(context) {
+    const limit = parseInt(context.daily_send_limit) || 0;
+    if (!context.warmup_enabled || context.warmup_status === 'completed') return limit;
+    if (context.warmup_status === 'frozen') return 0;
+
+    const result = await this.pool.query(
+      `SELECT max_emails_per_day FROM email_warmup_plans
+       WHERE campaign_id = $1 AND mailbox_id IS NULL AND day_number = $2`,
+      [context.campaign_id, context.warmup_day || 1]
+    );
+
+    // Past the end of the ramp (or no plan) — full volume
+    if (result.rows.length === 0) return limit;
+    return Math.min(limit, result.rows[0].max_emails_per_day);
+  }
+
+  /**
+   * Count a send against today's plan rows (reporting)
+   */
+  async recordSend(campaignId, warmupDay, mailbox = null) {
+    await this.pool.query(
+      `UPDATE email_warmup_plans SET current_emails_sent_today = current_emails_sent_today + 1, updated_at = NOW()
+       WHERE campaign_id = $1 AND mailbox_id IS NULL AND day_number = $2`,
+      [campaignId, warmupDay || 1]
+    );
+    if (mailbox && ['warming', 'slowed'].includes(mailbox.warmup_status)) {
+      await this.pool.query(
+        `UPDATE email_warmup_plans SET current_emails_sent_today = current_emails_sent_today + 1, updated_at = NOW()
+         WHERE mailbox_id = $1 AND day_number = $2`,
+        [mailbox.id, mailbox.warmup_day || 1]
+      );
+    }
+  }
+
+  /**
+   * Classify bounce/complaint rates into a ramp state
+   * @returns {object} { state: 'healthy'|'slowed'|'frozen', bounce_rate, complaint_rate, reason }
+   */
+  classifyHealth({ sent, bounced, complained }) {
+    const sends = parseInt(sent) || 0;
+    if (sends < HEALTH_THRESHOLDS.minSends) {
+      return { state: 'healthy', bounce_rate: 0, complaint_rate: 0, reason: null };
+    }
+
+    const bounceRate = (parseInt(bounced) || 0) / sends;
+    const complaintRate = (parseInt(complained) || 0) / sends;
+    const pct = (rate) => `${(rate * 100).toFixed(2)}%`;
+
+    if (bounceRate >= HEALTH_THRESHOLDS.freezeBounceRate || complaintRate >= HEALTH_THRESHOLDS.freezeComplaintRate) {
+      return { state: 'frozen', bounce_rate: bounceRate, complaint_rate: complaintRate,
+        reason: `Ramp frozen: bounce rate ${pct(bounceRate)}, complaint rate ${pct(complaintRate)}` };
+    }
+    if (bounceRate >= HEALTH_THRESHOLDS.slowBounceRate || complaintRate >= HEALTH_THRESHOLDS.slowComplaintRate) {
+      return { state: 'slowed', bounce_rate: bounceRate, complaint_rate: complaintRate,
+        reason: `Ramp slowed: bounce rate ${pct(bounceRate)}, complaint rate ${pct(complaintRate)}` };
+    }
+    return { state: 'healthy', bounce_rate: bounceRate, complaint_rate: complaintRate, reason: null };
+  }
+
+  /**
+   * Daily rollover: reset counters at each campaign's local midnight and move the ramps.
+   * Safe to run every few minutes — each campaign/mailbox rolls over once per local day.
+   */
+  async runDailyRollover(now = new Date()) {
+    const stats = { campaigns: 0, mailboxes: 0, slowed: 0, frozen: 0 };
+
+    const contexts = await this.pool.query(
+      `SELECT campaign_id, status, timezone, counters_reset_on, emails_sent_today, warmup_enabled, warmup_day,
+              warmup_status, warmup_status_reason
+       FROM campaign_sending_context`
+    );
+
+    for (const context of contexts.rows) {
+      const timeZone = isValidTimezone(context.timezone) ? context.timezone : 'UTC';
+      const localDate = getZonedParts(now, timeZone).date;
+      const lastReset = context.counters_reset_on ? toDateString(context.counters_reset_on) : null;
+      if (lastReset === localDate) continue;
+
+      try {
+        const outcome = await this._rollCampaign(context, localDate, lastReset !== null);
+        stats.campaigns++;
+        if (outcome === 'slowed') stats.slowed++;
+        if (outcome === 'frozen') stats.frozen++;
+      } catch (err) {
+        this.logger.error(`[Warmup] Rollover failed for campaign ${context.campaign_id}:`, err.message);
+      }
+    }
+
+    const mailboxes = await this.pool.query(
+      `SELECT m.id, m.status, m.warmup_day, m.warmup_status, m.warmup_status_reason,
+              (SELECT wp.current_emails_sent_today FROM email_warmup_plans wp
+               WHERE wp.mailbox_id = m.id AND wp.day_number = m.warmup_day) as sent_today
+       FROM sender_mailboxes m
+       WHERE warmup_status IN ('warming', 'slowed')
+         AND (warmup_advanced_on IS NULL OR warmup_advanced_on < CURRENT_DATE)`
+    );
+
+    for (const mailbox of mailboxes.rows) {
+      try {
+        const outcome = await this._rollMailbox(mailbox);
+        stats.mailboxes++;
+        if (outcome === 'slowed') stats.slowed++;
+        if (outcome === 'frozen') stats.frozen++;
+      } catch (err) {
+        this.logger.error(`[Warmup] Rollover failed for mailbox ${mailbox.id}:`, err.message);
+      }
+    }
+
+    if (stats.campaigns || stats.mailboxes) {
+      this.logger.log(`[Warmup] Rollover: ${stats.campaigns} campaigns, ${stats.mailboxes} mailboxes (${stats.slowed} slowed, ${stats.frozen} frozen)`);
+    }
+    return stats;
+  }
+
+  /**
+   * Unfreeze a campaign ramp after the user has dealt with the cause
+   */
+  async resumeCampaignWarmup(campaignId, userId) {
+    const result = await this.pool.query(
+      `UPDATE campaign_sending_context
+       SET warmup_status = 'ramping', warmup_status_reason = NULL, updated_at = NOW()
+       WHERE campaign_id = $1 AND warmup_status IN ('slowed', 'frozen')
+         AND EXISTS (SELECT 1 FROM campaigns WHERE id = $1 AND user_id = $2)`,
+      [campaignId, userId]
+    );
+    return { success: result.rowCount > 0 };
+  }
+
+  /**
+   * Ramp state and schedule for a campaign
+   */
+  async getCampaignWarmup(campaignId, userId) {
+    const context = await this.pool.query(
+      `SELECT csc.campaign_id, csc.daily_send_limit, csc.emails_sent_today, csc.warmup_enabled,
+              csc.warmup_day, csc.warmup_status, csc.warmup_status_reason, csc.counters_reset_on
+       FROM campaign_sending_context csc
+       JOIN campaigns c ON c.id = csc.campaign_id
+       WHERE csc.campaign_id = $1 AND c.user_id = $2`,
+      [campaignId, userId]
+    );
+    if (context.rows.length === 0) return null;
+
+    const schedule = await this.pool.query(
+      `SELECT day_number, max_emails_per_day, current_emails_sent_today
+       FROM email_warmup_plans
+       WHERE campaign_id = $1 AND mailbox_id IS NULL
+       ORDER BY day_number ASC`,
+      [campaignId]
+    );
+
+    const state = context.rows[0];
+    return {
+      ...state,
+      today_cap: await this.getCampaignDailyCap(state),
+      schedule: schedule.rows
+    };
+  }
+
+  // ---- Internal ----
+
+  async _rollCampaign(context, localDate, hadPreviousDay) {
+    let status = context.warmup_status || 'ramping';
+    let day = context.warmup_day || 1;
+    let reason = context.warmup_status_reason || null;
+
+    // Paused campaigns keep their ramp where it is
+    if (context.warmup_enabled && hadPreviousDay && context.status === 'active' && status !== 'completed') {
+      const health = this.classifyHealth(await this._campaignRates(context.campaign_id));
+
+      if (status === 'frozen' || health.state === 'frozen') {
+        // Frozen ramps need a manual resume
+        status = 'frozen';
+        if (health.state === 'frozen') reason = health.reason;
+      } else if (health.state === 'slowed') {
+        status = 'slowed';
+        reason = health.reason;
+      } else {
+        status = 'ramping';
+        reason = null;
+        if (parseInt(context.emails_sent_today) > 0) {
+          day += 1;
+          const planLength = await this.pool.query(
+            `SELECT COALESCE(MAX(day_number), 0) as days FROM email_warmup_plans
+             WHERE campaign_id = $1 AND mailbox_id IS NULL`,
+            [context.campaign_id]
+          );
+          if (day > parseInt(planLength.rows[0].days)) status = 'completed';
+        }
+      }
+    }
+
+    await this.pool.query(
+      `UPDATE campaign_sending_context
+       SET emails_sent_today = 0, counters_reset_on = $2, warmup_day = $3, warmup_status = $4,
+           warmup_status_reason = $5, updated_at = NOW()
+       WHERE campaign_id = $1`,
+      [context.campaign_id, localDate, day, status, reason]
+    );
+    await this.pool.query(
+      `UPDATE email_warmup_plans SET current_emails_sent_today = 0
+       WHERE campaign_id = $1 AND mailbox_id IS NULL AND current_emails_sent_today > 0`,
+      [context.campaign_id]
+    );
+
+    if (status !== context.warmup_status && (status === 'slowed' || status === 'frozen')) {
+      this.logger.warn(`[Warmup] Campaign ${context.campaign_id}: ${reason}`);
+    }
+    return status;
+  }
+
+  async _rollMailbox(mailbox) {
+    let day = mailbox.warmup_day || 1;
+    if (mailbox.status !== 'active') {
+      // Paused mailboxes keep their ramp where it is
+      await this._resetMailboxDay(mailbox.id, day, mailbox.warmup_status, mailbox.warmup_status_reason);
+      return mailbox.warmup_status;
+    }
+
+    const health = this.classifyHealth(await this._mailboxRates(mailbox.id));
+    let status = 'warming';
+
+    if (health.state === 'frozen') {
+      status = 'frozen';
+    } else if (health.state === 'slowed') {
+      status = 'slowed';
+    } else if (parseInt(mailbox.sent_today) > 0) {
+      day += 1;
+      const planLength = await this.pool.query(
+        `SELECT COALESCE(MAX(day_number), 0) as days FROM email_warmup_plans WHERE mailbox_id = $1`,
+        [mailbox.id]
+      );
+      if (day > parseInt(planLength.rows[0].days)) status = 'warmed';
+    }
+
+    await this._resetMailboxDay(mailbox.id, day, status, health.reason);
+    return status;
+  }
+
+  async _resetMailboxDay(mailboxId, day, status, reason) {
+    await this.pool.query(
+      `UPDATE sender_mailboxes
+       SET warmup_day = $2, warmup_status = $3, warmup_status_reason = $4,
+           warmup_advanced_on = CURRENT_DATE, updated_at = NOW()
+       WHERE id = $1`,
+      [mailboxId, day, status, reason]
+    );
+    await this.pool.query(
+      `UPDATE email_warmup_plans SET current_emails_sent_today = 0
+       WHERE mailbox_id = $1 AND current_emails_sent_today > 0`,
+      [mailboxId]
+    );
+  }
+
+  async _campaignRates(campaignId) {
+    const result = await this.pool.query(
+      `SELECT
+        (SELECT COUNT(*) FROM campaign_sending_queue
+         WHERE campaign_id = $1 AND status = 'sent' AND sent_at > NOW() - ($2 || ' days')::INTERVAL) as sent,
+        (SELECT COUNT(*) FROM email_bounces
+         WHERE campaign_id = $1 AND bounce_type IN ('hard', 'soft') AND created_at > NOW() - ($2 || ' days')::INTERVAL) as bounced,
+        (SELECT COUNT(*) FROM email_bounces
+         WHERE campaign_id = $1 AND bounce_type = 'complaint' AND created_at > NOW() - ($2 || ' days')::INTERVAL) as complained`,
+      [campaignId, String(HEALTH_THRESHOLDS.windowDays)]
+    );
+    return result.rows[0];
+  }
+
+  async _mailboxRates(mailboxId) {
+    const result = await this.pool.query(
+      `SELECT
+        (SELECT COUNT(*) FROM campaign_sending_queue
+         WHERE mailbox_id = $1 AND status = 'sent' AND sent_at > NOW() - ($2 || ' days')::INTERVAL) as sent,
+        (SELECT COUNT(*) FROM email_bounces b JOIN campaign_sending_queue q ON q.id = b.queue_id
+         WHERE q.mailbox_id = $1 AND b.bounce_type IN ('hard', 'soft') AND b.created_at > NOW() - ($2 || ' days')::INTERVAL) as bounced,
+        (SELECT COUNT(*) FROM email_bounces b JOIN campaign_sending_queue q ON q.id = b.queue_id
+         WHERE q.mailbox_id = $1 AND b.bounce_type = 'complaint' AND b.created_at > NOW() - ($2 || ' days')::INTERVAL) as complained`,
+      [mailboxId, String(HEALTH_THRESHOLDS.windowDays)]
+    );
+    return result.rows[0];
+  }
+}
+
+function toDateString(value) {
+  if (value instanceof Date) {
+    // pg returns DATE columns as local-midnight Dates
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+module.exports = WarmupService;
@@ -0,0 +1,23 @@
+module.exports = {
+  name: 'add_sending_window_settings',
+  up: async (client) => {
+    // Weekend/holiday skipping and per-prospect timezone for sending windows
+    await client.query(`
+      ALTER TABLE campaign_sending_context
+        ADD COLUMN IF NOT EXISTS skip_weekends BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS holidays JSONB DEFAULT '[]'::jsonb,
+        ADD COLUMN IF NOT EXISTS use_prospect_timezone BOOLEAN DEFAULT FALSE
+    `);
+
+    // Explicit IANA timezone per prospect (falls back to inference from location)
+    await client.query(`
+      ALTER TABLE prospects
+        ADD COLUMN IF NOT EXISTS timezone VARCHAR(50)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_campaign_sending_queue_pending_scheduled
+        ON campaign_sending_queue(scheduled_for) WHERE status = 'pending'
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  name: 'add_suppression_list',
+  up: async (client) => {
+    // Per-user suppression list: an email (or whole domain) listed here is
+    // never queued again in any of that user's campaigns.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS suppression_list (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        entry_type VARCHAR(10) NOT NULL DEFAULT 'email' CHECK (entry_type IN ('email', 'domain')),
+        value VARCHAR(255) NOT NULL,
+        reason VARCHAR(50) NOT NULL DEFAULT 'unsubscribed',
+        source VARCHAR(50),
+        campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(user_id, entry_type, value)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS suppression_list_user_value_idx ON suppression_list(user_id, value)`);
+  }
+};
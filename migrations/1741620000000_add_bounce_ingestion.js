@@ -0,0 +1,40 @@
+module.exports = {
+  name: 'add_bounce_ingestion',
+  up: async (client) => {
+    // Cold-path sends have no generated_email_id for follow-ups — link by queue item instead
+    await client.query(`
+      ALTER TABLE email_bounces
+        ALTER COLUMN generated_email_id DROP NOT NULL,
+        ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS prospect_id INTEGER REFERENCES prospects(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS queue_id INTEGER REFERENCES campaign_sending_queue(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS esp_message_id VARCHAR(255)
+    `);
+
+    await client.query(`
+      ALTER TABLE email_delivery_status
+        ALTER COLUMN generated_email_id DROP NOT NULL,
+        ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS prospect_id INTEGER REFERENCES prospects(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS queue_id INTEGER REFERENCES campaign_sending_queue(id) ON DELETE SET NULL
+    `);
+
+    // ESP message id returned at send time — the key bounce/complaint notifications refer to
+    await client.query(`
+      ALTER TABLE campaign_sending_queue
+        ADD COLUMN IF NOT EXISTS esp_message_id VARCHAR(255)
+    `);
+
+    // Auto-pause when a campaign's bounce rate crosses this threshold (fraction of sends)
+    await client.query(`
+      ALTER TABLE campaign_sending_context
+        ADD COLUMN IF NOT EXISTS bounce_rate_threshold NUMERIC(5,4) DEFAULT 0.05,
+        ADD COLUMN IF NOT EXISTS paused_reason TEXT
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_sending_queue_esp_message_idx ON campaign_sending_queue(esp_message_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS delivery_status_message_id_idx ON email_delivery_status(message_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS bounces_campaign_idx ON email_bounces(campaign_id)`);
+  }
+};
@@ -0,0 +1,48 @@
+module.exports = {
+  name: 'add_sender_mailboxes',
+  up: async (client) => {
+    // Per-user registry of sending mailboxes, each with its own ESP credentials
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sender_mailboxes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        display_name VARCHAR(255),
+        reply_to_email VARCHAR(255),
+        provider VARCHAR(50),
+        credentials_encrypted TEXT,
+        daily_limit INTEGER DEFAULT 40,
+        sent_today INTEGER DEFAULT 0,
+        sent_today_date DATE,
+        last_sent_at TIMESTAMPTZ,
+        warmup_status VARCHAR(20) DEFAULT 'not_started' CHECK (warmup_status IN ('not_started', 'warming', 'warmed', 'paused')),
+        warmup_started_at TIMESTAMPTZ,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'paused', 'error')),
+        last_error TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(user_id, email)
+      )
+    `);
+
+    // Mailboxes attached to a campaign (sends rotate across them)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS campaign_mailboxes (
+        campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        mailbox_id INTEGER NOT NULL REFERENCES sender_mailboxes(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (campaign_id, mailbox_id)
+      )
+    `);
+
+    // Mailbox a queue item is (or will be) sent from — sticky per prospect for threading
+    await client.query(`
+      ALTER TABLE campaign_sending_queue
+        ADD COLUMN IF NOT EXISTS mailbox_id INTEGER REFERENCES sender_mailboxes(id) ON DELETE SET NULL
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS sender_mailboxes_user_idx ON sender_mailboxes(user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_mailboxes_mailbox_idx ON campaign_mailboxes(mailbox_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_sending_queue_prospect_idx ON campaign_sending_queue(campaign_id, prospect_id)`);
+  }
+};
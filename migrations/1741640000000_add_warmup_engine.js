@@ -0,0 +1,37 @@
+module.exports = {
+  name: 'add_warmup_engine',
+  up: async (client) => {
+    // Warmup plans can belong to a campaign or to a sender mailbox
+    await client.query(`
+      ALTER TABLE email_warmup_plans
+        ALTER COLUMN campaign_id DROP NOT NULL,
+        ADD COLUMN IF NOT EXISTS mailbox_id INTEGER REFERENCES sender_mailboxes(id) ON DELETE CASCADE
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS warmup_plans_mailbox_day_idx
+        ON email_warmup_plans(mailbox_id, day_number) WHERE mailbox_id IS NOT NULL
+    `);
+
+    // Campaign ramp state + local-midnight counter reset bookkeeping
+    await client.query(`
+      ALTER TABLE campaign_sending_context
+        ADD COLUMN IF NOT EXISTS warmup_enabled BOOLEAN DEFAULT TRUE,
+        ADD COLUMN IF NOT EXISTS warmup_day INTEGER DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS warmup_status VARCHAR(20) DEFAULT 'ramping',
+        ADD COLUMN IF NOT EXISTS warmup_status_reason TEXT,
+        ADD COLUMN IF NOT EXISTS counters_reset_on DATE
+    `);
+
+    // Mailbox ramp state ('slowed' / 'frozen' replace the old 'paused' state)
+    await client.query(`ALTER TABLE sender_mailboxes DROP CONSTRAINT IF EXISTS sender_mailboxes_warmup_status_check`);
+    await client.query(`UPDATE sender_mailboxes SET warmup_status = 'frozen' WHERE warmup_status = 'paused'`);
+    await client.query(`
+      ALTER TABLE sender_mailboxes
+        ADD CONSTRAINT sender_mailboxes_warmup_status_check
+          CHECK (warmup_status IN ('not_started', 'warming', 'slowed', 'frozen', 'warmed')),
+        ADD COLUMN IF NOT EXISTS warmup_day INTEGER DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS warmup_status_reason TEXT,
+        ADD COLUMN IF NOT EXISTS warmup_advanced_on DATE
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+module.exports = {
+  name: 'add_reply_threading',
+  up: async (client) => {
+    // RFC 5322 Message-ID of each sent queue item — follow-ups reference it, replies resolve through it
+    await client.query(`
+      ALTER TABLE campaign_sending_queue
+        ADD COLUMN IF NOT EXISTS rfc_message_id VARCHAR(512)
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_sending_queue_rfc_message_id_idx ON campaign_sending_queue(rfc_message_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_sending_queue_recipient_idx ON campaign_sending_queue(LOWER(recipient_email))`);
+
+    // Thread resolution details on received replies
+    await client.query(`
+      ALTER TABLE prospect_reply_inbox
+        ADD COLUMN IF NOT EXISTS message_id VARCHAR(512),
+        ADD COLUMN IF NOT EXISTS in_reply_to VARCHAR(512),
+        ADD COLUMN IF NOT EXISTS queue_id INTEGER REFERENCES campaign_sending_queue(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS sequence_step_id INTEGER REFERENCES email_sequence_steps(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS matched_by VARCHAR(20)
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS prospect_reply_inbox_message_id_idx
+        ON prospect_reply_inbox(message_id) WHERE message_id IS NOT NULL
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  name: 'add_imap_polling',
+  up: async (client) => {
+    // IMAP reply polling state per mailbox (IMAP credentials live in credentials_encrypted.imap)
+    await client.query(`
+      ALTER TABLE sender_mailboxes
+        ADD COLUMN IF NOT EXISTS imap_enabled BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS imap_uid_validity BIGINT,
+        ADD COLUMN IF NOT EXISTS imap_last_uid BIGINT,
+        ADD COLUMN IF NOT EXISTS imap_last_polled_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS imap_last_error TEXT
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS sender_mailboxes_imap_idx ON sender_mailboxes(imap_enabled) WHERE imap_enabled = TRUE`);
+  }
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  name: 'add_engagement_tracking',
+  up: async (client) => {
+    // Per-campaign open/click tracking switches
+    await client.query(`
+      ALTER TABLE campaign_sending_context
+        ADD COLUMN IF NOT EXISTS track_opens BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS track_clicks BOOLEAN DEFAULT FALSE
+    `);
+
+    // Raw tracking hits, including the ones filtered as bots/prefetch
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_tracking_events (
+        id SERIAL PRIMARY KEY,
+        queue_id INTEGER REFERENCES campaign_sending_queue(id) ON DELETE CASCADE,
+        campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+        prospect_id INTEGER REFERENCES prospects(id) ON DELETE SET NULL,
+        event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('open', 'click')),
+        url TEXT,
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        is_bot BOOLEAN DEFAULT FALSE,
+        bot_reason VARCHAR(50),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS email_tracking_events_queue_idx ON email_tracking_events(queue_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS email_tracking_events_campaign_idx ON email_tracking_events(campaign_id, created_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS delivery_status_queue_idx ON email_delivery_status(queue_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS delivery_status_campaign_idx ON email_delivery_status(campaign_id)`);
+  }
+};
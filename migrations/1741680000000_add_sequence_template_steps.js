@@ -0,0 +1,32 @@
+module.exports = {
+  name: 'add_sequence_template_steps',
+  up: async (client) => {
+    // Steps are either AI-written from an angle instruction or fixed copy with merge fields
+    await client.query(`
+      ALTER TABLE sequence_template_steps
+        ADD COLUMN IF NOT EXISTS content_type VARCHAR(20) DEFAULT 'ai',
+        ADD COLUMN IF NOT EXISTS ai_instructions TEXT,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()
+    `);
+
+    // Campaigns opt into a template; NULL keeps the built-in Day 3 / Day 7 sequence
+    await client.query(`
+      ALTER TABLE campaigns
+        ADD COLUMN IF NOT EXISTS sequence_template_id INTEGER REFERENCES sequence_templates(id) ON DELETE SET NULL
+    `);
+
+    // Which template/step a prospect's generated sequence came from
+    await client.query(`
+      ALTER TABLE email_sequences
+        ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES sequence_templates(id) ON DELETE SET NULL
+    `);
+    await client.query(`
+      ALTER TABLE email_sequence_steps
+        ADD COLUMN IF NOT EXISTS template_step_id INTEGER REFERENCES sequence_template_steps(id) ON DELETE SET NULL
+    `);
+
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS sequence_template_steps_number_idx ON sequence_template_steps(template_id, step_number)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS sequence_templates_user_id_idx ON sequence_templates(user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS email_sequences_original_email_idx ON email_sequences(original_email_id)`);
+  }
+};
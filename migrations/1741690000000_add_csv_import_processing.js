@@ -0,0 +1,40 @@
+module.exports = {
+  name: 'add_csv_import_processing',
+  up: async (client) => {
+    // Uploaded file is kept so imports can be re-mapped and resumed after a restart
+    await client.query(`
+      ALTER TABLE csv_imports
+        ADD COLUMN IF NOT EXISTS file_data BYTEA,
+        ADD COLUMN IF NOT EXISTS file_type VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS file_size INTEGER,
+        ADD COLUMN IF NOT EXISTS encoding VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS delimiter VARCHAR(5),
+        ADD COLUMN IF NOT EXISTS headers JSONB,
+        ADD COLUMN IF NOT EXISTS processed_rows INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS invalid_count INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS suppressed_count INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ
+    `);
+
+    await client.query(`
+      ALTER TABLE csv_import_rows
+        ADD COLUMN IF NOT EXISTS email VARCHAR(255)
+    `);
+
+    // Contact columns written by CSV and ecosystem imports
+    await client.query(`
+      ALTER TABLE prospects
+        ADD COLUMN IF NOT EXISTS email VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS first_name VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS last_name VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS source VARCHAR(50)
+    `);
+
+    // Backs ON CONFLICT (campaign_id, email); discovered prospects without an email never collide
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS prospects_campaign_email_idx ON prospects(campaign_id, email)`);
+
+    // One row per source line, so a resumed import never records a line twice
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS csv_import_rows_row_number_idx ON csv_import_rows(import_id, row_number)`);
+  }
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  name: 'add_custom_prospect_fields',
+  up: async (client) => {
+    // Per-campaign field definitions; values live on prospects.custom_fields keyed by field_key
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS campaign_custom_fields (
+        id SERIAL PRIMARY KEY,
+        campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        field_key VARCHAR(50) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        field_type VARCHAR(20) NOT NULL DEFAULT 'text',
+        is_required BOOLEAN DEFAULT FALSE,
+        include_in_ai BOOLEAN DEFAULT TRUE,
+        position INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (campaign_id, field_key)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE prospects
+        ADD COLUMN IF NOT EXISTS custom_fields JSONB DEFAULT '{}'::jsonb
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_custom_fields_campaign_id_idx ON campaign_custom_fields(campaign_id)`);
+  }
+};
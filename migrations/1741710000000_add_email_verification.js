@@ -0,0 +1,34 @@
+module.exports = {
+  name: 'add_email_verification',
+  up: async (client) => {
+    // One cached verification per address, shared by every campaign
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        email VARCHAR(255) PRIMARY KEY,
+        domain VARCHAR(255) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        reason VARCHAR(50),
+        mx_found BOOLEAN,
+        mx_host VARCHAR(255),
+        smtp_checked BOOLEAN DEFAULT FALSE,
+        smtp_accepted BOOLEAN,
+        smtp_response TEXT,
+        catch_all BOOLEAN,
+        disposable BOOLEAN DEFAULT FALSE,
+        role_address BOOLEAN DEFAULT FALSE,
+        checked_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE prospects
+        ADD COLUMN IF NOT EXISTS email_verification_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS email_guessed BOOLEAN DEFAULT FALSE
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS email_verifications_domain_idx ON email_verifications(domain)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS email_verifications_expires_at_idx ON email_verifications(expires_at)`);
+  }
+};
@@ -0,0 +1,56 @@
+module.exports = {
+  name: 'add_contact_registry',
+  up: async (client) => {
+    // One row per person per user; prospect rows in every campaign link to it
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        domain VARCHAR(255) NOT NULL,
+        first_name VARCHAR(100),
+        last_name VARCHAR(100),
+        company_name VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE(user_id, email)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE prospects
+        ADD COLUMN IF NOT EXISTS contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL
+    `);
+
+    // Cross-campaign contact rules (0 days turns a rule off)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contact_policies (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        person_cooldown_days INTEGER NOT NULL DEFAULT 30,
+        domain_cooldown_days INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS contacts_user_domain_idx ON contacts(user_id, domain)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS prospects_contact_idx ON prospects(contact_id)`);
+
+    // Backfill from prospects that already have an address
+    await client.query(`
+      INSERT INTO contacts (user_id, email, domain, first_name, last_name, company_name)
+      SELECT DISTINCT ON (c.user_id, LOWER(p.email))
+        c.user_id, LOWER(p.email), SPLIT_PART(LOWER(p.email), '@', 2), p.first_name, p.last_name, p.company_name
+      FROM prospects p
+      JOIN campaigns c ON p.campaign_id = c.id
+      WHERE p.email IS NOT NULL AND p.email LIKE '%@%'
+      ORDER BY c.user_id, LOWER(p.email), p.created_at
+      ON CONFLICT (user_id, email) DO NOTHING
+    `);
+    await client.query(`
+      UPDATE prospects p SET contact_id = ct.id
+      FROM campaigns c, contacts ct
+      WHERE p.campaign_id = c.id AND ct.user_id = c.user_id AND ct.email = LOWER(p.email)
+        AND p.contact_id IS NULL
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+module.exports = {
+  name: 'add_discovery_provenance',
+  up: async (client) => {
+    // Where each prospect came from; AI-invented rows stay flagged until verified
+    await client.query(`
+      ALTER TABLE prospects
+        ADD COLUMN IF NOT EXISTS source_ref VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS provenance JSONB,
+        ADD COLUMN IF NOT EXISTS is_ai_generated BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS identity_confirmed_at TIMESTAMPTZ
+    `);
+
+    // Per-campaign discovery provider (NULL = DISCOVERY_PROVIDER)
+    await client.query(`
+      ALTER TABLE campaigns
+        ADD COLUMN IF NOT EXISTS discovery_provider VARCHAR(30)
+    `);
+
+    // Discovery inserted rows without a source before providers existed; those were all brainstormed
+    await client.query(`
+      UPDATE prospects
+      SET source = 'ai_generated', is_ai_generated = TRUE,
+          provenance = jsonb_build_object('provider', 'ai', 'ai_generated', true, 'backfilled', true)
+      WHERE source IS NULL
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS prospects_source_idx ON prospects(campaign_id, source)`);
+  }
+};
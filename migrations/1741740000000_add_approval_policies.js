@@ -0,0 +1,45 @@
+module.exports = {
+  name: 'add_approval_policies',
+  up: async (client) => {
+    // One auto-approval policy per campaign; revoking keeps the row (enabled = FALSE)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS approval_policies (
+        id SERIAL PRIMARY KEY,
+        campaign_id INTEGER NOT NULL UNIQUE REFERENCES campaigns(id) ON DELETE CASCADE,
+        enabled BOOLEAN DEFAULT TRUE,
+        min_fit_score INTEGER DEFAULT 80,
+        max_spam_score NUMERIC(4,1) DEFAULT 3.0,
+        require_verified_recipient BOOLEAN DEFAULT TRUE,
+        block_placeholders BOOLEAN DEFAULT TRUE,
+        block_unverified_facts BOOLEAN DEFAULT TRUE,
+        review_first_n INTEGER DEFAULT 10,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Every policy evaluation, with the rule that decided it
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS approval_decisions (
+        id SERIAL PRIMARY KEY,
+        generated_email_id INTEGER REFERENCES generated_emails(id) ON DELETE CASCADE,
+        campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        policy_id INTEGER REFERENCES approval_policies(id) ON DELETE SET NULL,
+        decision VARCHAR(20) NOT NULL,
+        rule VARCHAR(50) NOT NULL,
+        details JSONB,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // 'manual' or 'policy', so revoking a policy can return its unsent approvals to review
+    await client.query(`
+      ALTER TABLE generated_emails
+        ADD COLUMN IF NOT EXISTS approval_source VARCHAR(20)
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS approval_decisions_campaign_idx ON approval_decisions(campaign_id, created_at DESC)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS approval_decisions_email_idx ON approval_decisions(generated_email_id)`);
+  }
+};
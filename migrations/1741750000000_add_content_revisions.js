@@ -0,0 +1,38 @@
+module.exports = {
+  name: 'add_content_revisions',
+  up: async (client) => {
+    // Every version of a generated email or reply draft: the AI original,
+    // regenerations, reviewer edits and rejections (with structured reasons)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_revisions (
+        id SERIAL PRIMARY KEY,
+        item_type VARCHAR(20) NOT NULL,
+        item_id INTEGER NOT NULL,
+        campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        subject TEXT,
+        body TEXT,
+        recipient_email VARCHAR(255),
+        author_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reason_category VARCHAR(30),
+        reason TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (item_type, item_id, revision_number)
+      )
+    `);
+
+    // Rejection reasons get their own columns instead of overwriting personalization_notes
+    await client.query(`
+      ALTER TABLE generated_emails
+        ADD COLUMN IF NOT EXISTS rejection_category VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS rejection_reason TEXT
+    `);
+    await client.query(`
+      ALTER TABLE reply_drafts
+        ADD COLUMN IF NOT EXISTS rejection_category VARCHAR(30)
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS content_revisions_campaign_idx ON content_revisions(campaign_id, created_at DESC)`);
+  }
+};
@@ -0,0 +1,37 @@
+module.exports = {
+  name: 'add_style_memory',
+  up: async (client) => {
+    // Writing guidelines learned from reviewer edits and rejections; campaign_id NULL = all campaigns
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS style_memories (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+        guidelines JSONB NOT NULL DEFAULT '[]',
+        is_edited BOOLEAN DEFAULT FALSE,
+        last_revision_id INTEGER DEFAULT 0,
+        learned_at TIMESTAMPTZ,
+        reset_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS style_memories_scope_idx ON style_memories(user_id, (COALESCE(campaign_id, 0)))`);
+
+    // When a person approved or rejected an email (policy approvals stay NULL)
+    await client.query(`
+      ALTER TABLE generated_emails
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ
+    `);
+
+    // Best available time for emails reviewed before the column existed
+    await client.query(`
+      UPDATE generated_emails SET reviewed_at = updated_at
+      WHERE reviewed_at IS NULL
+        AND status NOT IN ('pending_approval', 'draft')
+        AND approval_source IS DISTINCT FROM 'policy'
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS generated_emails_reviewed_idx ON generated_emails(campaign_id, reviewed_at)`);
+  }
+};
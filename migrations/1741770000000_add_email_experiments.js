@@ -0,0 +1,51 @@
+module.exports = {
+  name: 'add_email_experiments',
+  up: async (client) => {
+    // Campaign-level copy experiments: the first email (scope 'initial') or one follow-up step
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_experiments (
+        id SERIAL PRIMARY KEY,
+        campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        scope VARCHAR(20) NOT NULL DEFAULT 'initial',
+        step_number INTEGER,
+        variants JSONB NOT NULL DEFAULT '[]',
+        metric VARCHAR(30) NOT NULL DEFAULT 'reply_rate',
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        winning_variant VARCHAR(10),
+        started_at TIMESTAMPTZ DEFAULT NOW(),
+        ended_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // The copy of every variant written for a prospect
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_variants (
+        id SERIAL PRIMARY KEY,
+        experiment_id INTEGER NOT NULL REFERENCES email_experiments(id) ON DELETE CASCADE,
+        prospect_id INTEGER NOT NULL REFERENCES prospects(id) ON DELETE CASCADE,
+        generated_email_id INTEGER REFERENCES generated_emails(id) ON DELETE CASCADE,
+        sequence_step_id INTEGER REFERENCES email_sequence_steps(id) ON DELETE CASCADE,
+        variant VARCHAR(10) NOT NULL,
+        subject_line TEXT,
+        email_body TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (experiment_id, prospect_id, variant)
+      )
+    `);
+
+    // The variant a queued send was assigned, so results follow the copy that went out
+    await client.query(`
+      ALTER TABLE campaign_sending_queue
+        ADD COLUMN IF NOT EXISTS experiment_id INTEGER REFERENCES email_experiments(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS variant VARCHAR(10)
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS email_experiments_campaign_idx ON email_experiments(campaign_id, status)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS email_variants_email_idx ON email_variants(generated_email_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS email_variants_step_idx ON email_variants(sequence_step_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_sending_queue_experiment_idx ON campaign_sending_queue(experiment_id, variant)`);
+  }
+};
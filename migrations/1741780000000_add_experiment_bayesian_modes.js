@@ -0,0 +1,14 @@
+module.exports = {
+  name: 'add_experiment_bayesian_modes',
+  up: async (client) => {
+    // Evaluation mode, adaptive allocation and stopping rules; sample_size_target is the minimum per variant
+    await client.query(`
+      ALTER TABLE ab_experiments
+        ADD COLUMN IF NOT EXISTS evaluation_mode VARCHAR(20) DEFAULT 'frequentist',
+        ADD COLUMN IF NOT EXISTS allocation VARCHAR(20) DEFAULT 'fixed',
+        ADD COLUMN IF NOT EXISTS control_variant VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS win_probability NUMERIC(4, 3) DEFAULT 0.95,
+        ADD COLUMN IF NOT EXISTS loss_threshold NUMERIC(6, 5) DEFAULT 0.005
+    `);
+  }
+};
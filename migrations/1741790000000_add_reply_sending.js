@@ -0,0 +1,26 @@
+module.exports = {
+  name: 'add_reply_sending',
+  up: async (client) => {
+    // Approved reply drafts are delivered through the sending queue
+    await client.query(`
+      ALTER TABLE campaign_sending_queue
+        ADD COLUMN IF NOT EXISTS reply_draft_id INTEGER REFERENCES reply_drafts(id) ON DELETE SET NULL
+    `);
+
+    await client.query(`
+      ALTER TABLE reply_drafts
+        ADD COLUMN IF NOT EXISTS queue_id INTEGER REFERENCES campaign_sending_queue(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS send_error TEXT
+    `);
+
+    // Random pause before a response goes out, so it doesn't arrive seconds after approval
+    await client.query(`
+      ALTER TABLE campaign_sending_context
+        ADD COLUMN IF NOT EXISTS reply_delay_min_minutes INTEGER DEFAULT 5,
+        ADD COLUMN IF NOT EXISTS reply_delay_max_minutes INTEGER DEFAULT 30
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS campaign_sending_queue_reply_draft_idx ON campaign_sending_queue(reply_draft_id)`);
+  }
+};
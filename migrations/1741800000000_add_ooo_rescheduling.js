@@ -0,0 +1,29 @@
+module.exports = {
+  name: 'add_ooo_rescheduling',
+  up: async (client) => {
+    // What an out-of-office reply said: when the prospect is back and who covers meanwhile
+    await client.query(`
+      ALTER TABLE prospect_reply_inbox
+        ADD COLUMN IF NOT EXISTS ai_categorization JSONB,
+        ADD COLUMN IF NOT EXISTS ooo_return_date DATE,
+        ADD COLUMN IF NOT EXISTS ooo_resume_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS alternate_contact JSONB,
+        ADD COLUMN IF NOT EXISTS alternate_prospect_id INTEGER REFERENCES prospects(id) ON DELETE SET NULL
+    `);
+
+    // Auto-replies don't count as replies for stop-on-reply
+    await client.query(`
+      ALTER TABLE prospect_replies
+        ADD COLUMN IF NOT EXISTS reply_id INTEGER REFERENCES prospect_reply_inbox(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS is_out_of_office BOOLEAN DEFAULT FALSE
+    `);
+
+    await client.query(`
+      ALTER TABLE campaign_sending_context
+        ADD COLUMN IF NOT EXISTS ooo_default_pause_days INTEGER DEFAULT 7,
+        ADD COLUMN IF NOT EXISTS ooo_create_alternate_contact BOOLEAN DEFAULT FALSE
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS prospect_replies_reply_idx ON prospect_replies(reply_id)`);
+  }
+};
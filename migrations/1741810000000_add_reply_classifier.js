@@ -0,0 +1,45 @@
+module.exports = {
+  name: 'add_reply_classifier',
+  up: async (client) => {
+    // How each reply's category was decided, and whether a person still has to check it
+    await client.query(`
+      ALTER TABLE prospect_reply_inbox
+        ADD COLUMN IF NOT EXISTS category_source VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS raw_confidence DECIMAL(3, 2),
+        ADD COLUMN IF NOT EXISTS needs_review BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS classified_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ
+    `);
+
+    // Reviewed replies: what the classifier said and what the person decided.
+    // Used as few-shot examples, for confidence calibration and for precision stats.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reply_category_labels (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        reply_id INTEGER NOT NULL UNIQUE REFERENCES prospect_reply_inbox(id) ON DELETE CASCADE,
+        predicted_category VARCHAR(50),
+        predicted_source VARCHAR(20),
+        predicted_confidence DECIMAL(3, 2),
+        label VARCHAR(50) NOT NULL,
+        subject TEXT,
+        body_excerpt TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reply_classifier_settings (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        review_threshold DECIMAL(3, 2) DEFAULT 0.70,
+        rule_accept_threshold DECIMAL(3, 2) DEFAULT 0.90,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS prospect_reply_inbox_review_idx ON prospect_reply_inbox(needs_review) WHERE needs_review = TRUE`);
+    await client.query(`CREATE INDEX IF NOT EXISTS reply_category_labels_user_idx ON reply_category_labels(user_id, created_at)`);
+  }
+};
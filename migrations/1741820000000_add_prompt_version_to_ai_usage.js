@@ -0,0 +1,13 @@
+module.exports = {
+  name: 'add_prompt_version_to_ai_usage',
+  up: async (client) => {
+    // Which registered prompt (prompts/*.js) and version produced each call
+    await client.query(`
+      ALTER TABLE ai_usage
+        ADD COLUMN IF NOT EXISTS prompt_id VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS prompt_version INTEGER
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS ai_usage_prompt_idx ON ai_usage(prompt_id, prompt_version)`);
+  }
+};
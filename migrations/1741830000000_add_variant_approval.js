@@ -0,0 +1,11 @@
+module.exports = {
+  name: 'add_variant_approval',
+  up: async (client) => {
+    // Variant copy is reviewed like the draft it stands in for; only approved copy is sent
+    await client.query(`
+      ALTER TABLE email_variants
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending_approval'
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS email_variants_status_idx ON email_variants(generated_email_id, status)`);
+  }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  name: 'add_contact_hold_expiry',
+  up: async (client) => {
+    // First emails held back by the contact policy, and until when (re-checked after that)
+    await client.query(`
+      ALTER TABLE generated_emails
+        ADD COLUMN IF NOT EXISTS held_until TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS hold_reason TEXT
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS generated_emails_held_until_idx ON generated_emails(held_until) WHERE held_until IS NOT NULL`);
+  }
+};
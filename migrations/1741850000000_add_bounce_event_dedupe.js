@@ -0,0 +1,8 @@
+module.exports = {
+  name: 'add_bounce_event_dedupe',
+  up: async (client) => {
+    // ESP event id (SES feedbackId, Mailgun event id) so redelivered notifications are recorded once
+    await client.query(`ALTER TABLE email_bounces ADD COLUMN IF NOT EXISTS esp_event_id VARCHAR(255)`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS bounces_esp_event_idx ON email_bounces(esp_event_id, recipient_email)`);
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * Outreach copy: first emails, regenerated drafts, follow-ups and the proof page sample
+ */
+
+// Phrases that mark copy as a template; checked by the prompt evaluation
+const BANNED_PHRASES = [
+  'hope this finds you well',
+  'hope this email finds you',
+  'i wanted to reach out',
+  'just following up',
+  'touch base',
+  'synergy',
+  'game-changer',
+  'revolutionary',
+  'cutting-edge'
+];
+
+const DRAFT_OUTPUT = {
+  type: 'object',
+  required: ['subject', 'body'],
+  properties: {
+    subject: { type: 'string' },
+    body: { type: 'string' },
+    personalization_notes: { type: ['string', 'null'] },
+    recipient_name: { type: ['string', 'null'] },
+    recipient_email: { type: ['string', 'null'] }
+  }
+};
+
+module.exports = [
+  {
+    id: 'email_draft',
+    version: 1,
+    task: 'email_draft',
+    description: 'First email to a researched prospect; a variant brief is added as an extra rule',
+    variables: ['prospect', 'campaign', 'sender'],
+    optional: ['details', 'style', 'brief'],
+    output: DRAFT_OUTPUT,
+    checks: { word_limits: { body: 120 }, char_limits: { subject: 60 }, banned_phrases: BANNED_PHRASES },
+    system: ({ style, brief }) => `You are an elite cold email copywriter. Write a personalized cold email.
+
+Rules:
+- First line must be a personalized hook about THEIR company, not about you
+- Under 120 words total
+- One clear CTA (question, not a demand)
+- No buzzwords, no hype, no "hope this finds you well"
+- Sound like a real person, not a template
+- Reference specific details about their company
+${brief ? `- Variant brief, follow it even where it changes the approach: ${brief}\n` : ''}${style}
+Return JSON: {
+  "subject": "string (under 60 chars, no spam words)",
+  "body": "string (the full email body)",
+  "personalization_notes": "string (what makes this email specific to them)",
+  "recipient_name": "string (best guess at decision maker name)",
+  "recipient_email": "string (best guess at email, or empty)"
+}`,
+    user: ({ prospect, campaign, sender, details }) => `Prospect: ${prospect.company_name}
+Website: ${prospect.website || 'unknown'}
+Industry: ${prospect.industry}
+Size: ${prospect.estimated_size}
+Location: ${prospect.location}
+Pain Points: ${prospect.pain_points}
+Research: ${prospect.research_summary || prospect.ai_reasoning || 'None'}
+${details}
+Our Product: ${campaign.description}
+ICP: ${campaign.icp_description || JSON.stringify(campaign.icp_structured) || 'Not specified'}
+Sender: ${sender}`
+  },
+
+  {
+    id: 'email_regenerate',
+    version: 1,
+    task: 'email_draft',
+    description: 'Rewrite of a rejected first email, steered by the reviewer\'s feedback',
+    variables: ['email', 'sender'],
+    optional: ['details', 'style', 'feedback'],
+    output: DRAFT_OUTPUT,
+    checks: { word_limits: { body: 120 }, char_limits: { subject: 60 }, banned_phrases: BANNED_PHRASES },
+    system: ({ style, feedback }) => `You are an elite cold email copywriter. Write a personalized cold email.
+${feedback ? `The user rejected the previous draft with this feedback: "${feedback}". Improve accordingly.` : ''}
+
+Rules:
+- First line must be a personalized hook about THEIR company, not about you
+- Under 120 words total
+- One clear CTA (question, not a demand)
+- No buzzwords, no hype, no "hope this finds you well"
+- Sound like a real person, not a template
+- Reference specific details about their company
+${style}
+Return JSON: {
+  "subject": "string (under 60 chars, no spam words)",
+  "body": "string (the full email body)",
+  "personalization_notes": "string (what makes this email specific to them)"
+}`,
+    user: ({ email, sender, details }) => `Prospect: ${email.company_name}
+Industry: ${email.industry}
+Size: ${email.estimated_size}
+Pain Points: ${email.pain_points}
+Research: ${email.research_summary || email.ai_reasoning || 'None'}
+${details}
+Our Product: ${email.description}
+Sender: ${sender}
+${email.subject_line ? `Previous subject: ${email.subject_line}\nPrevious body: ${email.email_body}` : ''}`
+  },
+
+  {
+    id: 'follow_up',
+    version: 1,
+    task: 'follow_up_generation',
+    description: 'An AI-written sequence step, following up on the first email',
+    variables: ['company_name', 'industry', 'original_subject', 'original_body', 'day_number', 'angle', 'is_final', 'product_description'],
+    optional: ['style'],
+    output: {
+      type: 'object',
+      required: ['subject', 'body'],
+      properties: {
+        subject: { type: 'string' },
+        body: { type: 'string' },
+        notes: { type: ['string', 'null'] }
+      }
+    },
+    checks: { word_limits: { body: 100 }, banned_phrases: BANNED_PHRASES },
+    system: ({ day_number, angle, is_final, style }) => `You are an expert cold email follow-up writer. Write a Day ${day_number} follow-up email that:
+1. References the original email sent ${day_number} days ago
+2. Uses ${angle}
+3. Keeps it concise (under 100 words)
+4. Includes a clear CTA (${is_final ? 'direct, since this is the last email in the sequence' : 'soft, since more follow-ups may come'})
+5. Sounds natural and personal, not templated
+6. Maintains the same tone as the original
+${style}
+Return as JSON: {"subject": "...", "body": "...", "notes": "..."}`,
+    user: ({ company_name, industry, original_subject, original_body, product_description }) => `Company: ${company_name}
+Industry: ${industry}
+Original Email Subject: ${original_subject}
+Original Email Body: ${original_body}
+
+Our Solution: ${product_description}`
+  },
+
+  {
+    id: 'proof_demo',
+    version: 1,
+    task: 'proof_demo',
+    description: 'Sample email on the public proof page, as SUBJECT:/BODY: text',
+    variables: ['company_name'],
+    maxTokens: 400,
+    checks: { word_limits: { '*': 120 }, banned_phrases: BANNED_PHRASES },
+    system: () => 'You are a world-class sales development representative writing personalized cold emails.',
+    user: ({ company_name }) => `You are Koldly, an AI sales development representative. Generate a personalized cold email for outreach to ${company_name}.
+
+The email should be:
+- Personalized and specific (not generic)
+- Focused on value, not a hard sell
+- Professional but conversational in tone
+- 3-4 sentences maximum
+- Include a clear reason for reaching out (e.g., recent signal like a product launch, hiring, fundraising)
+- End with a soft CTA (e.g., "Worth a 15 min chat?")
+
+Generate ONLY the email content (subject line + body), no additional text.
+
+Format:
+SUBJECT: [subject line here]
+BODY:
+[email body here]`
+  }
+];
@@ -0,0 +1,127 @@
+/**
+ * Prospecting: ICP parsing, AI brainstorm discovery and company research
+ */
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+module.exports = [
+  {
+    id: 'icp_parse',
+    version: 1,
+    task: 'icp_parse',
+    description: 'Free-text ICP description → structured fields',
+    variables: ['icp_text'],
+    output: {
+      type: 'object',
+      required: ['industries', 'company_sizes', 'summary'],
+      properties: {
+        industries: STRING_LIST,
+        company_sizes: STRING_LIST,
+        job_titles: STRING_LIST,
+        geographies: STRING_LIST,
+        pain_points: STRING_LIST,
+        keywords: STRING_LIST,
+        funding_stages: STRING_LIST,
+        summary: { type: 'string' }
+      }
+    },
+    system: () => `You are an ICP (Ideal Customer Profile) analyst. Parse the user's description into structured fields.
+Return JSON: {
+  "industries": ["string"],
+  "company_sizes": ["string"],
+  "job_titles": ["string"],
+  "geographies": ["string"],
+  "pain_points": ["string"],
+  "keywords": ["string"],
+  "funding_stages": ["string"],
+  "summary": "one-sentence summary"
+}`,
+    user: ({ icp_text }) => icp_text
+  },
+
+  {
+    id: 'prospect_discovery',
+    version: 1,
+    task: 'prospect_discovery',
+    description: 'Invented example companies for an ICP (the "ai" discovery provider)',
+    variables: ['limit', 'icp', 'product_description'],
+    output: {
+      type: 'object',
+      required: ['prospects'],
+      properties: {
+        prospects: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['company_name'],
+            properties: {
+              company_name: { type: 'string' },
+              website: { type: 'string' },
+              industry: { type: 'string' },
+              relevance_score: { type: 'number', minimum: 1, maximum: 100 }
+            }
+          }
+        }
+      }
+    },
+    system: ({ limit }) => `You are a B2B prospect researcher. Generate ${limit} hypothetical prospect company profiles that match the given ICP.
+IMPORTANT: These are AI-generated examples for brainstorming purposes. They are NOT real companies.
+For each prospect, provide detailed and plausible information. Each prospect should be unique.
+
+Return JSON: {
+  "prospects": [
+    {
+      "company_name": "string",
+      "website": "string (plausible domain)",
+      "industry": "string",
+      "location": "string (city, state/country)",
+      "estimated_size": "string (e.g. 50-200 employees)",
+      "team_size": "string",
+      "funding_stage": "string (e.g. Series A, bootstrapped)",
+      "pain_points": "string (2-3 sentences)",
+      "relevance_score": number (1-100),
+      "reasoning": "string (why this company is a good fit)"
+    }
+  ]
+}`,
+    user: ({ limit, icp, product_description }) => `ICP: ${JSON.stringify(icp)}\n\nProduct/Service: ${product_description}\n\nGenerate ${limit} prospect companies.`
+  },
+
+  {
+    id: 'prospect_research',
+    version: 1,
+    task: 'prospect_research',
+    description: 'Research notes and a recommended email angle for a discovered company',
+    variables: ['prospect', 'product_description'],
+    output: {
+      type: 'object',
+      required: ['research_summary'],
+      properties: {
+        decision_makers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { name: { type: 'string' }, title: { type: 'string' }, email_guess: { type: 'string' } }
+          }
+        },
+        recent_events: STRING_LIST,
+        tech_indicators: STRING_LIST,
+        specific_pain_points: STRING_LIST,
+        recommended_angle: { type: 'string' },
+        research_summary: { type: 'string' }
+      }
+    },
+    system: () => `You are a B2B sales researcher. Generate detailed research notes for a prospect company.
+Include: key decision makers, recent news/events, technology stack hints, potential pain points specific to their situation, and recommended email angle.
+
+Return JSON: {
+  "decision_makers": [{"name": "string", "title": "string", "email_guess": "string"}],
+  "recent_events": ["string"],
+  "tech_indicators": ["string"],
+  "specific_pain_points": ["string"],
+  "recommended_angle": "string",
+  "research_summary": "string (2-3 paragraphs)"
+}`,
+    user: ({ prospect, product_description }) => `Company: ${prospect.company_name}\nWebsite: ${prospect.website || 'unknown'}\nIndustry: ${prospect.industry}\nSize: ${prospect.estimated_size}\nLocation: ${prospect.location}\nKnown pain points: ${prospect.pain_points}\n\nOur product: ${product_description}`
+  }
+];
@@ -0,0 +1,177 @@
+/**
+ * Reply handling: the classifier's LLM pass, response drafts and out-of-office extraction
+ */
+
+const { CATEGORIES } = require('../lib/reply-categorization-service');
+
+const REPLY_DRAFT_OUTPUT = {
+  type: 'object',
+  required: ['subject', 'body'],
+  properties: {
+    subject: { type: 'string' },
+    body: { type: 'string' },
+    suggested_action: { type: 'string' }
+  }
+};
+
+const BANNED_PHRASES = ['hope this finds you well', 'just circling back', 'per my last email', 'act now'];
+
+const threadText = (label, reply, context) =>
+  `${label}:\nFrom: ${reply.from_email}\nSubject: ${reply.subject}\nBody: ${reply.body || ''}\n\nOriginal outreach context:\n${context}`;
+
+module.exports = [
+  {
+    id: 'reply_categorization',
+    version: 1,
+    task: 'reply_categorization',
+    description: 'LLM pass of the reply classifier; examples are the team\'s reviewed replies',
+    variables: ['reply'],
+    optional: ['examples'],
+    output: {
+      type: 'object',
+      required: ['category', 'confidence'],
+      properties: {
+        category: { type: 'string', enum: CATEGORIES.filter(c => c !== 'uncategorized') },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reasoning: { type: 'string' },
+        ooo_return_date: { type: ['string', 'null'] },
+        alternate_contact: { type: ['object', 'null'] },
+        key_objection: { type: ['string', 'null'] },
+        sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] }
+      }
+    },
+    system: ({ examples }) => `You are a sales email categorization expert. Categorize this reply from a prospect.
+
+Categories:
+- "interested": They want to learn more, schedule a call, or are open to conversation
+- "objection": They have concerns, pricing issues, timing issues, or push back but haven't said no
+- "ooo": Out of office / auto-reply with a return date
+- "not_interested": Clear decline, unsubscribe request, or hard no
+- "spam": Irrelevant, automated marketing, or bounced email
+- "question": They have a specific question but haven't indicated interest or disinterest
+${examples}
+Return JSON: {
+  "category": "string",
+  "confidence": number (0-1, the probability your category is right; lower it when the reply fits two categories),
+  "reasoning": "string",
+  "ooo_return_date": "string or null (ISO date if OOO)",
+  "alternate_contact": { "name": "string or null", "email": "string" } or null (if OOO and they name someone to contact instead),
+  "key_objection": "string or null (if objection, what is it)",
+  "sentiment": "positive|neutral|negative"
+}`,
+    user: ({ reply }) => `From: ${reply.from_email}\nSubject: ${reply.subject}\n\n${reply.body}`
+  },
+
+  {
+    id: 'reply_interested',
+    version: 1,
+    task: 'reply_draft_interested',
+    description: 'Response to an interested prospect, proposing times for a call',
+    variables: ['reply', 'context'],
+    output: REPLY_DRAFT_OUTPUT,
+    checks: { word_limits: { body: 80 }, banned_phrases: BANNED_PHRASES },
+    system: () => `You are an expert SDR. The prospect has shown interest. Draft a warm, concise response that:
+1. Acknowledges what they said specifically
+2. Proposes 2-3 specific time slots for a call (use relative dates like "this Thursday" or "next Tuesday")
+3. Keeps it under 80 words
+4. Sounds human and enthusiastic but not overly eager
+
+Return JSON: {
+  "subject": "string",
+  "body": "string",
+  "suggested_action": "schedule_meeting"
+}`,
+    user: ({ reply, context }) => threadText('Their reply', reply, context)
+  },
+
+  {
+    id: 'reply_objection',
+    version: 1,
+    task: 'reply_draft_objection',
+    description: 'Response to an objection that keeps the conversation going',
+    variables: ['reply', 'context'],
+    optional: ['key_objection'],
+    output: REPLY_DRAFT_OUTPUT,
+    checks: { word_limits: { body: 100 }, banned_phrases: BANNED_PHRASES },
+    system: ({ key_objection }) => `You are an expert SDR handling an objection. Draft a response that:
+1. Validates their concern — don't dismiss it
+2. Reframes with a specific counter-point or case study reference
+3. Asks one follow-up question to keep the conversation going
+4. Under 100 words
+5. No pressure tactics
+
+${key_objection ? `Their main objection: "${key_objection}"` : ''}
+
+Return JSON: {
+  "subject": "string",
+  "body": "string",
+  "suggested_action": "follow_up"
+}`,
+    user: ({ reply, context }) => threadText('Their reply', reply, context)
+  },
+
+  {
+    id: 'reply_question',
+    version: 1,
+    task: 'reply_draft_interested',
+    description: 'Answer to a prospect\'s question, tied back to value',
+    variables: ['reply', 'context'],
+    output: REPLY_DRAFT_OUTPUT,
+    checks: { word_limits: { body: 100 }, banned_phrases: BANNED_PHRASES },
+    system: () => `The prospect has asked a question. Draft a helpful response that:
+1. Directly answers their question
+2. Ties the answer back to value for them
+3. Includes a soft CTA to continue the conversation
+4. Under 100 words
+
+Return JSON: {
+  "subject": "string",
+  "body": "string",
+  "suggested_action": "follow_up"
+}`,
+    user: ({ reply, context }) => threadText('Their question', reply, context)
+  },
+
+  {
+    id: 'close_out',
+    version: 1,
+    task: 'close_out_draft',
+    description: 'Graceful close-out after a prospect says no',
+    variables: ['reply_text'],
+    output: REPLY_DRAFT_OUTPUT,
+    checks: { word_limits: { body: 40 }, banned_phrases: BANNED_PHRASES },
+    system: () => `The prospect has said no. Write a brief, graceful close-out that:
+1. Thanks them for their time
+2. Leaves the door open without being pushy
+3. Under 40 words
+
+Return JSON: {
+  "subject": "string",
+  "body": "string",
+  "suggested_action": "close"
+}`,
+    user: ({ reply_text }) => `Their reply: ${reply_text}`
+  },
+
+  {
+    id: 'ooo_extraction',
+    version: 1,
+    task: 'ooo_scheduling',
+    description: 'Return date and stand-in contact from an out-of-office reply the parser couldn\'t read',
+    variables: ['received_at', 'reply_text'],
+    output: {
+      type: 'object',
+      properties: {
+        return_date: { type: ['string', 'null'] },
+        alternate_contact: { type: ['object', 'null'] }
+      }
+    },
+    system: () => `The prospect sent an out-of-office reply. Extract when they are back and who to contact meanwhile.
+
+Return JSON: {
+  "return_date": "string or null (ISO date they are back, null if not stated)",
+  "alternate_contact": { "name": "string or null", "email": "string" } or null
+}`,
+    user: ({ received_at, reply_text }) => `Received: ${received_at}\nOOO reply: ${reply_text}`
+  }
+];
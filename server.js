@@ -11,10 +11,27 @@ const SlackService = require('./lib/slack-service');
 const AuthService = require('./lib/auth-service');
 const OAuthService = require('./lib/oauth-service');
 const CampaignSendingService = require('./lib/campaign-sending-service');
+const UnsubscribeService = require('./lib/unsubscribe-service');
+const BounceService = require('./lib/bounce-service');
+const MailboxService = require('./lib/mailbox-service');
+const WarmupService = require('./lib/warmup-service');
+const InboundReplyService = require('./lib/inbound-reply-service');
+const ImapPollerService = require('./lib/imap-poller-service');
+const TrackingService = require('./lib/tracking-service');
+const SequenceTemplateService = require('./lib/sequence-template-service');
+const CsvImportService = require('./lib/csv-import-service');
+const CustomFieldService = require('./lib/custom-field-service');
+const EmailVerificationService = require('./lib/email-verification-service');
+const ContactRegistryService = require('./lib/contact-registry-service');
+const { parseMultipartForm } = require('./lib/spreadsheet-parser');
 const ProofService = require('./lib/proof-service');
 const ProspectDiscoveryService = require('./lib/prospect-discovery-service');
+const { listProviders: listDiscoveryProviders } = require('./lib/discovery-providers');
 const EmailGenerationService = require('./lib/email-generation-service');
 const ApprovalService = require('./lib/approval-service');
+const RevisionService = require('./lib/revision-service');
+const StyleMemoryService = require('./lib/style-memory-service');
+const EmailExperimentService = require('./lib/email-experiment-service');
 const ReplyResponseService = require('./lib/reply-response-service');
 const StripeService = require('./lib/stripe-service');
 const EcosystemService = require('./lib/ecosystem-service');
@@ -99,81 +116,94 @@ app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), asyn
 });
 
 // Inbound email webhook (SES/Mailgun) — needs raw JSON parsing
-app.post('/api/webhooks/inbound', express.json({ limit: '10mb' }), async (req, res) => {
+app.post('/api/webhooks/inbound', express.json({ limit: '10mb' }), express.urlencoded({ limit: '10mb', extended: true }), async (req, res) => {
   try {
     const provider = process.env.COLD_ESP_PROVIDER || 'unknown';
-    let fromEmail, subject, body, toEmail, messageId;
-
-    if (provider === 'mailgun') {
-      // Mailgun inbound format
-      fromEmail = req.body.sender || req.body.from;
-      subject = req.body.subject;
-      body = req.body['stripped-text'] || req.body['body-plain'] || '';
-      toEmail = req.body.recipient;
-      messageId = req.body['Message-Id'];
-    } else if (provider === 'ses') {
-      // SES inbound format (SNS notification)
-      const message = typeof req.body.Message === 'string' ? JSON.parse(req.body.Message) : req.body;
-      const mail = message.mail || {};
-      const content = message.content || '';
-      fromEmail = mail.source || mail.commonHeaders?.from?.[0];
-      subject = mail.commonHeaders?.subject;
-      toEmail = mail.destination?.[0];
-      messageId = mail.messageId;
-      body = content;
-    } else {
-      // Generic format
-      fromEmail = req.body.from || req.body.sender;
-      subject = req.body.subject;
-      body = req.body.text || req.body.body || '';
-      toEmail = req.body.to || req.body.recipient;
-      messageId = req.body.message_id;
-    }
+    const message = InboundReplyService.parseWebhookPayload(provider, req.body);
 
-    if (!fromEmail) {
+    if (!message.from) {
       return res.status(400).json({ error: 'No sender email found in payload' });
     }
 
-    console.log(`[Inbound] Reply from ${fromEmail}: "${subject}"`);
+    console.log(`[Inbound] Reply from ${message.from}: "${message.subject}"`);
 
-    // Match to a prospect by email
-    const prospectMatch = await pool.query(`
-      SELECT p.id as prospect_id, p.campaign_id, c.user_id
-      FROM prospects p
-      JOIN campaigns c ON c.id = p.campaign_id
-      WHERE p.email = $1 OR EXISTS (
-        SELECT 1 FROM generated_emails ge WHERE ge.recipient_email = $1 AND ge.campaign_id = p.campaign_id
-      )
-      ORDER BY p.created_at DESC LIMIT 1
-    `, [fromEmail.toLowerCase()]);
-
-    if (prospectMatch.rows.length > 0) {
-      const match = prospectMatch.rows[0];
-
-      // Store in prospect_reply_inbox
-      await pool.query(`
-        INSERT INTO prospect_reply_inbox (prospect_id, campaign_id, from_email, subject, body, received_at)
-        VALUES ($1, $2, $3, $4, $5, NOW())
-        ON CONFLICT DO NOTHING
-      `, [match.prospect_id, match.campaign_id, fromEmail, subject || '(no subject)', body]);
+    // Resolve the thread (Message-ID headers → reply token → sender) and store the reply
+    const result = await inboundReplyService.ingestReply(message);
 
+    if (result.matched && !result.duplicate) {
       // Trigger AI categorization in background
-      replyResponseService.categorizeReply(match.prospect_id, match.user_id).catch(err => {
+      replyResponseService.categorizeReply(result.reply_id, result.user_id).catch(err => {
         console.error('[Inbound] Categorization failed:', err.message);
       });
-
-      console.log(`[Inbound] Reply matched to prospect ${match.prospect_id}, campaign ${match.campaign_id}`);
-    } else {
-      console.log(`[Inbound] No prospect match for ${fromEmail}`);
+    } else if (!result.matched) {
+      console.log(`[Inbound] No thread match for ${message.from}`);
     }
 
-    res.json({ received: true });
+    res.json({ received: true, matched: !!result.matched, matched_by: result.matched_by || null });
   } catch (err) {
     console.error('[Inbound Webhook] Error:', err.message);
     res.status(500).json({ error: 'Failed to process inbound email' });
   }
 });
 
+// Cold ESP bounce/complaint/delivery notifications — SES via SNS (text/plain JSON body)
+app.post('/api/webhooks/ses', express.text({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  try {
+    let message;
+    try {
+      message = JSON.parse(req.body || '{}');
+    } catch {
+      return res.status(400).json({ error: 'Invalid JSON' });
+    }
+
+    if (process.env.SES_SNS_TOPIC_ARN && message.TopicArn !== process.env.SES_SNS_TOPIC_ARN) {
+      return res.status(403).json({ error: 'Unexpected SNS topic' });
+    }
+
+    const valid = await bounceService.verifySnsMessage(message);
+    if (!valid) return res.status(403).json({ error: 'Invalid SNS signature' });
+
+    if (message.Type === 'SubscriptionConfirmation') {
+      await bounceService.confirmSnsSubscription(message);
+      return res.json({ confirmed: true });
+    }
+    if (message.Type !== 'Notification') return res.json({ received: true });
+
+    const events = bounceService.parseSesNotification(JSON.parse(message.Message));
+    let processed = 0;
+    for (const event of events) {
+      const result = await bounceService.processEvent(event);
+      if (result.processed) processed++;
+    }
+
+    res.json({ received: true, processed });
+  } catch (err) {
+    console.error('[SES Webhook] Error:', err.message);
+    res.status(500).json({ error: 'Failed to process SES notification' });
+  }
+});
+
+// Cold ESP bounce/complaint/delivery notifications — Mailgun event webhooks (HMAC signed)
+app.post('/api/webhooks/mailgun', express.json({ limit: '1mb' }), async (req, res) => {
+  try {
+    if (!bounceService.verifyMailgunSignature(req.body?.signature)) {
+      return res.status(403).json({ error: 'Invalid Mailgun signature' });
+    }
+
+    const events = bounceService.parseMailgunEvent(req.body['event-data']);
+    let processed = 0;
+    for (const event of events) {
+      const result = await bounceService.processEvent(event);
+      if (result.processed) processed++;
+    }
+
+    res.json({ received: true, processed });
+  } catch (err) {
+    console.error('[Mailgun Webhook] Error:', err.message);
+    res.status(500).json({ error: 'Failed to process Mailgun event' });
+  }
+});
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 app.use(cookieParser());
@@ -291,6 +321,8 @@ app.use(async (req, res, next) => {
                      !req.path.startsWith('/css') &&
                      !req.path.startsWith('/js') &&
                      !req.path.startsWith('/health') &&
+                     !req.path.startsWith('/unsubscribe') &&
+                     !req.path.startsWith('/t/') &&
                      !req.path.match(/\.(png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|css|js)$/i) &&
                      req.method === 'GET';
 
@@ -340,6 +372,9 @@ const proofService = new ProofService(pool);
 const discoveryService = new ProspectDiscoveryService(pool);
 const emailGenService = new EmailGenerationService(pool);
 const approvalService = new ApprovalService(pool);
+const revisionService = new RevisionService(pool);
+const styleMemoryService = new StyleMemoryService(pool);
+const emailExperimentService = new EmailExperimentService(pool);
 const replyResponseService = new ReplyResponseService(pool);
 const stripeService = new StripeService(pool);
 const ecosystemService = new EcosystemService(pool);
@@ -349,8 +384,20 @@ const supportService = new SupportService(pool);
 const productIntelService = new ProductIntelligenceService(pool);
 const marketingService = new MarketingService(pool);
 const onboardingServiceAuto = new OnboardingService(pool);
-const webhookService = new WebhookService();
-const slackService = new SlackService();
+const unsubscribeService = new UnsubscribeService(pool);
+const bounceService = new BounceService(pool);
+const mailboxService = new MailboxService(pool);
+const warmupService = new WarmupService(pool);
+const inboundReplyService = new InboundReplyService(pool);
+const imapPollerService = new ImapPollerService(pool, { replyResponseService });
+const trackingService = new TrackingService(pool);
+const sequenceTemplateService = new SequenceTemplateService(pool);
+const csvImportService = new CsvImportService(pool);
+const customFieldService = new CustomFieldService(pool);
+const emailVerificationService = new EmailVerificationService(pool);
+const contactRegistryService = new ContactRegistryService(pool);
+const webhookService = new WebhookService(pool);
+const slackService = new SlackService(pool);
 
 // Register inbox routes
 registerInboxRoutes(app, pool, authService);
@@ -490,7 +537,7 @@ function serveHtml(filename) {
  'campaign-sending.html', 'inbox.html', 'admin-metrics.html', 'login.html',
  'signup.html', 'forgot-password.html', 'reset-password.html', 'terms.html',
  'privacy.html', 'billing.html', 'queue.html', 'pipeline.html', 'operator.html',
- '404.html'
+ 'unsubscribe.html', 'sequences.html', '404.html'
 ].forEach(loadHtml);
 
 // Serve HTML pages from cache
@@ -949,6 +996,49 @@ app.get('/reset-password', serveHtml('reset-password.html'));
 app.get('/terms', serveHtml('terms.html'));
 app.get('/privacy', serveHtml('privacy.html'));
 
+// Public unsubscribe page (signed per-recipient token, see lib/unsubscribe-service.js)
+app.get('/unsubscribe/:token', serveHtml('unsubscribe.html'));
+
+// Unsubscribe confirmation + RFC 8058 one-click (mail clients POST "List-Unsubscribe=One-Click")
+app.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const source = req.body?.['List-Unsubscribe'] === 'One-Click' ? 'one_click' : 'link';
+    const result = await unsubscribeService.unsubscribe(req.params.token, source);
+    if (!result.success) return res.status(400).json({ error: result.error });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Unsubscribe error:', err);
+    res.status(500).json({ error: 'Failed to process unsubscribe request' });
+  }
+});
+
+// Open tracking pixel (signed per-send token, see lib/tracking-service.js)
+app.get('/t/o/:token', (req, res) => {
+  trackingService.recordOpen(req.params.token, {
+    userAgent: req.headers['user-agent'], ip: req.ip, method: req.method
+  }).catch(err => console.error('Open tracking error:', err.message));
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Pragma': 'no-cache'
+  });
+  res.send(TrackingService.pixel);
+});
+
+// Click tracking redirect — the destination is part of the signed token
+app.get('/t/c/:token', (req, res) => {
+  const data = trackingService.verifyToken(req.params.token);
+  if (!data || !data.url) return res.status(404).send('Link not found');
+
+  trackingService.recordClick(req.params.token, {
+    userAgent: req.headers['user-agent'], ip: req.ip, method: req.method
+  }).catch(err => console.error('Click tracking error:', err.message));
+
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, data.url);
+});
+
 // Billing page (protected)
 app.get('/billing', requireAuth, serveHtml('billing.html'));
 
@@ -957,6 +1047,7 @@ app.get('/queue', requireAuth, serveHtml('queue.html'));
 
 // Protected: Pipeline View
 app.get('/pipeline', requireAuth, serveHtml('pipeline.html'));
+app.get('/sequences', requireAuth, serveHtml('sequences.html'));
 
 // ============================================
 // BILLING API ROUTES (Protected)
@@ -1094,7 +1185,7 @@ app.get('/api/billing/usage', async (req, res) => {
 // Start campaign
 app.post('/api/campaigns/:campaignId/send', [
   param('campaignId').isInt(),
-  body('senderEmail').isEmail(),
+  body('senderEmail').optional().isEmail(),
   body('senderName').optional().isString()
 ], async (req, res) => {
   try {
@@ -1134,15 +1225,8 @@ app.post('/api/campaigns/:campaignId/send', [
 // Get campaign status
 app.get('/api/campaigns/:campaignId/status', async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const user = await authService.verifyToken(token);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
     const { campaignId } = req.params;
 
@@ -1152,6 +1236,8 @@ app.get('/api/campaigns/:campaignId/status', async (req, res) => {
         c.name,
         csc.status,
         csc.prospect_count,
+        csc.track_opens,
+        csc.track_clicks,
         COALESCE(COUNT(DISTINCT CASE WHEN csq.status = 'sent' THEN csq.id END), 0) as emails_sent,
         COALESCE(COUNT(DISTINCT CASE WHEN csq.status = 'pending' THEN csq.id END), 0) as emails_pending,
         COALESCE(COUNT(DISTINCT CASE WHEN csq.status = 'failed' THEN csq.id END), 0) as emails_failed
@@ -1159,14 +1245,15 @@ app.get('/api/campaigns/:campaignId/status', async (req, res) => {
       LEFT JOIN campaign_sending_context csc ON c.id = csc.campaign_id
       LEFT JOIN campaign_sending_queue csq ON c.id = csq.campaign_id
       WHERE c.id = $1 AND c.user_id = $2
-      GROUP BY c.id, c.name, csc.status, csc.prospect_count
+      GROUP BY c.id, c.name, csc.status, csc.prospect_count, csc.track_opens, csc.track_clicks
     `, [campaignId, user.id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Campaign not found' });
     }
 
-    res.json(result.rows[0]);
+    const engagement = await trackingService.getCampaignEngagement(campaignId);
+    res.json({ ...result.rows[0], engagement });
   } catch (err) {
     console.error('Campaign status error:', err);
     res.status(500).json({ error: err.message });
@@ -1219,7 +1306,7 @@ app.post('/api/campaigns/:campaignId/resume', async (req, res) => {
 
     await pool.query(`
       UPDATE campaign_sending_context
-      SET status = 'active', updated_at = NOW()
+      SET status = 'active', paused_reason = NULL, updated_at = NOW()
       WHERE campaign_id = $1
         AND EXISTS (SELECT 1 FROM campaigns WHERE id = $1 AND user_id = $2)
     `, [campaignId, user.id]);
@@ -1231,222 +1318,918 @@ app.post('/api/campaigns/:campaignId/resume', async (req, res) => {
   }
 });
 
-// ============================================
-// CAMPAIGN CRUD ROUTES (Protected)
-// ============================================
-
-// Helper: extract user from auth token
-async function authenticateRequest(req, authService) {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return null;
-  const decoded = authService.verifyToken(token);
-  if (!decoded || !decoded.userId) return null;
-  return { id: decoded.userId };
-}
-
-// List campaigns with optional status filter
-app.get('/api/campaigns', async (req, res) => {
+// Update sending window (hours, IANA timezone, weekends, holidays)
+app.put('/api/campaigns/:campaignId/sending-settings', [
+  param('campaignId').isInt(),
+  body('sending_window_start').optional().matches(/^\d{1,2}:\d{2}(:\d{2})?$/),
+  body('sending_window_end').optional().matches(/^\d{1,2}:\d{2}(:\d{2})?$/),
+  body('timezone').optional().isString(),
+  body('skip_weekends').optional().isBoolean(),
+  body('use_prospect_timezone').optional().isBoolean(),
+  body('warmup_enabled').optional().isBoolean(),
+  body('track_opens').optional().isBoolean(),
+  body('track_clicks').optional().isBoolean(),
+  body('holidays').optional().isArray(),
+  body('reply_delay_min_minutes').optional().isInt({ min: 0, max: 1440 }),
+  body('reply_delay_max_minutes').optional().isInt({ min: 0, max: 1440 }),
+  body('ooo_default_pause_days').optional().isInt({ min: 1, max: 90 }),
+  body('ooo_create_alternate_contact').optional().isBoolean()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const status = req.query.status || 'active';
+    const result = await campaignSendingService.updateSendingSettings(
+      req.params.campaignId,
+      user.id,
+      req.body
+    );
 
-    let whereClause = 'WHERE c.user_id = $1';
-    if (status === 'active') {
-      whereClause += ' AND (c.is_archived = false OR c.is_archived IS NULL)';
-    } else if (status === 'archived') {
-      whereClause += ' AND c.is_archived = true';
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
     }
-    // 'all' = no additional filter
-
-    const result = await pool.query(`
-      SELECT
-        c.id,
-        c.name,
-        c.description,
-        c.icp_description,
-        c.status,
-        c.is_archived,
-        c.created_at,
-        c.updated_at,
-        COALESCE(
-          json_build_object(
-            'total_prospects', COALESCE(csc.prospect_count, 0),
-            'total_emails', COALESCE(eq.total_emails, 0),
-            'emails_sent', COALESCE(eq.emails_sent, 0)
-          ), '{}'::json
-        ) as stats
-      FROM campaigns c
-      LEFT JOIN campaign_sending_context csc ON c.id = csc.campaign_id
-      LEFT JOIN LATERAL (
-        SELECT
-          COUNT(*) as total_emails,
-          COUNT(CASE WHEN status = 'sent' THEN 1 END) as emails_sent
-        FROM campaign_sending_queue
-        WHERE campaign_id = c.id
-      ) eq ON true
-      ${whereClause}
-      ORDER BY c.created_at DESC
-    `, [user.id]);
 
-    res.json({ campaigns: result.rows });
+    res.json(result);
   } catch (err) {
-    console.error('List campaigns error:', err);
+    console.error('Sending settings error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create campaign
-app.post('/api/campaigns', async (req, res) => {
+// ============================================
+// SUPPRESSION LIST ROUTES (Protected)
+// ============================================
+
+app.get('/api/suppressions', async (req, res) => {
   try {
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { name, description, icp_description, icp_template_id } = req.body;
-    if (!name) return res.status(400).json({ error: 'Campaign name is required' });
-
-    // Enforce plan limits
-    const planLimits = { free: 1, starter: 1, growth: 5, scale: -1 };
-    const userPlan = await pool.query('SELECT subscription_plan FROM users WHERE id = $1', [user.id]);
-    const plan = userPlan.rows[0]?.subscription_plan || 'free';
-    const maxCampaigns = planLimits[plan] ?? 1;
-
-    if (maxCampaigns !== -1) {
-      const campaignCount = await pool.query(
-        'SELECT COUNT(*) as count FROM campaigns WHERE user_id = $1 AND (is_archived = false OR is_archived IS NULL)',
-        [user.id]
-      );
-      if (parseInt(campaignCount.rows[0].count) >= maxCampaigns) {
-        // Track plan limit hit
-        trackEvent('plan_limit_hit', user.id, {
-          limit_type: 'campaigns',
-          current_plan: plan,
-          limit: maxCampaigns
-        }).catch(() => {});
-        return res.status(403).json({
-          error: `Campaign limit reached (${maxCampaigns} on ${plan} plan). Upgrade to create more campaigns.`,
-          upgrade_required: true,
-          current_plan: plan
-        });
-      }
-    }
-
-    let icpDesc = icp_description || null;
-
-    // If using template, fetch ICP description from template
-    if (icp_template_id) {
-      const tpl = await pool.query(
-        'SELECT icp_description FROM icp_templates WHERE id = $1 AND user_id = $2',
-        [icp_template_id, user.id]
-      );
-      if (tpl.rows.length > 0) {
-        icpDesc = tpl.rows[0].icp_description;
-        // Increment template usage count
-        await pool.query(
-          'UPDATE icp_templates SET usage_count = COALESCE(usage_count, 0) + 1 WHERE id = $1',
-          [icp_template_id]
-        );
-      }
-    }
-
-    const result = await pool.query(`
-      INSERT INTO campaigns (user_id, name, description, icp_description, icp_template_id, status, is_archived)
-      VALUES ($1, $2, $3, $4, $5, 'active', false)
-      RETURNING *
-    `, [user.id, name, description || null, icpDesc, icp_template_id || null]);
-
-    // Track campaign creation event
-    trackEvent('campaign_created', user.id, {
-      campaign_id: result.rows[0].id,
-      campaign_name: name
-    }).catch(err => console.error('Campaign creation tracking failed:', err.message));
-
-    res.json({ success: true, campaign: result.rows[0] });
+    const suppressions = await unsubscribeService.listSuppressions(user.id, {
+      limit: parseInt(req.query.limit) || 100,
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json({ success: true, suppressions });
   } catch (err) {
-    console.error('Create campaign error:', err);
+    console.error('List suppressions error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Duplicate campaign
-app.post('/api/campaigns/:id/duplicate', async (req, res) => {
+app.post('/api/suppressions', async (req, res) => {
   try {
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { id } = req.params;
-    const { new_name } = req.body;
+    const { email, domain, reason } = req.body;
+    if (!email && !domain) return res.status(400).json({ error: 'email or domain is required' });
 
-    const original = await pool.query(
-      'SELECT * FROM campaigns WHERE id = $1 AND user_id = $2',
-      [id, user.id]
-    );
-    if (original.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+    const result = await unsubscribeService.suppress(user.id, email || domain, {
+      type: email ? 'email' : 'domain',
+      reason: reason || 'manual',
+      source: 'manual'
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Add suppression error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    const src = original.rows[0];
-    const result = await pool.query(`
-      INSERT INTO campaigns (user_id, name, description, icp_description, icp_template_id, status, is_archived)
-      VALUES ($1, $2, $3, $4, $5, 'active', false)
-      RETURNING *
-    `, [user.id, new_name || `${src.name} (Copy)`, src.description, src.icp_description, src.icp_template_id]);
+app.delete('/api/suppressions/:id', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    res.json({ success: true, campaign: result.rows[0] });
+    const result = await unsubscribeService.removeSuppression(user.id, parseInt(req.params.id));
+    if (!result.success) return res.status(404).json({ error: 'Suppression not found' });
+    res.json(result);
   } catch (err) {
-    console.error('Duplicate campaign error:', err);
+    console.error('Remove suppression error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Archive campaign
-app.put('/api/campaigns/:id/archive', async (req, res) => {
+// ============================================
+// SENDER MAILBOX ROUTES (Protected)
+// ============================================
+
+app.get('/api/mailboxes', async (req, res) => {
   try {
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { id } = req.params;
-    const result = await pool.query(`
-      UPDATE campaigns SET is_archived = true, archived_at = NOW(), updated_at = NOW()
-      WHERE id = $1 AND user_id = $2
-      RETURNING id
-    `, [id, user.id]);
-
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
-    res.json({ success: true });
+    const mailboxes = await mailboxService.listMailboxes(user.id);
+    res.json({ success: true, mailboxes });
   } catch (err) {
-    console.error('Archive campaign error:', err);
+    console.error('List mailboxes error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Unarchive campaign
-app.put('/api/campaigns/:id/unarchive', async (req, res) => {
+app.post('/api/mailboxes', [
+  body('email').isEmail(),
+  body('daily_limit').optional().isInt({ min: 0, max: 2000 }),
+  body('provider').optional({ nullable: true }).isString(),
+  body('credentials').optional({ nullable: true }).isObject()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { id } = req.params;
-    const result = await pool.query(`
-      UPDATE campaigns SET is_archived = false, archived_at = NULL, updated_at = NOW()
-      WHERE id = $1 AND user_id = $2
-      RETURNING id
-    `, [id, user.id]);
-
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
-    res.json({ success: true });
+    const mailbox = await mailboxService.createMailbox(user.id, req.body);
+    res.status(201).json({ success: true, mailbox });
   } catch (err) {
-    console.error('Unarchive campaign error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Create mailbox error:', err);
+    const status = err.code === '23505' ? 409 : 400;
+    res.status(status).json({ error: err.code === '23505' ? 'Mailbox already registered' : err.message });
   }
 });
 
-// Delete campaign
-app.delete('/api/campaigns/:id', async (req, res) => {
+app.put('/api/mailboxes/:id', [
+  param('id').isInt(),
+  body('daily_limit').optional().isInt({ min: 0, max: 2000 }),
+  body('status').optional().isIn(['active', 'paused']),
+  body('warmup_status').optional().isIn(['warming', 'frozen']),
+  body('imap_enabled').optional().isBoolean()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { id } = req.params;
+    const mailbox = await mailboxService.updateMailbox(user.id, parseInt(req.params.id), req.body);
+    res.json({ success: true, mailbox });
+  } catch (err) {
+    console.error('Update mailbox error:', err);
+    res.status(err.message === 'Mailbox not found' ? 404 : 400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/mailboxes/:id', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await mailboxService.deleteMailbox(user.id, parseInt(req.params.id));
+    if (!result.success) return res.status(404).json({ error: 'Mailbox not found' });
+    res.json(result);
+  } catch (err) {
+    console.error('Delete mailbox error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Poll a mailbox's IMAP inbox for replies now (also verifies the IMAP settings)
+app.post('/api/mailboxes/:id/poll', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const mailbox = await pool.query(
+      'SELECT * FROM sender_mailboxes WHERE id = $1 AND user_id = $2',
+      [parseInt(req.params.id), user.id]
+    );
+    if (mailbox.rows.length === 0) return res.status(404).json({ error: 'Mailbox not found' });
+
+    const result = await imapPollerService.pollMailbox(mailbox.rows[0]);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Mailbox poll error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/campaigns/:campaignId/mailboxes', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const campaign = await pool.query(
+      'SELECT id FROM campaigns WHERE id = $1 AND user_id = $2',
+      [req.params.campaignId, user.id]
+    );
+    if (campaign.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+
+    const mailboxes = await mailboxService.getCampaignMailboxes(parseInt(req.params.campaignId));
+    res.json({ success: true, mailboxes });
+  } catch (err) {
+    console.error('Campaign mailboxes error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/campaigns/:campaignId/mailboxes', [
+  param('campaignId').isInt(),
+  body('mailbox_ids').isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const mailboxes = await mailboxService.setCampaignMailboxes(
+      user.id, parseInt(req.params.campaignId), req.body.mailbox_ids
+    );
+    res.json({ success: true, mailboxes });
+  } catch (err) {
+    console.error('Attach mailboxes error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ============================================
+// WARMUP ROUTES (Protected)
+// ============================================
+
+app.get('/api/campaigns/:campaignId/warmup', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const warmup = await warmupService.getCampaignWarmup(parseInt(req.params.campaignId), user.id);
+    if (!warmup) return res.status(404).json({ error: 'Campaign not started' });
+
+    res.json({ success: true, warmup });
+  } catch (err) {
+    console.error('Warmup status error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/campaigns/:campaignId/warmup/resume', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await warmupService.resumeCampaignWarmup(parseInt(req.params.campaignId), user.id);
+    if (!result.success) return res.status(404).json({ error: 'No slowed or frozen warmup for this campaign' });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Warmup resume error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Campaign analytics dashboard (opens/clicks exclude filtered bot hits)
+app.get('/api/campaigns/:campaignId/analytics', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const analytics = await trackingService.getCampaignAnalytics(parseInt(req.params.campaignId), user.id, days);
+    if (!analytics) return res.status(404).json({ error: 'Campaign not found' });
+
+    res.json(analytics);
+  } catch (err) {
+    console.error('Campaign analytics error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================
+// SEQUENCE TEMPLATE ROUTES (Protected)
+// ============================================
+
+const sequenceStepValidators = [
+  body('steps').optional().isArray({ min: 1, max: 10 }),
+  body('steps.*.days_after_initial').optional().isInt({ min: 1, max: 90 }),
+  body('steps.*.content_type').optional().isIn(['ai', 'fixed']),
+  body('steps.*.ai_instructions').optional({ nullable: true }).isString(),
+  body('steps.*.subject_line').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('steps.*.email_body').optional({ nullable: true }).isString()
+];
+
+app.get('/api/sequence-templates', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const templates = await sequenceTemplateService.listTemplates(user.id);
+    res.json({ success: true, templates });
+  } catch (err) {
+    console.error('List sequence templates error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/sequence-templates/:id', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const template = await sequenceTemplateService.getTemplate(user.id, parseInt(req.params.id));
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error('Get sequence template error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/sequence-templates', [
+  body('name').isString().trim().notEmpty(),
+  body('description').optional({ nullable: true }).isString(),
+  ...sequenceStepValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const template = await sequenceTemplateService.createTemplate(user.id, req.body);
+    res.status(201).json({ success: true, template });
+  } catch (err) {
+    console.error('Create sequence template error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put('/api/sequence-templates/:id', [
+  param('id').isInt(),
+  body('name').optional().isString(),
+  body('description').optional({ nullable: true }).isString(),
+  body('is_active').optional().isBoolean(),
+  ...sequenceStepValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const template = await sequenceTemplateService.updateTemplate(user.id, parseInt(req.params.id), req.body);
+    res.json({ success: true, template });
+  } catch (err) {
+    console.error('Update sequence template error:', err);
+    res.status(err.message === 'Template not found' ? 404 : 400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/sequence-templates/:id', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await sequenceTemplateService.deleteTemplate(user.id, parseInt(req.params.id));
+    if (!result.success) return res.status(404).json({ error: 'Template not found' });
+    res.json(result);
+  } catch (err) {
+    console.error('Delete sequence template error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Attach a sequence template to a campaign (template_id: null restores the default Day 3 / Day 7 follow-ups)
+app.put('/api/campaigns/:campaignId/sequence-template', [
+  param('campaignId').isInt(),
+  body('template_id').optional({ nullable: true }).isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const templateId = req.body.template_id === null || req.body.template_id === undefined
+      ? null : parseInt(req.body.template_id);
+    const campaign = await sequenceTemplateService.assignToCampaign(user.id, parseInt(req.params.campaignId), templateId);
+    res.json({ success: true, campaign });
+  } catch (err) {
+    console.error('Assign sequence template error:', err);
+    const status = err.message.endsWith('not found') ? 404 : 400;
+    res.status(status).json({ error: err.message });
+  }
+});
+
+// ============================================
+// CUSTOM PROSPECT FIELDS & MERGE PREVIEW (Protected)
+// ============================================
+
+const customFieldValidators = [
+  body('label').optional().isString().isLength({ min: 1, max: 100 }),
+  body('field_key').optional().isString().isLength({ max: 50 }),
+  body('field_type').optional().isIn(['text', 'number', 'date', 'url', 'boolean']),
+  body('is_required').optional().isBoolean(),
+  body('include_in_ai').optional().isBoolean(),
+  body('position').optional().isInt({ min: 0 })
+];
+
+app.get('/api/campaigns/:campaignId/custom-fields', [
+  param('campaignId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const fields = await customFieldService.listFields(user.id, parseInt(req.params.campaignId));
+    res.json({ fields });
+  } catch (err) {
+    console.error('List custom fields error:', err);
+    res.status(err.message === 'Campaign not found' ? 404 : 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/campaigns/:campaignId/custom-fields', [
+  param('campaignId').isInt(),
+  ...customFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const field = await customFieldService.createField(user.id, parseInt(req.params.campaignId), req.body);
+    res.status(201).json({ success: true, field });
+  } catch (err) {
+    console.error('Create custom field error:', err);
+    res.status(err.message === 'Campaign not found' ? 404 : 400).json({ error: err.message });
+  }
+});
+
+app.put('/api/campaigns/:campaignId/custom-fields/:fieldId', [
+  param('campaignId').isInt(),
+  param('fieldId').isInt(),
+  ...customFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const field = await customFieldService.updateField(
+      user.id, parseInt(req.params.campaignId), parseInt(req.params.fieldId), req.body
+    );
+    res.json({ success: true, field });
+  } catch (err) {
+    console.error('Update custom field error:', err);
+    res.status(err.message.endsWith('not found') ? 404 : 400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/campaigns/:campaignId/custom-fields/:fieldId', [
+  param('campaignId').isInt(),
+  param('fieldId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await customFieldService.deleteField(user.id, parseInt(req.params.campaignId), parseInt(req.params.fieldId));
+    if (!result.success) return res.status(404).json({ error: 'Field not found' });
+    res.json(result);
+  } catch (err) {
+    console.error('Delete custom field error:', err);
+    res.status(err.message === 'Campaign not found' ? 404 : 500).json({ error: err.message });
+  }
+});
+
+app.put('/api/prospects/:prospectId/custom-fields', [
+  param('prospectId').isInt(),
+  body('values').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const customFields = await customFieldService.setProspectValues(user.id, parseInt(req.params.prospectId), req.body.values);
+    res.json({ success: true, custom_fields: customFields });
+  } catch (err) {
+    console.error('Set prospect custom fields error:', err);
+    res.status(err.message === 'Prospect not found' ? 404 : 400).json({ error: err.message });
+  }
+});
+
+// Render copy with merge tags for the campaign's prospects, flagging missing required fields/tags
+app.post('/api/campaigns/:campaignId/merge-preview', [
+  param('campaignId').isInt(),
+  body('subject').optional({ nullable: true }).isString(),
+  body('body').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const preview = await customFieldService.previewMergeTags(user.id, parseInt(req.params.campaignId), {
+      subject: req.body.subject || '',
+      body: req.body.body || ''
+    });
+    res.json(preview);
+  } catch (err) {
+    console.error('Merge preview error:', err);
+    res.status(err.message === 'Campaign not found' ? 404 : 500).json({ error: err.message });
+  }
+});
+
+// ============================================
+// CONTACT REGISTRY ROUTES (Protected)
+// ============================================
+
+app.get('/api/contact-policy', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const policy = await contactRegistryService.getPolicy(user.id);
+    res.json({ success: true, policy });
+  } catch (err) {
+    console.error('Get contact policy error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/contact-policy', [
+  body('person_cooldown_days').optional().isInt({ min: 0, max: 365 }),
+  body('domain_cooldown_days').optional().isInt({ min: 0, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const policy = await contactRegistryService.updatePolicy(user.id, req.body);
+    res.json({ success: true, policy });
+  } catch (err) {
+    console.error('Update contact policy error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/contacts', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const contacts = await contactRegistryService.listContacts(user.id, {
+      search: typeof req.query.search === 'string' ? req.query.search.slice(0, 100) : '',
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, contacts });
+  } catch (err) {
+    console.error('List contacts error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every touch of one person across campaigns
+app.get('/api/contacts/:id/timeline', [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const timeline = await contactRegistryService.getTimeline(user.id, parseInt(req.params.id));
+    res.json({ success: true, ...timeline });
+  } catch (err) {
+    console.error('Contact timeline error:', err);
+    res.status(err.message === 'Contact not found' ? 404 : 500).json({ error: err.message });
+  }
+});
+
+// ============================================
+// EMAIL VERIFICATION ROUTES (Protected)
+// ============================================
+
+// Verify every recipient in a campaign (cached results are reused)
+app.post('/api/campaigns/:campaignId/verify-emails', [
+  param('campaignId').isInt(),
+  body('smtp').optional().isBoolean(),
+  body('force').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const campaign = await pool.query(
+      'SELECT id FROM campaigns WHERE id = $1 AND user_id = $2',
+      [req.params.campaignId, user.id]
+    );
+    if (campaign.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+
+    const summary = await emailVerificationService.verifyCampaignRecipients(parseInt(req.params.campaignId), {
+      smtp: req.body.smtp === undefined ? undefined : String(req.body.smtp) === 'true',
+      force: String(req.body.force) === 'true'
+    });
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error('Campaign email verification error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Check a single address
+app.post('/api/email-verification/check', [
+  body('email').isString().trim().notEmpty().isLength({ max: 254 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await emailVerificationService.verify(req.body.email);
+    res.json({ success: true, verification: result });
+  } catch (err) {
+    console.error('Email verification error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================
+// CAMPAIGN CRUD ROUTES (Protected)
+// ============================================
+
+// Helper: extract user from auth token
+async function authenticateRequest(req, authService) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+  const decoded = authService.verifyToken(token);
+  if (!decoded || !decoded.userId) return null;
+  return { id: decoded.userId };
+}
+
+// List campaigns with optional status filter
+app.get('/api/campaigns', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const status = req.query.status || 'active';
+
+    let whereClause = 'WHERE c.user_id = $1';
+    if (status === 'active') {
+      whereClause += ' AND (c.is_archived = false OR c.is_archived IS NULL)';
+    } else if (status === 'archived') {
+      whereClause += ' AND c.is_archived = true';
+    }
+    // 'all' = no additional filter
+
+    const result = await pool.query(`
+      SELECT
+        c.id,
+        c.name,
+        c.description,
+        c.icp_description,
+        c.status,
+        c.is_archived,
+        c.sequence_template_id,
+        c.created_at,
+        c.updated_at,
+        COALESCE(
+          json_build_object(
+            'total_prospects', COALESCE(csc.prospect_count, 0),
+            'total_emails', COALESCE(eq.total_emails, 0),
+            'emails_sent', COALESCE(eq.emails_sent, 0)
+          ), '{}'::json
+        ) as stats
+      FROM campaigns c
+      LEFT JOIN campaign_sending_context csc ON c.id = csc.campaign_id
+      LEFT JOIN LATERAL (
+        SELECT
+          COUNT(*) as total_emails,
+          COUNT(CASE WHEN status = 'sent' THEN 1 END) as emails_sent
+        FROM campaign_sending_queue
+        WHERE campaign_id = c.id
+      ) eq ON true
+      ${whereClause}
+      ORDER BY c.created_at DESC
+    `, [user.id]);
+
+    res.json({ campaigns: result.rows });
+  } catch (err) {
+    console.error('List campaigns error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create campaign
+app.post('/api/campaigns', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { name, description, icp_description, icp_template_id } = req.body;
+    if (!name) return res.status(400).json({ error: 'Campaign name is required' });
+
+    // Enforce plan limits
+    const planLimits = { free: 1, starter: 1, growth: 5, scale: -1 };
+    const userPlan = await pool.query('SELECT subscription_plan FROM users WHERE id = $1', [user.id]);
+    const plan = userPlan.rows[0]?.subscription_plan || 'free';
+    const maxCampaigns = planLimits[plan] ?? 1;
+
+    if (maxCampaigns !== -1) {
+      const campaignCount = await pool.query(
+        'SELECT COUNT(*) as count FROM campaigns WHERE user_id = $1 AND (is_archived = false OR is_archived IS NULL)',
+        [user.id]
+      );
+      if (parseInt(campaignCount.rows[0].count) >= maxCampaigns) {
+        // Track plan limit hit
+        trackEvent('plan_limit_hit', user.id, {
+          limit_type: 'campaigns',
+          current_plan: plan,
+          limit: maxCampaigns
+        }).catch(() => {});
+        return res.status(403).json({
+          error: `Campaign limit reached (${maxCampaigns} on ${plan} plan). Upgrade to create more campaigns.`,
+          upgrade_required: true,
+          current_plan: plan
+        });
+      }
+    }
+
+    let icpDesc = icp_description || null;
+
+    // If using template, fetch ICP description from template
+    if (icp_template_id) {
+      const tpl = await pool.query(
+        'SELECT icp_description FROM icp_templates WHERE id = $1 AND user_id = $2',
+        [icp_template_id, user.id]
+      );
+      if (tpl.rows.length > 0) {
+        icpDesc = tpl.rows[0].icp_description;
+        // Increment template usage count
+        await pool.query(
+          'UPDATE icp_templates SET usage_count = COALESCE(usage_count, 0) + 1 WHERE id = $1',
+          [icp_template_id]
+        );
+      }
+    }
+
+    const result = await pool.query(`
+      INSERT INTO campaigns (user_id, name, description, icp_description, icp_template_id, status, is_archived)
+      VALUES ($1, $2, $3, $4, $5, 'active', false)
+      RETURNING *
+    `, [user.id, name, description || null, icpDesc, icp_template_id || null]);
+
+    // Track campaign creation event
+    trackEvent('campaign_created', user.id, {
+      campaign_id: result.rows[0].id,
+      campaign_name: name
+    }).catch(err => console.error('Campaign creation tracking failed:', err.message));
+
+    res.json({ success: true, campaign: result.rows[0] });
+  } catch (err) {
+    console.error('Create campaign error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Duplicate campaign
+app.post('/api/campaigns/:id/duplicate', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { id } = req.params;
+    const { new_name } = req.body;
+
+    const original = await pool.query(
+      'SELECT * FROM campaigns WHERE id = $1 AND user_id = $2',
+      [id, user.id]
+    );
+    if (original.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+
+    const src = original.rows[0];
+    const result = await pool.query(`
+      INSERT INTO campaigns (user_id, name, description, icp_description, icp_template_id, status, is_archived)
+      VALUES ($1, $2, $3, $4, $5, 'active', false)
+      RETURNING *
+    `, [user.id, new_name || `${src.name} (Copy)`, src.description, src.icp_description, src.icp_template_id]);
+
+    res.json({ success: true, campaign: result.rows[0] });
+  } catch (err) {
+    console.error('Duplicate campaign error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Archive campaign
+app.put('/api/campaigns/:id/archive', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { id } = req.params;
+    const result = await pool.query(`
+      UPDATE campaigns SET is_archived = true, archived_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `, [id, user.id]);
+
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Archive campaign error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unarchive campaign
+app.put('/api/campaigns/:id/unarchive', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { id } = req.params;
+    const result = await pool.query(`
+      UPDATE campaigns SET is_archived = false, archived_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `, [id, user.id]);
+
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Unarchive campaign error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete campaign
+app.delete('/api/campaigns/:id', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { id } = req.params;
 
     // Delete related records first
     await pool.query('DELETE FROM campaign_sending_queue WHERE campaign_id = $1', [id]);
@@ -1714,14 +2497,33 @@ app.get('/api/dashboard/activity', async (req, res) => {
 // ============================================
 
 // --- Discovery ---
-app.post('/api/campaigns/:id/discover', async (req, res) => {
+app.get('/api/discovery/providers', async (req, res) => {
   try {
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { batchSize } = req.body;
+    res.json({ providers: listDiscoveryProviders(), default: process.env.DISCOVERY_PROVIDER || 'ai' });
+  } catch (err) {
+    console.error('Discovery providers error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/campaigns/:id/discover', [
+  body('provider').optional().isIn(['dataset', 'rest', 'ai'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { batchSize, provider } = req.body;
     const result = await discoveryService.discoverProspects(
-      parseInt(req.params.id), user.id, batchSize || 25
+      parseInt(req.params.id), user.id, batchSize || 25, { provider }
     );
     res.json({ success: true, ...result });
   } catch (err) {
@@ -1746,6 +2548,27 @@ app.post('/api/campaigns/:id/research', async (req, res) => {
   }
 });
 
+// Mark an AI-generated prospect as checked by a person so its emails can be queued
+app.post('/api/prospects/:id/confirm', [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const prospect = await discoveryService.confirmProspect(user.id, parseInt(req.params.id));
+    res.json({ success: true, prospect });
+  } catch (err) {
+    console.error('Prospect confirm error:', err);
+    res.status(err.message === 'Prospect not found' ? 404 : 500).json({ error: err.message });
+  }
+});
+
 app.get('/api/campaigns/:id/prospects', async (req, res) => {
   try {
     const user = await authenticateRequest(req, authService);
@@ -1790,45 +2613,179 @@ app.post('/api/campaigns/:id/import-prospects', async (req, res) => {
       return res.status(400).json({ error: 'prospects array is required' });
     }
 
-    if (prospects.length > 500) {
-      return res.status(400).json({ error: 'Maximum 500 prospects per import' });
+    if (prospects.length > 500) {
+      return res.status(400).json({ error: 'Maximum 500 prospects per import' });
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    let suppressed = 0;
+    let recentlyContacted = 0;
+
+    // Suppressed addresses/domains can never re-enter any campaign
+    const suppressedEmails = await unsubscribeService.filterSuppressed(
+      user.id, prospects.map(p => p.email).filter(Boolean)
+    );
+    // People other campaigns are sequencing or contacted inside the user's cooldown
+    const blockedEmails = await contactRegistryService.findBlockedEmails(
+      user.id, prospects.map(p => p.email).filter(Boolean), { excludeCampaignId: campaignId }
+    );
+    // Keys matching the campaign's custom fields are kept (values that don't fit the type are dropped)
+    const customFields = await customFieldService.getCampaignFields(campaignId);
+
+    for (const p of prospects) {
+      if (!p.email) { skipped++; continue; }
+      if (suppressedEmails.has(p.email.trim().toLowerCase())) { suppressed++; skipped++; continue; }
+      if (blockedEmails.has(p.email.trim().toLowerCase())) { recentlyContacted++; skipped++; continue; }
+
+      try {
+        await pool.query(`
+          INSERT INTO prospects (campaign_id, email, first_name, last_name, company_name, title, custom_fields, source, status, fit_score)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, 'csv_import', 'discovered', 50)
+          ON CONFLICT (campaign_id, email) DO NOTHING
+        `, [
+          campaignId,
+          p.email.trim().toLowerCase(),
+          p.first_name || p.name?.split(' ')[0] || null,
+          p.last_name || p.name?.split(' ').slice(1).join(' ') || null,
+          p.company || p.company_name || null,
+          p.title || p.role || null,
+          JSON.stringify(customFieldService.parseValues(customFields, p).values)
+        ]);
+        imported++;
+      } catch (insertErr) {
+        skipped++;
+      }
+    }
+
+    await contactRegistryService.linkCampaignProspects(campaignId);
+
+    // Track CSV import event (H1 hypothesis - activation funnel)
+    trackEvent('csv_import', user.id, {
+      campaign_id: campaignId,
+      prospect_count: imported,
+      skipped: skipped
+    }).catch(() => {});
+
+    res.json({ success: true, imported, skipped, suppressed, recently_contacted: recentlyContacted, total: prospects.length });
+  } catch (err) {
+    console.error('CSV import error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// File imports: upload (multipart, field "file") → confirm mapping → background processing
+app.post('/api/campaigns/:id/imports', express.raw({ type: 'multipart/form-data', limit: '12mb' }), [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: 'Upload the file as multipart/form-data' });
+    }
+    const file = parseMultipartForm(req.body, req.headers['content-type']).find(part => part.filename);
+    if (!file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const result = await csvImportService.createImport(user.id, parseInt(req.params.id), {
+      filename: file.filename,
+      data: file.data
+    });
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    console.error('File import upload error:', err);
+    res.status(err.message === 'Campaign not found' ? 404 : 400).json({ error: err.message });
+  }
+});
+
+app.get('/api/campaigns/:id/imports', [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const imports = await csvImportService.listImports(user.id, parseInt(req.params.id));
+    res.json({ imports });
+  } catch (err) {
+    console.error('List imports error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/imports/:id/mapping', [
+  param('id').isInt(),
+  body('column_mapping').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await csvImportService.confirmMapping(user.id, parseInt(req.params.id), req.body.column_mapping);
+    res.json({ success: true, import: result });
+  } catch (err) {
+    console.error('Import mapping error:', err);
+    res.status(err.message === 'Import not found' ? 404 : 400).json({ error: err.message });
+  }
+});
+
+app.get('/api/imports/:id', [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    let imported = 0;
-    let skipped = 0;
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    for (const p of prospects) {
-      if (!p.email) { skipped++; continue; }
+    const result = await csvImportService.getImport(user.id, parseInt(req.params.id));
+    if (!result) return res.status(404).json({ error: 'Import not found' });
+    res.json({ import: result });
+  } catch (err) {
+    console.error('Get import error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      try {
-        await pool.query(`
-          INSERT INTO prospects (campaign_id, email, first_name, last_name, company_name, title, source, status, fit_score)
-          VALUES ($1, $2, $3, $4, $5, $6, 'csv_import', 'discovered', 50)
-          ON CONFLICT (campaign_id, email) DO NOTHING
-        `, [
-          campaignId,
-          p.email.trim().toLowerCase(),
-          p.first_name || p.name?.split(' ')[0] || null,
-          p.last_name || p.name?.split(' ').slice(1).join(' ') || null,
-          p.company || p.company_name || null,
-          p.title || p.role || null
-        ]);
-        imported++;
-      } catch (insertErr) {
-        skipped++;
-      }
+app.get('/api/imports/:id/rejections.csv', [
+  param('id').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Track CSV import event (H1 hypothesis - activation funnel)
-    trackEvent('csv_import', user.id, {
-      campaign_id: campaignId,
-      prospect_count: imported,
-      skipped: skipped
-    }).catch(() => {});
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const report = await csvImportService.buildRejectionReport(user.id, parseInt(req.params.id));
+    if (report === null) return res.status(404).json({ error: 'Import not found' });
 
-    res.json({ success: true, imported, skipped, total: prospects.length });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="import-${parseInt(req.params.id)}-rejections.csv"`);
+    res.send(report);
   } catch (err) {
-    console.error('CSV import error:', err);
+    console.error('Rejection report error:', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -1976,13 +2933,14 @@ app.post('/api/queue/emails/:id/reject', async (req, res) => {
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { reason } = req.body;
-    const result = await approvalService.rejectEmail(parseInt(req.params.id), user.id, reason);
+    const { reason, category } = req.body;
+    const result = await approvalService.rejectEmail(parseInt(req.params.id), user.id, reason, category);
 
     // Track email rejection event (H2 hypothesis)
     trackEvent('email_rejected', user.id, {
       email_id: parseInt(req.params.id),
-      reason: reason || null
+      reason: reason || null,
+      category: category || null
     }).catch(() => {});
 
     res.json({ success: true, ...result });
@@ -2042,8 +3000,8 @@ app.post('/api/queue/replies/:id/reject', async (req, res) => {
     const user = await authenticateRequest(req, authService);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
-    const { reason } = req.body;
-    const result = await approvalService.rejectReplyDraft(parseInt(req.params.id), user.id, reason);
+    const { reason, category } = req.body;
+    const result = await approvalService.rejectReplyDraft(parseInt(req.params.id), user.id, reason, category);
     res.json({ success: true, ...result });
   } catch (err) {
     console.error('Reply reject error:', err);
@@ -2051,6 +3009,328 @@ app.post('/api/queue/replies/:id/reject', async (req, res) => {
   }
 });
 
+// --- Revision History ---
+app.get('/api/queue/emails/:id/revisions', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const history = await revisionService.getHistory(user.id, 'email', parseInt(req.params.id));
+    res.json({ success: true, ...history });
+  } catch (err) {
+    console.error('Email revisions error:', err);
+    if (err.message === 'Item not found') return res.status(404).json({ error: 'Email not found' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/queue/replies/:id/revisions', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const history = await revisionService.getHistory(user.id, 'reply_draft', parseInt(req.params.id));
+    res.json({ success: true, ...history });
+  } catch (err) {
+    console.error('Reply draft revisions error:', err);
+    if (err.message === 'Item not found') return res.status(404).json({ error: 'Reply draft not found' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/revisions', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const { campaign_id, kind, item_type, limit } = req.query;
+    if (kind && !['edit', 'rejection'].includes(kind)) {
+      return res.status(400).json({ error: 'kind must be edit or rejection' });
+    }
+    const changes = await revisionService.listChanges(user.id, {
+      campaignId: campaign_id ? parseInt(campaign_id) : null,
+      kind: kind || null,
+      itemType: item_type || null,
+      limit: parseInt(limit) || 50
+    });
+    res.json({ success: true, changes });
+  } catch (err) {
+    console.error('Revisions error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- Style Memory ---
+// campaign_id (query or body) selects a campaign's guidelines; without it, the user-wide ones
+app.get('/api/style-memory', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const campaignId = req.query.campaign_id ? parseInt(req.query.campaign_id) : null;
+    const memory = await styleMemoryService.getMemory(user.id, campaignId);
+    res.json({ success: true, ...memory });
+  } catch (err) {
+    console.error('Get style memory error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/style-memory', [
+  body('campaign_id').optional({ nullable: true }).isInt(),
+  body('guidelines').isArray({ max: 20 }),
+  body('guidelines.*').isString().isLength({ max: 300 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const campaignId = req.body.campaign_id ? parseInt(req.body.campaign_id) : null;
+    await styleMemoryService.updateGuidelines(user.id, campaignId, req.body.guidelines);
+    const memory = await styleMemoryService.getMemory(user.id, campaignId);
+    res.json({ success: true, ...memory });
+  } catch (err) {
+    console.error('Update style memory error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/style-memory/reset', [
+  body('campaign_id').optional({ nullable: true }).isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const campaignId = req.body.campaign_id ? parseInt(req.body.campaign_id) : null;
+    await styleMemoryService.reset(user.id, campaignId);
+    res.json({ success: true, campaign_id: campaignId, guidelines: [] });
+  } catch (err) {
+    console.error('Reset style memory error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/style-memory/metrics', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const metrics = await styleMemoryService.getApprovalMetrics(user.id, {
+      campaignId: req.query.campaign_id ? parseInt(req.query.campaign_id) : null,
+      weeks: parseInt(req.query.weeks) || 12
+    });
+    res.json({ success: true, ...metrics });
+  } catch (err) {
+    console.error('Style memory metrics error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Auto-approval Policies ---
+app.get('/api/campaigns/:campaignId/approval-policy', [
+  param('campaignId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const policy = await approvalService.getPolicy(user.id, parseInt(req.params.campaignId));
+    res.json({ success: true, policy });
+  } catch (err) {
+    console.error('Get approval policy error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/campaigns/:campaignId/approval-policy', [
+  param('campaignId').isInt(),
+  body('min_fit_score').optional().isInt({ min: 0, max: 100 }),
+  body('max_spam_score').optional().isFloat({ min: 0, max: 10 }),
+  body('review_first_n').optional().isInt({ min: 0, max: 1000 }),
+  body('require_verified_recipient').optional().isBoolean(),
+  body('block_placeholders').optional().isBoolean(),
+  body('block_unverified_facts').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const policy = await approvalService.savePolicy(user.id, parseInt(req.params.campaignId), req.body);
+    res.json({ success: true, policy });
+  } catch (err) {
+    console.error('Save approval policy error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/campaigns/:campaignId/approval-policy/revoke', [
+  param('campaignId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await approvalService.revokePolicy(user.id, parseInt(req.params.campaignId));
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Revoke approval policy error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/campaigns/:campaignId/approval-decisions', [
+  param('campaignId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const decisions = await approvalService.listDecisions(user.id, parseInt(req.params.campaignId), {
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ success: true, decisions });
+  } catch (err) {
+    console.error('Approval decisions error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Email Copy Experiments ---
+app.get('/api/campaigns/:campaignId/experiments', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const experiments = await emailExperimentService.listExperiments(user.id, parseInt(req.params.campaignId));
+    res.json({ success: true, experiments });
+  } catch (err) {
+    console.error('List email experiments error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/campaigns/:campaignId/experiments', [
+  param('campaignId').isInt(),
+  body('name').optional().isString().isLength({ max: 255 }),
+  body('scope').optional().isIn(['initial', 'step']),
+  body('step_number').optional().isInt({ min: 1 }),
+  body('metric').optional().isIn(['reply_rate', 'positive_reply_rate']),
+  body('variants').isArray({ min: 2, max: 5 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const experiment = await emailExperimentService.createExperiment(user.id, parseInt(req.params.campaignId), {
+      name: req.body.name,
+      scope: req.body.scope,
+      stepNumber: req.body.step_number,
+      metric: req.body.metric,
+      variants: req.body.variants
+    });
+    res.json({ success: true, experiment });
+  } catch (err) {
+    console.error('Create email experiment error:', err);
+    if (err.message === 'Campaign not found') return res.status(404).json({ error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/email-experiments/:id/results', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const results = await emailExperimentService.getResults(user.id, parseInt(req.params.id));
+    res.json({ success: true, ...results });
+  } catch (err) {
+    console.error('Email experiment results error:', err);
+    if (err.message === 'Experiment not found') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/email-experiments/:id/conclude', [
+  param('id').isInt(),
+  body('winning_variant').optional().isString().isLength({ max: 10 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const experiment = await emailExperimentService.conclude(user.id, parseInt(req.params.id), req.body.winning_variant);
+    res.json({ success: true, experiment });
+  } catch (err) {
+    console.error('Conclude email experiment error:', err);
+    if (err.message === 'Experiment not found') return res.status(404).json({ error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/email-experiments/:id/cancel', async (req, res) => {
+  try {
+    const user = await authenticateRequest(req, authService);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const experiment = await emailExperimentService.cancel(user.id, parseInt(req.params.id));
+    res.json({ success: true, experiment });
+  } catch (err) {
+    console.error('Cancel email experiment error:', err);
+    if (err.message === 'Experiment not found') return res.status(404).json({ error: err.message });
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // --- Reply Processing ---
 app.post('/api/replies/:id/categorize', async (req, res) => {
   try {
@@ -2720,7 +4000,13 @@ app.post('/api/operator/experiments', async (req, res) => {
     const user = await requireAdmin(req, res); if (!user) return;
     const { name, target, variants, description, sample_size } = req.body;
     if (!name || !target || !variants) return res.status(400).json({ error: 'name, target, and variants required' });
-    const experiment = await productIntelService.createExperiment(name, target, variants, description, sample_size);
+    const experiment = await productIntelService.createExperiment(name, target, variants, description, sample_size, {
+      evaluationMode: req.body.evaluation_mode,
+      allocation: req.body.allocation,
+      controlVariant: req.body.control_variant,
+      winProbability: req.body.win_probability,
+      lossThreshold: req.body.loss_threshold
+    });
     res.json(experiment);
   } catch (err) { res.status(400).json({ error: err.message }); }
 });
@@ -2736,7 +4022,7 @@ app.post('/api/operator/experiments/:id/start', async (req, res) => {
 app.get('/api/operator/experiments/:id/results', async (req, res) => {
   try {
     const user = await requireAdmin(req, res); if (!user) return;
-    const results = await productIntelService.evaluateExperiment(parseInt(req.params.id));
+    const results = await productIntelService.evaluateExperiment(parseInt(req.params.id), { mode: req.query.mode || null });
     res.json(results);
   } catch (err) { res.status(400).json({ error: err.message }); }
 });
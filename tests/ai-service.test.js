@@ -207,3 +207,167 @@ describe('AIService', () => {
     });
   });
 });
+
+describe('AIService routing and providers', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  /**
+   * Route the service's queries by SQL; `budget` is the checkBudget row
+   */
+  function mockQueries({ budget = { subscription_plan: 'starter', total_cost_cents: '0' }, anonymousSpent = '0' } = {}) {
+    mockPool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users u')) return { rows: [budget] };
+      if (sql.includes('FROM users WHERE')) return { rows: [{ subscription_plan: budget.subscription_plan }] };
+      if (sql.includes('user_id IS NULL')) return { rows: [{ spent: anonymousSpent }] };
+      return { rows: [] };
+    });
+  }
+
+  const anthropicClient = () => ({
+    messages: {
+      create: jest.fn().mockResolvedValue({
+        content: [{ text: 'ok' }],
+        usage: { input_tokens: 10, output_tokens: 5 }
+      })
+    }
+  });
+
+  test("routes by the user's plan before the task default", async () => {
+    process.env.AI_ROUTING = JSON.stringify({ plans: { free: { '*': 'haiku' }, scale: { icp_parse: 'sonnet' } } });
+    mockQueries({ budget: { subscription_plan: 'free', total_cost_cents: '0' } });
+    const ai = new AIService(mockPool);
+    ai.client = anthropicClient();
+
+    const result = await ai.call('email_draft', { prompt: 'draft' }, { userId: 1 });
+
+    expect(result.model).toBe('haiku');
+    expect(ai.resolveModel('icp_parse', 'scale')).toBe('sonnet');
+    expect(ai.resolveModel('email_draft', 'growth')).toBe('sonnet');
+  });
+
+  test('sends configured models to their provider', async () => {
+    process.env.AI_ROUTING = JSON.stringify({
+      models: { fast: { provider: 'chat_completions', id: 'small-model', inputCostPerMTok: 1, outputCostPerMTok: 2 } },
+      tasks: { icp_parse: 'fast' }
+    });
+    mockQueries();
+    const ai = new AIService(mockPool);
+    ai.providers.chat_completions = { name: 'chat_completions', complete: jest.fn().mockResolvedValue({ text: 'ok', tokensIn: 1000000, tokensOut: 0 }) };
+
+    const result = await ai.call('icp_parse', { prompt: 'parse' });
+
+    expect(ai.providers.chat_completions.complete).toHaveBeenCalledWith(expect.objectContaining({ model: 'small-model', maxTokens: 4096 }));
+    expect(result).toMatchObject({ model: 'fast', cost_cents: 100 });
+  });
+
+  test('rejects routing to models it does not know', () => {
+    process.env.AI_ROUTING = JSON.stringify({ tasks: { icp_parse: 'gigantic' } });
+    expect(() => new AIService(mockPool)).toThrow('unknown models: gigantic');
+  });
+
+  test("refuses calls once the user's monthly budget is spent", async () => {
+    mockQueries({ budget: { subscription_plan: 'starter', total_cost_cents: '1000' } });
+    const ai = new AIService(mockPool);
+    ai.client = anthropicClient();
+
+    await expect(ai.call('icp_parse', { prompt: 'parse' }, { userId: 1 })).rejects.toThrow('AI budget exhausted');
+    expect(ai.client.messages.create).not.toHaveBeenCalled();
+  });
+
+  test('serves cached answers without checking the budget', async () => {
+    mockPool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM ai_cache')) return { rows: [{ response: 'cached', tokens_in: 10, tokens_out: 5 }] };
+      throw new Error('connection refused');
+    });
+    const ai = new AIService(mockPool);
+    ai.client = anthropicClient();
+
+    const result = await ai.call('icp_parse', { prompt: 'parse' }, { userId: 1 });
+
+    expect(result).toMatchObject({ content: 'cached', cached: true });
+    expect(mockPool.query.mock.calls.some(([sql]) => sql.includes('FROM users u'))).toBe(false);
+  });
+
+  test('checks the budget once when a call escalates', async () => {
+    mockQueries();
+    const ai = new AIService(mockPool);
+    ai.client = anthropicClient();
+    ai.client.messages.create
+      .mockResolvedValueOnce({ content: [{ text: 'not json' }], usage: { input_tokens: 10, output_tokens: 5 } })
+      .mockResolvedValueOnce({ content: [{ text: '{"ok": true}' }], usage: { input_tokens: 10, output_tokens: 5 } });
+
+    const result = await ai.callJSON('icp_parse', { prompt: 'parse' }, { userId: 1 });
+
+    expect(result).toMatchObject({ model: 'sonnet', content: { ok: true } });
+    expect(mockPool.query.mock.calls.filter(([sql]) => sql.includes('FROM users u'))).toHaveLength(1);
+  });
+
+  test('caps spend on calls made without a user', async () => {
+    mockQueries({ anonymousSpent: '500' });
+    const ai = new AIService(mockPool);
+    ai.client = anthropicClient();
+
+    await expect(ai.call('proof_demo', { prompt: 'demo' })).rejects.toThrow('Daily AI budget exhausted');
+    expect(ai.client.messages.create).not.toHaveBeenCalled();
+  });
+
+  test('AI_PROVIDER=mock replays fixtures for free and still tracks usage', async () => {
+    process.env.AI_PROVIDER = 'mock';
+    mockQueries();
+    const ai = new AIService(mockPool);
+
+    const result = await ai.callJSON('reply_categorization', {
+      messages: [{ role: 'user', content: 'Sounds good, send over some times next week.' }]
+    });
+
+    expect(result.content.category).toBe('interested');
+    expect(result.cost_cents).toBe(0);
+    const usage = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO ai_usage'));
+    expect(usage[1].slice(1, 6)).toEqual(['reply_categorization', 'haiku', 420, 60, false]);
+  });
+});
+
+describe('AIService registered prompts', () => {
+  const { renderPrompt } = require('../lib/prompt-registry');
+  let ai;
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockPool.query.mockResolvedValue({ rows: [] });
+    ai = new AIService(mockPool);
+    ai.client = { messages: { create: jest.fn() } };
+  });
+
+  test('tags usage rows with the prompt version', async () => {
+    ai.client.messages.create.mockResolvedValue({
+      content: [{ text: '{"subject": "Re: hi", "body": "Thanks, all the best."}' }],
+      usage: { input_tokens: 20, output_tokens: 10 }
+    });
+    const prompt = renderPrompt('close_out', { reply_text: 'No thanks.' });
+
+    await ai.callJSON(prompt.task, prompt.input);
+
+    const usage = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO ai_usage'));
+    expect(usage[1].slice(8)).toEqual(['close_out', 1]);
+  });
+
+  test("escalates when a cheap model's answer doesn't match the prompt's schema", async () => {
+    ai.client.messages.create
+      .mockResolvedValueOnce({ content: [{ text: '{"body": "no subject"}' }], usage: { input_tokens: 20, output_tokens: 5 } })
+      .mockResolvedValueOnce({ content: [{ text: '{"subject": "Re: hi", "body": "ok"}' }], usage: { input_tokens: 20, output_tokens: 5 } });
+    const prompt = renderPrompt('close_out', { reply_text: 'No thanks.' });
+
+    const result = await ai.callJSON(prompt.task, prompt.input);
+
+    expect(result.model).toBe('sonnet');
+    expect(result.content.subject).toBe('Re: hi');
+  });
+});
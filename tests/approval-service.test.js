@@ -31,11 +31,23 @@ describe('ApprovalService', () => {
     test('approves and updates prospect status', async () => {
       mockPool.query
         .mockResolvedValueOnce({ rows: [{ id: 1, prospect_id: 10 }] })
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({ rows: [] });
 
       const result = await service.approveEmail(1, 1);
       expect(result.status).toBe('approved');
-      expect(mockPool.query).toHaveBeenCalledTimes(2);
+      expect(mockPool.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('approves the experiment variants reviewed with the draft', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, prospect_id: 10 }] }).mockResolvedValue({ rows: [] });
+
+      await service.approveEmail(1, 1);
+
+      const [sql, params] = mockPool.query.mock.calls[2];
+      expect(sql).toContain('UPDATE email_variants');
+      expect(sql).toContain("status = 'pending_approval'");
+      expect(params).toEqual([[1], 'approved']);
     });
 
     test('throws when email not found', async () => {
@@ -44,17 +56,49 @@ describe('ApprovalService', () => {
       await expect(service.approveEmail(999, 1))
         .rejects.toThrow('Email not found or already processed');
     });
+
+    test('refuses recipients that failed verification', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ reason: 'mailbox_rejected' }] });
+
+      await expect(service.approveEmail(1, 1))
+        .rejects.toThrow('Recipient email failed verification: mailbox_rejected');
+      expect(mockPool.query.mock.calls[0][0]).toContain('email_verifications');
+    });
   });
 
   describe('rejectEmail()', () => {
     test('rejects and reverts prospect to researched', async () => {
       mockPool.query
-        .mockResolvedValueOnce({ rows: [{ id: 1, prospect_id: 10 }] })
-        .mockResolvedValueOnce({ rows: [] });
+        .mockResolvedValueOnce({ rows: [{ id: 1, prospect_id: 10, campaign_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] });
 
       const result = await service.rejectEmail(1, 1, 'not good enough');
       expect(result.status).toBe('rejected');
     });
+
+    test('keeps the reason as a structured rejection revision', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, prospect_id: 10, campaign_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      await service.rejectEmail(1, 5, 'Too salesy', 'Tone');
+
+      expect(mockPool.query.mock.calls[0][0]).not.toContain('personalization_notes');
+      expect(mockPool.query.mock.calls[0][1]).toEqual([1, 5, 'Too salesy', 'tone']);
+      expect(mockPool.query.mock.calls[3][1]).toEqual(['email', 1, 3, 'rejection', null, null, null, 5, 'tone', 'Too salesy']);
+    });
+
+    test('rejects unknown categories', async () => {
+      await expect(service.rejectEmail(1, 1, '', 'boring'))
+        .rejects.toThrow('category must be one of');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
   });
 
   describe('bulkApproveEmails()', () => {
@@ -76,11 +120,24 @@ describe('ApprovalService', () => {
   });
 
   describe('approveReplyDraft()', () => {
-    test('approves reply draft', async () => {
+    test('approves reply draft and queues it for sending', async () => {
+      const scheduledFor = new Date('2026-03-02T10:20:00Z');
+      service.sendingService.queueReplyDraft = jest.fn().mockResolvedValue({ queue_id: 77, scheduled_for: scheduledFor });
       mockPool.query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
 
       const result = await service.approveReplyDraft(5, 1);
-      expect(result.status).toBe('approved');
+      expect(service.sendingService.queueReplyDraft).toHaveBeenCalledWith(5);
+      expect(result).toEqual({ id: 5, status: 'queued', queue_id: 77, scheduled_for: scheduledFor });
+    });
+
+    test('keeps the draft approved with the reason when it cannot be queued', async () => {
+      service.sendingService.queueReplyDraft = jest.fn()
+        .mockRejectedValue(new Error('Campaign has no sending setup; start sending before replying'));
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 5 }] }).mockResolvedValueOnce({ rows: [] });
+
+      const result = await service.approveReplyDraft(5, 1);
+      expect(result).toMatchObject({ id: 5, status: 'approved', send_error: expect.stringContaining('no sending setup') });
+      expect(mockPool.query.mock.calls[1][1]).toEqual([5, 'Campaign has no sending setup; start sending before replying']);
     });
 
     test('throws when draft not found', async () => {
@@ -90,4 +147,131 @@ describe('ApprovalService', () => {
         .rejects.toThrow('Reply draft not found or already processed');
     });
   });
+
+  describe('evaluateEmail()', () => {
+    const policyRow = {
+      id: 40, campaign_id: 3, prospect_id: 10,
+      recipient_email: 'ann@ledgerly.de', recipient_name: 'Ann Weber',
+      subject_line: 'Quick question, Ann',
+      email_body: 'Hi Ann, saw Ledgerly opened a Munich office after the Series B. Worth a chat?',
+      fit_score: 86, first_name: 'Ann', company_name: 'Ledgerly',
+      research_summary: 'Raised a Series B; opened Munich office.',
+      policy_id: 2, min_fit_score: 80, max_spam_score: '3.0', review_first_n: 10,
+      require_verified_recipient: true, block_placeholders: true, block_unverified_facts: true
+    };
+
+    beforeEach(() => {
+      service.verificationService.verify = jest.fn().mockResolvedValue({ status: 'valid', reason: 'mailbox_accepted' });
+    });
+
+    test('does nothing without an enabled policy', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      expect(await service.evaluateEmail(40)).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('approves when every rule passes and logs the decision', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [policyRow] })
+        .mockResolvedValueOnce({ rows: [{ count: '12' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 40 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await service.evaluateEmail(40);
+
+      expect(result).toMatchObject({ decision: 'auto_approved', rule: 'all_rules_passed' });
+      expect(mockPool.query.mock.calls[2][0]).toContain("approval_source = 'policy'");
+      expect(mockPool.query.mock.calls[5][1].slice(0, 5)).toEqual([40, 3, 2, 'auto_approved', 'all_rules_passed']);
+    });
+
+    test('keeps the first N emails in the queue', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [policyRow] })
+        .mockResolvedValueOnce({ rows: [{ count: '4' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await service.evaluateEmail(40);
+
+      expect(result).toMatchObject({ decision: 'needs_review', rule: 'review_first_n' });
+      expect(mockPool.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('flags placeholders and figures the research does not back up', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({
+          rows: [{ ...policyRow, email_body: 'Hi [First Name], congrats on the $40M raise. {{pain_point}} - worth a chat?' }]
+        })
+        .mockResolvedValueOnce({ rows: [{ count: '12' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await service.evaluateEmail(40);
+
+      expect(result.rule).toBe('no_placeholders');
+      const byRule = Object.fromEntries(result.checks.map(c => [c.rule, c]));
+      expect(byRule.no_placeholders.detail).toBe('Unfilled: [First Name], {{pain_point}}');
+      expect(byRule.no_unverified_facts).toMatchObject({ passed: false, detail: 'Not in research: $40M' });
+    });
+  });
+
+  describe('evaluateVariant()', () => {
+    const variantRow = {
+      variant_id: 7, sequence_step_id: null, id: 40, campaign_id: 3, status: 'approved',
+      subject_line: 'Quick question, Ann', email_body: 'Hi Ann, saw the Munich office news. Worth a chat?',
+      first_name: 'Ann', company_name: 'Ledgerly', research_summary: 'Opened Munich office.',
+      policy_id: 2, max_spam_score: '3.0', block_placeholders: true, block_unverified_facts: true
+    };
+
+    test('approves variant copy that passes the policy copy rules', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [variantRow] }).mockResolvedValueOnce({ rows: [] });
+
+      expect(await service.evaluateVariant(7)).toBe('approved');
+      expect(mockPool.query.mock.calls[1]).toEqual([expect.stringContaining("SET status = 'approved'"), [7]]);
+    });
+
+    test('leaves failing copy pending so the control is sent', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ ...variantRow, email_body: 'Hi [First Name], worth a chat?' }] });
+
+      expect(await service.evaluateVariant(7)).toBe('pending_approval');
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves first-email variants to the reviewer without a policy', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ ...variantRow, policy_id: null }] });
+
+      expect(await service.evaluateVariant(7)).toBe('pending_approval');
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('savePolicy()', () => {
+    test('rejects out-of-range settings', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(service.savePolicy(1, 3, { min_fit_score: 150 }))
+        .rejects.toThrow('min_fit_score must be a whole number between 0 and 100');
+    });
+  });
+
+  describe('revokePolicy()', () => {
+    test('returns unsent policy approvals to review', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 40, prospect_id: 10 }, { id: 41, prospect_id: 11 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await service.revokePolicy(1, 3);
+
+      expect(result).toEqual({ revoked: true, returned_to_review: 2 });
+      expect(mockPool.query.mock.calls[5][0]).toContain('UPDATE email_variants');
+      expect(mockPool.query.mock.calls[6][1]).toEqual([[40, 41], 3, 2]);
+    });
+  });
 });
@@ -0,0 +1,169 @@
+/**
+ * Bounce Service Tests
+ */
+
+const crypto = require('crypto');
+const BounceService = require('../lib/bounce-service');
+
+const mockPool = { query: jest.fn() };
+
+describe('BounceService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new BounceService(mockPool);
+    mockPool.query.mockReset();
+    service.webhookService.fireEvent = jest.fn().mockResolvedValue({});
+    service.slackService.sendNotification = jest.fn().mockResolvedValue({});
+  });
+
+  describe('verifyMailgunSignature()', () => {
+    test('accepts a valid signature and rejects a forged one', () => {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const token = 'abc123';
+      const signature = crypto.createHmac('sha256', 'mg-key').update(timestamp + token).digest('hex');
+
+      expect(service.verifyMailgunSignature({ timestamp, token, signature }, 'mg-key')).toBe(true);
+      expect(service.verifyMailgunSignature({ timestamp, token, signature }, 'other-key')).toBe(false);
+    });
+
+    test('rejects stale timestamps', () => {
+      const timestamp = String(Math.floor(Date.now() / 1000) - 3600);
+      const signature = crypto.createHmac('sha256', 'mg-key').update(timestamp + 't').digest('hex');
+      expect(service.verifyMailgunSignature({ timestamp, token: 't', signature }, 'mg-key')).toBe(false);
+    });
+  });
+
+  describe('verifySnsMessage()', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+
+    const signed = (message) => {
+      const signer = crypto.createSign('RSA-SHA256');
+      signer.update(BounceService.buildSnsStringToSign(message));
+      return { ...message, Signature: signer.sign(privateKey, 'base64') };
+    };
+
+    const base = {
+      Type: 'Notification',
+      MessageId: 'm-1',
+      TopicArn: 'arn:aws:sns:us-east-1:123:ses',
+      Message: '{"notificationType":"Bounce"}',
+      Timestamp: '2026-01-01T00:00:00.000Z',
+      SignatureVersion: '2',
+      SigningCertURL: 'https://sns.us-east-1.amazonaws.com/SimpleNotificationService-abc.pem'
+    };
+
+    beforeEach(() => {
+      service._fetchCertificate = jest.fn().mockResolvedValue(publicKey.export({ type: 'spki', format: 'pem' }));
+    });
+
+    test('verifies a correctly signed notification', async () => {
+      expect(await service.verifySnsMessage(signed(base))).toBe(true);
+    });
+
+    test('rejects a tampered message body', async () => {
+      const message = { ...signed(base), Message: '{"notificationType":"Delivery"}' };
+      expect(await service.verifySnsMessage(message)).toBe(false);
+    });
+
+    test('refuses certificates outside amazonaws.com', async () => {
+      const message = signed({ ...base, SigningCertURL: 'https://evil.example.com/cert.pem' });
+      expect(await service.verifySnsMessage(message)).toBe(false);
+      expect(service._fetchCertificate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parsing', () => {
+    test('maps SES permanent bounces to hard bounces', () => {
+      const events = service.parseSesNotification({
+        notificationType: 'Bounce',
+        mail: { messageId: 'ses-1' },
+        bounce: { bounceType: 'Permanent', bounceSubType: 'General', bouncedRecipients: [{ emailAddress: 'a@x.com' }] }
+      });
+      expect(events).toEqual([expect.objectContaining({ type: 'bounce', bounceType: 'hard', recipient: 'a@x.com', messageId: 'ses-1' })]);
+      expect(service.parseSesNotification({
+        notificationType: 'Complaint',
+        mail: { messageId: 'ses-1' },
+        complaint: { feedbackId: 'fb-1', complainedRecipients: [{ emailAddress: 'a@x.com' }] }
+      })[0].eventId).toBe('fb-1');
+    });
+
+    test('maps Mailgun temporary failures to soft bounces', () => {
+      const events = service.parseMailgunEvent({
+        event: 'failed',
+        severity: 'temporary',
+        recipient: 'b@y.com',
+        message: { headers: { 'message-id': 'mg-1@y.com' } },
+        'delivery-status': { code: 452, description: 'Mailbox full' }
+      });
+      expect(events[0]).toEqual(expect.objectContaining({ type: 'bounce', bounceType: 'soft', reason: 'Mailbox full' }));
+    });
+  });
+
+  describe('processEvent()', () => {
+    const send = { queue_id: 4, campaign_id: 2, prospect_id: 9, generated_email_id: 6, esp_message_id: 'mg-1@y.com', user_id: 1 };
+
+    test('records a hard bounce, halts the prospect and suppresses the address', async () => {
+      mockPool.query.mockImplementation((sql) => {
+        if (sql.includes('FROM campaign_sending_queue q') && sql.includes('JOIN campaigns')) return Promise.resolve({ rows: [send] });
+        if (sql.includes('INSERT INTO email_bounces')) return Promise.resolve({ rows: [], rowCount: 1 });
+        if (sql.includes("SET status = 'halted'")) return Promise.resolve({ rowCount: 2 });
+        if (sql.includes('FROM campaign_sending_context csc')) return Promise.resolve({ rows: [{ status: 'active', threshold: '0.05', sent: '10', bounced: '1' }] });
+        return Promise.resolve({ rows: [], rowCount: 0 });
+      });
+
+      const result = await service.processEvent({
+        type: 'bounce', bounceType: 'hard', recipient: 'B@y.com', messageId: '<mg-1@y.com>', provider: 'mailgun'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ processed: true, bounce_type: 'hard', halted: 2, auto_paused: false }));
+      const sqls = mockPool.query.mock.calls.map(c => c[0]);
+      expect(sqls.some(q => q.includes('INSERT INTO email_bounces'))).toBe(true);
+      expect(sqls.some(q => q.includes('INSERT INTO suppression_list'))).toBe(true);
+      expect(service.webhookService.fireEvent).toHaveBeenCalledWith(1, 'email.bounced', expect.objectContaining({ recipient_email: 'b@y.com' }));
+    });
+
+    test('auto-pauses when the bounce rate exceeds the threshold', async () => {
+      mockPool.query.mockImplementation((sql) => {
+        if (sql.includes('FROM campaign_sending_context csc')) return Promise.resolve({ rows: [{ status: 'active', threshold: '0.05', sent: '40', bounced: '5' }] });
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      });
+
+      expect(await service.checkBounceRate(2)).toBe(true);
+      expect(mockPool.query.mock.calls[1][0]).toContain("SET status = 'paused'");
+    });
+
+    test('ignores events that match no send', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+      const result = await service.processEvent({ type: 'bounce', recipient: 'x@z.com', messageId: 'nope' });
+      expect(result.processed).toBe(false);
+    });
+
+    test('never matches an event without a message id by recipient', async () => {
+      const result = await service.processEvent({ type: 'complaint', recipient: 'b@y.com', messageId: null });
+
+      expect(result).toEqual({ processed: false, reason: 'unknown_message' });
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('applies a redelivered event only once', async () => {
+      mockPool.query.mockImplementation((sql) => {
+        if (sql.includes('FROM campaign_sending_queue q') && sql.includes('JOIN campaigns')) return Promise.resolve({ rows: [send] });
+        if (sql.includes('INSERT INTO email_bounces')) return Promise.resolve({ rows: [], rowCount: 0 });
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      });
+
+      const result = await service.processEvent({
+        type: 'bounce', bounceType: 'hard', recipient: 'b@y.com', messageId: 'mg-1@y.com', eventId: 'evt-1', provider: 'mailgun'
+      });
+
+      expect(result).toEqual({ processed: false, reason: 'duplicate' });
+      const insert = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO email_bounces'));
+      expect(insert[0]).toContain('ON CONFLICT DO NOTHING');
+      expect(insert[1][10]).toBe('evt-1');
+      const sqls = mockPool.query.mock.calls.map(c => c[0]);
+      expect(sqls.some(q => q.includes('email_recipient_status') || q.includes("SET status = 'halted'"))).toBe(false);
+      expect(service.webhookService.fireEvent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Campaign Sending Service Tests (reply responses)
+ */
+
+const CampaignSendingService = require('../lib/campaign-sending-service');
+const ColdEmailSender = require('../lib/cold-email-sender');
+
+const mockPool = { query: jest.fn() };
+
+const draftRow = (overrides = {}) => ({
+  id: 12,
+  campaign_id: 3,
+  prospect_id: 40,
+  draft_subject: null,
+  draft_body: 'Happy to walk you through it. Does Thursday work?',
+  status: 'approved',
+  queue_id: null,
+  reply_from_email: 'cto@ledgerly.de',
+  reply_from_name: 'Kai Brandt',
+  reply_subject: 'RE: Re: Quick question',
+  recipient_name: 'Ann Weber',
+  mailbox_id: 6,
+  scheduled_for: null,
+  timezone: null,
+  location: null,
+  context_campaign_id: 3,
+  reply_delay_min_minutes: 10,
+  reply_delay_max_minutes: 10,
+  ...overrides
+});
+
+describe('CampaignSendingService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new CampaignSendingService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('queueInitialEmails()', () => {
+    const approvedRow = {
+      prospect_id: 40, company_name: 'Ledgerly', timezone: null, location: null, generated_email_id: 90,
+      recipient_email: 'ann@ledgerly.de', recipient_name: 'Ann Weber', subject_line: 'Quick question', email_body: 'Hi Ann'
+    };
+
+    beforeEach(() => {
+      service.contactRegistry.linkCampaignProspects = jest.fn().mockResolvedValue();
+      service.contactRegistry.findBlockedEmails = jest.fn().mockResolvedValue(new Map());
+    });
+
+    test('blocks approved emails to invalid recipients before queueing the rest', async () => {
+      mockPool.query.mockImplementation(async (sql) => {
+        if (sql.includes('p.id as prospect_id')) return { rows: [approvedRow] };
+        if (sql.includes('SELECT user_id FROM campaigns')) return { rows: [{ user_id: 1 }] };
+        return { rows: [] };
+      });
+
+      expect(await service.queueInitialEmails(3)).toBe(1);
+
+      const [blockSql, blockParams] = mockPool.query.mock.calls[1];
+      expect(blockSql).toContain("SET status = 'blocked_invalid_recipient'");
+      expect(blockSql).toContain("ev.status = 'invalid'");
+      expect(blockParams).toEqual([3]);
+      expect(mockPool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO campaign_sending_queue'))).toBe(true);
+    });
+
+    test('parks emails to unconfirmed AI-invented prospects as awaiting_verification', async () => {
+      mockPool.query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT user_id FROM campaigns')) return { rows: [{ user_id: 1 }] };
+        return { rows: [] };
+      });
+
+      await service.queueInitialEmails(3);
+
+      const [parkSql, parkParams] = mockPool.query.mock.calls[2];
+      expect(parkSql).toContain("SET status = 'awaiting_verification'");
+      expect(parkSql).toContain('p.is_ai_generated = TRUE AND p.identity_confirmed_at IS NULL');
+      expect(parkParams).toEqual([3]);
+    });
+
+    test('stores a hold with its expiry and skips held emails until then', async () => {
+      const until = new Date('2026-11-01T09:00:00Z');
+      service.contactRegistry.findBlockedEmails.mockResolvedValue(new Map([
+        ['ann@ledgerly.de', { rule: 'person_cooldown', until, reason: 'Contacted by "Agencies" on 2026-10-02 (30-day cooldown)' }]
+      ]));
+      mockPool.query.mockImplementation(async (sql) => {
+        if (sql.includes('p.id as prospect_id')) return { rows: [approvedRow] };
+        if (sql.includes('SELECT user_id FROM campaigns')) return { rows: [{ user_id: 1 }] };
+        return { rows: [] };
+      });
+
+      expect(await service.queueInitialEmails(3)).toBe(0);
+
+      const select = mockPool.query.mock.calls.find(([sql]) => sql.includes('p.id as prospect_id'));
+      expect(select[0]).toContain('ge.held_until IS NULL OR ge.held_until <= NOW()');
+      const hold = mockPool.query.mock.calls.find(([sql]) => sql.includes('SET held_until'));
+      expect(hold[1]).toEqual([90, until, 'Contacted by "Agencies" on 2026-10-02 (30-day cooldown)']);
+    });
+  });
+
+  describe('processSendingQueue()', () => {
+    const queueRow = (overrides = {}) => ({
+      queue_id: 88, campaign_id: 3, prospect_id: 40, generated_email_id: null, reply_draft_id: 12,
+      recipient_email: 'cto@ledgerly.de', recipient_name: 'Kai Brandt',
+      subject_line: 'Re: Quick question', email_body: 'Happy to walk you through it.',
+      sending_window_start: '00:00', sending_window_end: '00:00', timezone: 'UTC',
+      emails_sent_today: 0, track_opens: true, track_clicks: true,
+      sender_email: 'ann@koldly.com', sender_name: 'Ann', user_id: 1,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      service.warmupService.getCampaignDailyCap = jest.fn().mockResolvedValue(50);
+      service.warmupService.recordSend = jest.fn().mockResolvedValue();
+      service.unsubscribeService.isSuppressed = jest.fn().mockResolvedValue(false);
+      service.mailboxService.selectMailbox = jest.fn().mockResolvedValue({ mailbox: null });
+      service.inboundReplyService.getThreadHeaders = jest.fn().mockResolvedValue({});
+      service.experimentService.applyToQueueItem = jest.fn().mockResolvedValue(null);
+      service.coldSender = { send: jest.fn().mockResolvedValue({ success: true, message_id: 'esp-1' }) };
+    });
+
+    test('sends reply responses without tracking or unsubscribe footer and headers', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [queueRow()] }).mockResolvedValue({ rows: [] });
+
+      await service.processSendingQueue();
+
+      const message = service.coldSender.send.mock.calls[0][0];
+      expect(message.html).toBe('Happy to walk you through it.');
+      expect(message.unsubscribeUrl).toBeNull();
+      expect(ColdEmailSender.prototype._buildHeaders(message.headers, message.unsubscribeUrl)).not.toHaveProperty('List-Unsubscribe');
+    });
+
+    test('still tracks and adds the footer to campaign emails', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [queueRow({ reply_draft_id: null, generated_email_id: 90 })] })
+        .mockResolvedValue({ rows: [] });
+
+      await service.processSendingQueue();
+
+      const message = service.coldSender.send.mock.calls[0][0];
+      expect(message.html).toContain('Unsubscribe');
+      expect(message.html).toContain('/t/o/');
+      expect(ColdEmailSender.prototype._buildHeaders(message.headers, message.unsubscribeUrl)).toHaveProperty('List-Unsubscribe');
+    });
+  });
+
+  describe('queueReplyDraft()', () => {
+    test('queues the response to the person who replied, from the mailbox they answered', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [draftRow()] })
+        .mockResolvedValueOnce({ rows: [{ sending_window_start: '00:00', sending_window_end: '23:59', timezone: 'UTC', skip_weekends: false, holidays: [] }] })
+        .mockResolvedValueOnce({ rows: [{ id: 88 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const before = Date.now();
+      const result = await service.queueReplyDraft(12);
+
+      expect(result.queue_id).toBe(88);
+      expect(result.scheduled_for.getTime()).toBeGreaterThanOrEqual(before + 10 * 60000);
+      const params = mockPool.query.mock.calls[2][1];
+      expect(params.slice(0, 8)).toEqual([
+        3, 40, 12, 6, 'cto@ledgerly.de', 'Kai Brandt', 'Re: Quick question', 'Happy to walk you through it. Does Thursday work?'
+      ]);
+      expect(mockPool.query.mock.calls[3][1]).toEqual([12, 88]);
+    });
+
+    test('returns the existing item for a draft that is already queued', async () => {
+      const scheduledFor = new Date('2026-03-02T10:00:00Z');
+      mockPool.query.mockResolvedValueOnce({ rows: [draftRow({ status: 'queued', queue_id: 88, scheduled_for: scheduledFor })] });
+
+      expect(await service.queueReplyDraft(12)).toEqual({ queue_id: 88, scheduled_for: scheduledFor });
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses drafts that are not approved or campaigns that never set up sending', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [draftRow({ status: 'pending_approval' })] });
+      await expect(service.queueReplyDraft(12)).rejects.toThrow('Reply draft is not approved');
+
+      mockPool.query.mockResolvedValueOnce({ rows: [draftRow({ context_campaign_id: null })] });
+      await expect(service.queueReplyDraft(12)).rejects.toThrow('Campaign has no sending setup');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Contact Registry Service Tests
+ */
+
+const ContactRegistryService = require('../lib/contact-registry-service');
+
+const mockPool = { query: jest.fn() };
+
+describe('ContactRegistryService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ContactRegistryService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('updatePolicy()', () => {
+    test('merges with the current policy', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ person_cooldown_days: 30, domain_cooldown_days: 14 }] });
+
+      await service.updatePolicy(1, { domain_cooldown_days: '14' });
+      expect(mockPool.query.mock.calls[1][1]).toEqual([1, 30, 14]);
+    });
+
+    test('rejects out-of-range values', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(service.updatePolicy(1, { person_cooldown_days: 1000 }))
+        .rejects.toThrow('person_cooldown_days must be a whole number of days between 0 and 365');
+    });
+  });
+
+  describe('findBlockedEmails()', () => {
+    test('holds back people in another sequence or inside the cooldown', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ person_cooldown_days: 30, domain_cooldown_days: 0 }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { email: 'ann@acme.com', campaign_id: 4, campaign_name: 'Q3 Fintech', status: 'pending', contacted_at: '2026-10-20T09:00:00Z' },
+            { email: 'bo@beta.io', campaign_id: 5, campaign_name: 'Agencies', status: 'sent', contacted_at: '2026-10-02T09:00:00Z' }
+          ]
+        });
+
+      const blocked = await service.findBlockedEmails(1, ['Ann@acme.com', 'bo@beta.io', 'cy@gamma.co'], { excludeCampaignId: 3 });
+
+      expect(mockPool.query.mock.calls[1][1]).toEqual([1, ['ann@acme.com', 'bo@beta.io', 'cy@gamma.co'], 3, 30]);
+      expect([...blocked.keys()]).toEqual(['ann@acme.com', 'bo@beta.io']);
+      expect(blocked.get('ann@acme.com')).toMatchObject({ rule: 'in_sequence', campaign_id: 4 });
+      expect(blocked.get('bo@beta.io').reason).toBe('Contacted by "Agencies" on 2026-10-02 (30-day cooldown)');
+      expect(blocked.get('bo@beta.io').until).toEqual(new Date('2026-11-01T09:00:00Z'));
+      expect(blocked.get('ann@acme.com').until.getTime()).toBeGreaterThan(Date.now());
+      // Domain rule is off, so no domain lookup
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('applies the domain rule to company domains only', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ person_cooldown_days: 30, domain_cooldown_days: 60 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ domain: 'acme.com', campaign_id: 4, campaign_name: 'Q3 Fintech', status: 'sent', contacted_at: '2026-09-01T00:00:00Z' }]
+        });
+
+      const blocked = await service.findBlockedEmails(1, ['dana@acme.com', 'eve@gmail.com'], { excludeCampaignId: 3 });
+
+      expect(mockPool.query.mock.calls[2][1]).toEqual([1, ['acme.com'], 3, 60]);
+      expect(blocked.get('dana@acme.com')).toMatchObject({ rule: 'domain_cooldown', campaign_name: 'Q3 Fintech' });
+      expect(blocked.has('eve@gmail.com')).toBe(false);
+    });
+  });
+
+  describe('getTimeline()', () => {
+    test('throws for contacts of other users', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(service.getTimeline(1, 99)).rejects.toThrow('Contact not found');
+    });
+
+    test('labels events with their campaign', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, email: 'ann@acme.com' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { prospect_id: 1, campaign_id: 3, campaign_name: 'Q3 Fintech' },
+            { prospect_id: 2, campaign_id: 4, campaign_name: 'Agencies' }
+          ]
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { event_type: 'replied', campaign_id: 4, occurred_at: '2026-10-10' },
+            { event_type: 'sent', campaign_id: 3, occurred_at: '2026-09-01' }
+          ]
+        });
+
+      const timeline = await service.getTimeline(1, 7);
+      expect(timeline.campaigns).toHaveLength(2);
+      expect(timeline.events.map(e => [e.event_type, e.campaign_name])).toEqual([['replied', 'Agencies'], ['sent', 'Q3 Fintech']]);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * CSV Import Service Tests
+ */
+
+const zlib = require('zlib');
+const CsvImportService = require('../lib/csv-import-service');
+const { parseSpreadsheet, parseMultipartForm } = require('../lib/spreadsheet-parser');
+
+const mockPool = { query: jest.fn() };
+
+// Minimal zip writer for XLSX fixtures (the parser does not check CRCs)
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('spreadsheet parser', () => {
+  test('detects semicolons and keeps quoted delimiters and newlines', () => {
+    const csv = 'Email;Company;Notes\r\na@acme.com;"Acme; Inc";"line one\nline two"\r\nb@beta.io;Beta;"""quoted"""\r\n';
+    const parsed = parseSpreadsheet(Buffer.from(csv), 'list.csv');
+    expect(parsed.delimiter).toBe(';');
+    expect(parsed.rows).toEqual([
+      ['Email', 'Company', 'Notes'],
+      ['a@acme.com', 'Acme; Inc', 'line one\nline two'],
+      ['b@beta.io', 'Beta', '"quoted"']
+    ]);
+  });
+
+  test('falls back to Windows-1252 for non-UTF-8 files and strips a UTF-8 BOM', () => {
+    const latin = Buffer.from([...Buffer.from('name\tcity\nJos'), 0xE9, ...Buffer.from('\tK'), 0xF6, ...Buffer.from('ln\n')]);
+    const parsed = parseSpreadsheet(latin, 'list.tsv');
+    expect(parsed.encoding).toBe('windows-1252');
+    expect(parsed.delimiter).toBe('\t');
+    expect(parsed.rows[1]).toEqual(['José', 'Köln']);
+
+    const bom = parseSpreadsheet(Buffer.from('﻿email\nx@y.com'), 'bom.csv');
+    expect(bom.rows[0]).toEqual(['email']);
+  });
+
+  test('reads the first worksheet of an XLSX file', () => {
+    const xlsx = buildZip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Leads" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>Email</t></si><si><t>Company</t></si><si><r><t>Smith &amp; </t></r><r><t>Co</t></r></si></sst>',
+      'xl/worksheets/sheet1.xml': '<worksheet><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Seats</t></is></c></row>' +
+        '<row r="2"><c r="A2" t="inlineStr"><is><t>a@smith.co</t></is></c><c r="B2" t="s"><v>2</v></c><c r="C2"><v>12</v></c></row>' +
+        '<row r="3"><c r="A3" t="inlineStr"><is><t>b@x.io</t></is></c><c r="C3"><v>4</v></c></row>' +
+        '</sheetData></worksheet>'
+    });
+
+    const parsed = parseSpreadsheet(xlsx, 'leads.xlsx');
+    expect(parsed.format).toBe('xlsx');
+    expect(parsed.rows).toEqual([
+      ['Email', 'Company', 'Seats'],
+      ['a@smith.co', 'Smith & Co', '12'],
+      ['b@x.io', '', '4']
+    ]);
+  });
+
+  test('extracts the file part of a multipart body', () => {
+    const body = Buffer.from(
+      '--XyZ\r\nContent-Disposition: form-data; name="note"\r\n\r\nhello\r\n' +
+      '--XyZ\r\nContent-Disposition: form-data; name="file"; filename="leads.csv"\r\nContent-Type: text/csv\r\n\r\nemail\r\na@b.co\r\n' +
+      '--XyZ--\r\n'
+    );
+    const parts = parseMultipartForm(body, 'multipart/form-data; boundary=XyZ');
+    expect(parts).toHaveLength(2);
+    expect(parts[1]).toMatchObject({ name: 'file', filename: 'leads.csv', contentType: 'text/csv' });
+    expect(parts[1].data.toString()).toBe('email\r\na@b.co');
+  });
+});
+
+describe('CsvImportService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new CsvImportService(mockPool);
+    service.logger = { log: jest.fn(), error: jest.fn() };
+    mockPool.query.mockReset();
+  });
+
+  describe('createImport()', () => {
+    test('stores the file and proposes a mapping from header names', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // campaign ownership
+        .mockResolvedValueOnce({ rows: [{ field_key: 'tech_stack', label: 'Tech Stack', field_type: 'text' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 11, filename: 'leads.csv', total_rows: 2 }] });
+
+      const csv = 'Work Email,First Name,Surname,Organisation,Job Title,Tech stack,Notes\na@acme.com,Ann,Lee,Acme,CEO,Rails,x\nb@beta.io,Bo,Ng,Beta,CTO,Go,y\n';
+      const result = await service.createImport(1, 3, { filename: 'leads.csv', data: Buffer.from(csv) });
+
+      expect(result.proposed_mapping).toEqual({
+        email: 'Work Email',
+        first_name: 'First Name',
+        last_name: 'Surname',
+        company_name: 'Organisation',
+        title: 'Job Title',
+        'custom:tech_stack': 'Tech stack'
+      });
+      expect(result.fields).toContain('custom:tech_stack');
+      expect(result.sample[0]).toMatchObject({ 'Work Email': 'a@acme.com', Notes: 'x' });
+
+      const insertParams = mockPool.query.mock.calls[2][1];
+      expect(insertParams[3]).toBe(2); // total_rows
+      expect(Buffer.isBuffer(insertParams[5])).toBe(true);
+      expect(insertParams[8]).toBe('utf-8');
+    });
+
+    test('rejects files without data rows', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 3 }] });
+      await expect(service.createImport(1, 3, { filename: 'a.csv', data: Buffer.from('email\n') }))
+        .rejects.toThrow('File has no data rows');
+    });
+  });
+
+  describe('confirmMapping()', () => {
+    test('requires an email column that exists in the file', async () => {
+      mockPool.query.mockResolvedValue({ rows: [{ id: 11, status: 'pending_mapping', headers: ['Email', 'Company'] }] });
+      await expect(service.confirmMapping(1, 11, { company_name: 'Company' })).rejects.toThrow('mapped to email');
+      await expect(service.confirmMapping(1, 11, { email: 'Mail' })).rejects.toThrow('Column not found in file: Mail');
+      await expect(service.confirmMapping(1, 11, { email: 'Email', phone: 'Company' })).rejects.toThrow('Unknown field: phone');
+    });
+  });
+
+  describe('processImport()', () => {
+    test('validates each row and records imported, duplicate, invalid and suppressed rows', async () => {
+      const csv = [
+        'Email,Name,Company',
+        'ann@acme.com,Ann Lee,',
+        'not-an-email,Bo,Beta',
+        'cy@gmail.com,Cy,',
+        'dee@blocked.io,Dee,Blocked',
+        'ann@acme.com,Ann Again,Acme'
+      ].join('\n');
+
+      const rowInserts = [];
+      mockPool.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('SET status = \'processing\'')) {
+          return {
+            rows: [{
+              id: 11, user_id: 1, campaign_id: 3, filename: 'leads.csv', processed_rows: 0,
+              file_data: Buffer.from(csv), headers: ['Email', 'Name', 'Company'],
+              column_mapping: { email: 'Email', full_name: 'Name', company_name: 'Company' }
+            }]
+          };
+        }
+        if (sql.includes('FROM suppression_list')) return { rows: [{ entry_type: 'domain', value: 'blocked.io' }] };
+        if (sql.includes('INSERT INTO prospects')) {
+          // Second ann@acme.com hits the (campaign_id, email) unique index
+          const seen = rowInserts.some(r => r[4] === params[1] && r[5] === 'imported');
+          return { rows: seen ? [] : [{ id: 100 }] };
+        }
+        if (sql.includes('INSERT INTO csv_import_rows')) {
+          rowInserts.push(params);
+          return { rows: [] };
+        }
+        if (sql.includes('GROUP BY status')) {
+          const counts = {};
+          rowInserts.forEach(r => { counts[r[5]] = (counts[r[5]] || 0) + 1; });
+          return { rows: Object.entries(counts).map(([status, count]) => ({ status, count: String(count) })) };
+        }
+        return { rows: [] };
+      });
+
+      const counts = await service.processImport(11);
+
+      expect(counts).toEqual({ imported: 1, duplicate: 1, invalid: 2, suppressed: 1 });
+      expect(rowInserts.map(r => [r[2], r[5]])).toEqual([
+        [2, 'imported'], [3, 'invalid'], [4, 'invalid'], [5, 'suppressed'], [6, 'duplicate']
+      ]);
+      expect(rowInserts[1][6]).toContain('Invalid email');
+      expect(rowInserts[2][6]).toContain('Missing company');
+
+      // Company and website come from a corporate email domain; the full name is split
+      const prospectInsert = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO prospects'));
+      expect(prospectInsert[1].slice(1, 7)).toEqual(['ann@acme.com', 'Ann', 'Lee', 'Acme', null, 'acme.com']);
+
+      const finish = mockPool.query.mock.calls.find(([sql]) => sql.includes("status = 'completed'"));
+      expect(finish[0]).toContain('file_data = NULL');
+    });
+
+    test('resumes after the last checkpointed row', async () => {
+      const csv = 'email,company\n' + Array.from({ length: 5 }, (_, i) => `p${i}@acme.com,Acme`).join('\n');
+      mockPool.query.mockImplementation(async (sql) => {
+        if (sql.includes('SET status = \'processing\'')) {
+          return {
+            rows: [{
+              id: 12, user_id: 1, campaign_id: 3, filename: 'a.csv', processed_rows: 3,
+              file_data: Buffer.from(csv), headers: ['email', 'company'],
+              column_mapping: { email: 'email', company_name: 'company' }
+            }]
+          };
+        }
+        if (sql.includes('INSERT INTO prospects')) return { rows: [{ id: 1 }] };
+        return { rows: [] };
+      });
+
+      await service.processImport(12);
+
+      const emails = mockPool.query.mock.calls
+        .filter(([sql]) => sql.includes('INSERT INTO prospects'))
+        .map(([, params]) => params[1]);
+      expect(emails).toEqual(['p3@acme.com', 'p4@acme.com']);
+    });
+
+    test('skips imports another worker is processing', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      expect(await service.processImport(11)).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('buildRejectionReport()', () => {
+    test('lists rejected rows with their reason and original columns', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 11, headers: ['Email', 'Company'] }] })
+        .mockResolvedValueOnce({
+          rows: [{ row_number: 3, status: 'invalid', error_message: 'Invalid email: x', raw_data: { Email: 'x', Company: 'Beta, Inc' } }]
+        });
+
+      const report = await service.buildRejectionReport(1, 11);
+      expect(report).toBe('row,status,reason,Email,Company\r\n3,invalid,Invalid email: x,x,"Beta, Inc"\r\n');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Custom Field Service Tests
+ */
+
+const CustomFieldService = require('../lib/custom-field-service');
+const { renderMergeTags, findMissingMergeTags, prospectMergeValues } = require('../lib/merge-tags');
+
+const mockPool = { query: jest.fn() };
+
+const FIELDS = [
+  { id: 1, field_key: 'tech_stack', label: 'Tech stack', field_type: 'text', is_required: true, include_in_ai: true },
+  { id: 2, field_key: 'seats', label: 'Seats', field_type: 'number', is_required: false, include_in_ai: true },
+  { id: 3, field_key: 'internal_note', label: 'Internal note', field_type: 'text', is_required: false, include_in_ai: false }
+];
+
+describe('CustomFieldService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new CustomFieldService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('createField()', () => {
+    test('derives the key from the label', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // campaign ownership
+        .mockResolvedValueOnce({ rows: [] }) // existing fields
+        .mockResolvedValueOnce({ rows: [{ id: 9, field_key: 'recent_funding' }] });
+
+      await service.createField(1, 3, { label: 'Recent funding ($)', field_type: 'number' });
+      expect(mockPool.query.mock.calls[2][1]).toEqual([3, 'recent_funding', 'Recent funding ($)', 'number', false, true, 0]);
+    });
+
+    test('refuses keys that shadow built-in merge tags', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 3 }] });
+      await expect(service.createField(1, 3, { label: 'First name' })).rejects.toThrow('built-in prospect field');
+    });
+  });
+
+  describe('setProspectValues()', () => {
+    test('stores typed values and clears blanks', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, campaign_id: 3, custom_fields: { tech_stack: 'Rails', internal_note: 'old' } }] })
+        .mockResolvedValueOnce({ rows: FIELDS })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await service.setProspectValues(1, 5, { seats: '1,200', internal_note: '' });
+      expect(result).toEqual({ tech_stack: 'Rails', seats: 1200 });
+    });
+
+    test('rejects values that do not fit the field type', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, campaign_id: 3, custom_fields: {} }] })
+        .mockResolvedValueOnce({ rows: FIELDS });
+      await expect(service.setProspectValues(1, 5, { seats: 'lots' })).rejects.toThrow('Seats: not a valid number');
+    });
+  });
+
+  describe('describeForPrompt()', () => {
+    test('lists AI-visible fields with values', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: FIELDS });
+      const lines = await service.describeForPrompt({
+        campaign_id: 3,
+        custom_fields: { tech_stack: 'Rails, Postgres', seats: 40, internal_note: 'met at conf' }
+      });
+      expect(lines).toBe('Tech stack: Rails, Postgres\nSeats: 40');
+    });
+  });
+
+  describe('previewMergeTags()', () => {
+    test('flags prospects missing required fields or tag values', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: FIELDS })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, email: 'ann@acme.com', first_name: 'Ann', company_name: 'Acme', custom_fields: { tech_stack: 'Rails' } },
+            { id: 2, email: 'bo@beta.io', company_name: 'Beta', custom_fields: {} }
+          ]
+        });
+
+      const preview = await service.previewMergeTags(1, 3, {
+        subject: 'Hi {{first_name | fallback:"there"}}',
+        body: 'Saw {{company_name}} runs {{tech_stack}}'
+      });
+
+      expect(preview.summary).toEqual({ total: 2, missing_required: 1, missing_tags: 1 });
+      expect(preview.prospects[0]).toMatchObject({
+        prospect_id: 2,
+        subject: 'Hi there',
+        missing_required: ['tech_stack'],
+        missing_tags: ['tech_stack']
+      });
+      expect(preview.prospects[1].body).toBe('Saw Acme runs Rails');
+    });
+  });
+});
+
+describe('merge tag fallbacks', () => {
+  test('uses the fallback only when the value is missing', () => {
+    const values = prospectMergeValues({ first_name: 'Dana', custom_fields: { tech_stack: 'Go' } });
+    expect(renderMergeTags(`{{first_name | fallback:"there"}} / {{ last_name|fallback:'friend' }} / {{tech_stack}}`, values))
+      .toBe('Dana / friend / Go');
+    expect(findMissingMergeTags('{{title}} {{last_name | fallback:"x"}} {{tech_stack}}', values)).toEqual(['title']);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Discovery Provider Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildProviderQuery, normalizeCompany, createProvider } = require('../lib/discovery-providers');
+
+const ICP = {
+  industries: ['Fintech'],
+  company_sizes: ['50-200 employees'],
+  geographies: ['Germany'],
+  keywords: [],
+  summary: 'Mid-size fintechs in DACH'
+};
+
+describe('discovery providers', () => {
+  describe('dataset provider', () => {
+    let dir;
+    let file;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-'));
+      file = path.join(dir, 'companies.csv');
+      fs.writeFileSync(file, [
+        'Company,Website,Industry,Country,Employees',
+        'Ledgerly,https://www.ledgerly.de,Fintech,Germany,120',
+        'Paywise,paywise.io,Fintech,France,80',
+        'Brewco,brewco.de,Beverages,Germany,30',
+        'Bigbank,bigbank.com,Banking,USA,5000'
+      ].join('\n'));
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('ranks rows by how many ICP criteria they match', async () => {
+      const provider = createProvider('dataset', { datasetPath: file });
+      const { records, meta } = await provider.search(buildProviderQuery(ICP), { limit: 10 });
+
+      expect(records.map(r => [r.company, r.relevance_score])).toEqual([
+        ['Ledgerly', 100], ['Paywise', 67], ['Brewco', 33]
+      ]);
+      expect(meta).toEqual({ dataset: 'companies.csv' });
+    });
+
+    test('skips domains already in the campaign', async () => {
+      const provider = createProvider('dataset', { datasetPath: file });
+      const { records } = await provider.search(buildProviderQuery(ICP), { excludeDomains: new Set(['ledgerly.de']) });
+      expect(records.map(r => r.company)).not.toContain('Ledgerly');
+    });
+  });
+
+  describe('rest provider', () => {
+    const originalFetch = global.fetch;
+    afterEach(() => { global.fetch = originalFetch; });
+
+    test('posts the query and reads results from the configured path', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: { companies: [{ id: 'c_1', name: 'Ledgerly', domain: 'ledgerly.de' }] } })
+      });
+      const provider = createProvider('rest', { rest: { url: 'https://data.example.com/search', apiKey: 'k', resultsPath: 'data.companies' } });
+
+      const { records, meta } = await provider.search(buildProviderQuery(ICP), { limit: 5 });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://data.example.com/search');
+      expect(options.headers.Authorization).toBe('Bearer k');
+      expect(JSON.parse(options.body)).toMatchObject({ limit: 5, query: { industries: ['Fintech'] } });
+      expect(records).toHaveLength(1);
+      expect(meta).toEqual({ endpoint: 'data.example.com' });
+    });
+  });
+
+  describe('normalizeCompany()', () => {
+    test('maps aliases and records provenance', () => {
+      const prospect = normalizeCompany({ id: 'c_1', name: 'Ledgerly', domain: 'ledgerly.de', sector: 'Fintech' }, 'rest', { endpoint: 'data.example.com' });
+      expect(prospect).toMatchObject({
+        company_name: 'Ledgerly',
+        website: 'ledgerly.de',
+        industry: 'Fintech',
+        source: 'rest',
+        source_ref: 'c_1',
+        is_ai_generated: false,
+        provenance: { provider: 'rest', ai_generated: false, endpoint: 'data.example.com' }
+      });
+    });
+
+    test('flags brainstormed companies', () => {
+      const prospect = normalizeCompany({ company_name: 'Imaginary GmbH', website: 'imaginary.de' }, 'ai');
+      expect(prospect).toMatchObject({ source: 'ai_generated', is_ai_generated: true });
+    });
+
+    test('drops records without a name or domain', () => {
+      expect(normalizeCompany({ industry: 'Fintech' }, 'dataset')).toBeNull();
+    });
+  });
+});
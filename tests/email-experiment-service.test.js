@@ -0,0 +1,149 @@
+/**
+ * Email Experiment Service Tests
+ */
+
+const EmailExperimentService = require('../lib/email-experiment-service');
+
+const mockPool = { query: jest.fn() };
+
+const experiment = {
+  id: 7,
+  campaign_id: 3,
+  status: 'running',
+  metric: 'reply_rate',
+  winning_variant: null,
+  variants: [{ name: 'A', label: 'Control' }, { name: 'B', instructions: 'Lead with the ROI' }, { name: 'C', subject: 'Quick idea' }]
+};
+
+describe('EmailExperimentService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new EmailExperimentService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('createExperiment()', () => {
+    test('names variants in order and stores the control without copy', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockImplementationOnce(async (sql, params) => ({ rows: [{ id: 7, variants: JSON.parse(params[4]) }] }));
+
+      const created = await service.createExperiment(1, 3, {
+        variants: [{ subject: 'ignored' }, { instructions: 'Lead with the ROI' }, { subject: 'Quick idea', label: 'Short' }]
+      });
+
+      expect(created.variants).toEqual([
+        { name: 'A', label: 'Control' },
+        { name: 'B', instructions: 'Lead with the ROI' },
+        { name: 'C', label: 'Short', subject: 'Quick idea' }
+      ]);
+      expect(mockPool.query.mock.calls[2][1].slice(1, 4)).toEqual(['First email copy test', 'initial', null]);
+    });
+
+    test('rejects challengers without copy and a second running experiment', async () => {
+      mockPool.query.mockResolvedValue({ rows: [{ id: 3 }] });
+      await expect(service.createExperiment(1, 3, { variants: [{}, {}] }))
+        .rejects.toThrow('Variant B needs instructions, a subject or a body');
+      await expect(service.createExperiment(1, 3, { variants: [{}] }))
+        .rejects.toThrow('variants must be a list of 2-5 variants');
+      await expect(service.createExperiment(1, 3, { variants: [{}, { subject: 'Hi' }] }))
+        .rejects.toThrow('An experiment is already running for this email');
+    });
+  });
+
+  describe('assignVariant()', () => {
+    test('is stable per prospect and spreads prospects across variants', () => {
+      const counts = { A: 0, B: 0, C: 0 };
+      for (let prospectId = 1; prospectId <= 300; prospectId++) {
+        const variant = service.assignVariant(experiment, prospectId);
+        expect(service.assignVariant(experiment, prospectId)).toBe(variant);
+        counts[variant]++;
+      }
+      Object.values(counts).forEach(n => expect(n).toBeGreaterThan(60));
+    });
+
+    test('sends the winner once concluded', () => {
+      expect(service.assignVariant({ ...experiment, status: 'concluded', winning_variant: 'C' }, 1)).toBe('C');
+    });
+  });
+
+  describe('applyToQueueItem()', () => {
+    const item = { queue_id: 40, prospect_id: 11, generated_email_id: 90, sequence_step_id: null, subject_line: 'Control subject', email_body: 'Control body' };
+    const variantRows = [
+      { ...experiment, variant: 'B', subject_line: 'ROI subject', email_body: 'ROI body', variant_status: 'approved' },
+      { ...experiment, variant: 'C', subject_line: 'Quick idea', email_body: null, variant_status: 'approved' }
+    ];
+
+    test('swaps in the assigned copy, falling back to the control for missing fields', async () => {
+      const concluded = variantRows.map(r => ({ ...r, status: 'concluded', winning_variant: 'C' }));
+      mockPool.query.mockResolvedValueOnce({ rows: concluded }).mockResolvedValueOnce({ rows: [] });
+
+      const assigned = await service.applyToQueueItem(item);
+
+      expect(assigned).toEqual({ experiment_id: 7, variant: 'C', subject_line: 'Quick idea', email_body: 'Control body' });
+      expect(mockPool.query.mock.calls[0][0]).toContain('ev.generated_email_id = $2 AND ev.sequence_step_id IS NULL');
+      expect(mockPool.query.mock.calls[1][1]).toEqual([7, 'C', 'Quick idea', 'Control body', 40]);
+    });
+
+    test('leaves the send unassigned when its variant copy is missing', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ ...variantRows[0], status: 'concluded', winning_variant: 'C' }] });
+      expect(await service.applyToQueueItem(item)).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('never sends variant copy that was not approved', async () => {
+      for (const variantStatus of ['pending_approval', 'rejected']) {
+        mockPool.query.mockReset();
+        const rows = variantRows.map(r => ({ ...r, status: 'concluded', winning_variant: 'C', variant_status: variantStatus }));
+        mockPool.query.mockResolvedValueOnce({ rows });
+
+        expect(await service.applyToQueueItem(item)).toBeNull();
+        expect(mockPool.query).toHaveBeenCalledTimes(1);
+      }
+    });
+
+    test('skips items already assigned', async () => {
+      expect(await service.applyToQueueItem({ ...item, variant: 'B' })).toBeNull();
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getResults()', () => {
+    test('reports every variant and evaluates the experiment metric', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ ...experiment, metric: 'positive_reply_rate' }] })
+        .mockResolvedValueOnce({ rows: [
+          { variant: 'A', sent: '200', replies: '30', positive_replies: '8', bounces: '4' },
+          { variant: 'B', sent: '200', replies: '32', positive_replies: '30', bounces: '2' }
+        ] });
+
+      const results = await service.getResults(1, 7);
+
+      expect(results.variants.map(v => [v.variant, v.sent])).toEqual([['A', 200], ['B', 200], ['C', 0]]);
+      expect(results.variants[0]).toMatchObject({ reply_rate: 15, positive_reply_rate: 4, bounce_rate: 2 });
+      expect(results.leader).toBe('B');
+      expect(results.comparisons.find(c => c.variant === 'A').significant).toBe(true);
+      expect(results.total_sent).toBe(400);
+    });
+  });
+
+  describe('conclude()', () => {
+    test('needs a significant winner unless one is chosen', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [experiment] })
+        .mockResolvedValueOnce({ rows: [experiment] })
+        .mockResolvedValueOnce({ rows: [] });
+      await expect(service.conclude(1, 7)).rejects.toThrow('No significant winner yet');
+
+      mockPool.query.mockReset();
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [experiment] })
+        .mockResolvedValueOnce({ rows: [{ ...experiment, status: 'concluded', winning_variant: 'B' }] });
+      const concluded = await service.conclude(1, 7, 'b');
+      expect(concluded.winning_variant).toBe('B');
+      expect(mockPool.query.mock.calls[1][1]).toEqual([7, 'B']);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Email Verification Service Tests
+ */
+
+const EmailVerificationService = require('../lib/email-verification-service');
+
+const mockPool = { query: jest.fn() };
+
+function dnsError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+describe('EmailVerificationService', () => {
+  let service;
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockPool.query.mockResolvedValue({ rows: [] });
+    service = new EmailVerificationService(mockPool, { smtp: false });
+    service.dns = {
+      resolveMx: jest.fn().mockResolvedValue([{ exchange: 'mx2.acme.com', priority: 20 }, { exchange: 'mx1.acme.com', priority: 10 }]),
+      resolve4: jest.fn().mockResolvedValue(['192.0.2.1'])
+    };
+  });
+
+  describe('verify()', () => {
+    test('rejects malformed addresses without a lookup', async () => {
+      const result = await service.verify('not-an-email');
+      expect(result).toMatchObject({ status: 'invalid', reason: 'invalid_format' });
+      expect(service.dns.resolveMx).not.toHaveBeenCalled();
+    });
+
+    test('rejects disposable domains', async () => {
+      const result = await service.verify('someone@Mailinator.com');
+      expect(result).toMatchObject({ email: 'someone@mailinator.com', status: 'invalid', reason: 'disposable_domain' });
+    });
+
+    test('marks an address unknown when only DNS was checked', async () => {
+      const result = await service.verify('dana@acme.com');
+      expect(result).toMatchObject({ status: 'unknown', reason: 'mx_only', mx_found: true, mx_host: 'mx1.acme.com' });
+
+      const insert = mockPool.query.mock.calls[1];
+      expect(insert[0]).toContain('INSERT INTO email_verifications');
+      expect(insert[1].slice(0, 4)).toEqual(['dana@acme.com', 'acme.com', 'unknown', 'mx_only']);
+    });
+
+    test('falls back to the A record when a domain has no MX', async () => {
+      service.dns.resolveMx.mockRejectedValue(dnsError('ENODATA'));
+      const result = await service.verify('dana@acme.com');
+      expect(result).toMatchObject({ status: 'unknown', mx_host: 'acme.com' });
+    });
+
+    test('rejects domains that do not exist', async () => {
+      service.dns.resolveMx.mockRejectedValue(dnsError('ENOTFOUND'));
+      const result = await service.verify('dana@acme-typo.com');
+      expect(result).toMatchObject({ status: 'invalid', reason: 'no_mail_server', mx_found: false });
+    });
+
+    test('does not fail an address on a DNS timeout', async () => {
+      service.dns.resolveMx.mockRejectedValue(dnsError('ETIMEOUT'));
+      const result = await service.verify('dana@acme.com');
+      expect(result).toMatchObject({ status: 'unknown', reason: 'dns_error' });
+    });
+
+    test('flags role addresses as risky', async () => {
+      const result = await service.verify('sales@acme.com');
+      expect(result).toMatchObject({ status: 'risky', reason: 'role_address', role_address: true });
+    });
+
+    test('returns cached results without a lookup', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ email: 'dana@acme.com', status: 'valid', reason: 'mailbox_accepted' }] });
+      const result = await service.verify('Dana@acme.com');
+      expect(result).toMatchObject({ status: 'valid', cached: true });
+      expect(service.dns.resolveMx).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('SMTP probing', () => {
+    test('valid when the mailbox is accepted and the domain is not catch-all', async () => {
+      jest.spyOn(service, '_smtpProbe').mockResolvedValue({ accepted: true, catchAll: false, response: '250 OK' });
+      const result = await service.verify('dana@acme.com', { smtp: true });
+      expect(service._smtpProbe).toHaveBeenCalledWith('mx1.acme.com', 'dana@acme.com', true);
+      expect(result).toMatchObject({ status: 'valid', smtp_checked: true, smtp_accepted: true, catch_all: false });
+    });
+
+    test('risky when the domain accepts any address', async () => {
+      jest.spyOn(service, '_smtpProbe').mockResolvedValue({ accepted: true, catchAll: true, response: '250 OK' });
+      const result = await service.verify('dana@acme.com', { smtp: true });
+      expect(result).toMatchObject({ status: 'risky', reason: 'catch_all' });
+    });
+
+    test('gives up on the conversation when the server hangs up', async () => {
+      const EventEmitter = require('events');
+      const socket = new EventEmitter();
+      socket.setTimeout = jest.fn();
+      socket.destroy = jest.fn();
+      socket.write = jest.fn(() => setImmediate(() => socket.emit('close')));
+      jest.spyOn(require('net'), 'createConnection').mockReturnValue(socket);
+
+      const probe = service._smtpProbe('mx1.acme.com', 'dana@acme.com');
+      socket.emit('data', Buffer.from('220 mx1.acme.com ESMTP\r\n'));
+
+      await expect(probe).resolves.toEqual({ accepted: null, catchAll: null, response: null });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(socket.write.mock.calls.map(c => c[0])).toEqual([`EHLO ${service.heloName}\r\n`]);
+      require('net').createConnection.mockRestore();
+    });
+
+    test('invalid when the server rejects the mailbox', async () => {
+      jest.spyOn(service, '_smtpProbe').mockResolvedValue({ accepted: false, catchAll: null, response: '550 5.1.1 User unknown' });
+      const result = await service.verify('gone@acme.com', { smtp: true });
+      expect(result).toMatchObject({ status: 'invalid', reason: 'mailbox_rejected', smtp_response: '550 5.1.1 User unknown' });
+    });
+  });
+
+  describe('verifyMany()', () => {
+    test('looks up each domain once and probes catch-all once', async () => {
+      jest.spyOn(service, '_smtpProbe').mockResolvedValue({ accepted: true, catchAll: false, response: '250 OK' });
+      const results = await service.verifyMany(['a@acme.com', 'b@acme.com', 'A@acme.com'], { smtp: true });
+
+      expect(results.size).toBe(2);
+      expect(service.dns.resolveMx).toHaveBeenCalledTimes(1);
+      expect(service._smtpProbe.mock.calls.map(c => c[2])).toEqual([true, false]);
+      expect(results.get('b@acme.com')).toMatchObject({ status: 'valid', catch_all: false });
+    });
+
+    test('addresses checked during the catch-all probe wait for its answer', async () => {
+      jest.spyOn(service, '_smtpProbe').mockImplementation(async (host, email, checkCatchAll) => {
+        // The catch-all probe is the slow one: the other addresses finish first
+        await new Promise(resolve => setTimeout(resolve, checkCatchAll ? 20 : 0));
+        return { accepted: true, catchAll: checkCatchAll ? true : null, response: '250 OK' };
+      });
+
+      const results = await service.verifyMany(['a@acme.com', 'b@acme.com', 'c@acme.com'], { smtp: true });
+
+      expect(service._smtpProbe.mock.calls.map(c => c[2])).toEqual([true, false, false]);
+      for (const result of results.values()) {
+        expect(result).toMatchObject({ status: 'risky', reason: 'catch_all', catch_all: true });
+      }
+    });
+
+    test('checks a bounded number of addresses at once and keeps their order', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      jest.spyOn(service, '_check').mockImplementation(async (email) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return { email, status: 'unknown', domain: null };
+      });
+      const emails = Array.from({ length: 20 }, (_, i) => `p${i}@acme.com`);
+
+      const results = await service.verifyMany(emails);
+
+      expect(maxInFlight).toBe(8);
+      expect([...results.keys()]).toEqual(emails);
+    });
+  });
+
+  describe('verifyCampaignRecipients()', () => {
+    test('records results on recipient status and prospects', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ email: 'dana@acme.com' }, { email: 'x@mailinator.com' }] });
+      const summary = await service.verifyCampaignRecipients(7);
+
+      expect(summary).toEqual({ checked: 2, valid: 0, risky: 0, unknown: 1, invalid: 1 });
+      const statusWrites = mockPool.query.mock.calls.filter(c => c[0].includes('INSERT INTO email_recipient_status'));
+      expect(statusWrites.map(c => c[1].slice(0, 4))).toEqual([
+        [7, 'dana@acme.com', 'unknown', 'dns'],
+        [7, 'x@mailinator.com', 'invalid', 'dns']
+      ]);
+    });
+
+    test('releases or blocks emails awaiting a verdict on their recipient', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ email: 'x@mailinator.com' }] });
+      await service.verifyCampaignRecipients(7);
+
+      const release = mockPool.query.mock.calls.find(c => c[0].includes("status = 'awaiting_verification'"));
+      expect(release[1]).toEqual([7, 'x@mailinator.com', 'blocked_invalid_recipient']);
+    });
+  });
+});
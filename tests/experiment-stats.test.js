@@ -0,0 +1,114 @@
+/**
+ * Experiment Statistics Tests
+ */
+
+const {
+  twoProportionZTest, evaluateVariants, bayesianEvaluate, thompsonSample, stoppingDecision
+} = require('../lib/experiment-stats');
+
+describe('experiment-stats', () => {
+  test('two-proportion z-test matches the textbook value', () => {
+    const { z, p_value } = twoProportionZTest({ total: 200, conversions: 40 }, { total: 200, conversions: 20 });
+    expect(z).toBeCloseTo(2.801, 2);
+    expect(p_value).toBeCloseTo(0.0051, 3);
+  });
+
+  test('nothing to compare gives p = 1', () => {
+    expect(twoProportionZTest({ total: 0, conversions: 0 }, { total: 10, conversions: 1 })).toEqual({ z: 0, p_value: 1 });
+  });
+
+  test('two variants use the plain alpha', () => {
+    const result = evaluateVariants([
+      { variant: 'A', total: 200, conversions: 20 },
+      { variant: 'B', total: 200, conversions: 40 }
+    ]);
+    expect(result.leader).toBe('B');
+    expect(result.alpha).toBe(0.05);
+    expect(result.winner).toBe('B');
+  });
+
+  test('more variants need the leader to beat every rival at the corrected alpha', () => {
+    const variants = [
+      { variant: 'A', total: 200, conversions: 20 },
+      { variant: 'B', total: 200, conversions: 40 },
+      { variant: 'C', total: 200, conversions: 33 }
+    ];
+    const result = evaluateVariants(variants);
+
+    expect(result.alpha).toBeCloseTo(0.025);
+    expect(result.comparisons.map(c => c.variant)).toEqual(['C', 'A']);
+    expect(result.comparisons.find(c => c.variant === 'A').significant).toBe(true);
+    expect(result.comparisons.find(c => c.variant === 'C').significant).toBe(false);
+    expect(result.significant).toBe(false);
+    expect(result.winner).toBeNull();
+  });
+
+  describe('bayesianEvaluate()', () => {
+    const variants = [
+      { variant: 'A', total: 1000, conversions: 100 },
+      { variant: 'B', total: 1000, conversions: 140 }
+    ];
+
+    test('reports posteriors, probability to beat control and expected loss', () => {
+      const result = bayesianEvaluate(variants);
+      const [a, b] = result.variants;
+
+      expect(result.control).toBe('A');
+      expect(result.best).toBe('B');
+      expect(a.prob_beat_control).toBeNull();
+      expect(b.prob_beat_control).toBeGreaterThan(0.99);
+      expect(b.posterior_mean).toBeCloseTo(141 / 1002, 6);
+      expect(a.prob_best + b.prob_best).toBeCloseTo(1, 6);
+      expect(b.expected_loss).toBeLessThan(0.001);
+      expect(a.expected_loss).toBeGreaterThan(0.03);
+    });
+
+    test('is reproducible for the same data', () => {
+      expect(bayesianEvaluate(variants, { control: 'B' })).toEqual(bayesianEvaluate(variants, { control: 'B' }));
+    });
+  });
+
+  describe('stoppingDecision()', () => {
+    const rules = { minSample: 500, winProbability: 0.95, lossThreshold: 0.005 };
+
+    test('keeps collecting until every variant has the minimum sample', () => {
+      const decision = stoppingDecision(bayesianEvaluate([
+        { variant: 'A', total: 300, conversions: 10 },
+        { variant: 'B', total: 600, conversions: 90 }
+      ]), rules);
+      expect(decision).toMatchObject({ min_sample_reached: false, samples_needed: 200, can_stop: false, reason: 'collecting' });
+    });
+
+    test('calls a clear winner', () => {
+      const decision = stoppingDecision(bayesianEvaluate([
+        { variant: 'A', total: 1000, conversions: 100 },
+        { variant: 'B', total: 1000, conversions: 140 }
+      ]), rules);
+      expect(decision).toMatchObject({ can_stop: true, reason: 'winner', recommended_winner: 'B' });
+    });
+
+    test('stops on the control when the variants are practically equivalent', () => {
+      const decision = stoppingDecision(bayesianEvaluate([
+        { variant: 'A', total: 20000, conversions: 2000 },
+        { variant: 'B', total: 20000, conversions: 2010 }
+      ]), rules);
+      expect(decision).toMatchObject({ can_stop: true, reason: 'equivalent', recommended_winner: 'A' });
+    });
+
+    test('waits when a close race could still cost too much', () => {
+      const decision = stoppingDecision(bayesianEvaluate([
+        { variant: 'A', total: 500, conversions: 50 },
+        { variant: 'B', total: 500, conversions: 55 }
+      ]), rules);
+      expect(decision).toMatchObject({ can_stop: false, reason: 'uncertain' });
+    });
+  });
+
+  test('Thompson sampling favours the variant with the better posterior', () => {
+    const picks = { A: 0, B: 0 };
+    for (let i = 0; i < 500; i++) {
+      picks[thompsonSample([{ variant: 'A', total: 200, conversions: 20 }, { variant: 'B', total: 200, conversions: 40 }])]++;
+    }
+    expect(picks.B).toBeGreaterThan(450);
+  });
+});
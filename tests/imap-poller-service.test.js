@@ -0,0 +1,232 @@
+/**
+ * IMAP Poller Tests
+ *
+ * Runs ImapClient / ImapPollerService against an in-process IMAP server.
+ */
+
+const net = require('net');
+const ImapClient = require('../lib/imap-client');
+const ImapPollerService = require('../lib/imap-poller-service');
+const { parseMessage, stripQuotedText, decodeWords } = require('../lib/mime-parser');
+
+const reply = (uid, overrides = {}) => [
+  `From: ${overrides.from || 'Lead Person <lead@corp.com>'}`,
+  'To: outreach@acme.io',
+  `Subject: ${overrides.subject || 'Re: Quick question'}`,
+  `Message-ID: <reply-${uid}@corp.com>`,
+  'In-Reply-To: <step1@acme.io>',
+  'References: <step1@acme.io>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/alternative; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=iso-8859-1',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Sounds great, let=E2s talk Tuesday. Gr=FC=DFe',
+  '',
+  'On Mon, Mar 2, 2026 at 9:00 AM Jo <jo@acme.io> wrote:',
+  '> Would you be open to a quick call?',
+  '--b1',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>Sounds great</p>',
+  '--b1--',
+  ''
+].join('\r\n');
+
+/**
+ * Minimal IMAP server: LOGIN, SELECT, UID SEARCH, UID FETCH, IDLE
+ */
+function createImapServer({ user = 'outreach@acme.io', pass = 'pw' } = {}) {
+  const state = { messages: [], uidValidity: 7, idlers: new Set(), logins: 0 };
+
+  state.add = (raw) => {
+    const uid = (state.messages[state.messages.length - 1]?.uid || 100) + 1;
+    state.messages.push({ uid, raw: Buffer.from(raw) });
+    for (const socket of state.idlers) socket.write(`* ${state.messages.length} EXISTS\r\n`);
+    return uid;
+  };
+
+  state.server = net.createServer((socket) => {
+    let buffer = '';
+    let idleTag = null;
+    const send = (line) => socket.write(`${line}\r\n`);
+    socket.on('close', () => state.idlers.delete(socket));
+
+    send('* OK fake IMAP ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (idleTag) {
+          if (line === 'DONE') {
+            state.idlers.delete(socket);
+            send(`${idleTag} OK IDLE terminated`);
+            idleTag = null;
+          }
+          continue;
+        }
+
+        const [tag, ...words] = line.split(' ');
+        const command = words.join(' ');
+
+        if (/^CAPABILITY/i.test(command)) {
+          send('* CAPABILITY IMAP4rev1 IDLE');
+          send(`${tag} OK done`);
+        } else if (/^LOGIN/i.test(command)) {
+          const [, u, p] = /^LOGIN "(.*)" "(.*)"$/.exec(command) || [];
+          if (u === user && p === pass) {
+            state.logins++;
+            send(`${tag} OK logged in`);
+          } else {
+            send(`${tag} NO bad credentials`);
+          }
+        } else if (/^SELECT/i.test(command)) {
+          send(`* ${state.messages.length} EXISTS`);
+          send(`* OK [UIDVALIDITY ${state.uidValidity}] ok`);
+          send(`* OK [UIDNEXT ${(state.messages[state.messages.length - 1]?.uid || 100) + 1}] ok`);
+          send(`${tag} OK [READ-WRITE] selected`);
+        } else if (/^UID SEARCH/i.test(command)) {
+          const range = /UID (\d+):\*/.exec(command);
+          let uids = state.messages.map(m => m.uid);
+          if (range) {
+            const matching = uids.filter(uid => uid >= parseInt(range[1]));
+            uids = matching.length ? matching : uids.slice(-1);
+          }
+          send(`* SEARCH ${uids.join(' ')}`.trim());
+          send(`${tag} OK search done`);
+        } else if (/^UID FETCH/i.test(command)) {
+          const wanted = /^UID FETCH ([\d,]+)/i.exec(command)[1].split(',').map(Number);
+          state.messages.forEach((message, i) => {
+            if (!wanted.includes(message.uid)) return;
+            socket.write(`* ${i + 1} FETCH (UID ${message.uid} BODY[] {${message.raw.length}}\r\n`);
+            socket.write(message.raw);
+            socket.write(')\r\n');
+          });
+          send(`${tag} OK fetch done`);
+        } else if (/^IDLE/i.test(command)) {
+          idleTag = tag;
+          state.idlers.add(socket);
+          send('+ idling');
+        } else if (/^LOGOUT/i.test(command)) {
+          send('* BYE');
+          send(`${tag} OK bye`);
+          socket.end();
+        } else {
+          send(`${tag} BAD unknown`);
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    state.server.listen(0, '127.0.0.1', () => {
+      state.port = state.server.address().port;
+      resolve(state);
+    });
+  });
+}
+
+describe('mime-parser', () => {
+  test('parses multipart replies with legacy charsets and threading headers', () => {
+    const parsed = parseMessage(reply(1));
+    expect(parsed.from).toBe('lead@corp.com');
+    expect(parsed.fromName).toBe('Lead Person');
+    expect(parsed.inReplyTo).toBe('<step1@acme.io>');
+    expect(parsed.text).toContain('Grüße');
+    expect(parsed.html).toBe('<p>Sounds great</p>');
+  });
+
+  test('strips quoted history and signatures', () => {
+    const text = 'Yes, Tuesday works.\n\n-- \nLead\n\nOn Mon, Jo wrote:\n> original';
+    expect(stripQuotedText(text)).toBe('Yes, Tuesday works.');
+    expect(stripQuotedText('Sure.\r\n\r\nFrom: Jo <jo@acme.io>\r\nSent: Monday\r\nSubject: hi')).toBe('Sure.');
+  });
+
+  test('decodes RFC 2047 encoded words', () => {
+    expect(decodeWords('=?UTF-8?B?Q2Fmw6k=?= =?ISO-8859-1?Q?_caf=E9?=')).toBe('Café café');
+  });
+});
+
+describe('ImapPollerService', () => {
+  let imap;
+  let service;
+  const mockPool = { query: jest.fn() };
+
+  beforeEach(async () => {
+    imap = await createImapServer();
+    mockPool.query.mockReset();
+    mockPool.query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+    service = new ImapPollerService(mockPool, { replyResponseService: { categorizeReply: jest.fn().mockResolvedValue({}) } });
+    service.mailboxService.getImapSettings = () => ({
+      host: '127.0.0.1', port: imap.port, secure: 'none', username: 'outreach@acme.io', password: 'pw'
+    });
+    service.inboundReplyService.ingestReply = jest.fn().mockResolvedValue({ matched: true, duplicate: false, reply_id: 9, user_id: 1 });
+  });
+
+  afterEach(async () => {
+    await service.stopWatchers();
+    await new Promise(resolve => imap.server.close(resolve));
+  });
+
+  const cursorUpdate = () => mockPool.query.mock.calls
+    .filter(([sql]) => sql.includes('imap_last_uid ='))
+    .map(([, params]) => params)
+    .pop();
+
+  test('fetches new messages, strips quotes and feeds the reply pipeline', async () => {
+    imap.add(reply(1));
+    imap.add(reply(2, { from: 'outreach@acme.io' })); // own copy — skipped
+
+    const result = await service.pollMailbox({ id: 3, email: 'outreach@acme.io', imap_last_uid: null });
+
+    expect(result).toEqual({ fetched: 2, matched: 1 });
+    const message = service.inboundReplyService.ingestReply.mock.calls[0][0];
+    expect(message.inReplyTo).toBe('<step1@acme.io>');
+    expect(message.messageId).toBe('<reply-1@corp.com>');
+    expect(message.text).not.toContain('Would you be open');
+    expect(service.replyResponseService.categorizeReply).toHaveBeenCalledWith(9, 1);
+    expect(cursorUpdate()).toEqual([3, 7, 102]);
+  });
+
+  test('only fetches UIDs after the stored cursor', async () => {
+    imap.add(reply(1));
+    imap.add(reply(2));
+
+    const result = await service.pollMailbox({ id: 3, email: 'outreach@acme.io', imap_last_uid: 102, imap_uid_validity: 7 });
+    expect(result.fetched).toBe(0);
+
+    imap.add(reply(3));
+    const next = await service.pollMailbox({ id: 3, email: 'outreach@acme.io', imap_last_uid: 102, imap_uid_validity: 7 });
+    expect(next.fetched).toBe(1);
+    expect(service.inboundReplyService.ingestReply.mock.calls[0][0].messageId).toBe('<reply-3@corp.com>');
+  });
+
+  test('records login failures on the mailbox', async () => {
+    service.mailboxService.getImapSettings = () => ({
+      host: '127.0.0.1', port: imap.port, secure: 'none', username: 'outreach@acme.io', password: 'wrong'
+    });
+
+    const result = await service.pollMailbox({ id: 3, email: 'outreach@acme.io' });
+    expect(result.error).toContain('IMAP NO');
+    expect(mockPool.query.mock.calls.some(([sql]) => sql.includes('imap_last_error = $2'))).toBe(true);
+  });
+
+  test('IDLE wakes up on new mail', async () => {
+    const client = new ImapClient({ host: '127.0.0.1', port: imap.port, secure: 'none', username: 'outreach@acme.io', password: 'pw' });
+    await client.connect();
+    await client.select('INBOX');
+
+    const idling = client.idle(5000);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    imap.add(reply(1));
+
+    expect(await idling).toBe(true);
+    await client.logout();
+  });
+});
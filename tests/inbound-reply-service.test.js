@@ -0,0 +1,185 @@
+/**
+ * Inbound Reply Service Tests
+ */
+
+const InboundReplyService = require('../lib/inbound-reply-service');
+
+const mockPool = { query: jest.fn() };
+
+const sentItem = (overrides = {}) => ({
+  queue_id: 11,
+  campaign_id: 2,
+  prospect_id: 7,
+  sequence_step_id: 3,
+  generated_email_id: 9,
+  recipient_email: 'lead@corp.com',
+  subject_line: 'Quick question',
+  rfc_message_id: '<step1@acme.io>',
+  user_id: 1,
+  stop_on_reply: true,
+  ...overrides
+});
+
+describe('InboundReplyService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new InboundReplyService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('getThreadHeaders()', () => {
+    test('returns nothing for the first email', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      expect(await service.getThreadHeaders(2, 7)).toEqual({});
+    });
+
+    test('points follow-ups at the previous sends', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ rfc_message_id: '<a@x.io>' }, { rfc_message_id: '<b@x.io>' }] });
+      expect(await service.getThreadHeaders(2, 7)).toEqual({
+        'In-Reply-To': '<b@x.io>',
+        'References': '<a@x.io> <b@x.io>'
+      });
+    });
+
+    test('answers the prospect\'s message when responding to a reply', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ rfc_message_id: '<a@x.io>' }] });
+      expect(await service.getThreadHeaders(2, 7, '<reply@prospect.com>')).toEqual({
+        'In-Reply-To': '<reply@prospect.com>',
+        'References': '<a@x.io> <reply@prospect.com>'
+      });
+    });
+  });
+
+  describe('reply tokens', () => {
+    test('round-trips a plus-addressed token, case-insensitively', () => {
+      service.plusAddressing = true;
+      const address = service.buildReplyTo('outreach@acme.io', 12345);
+      expect(address).toMatch(/^outreach\+r-[0-9a-z]+-[0-9a-f]{10}@acme\.io$/);
+      expect(service.parseReplyToken(address.toUpperCase())).toBe(12345);
+    });
+
+    test('rejects forged tokens and leaves the address alone when disabled', () => {
+      expect(service.parseReplyToken('outreach+r-9ix-0000000000@acme.io')).toBeNull();
+      expect(service.buildReplyTo('outreach@acme.io', 1)).toBe('outreach@acme.io');
+    });
+  });
+
+  describe('resolveThread()', () => {
+    test('matches In-Reply-To before anything else', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [sentItem()] });
+
+      const match = await service.resolveThread({
+        from: 'Colleague <someone.else@corp.com>',
+        inReplyTo: '<step1@acme.io>',
+        references: '<step1@acme.io>'
+      });
+
+      expect(match.campaign_id).toBe(2);
+      expect(match.matched_by).toBe('in_reply_to');
+      expect(mockPool.query.mock.calls[0][1]).toEqual([['<step1@acme.io>']]);
+    });
+
+    test('prefers the most recent reference when In-Reply-To is unknown', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [sentItem({ queue_id: 11, rfc_message_id: '<step1@acme.io>' }), sentItem({ queue_id: 12, rfc_message_id: '<step2@acme.io>' })]
+      });
+
+      const match = await service.resolveThread({
+        from: 'lead@corp.com',
+        inReplyTo: '<their-own@corp.com>',
+        references: '<step1@acme.io> <step2@acme.io> <their-own@corp.com>'
+      });
+
+      expect(match.queue_id).toBe(12);
+      expect(match.matched_by).toBe('references');
+    });
+
+    test('falls back to reply tokens, then the sender address', async () => {
+      service.plusAddressing = true;
+      const replyTo = service.buildReplyTo('outreach@acme.io', 11);
+
+      mockPool.query.mockResolvedValueOnce({ rows: [sentItem()] });
+      const byToken = await service.resolveThread({ from: 'fwd@corp.com', to: `Outreach <${replyTo}>` });
+      expect(byToken.matched_by).toBe('reply_token');
+      expect(mockPool.query.mock.calls[0][1]).toEqual([11]);
+
+      mockPool.query.mockResolvedValueOnce({ rows: [sentItem()] });
+      const bySender = await service.resolveThread({ from: 'Lead <LEAD@corp.com>', to: 'outreach@acme.io' });
+      expect(bySender.matched_by).toBe('sender');
+      expect(mockPool.query.mock.calls[1][1]).toEqual(['lead@corp.com']);
+    });
+  });
+
+  describe('ingestReply()', () => {
+    test('stores the reply on the resolved thread and halts the sequence', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] }) // duplicate check
+        .mockResolvedValueOnce({ rows: [sentItem()] }) // thread match
+        .mockResolvedValueOnce({ rows: [{ id: 55 }] }) // inbox insert
+        .mockResolvedValue({ rows: [], rowCount: 1 });
+
+      const result = await service.ingestReply({
+        from: 'lead@corp.com',
+        subject: 'Re: Quick question',
+        text: 'Sounds good',
+        messageId: '<reply@corp.com>',
+        inReplyTo: '<step1@acme.io>'
+      });
+
+      expect(result).toMatchObject({ matched: true, reply_id: 55, campaign_id: 2, prospect_id: 7, matched_by: 'in_reply_to' });
+      const sqls = mockPool.query.mock.calls.map(([sql]) => sql);
+      expect(sqls.some(sql => sql.includes('INSERT INTO prospect_replies'))).toBe(true);
+      expect(sqls.some(sql => sql.includes("SET status = 'halted'"))).toBe(true);
+    });
+
+    test("doesn't halt the sequence for an out-of-office reply", async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] }) // duplicate check
+        .mockResolvedValueOnce({ rows: [sentItem()] }) // thread match
+        .mockResolvedValueOnce({ rows: [{ id: 55 }] }) // inbox insert
+        .mockResolvedValue({ rows: [], rowCount: 1 });
+      service.outOfOffice.handleReply = jest.fn().mockResolvedValue({ rescheduled: 2 });
+
+      const result = await service.ingestReply({
+        from: 'lead@corp.com',
+        subject: 'Automatic reply: Quick question',
+        text: 'I am out of the office until October 27th.',
+        messageId: '<ooo@corp.com>',
+        inReplyTo: '<step1@acme.io>'
+      });
+
+      expect(result).toMatchObject({ matched: true, reply_id: 55, out_of_office: true });
+      expect(service.outOfOffice.handleReply).toHaveBeenCalledWith(55);
+      const sqls = mockPool.query.mock.calls.map(([sql]) => sql);
+      expect(sqls.some(sql => sql.includes("SET status = 'halted'"))).toBe(false);
+      expect(sqls.some(sql => sql.includes("SET status = 'replied'"))).toBe(false);
+    });
+
+    test('ignores a redelivered message', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 55, campaign_id: 2, prospect_id: 7 }] });
+      const result = await service.ingestReply({ from: 'lead@corp.com', messageId: '<reply@corp.com>' });
+      expect(result.duplicate).toBe(true);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('parseWebhookPayload()', () => {
+    test('reads threading headers from SES notifications', () => {
+      const message = InboundReplyService.parseWebhookPayload('ses', {
+        Message: JSON.stringify({
+          mail: {
+            source: 'lead@corp.com',
+            commonHeaders: { from: ['Lead <lead@corp.com>'], to: ['outreach@acme.io'], subject: 'Re: hi', messageId: '<r@corp.com>' },
+            headers: [{ name: 'In-Reply-To', value: '<step1@acme.io>' }, { name: 'References', value: '<step1@acme.io>' }]
+          },
+          content: 'raw'
+        })
+      });
+
+      expect(message.from).toBe('Lead <lead@corp.com>');
+      expect(message.inReplyTo).toBe('<step1@acme.io>');
+      expect(message.messageId).toBe('<r@corp.com>');
+    });
+  });
+});
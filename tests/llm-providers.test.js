@@ -0,0 +1,119 @@
+/**
+ * LLM Provider Tests (mock replay, fixture recording, chat completions endpoint)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProvider, inputHash, recordFixture } = require('../lib/llm-providers');
+
+const request = (content, overrides = {}) => ({
+  task: 'reply_categorization',
+  model: 'test-model',
+  system: 'Categorize this reply.',
+  messages: [{ role: 'user', content }],
+  maxTokens: 500,
+  json: true,
+  ...overrides
+});
+
+describe('llm providers', () => {
+  describe('mock provider', () => {
+    let dir;
+    let provider;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+      provider = createProvider('mock', { fixturesDir: dir });
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const writeFixtures = (task, entries) => fs.writeFileSync(path.join(dir, `${task}.json`), JSON.stringify(entries));
+
+    test('replays a recorded response for the exact input before anything else', async () => {
+      const exact = request('Sounds great, send over some times.');
+      writeFixtures('reply_categorization', [
+        { match: 'send over some times', content: { category: 'interested' } },
+        { input_hash: inputHash(exact.system, exact.messages), content: '{"category":"question"}', tokens_in: 12, tokens_out: 3 }
+      ]);
+
+      const response = await provider.complete(exact);
+
+      expect(response).toEqual({ text: '{"category":"question"}', tokensIn: 12, tokensOut: 3 });
+    });
+
+    test('falls back to text matches, then to a default picked by the prompt hash', async () => {
+      writeFixtures('reply_categorization', [
+        { match: 'SEND OVER some times', content: { category: 'interested' } },
+        { content: 'first default' },
+        { content: 'second default' }
+      ]);
+
+      expect((await provider.complete(request('Sounds great, send over some times.'))).text).toBe('{"category":"interested"}');
+
+      const first = await provider.complete(request('Who is this?'));
+      const again = await provider.complete(request('Who is this?'));
+      expect(['first default', 'second default']).toContain(first.text);
+      expect(again).toEqual(first);
+    });
+
+    test('answers tasks without fixtures with an empty but well-formed response', async () => {
+      expect((await provider.complete(request('hi'))).text).toBe('{}');
+      expect((await provider.complete(request('hi', { task: 'email_draft', json: false }))).text).toBe('[mock response for email_draft]');
+    });
+
+    test('replays what recordFixture stored', async () => {
+      const live = request([{ type: 'text', text: 'Not interested, thanks.' }]);
+      recordFixture('reply_categorization', live, { text: '{"category":"not_interested"}', tokensIn: 40, tokensOut: 8 }, dir);
+      recordFixture('reply_categorization', live, { text: '{"category":"not_interested","confidence":0.9}', tokensIn: 40, tokensOut: 9 }, dir);
+
+      const stored = JSON.parse(fs.readFileSync(path.join(dir, 'reply_categorization.json'), 'utf8'));
+      expect(stored).toHaveLength(1);
+      expect(await provider.complete(live)).toEqual({ text: '{"category":"not_interested","confidence":0.9}', tokensIn: 40, tokensOut: 9 });
+    });
+  });
+
+  describe('chat completions provider', () => {
+    const originalFetch = global.fetch;
+    afterEach(() => { global.fetch = originalFetch; });
+
+    test('sends the system prompt as the first message and maps usage', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: '{"ok":true}' } }],
+          usage: { prompt_tokens: 30, completion_tokens: 5 }
+        })
+      });
+      const provider = createProvider('chat_completions', { baseUrl: 'https://llm.example.com/v1/', apiKey: 'k-123' });
+
+      const response = await provider.complete(request([{ type: 'text', text: 'Hello' }]));
+
+      expect(response).toEqual({ text: '{"ok":true}', tokensIn: 30, tokensOut: 5 });
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://llm.example.com/v1/chat/completions');
+      expect(init.headers.Authorization).toBe('Bearer k-123');
+      expect(JSON.parse(init.body)).toEqual({
+        model: 'test-model',
+        max_tokens: 500,
+        messages: [
+          { role: 'system', content: 'Categorize this reply.' },
+          { role: 'user', content: 'Hello' }
+        ]
+      });
+    });
+
+    test('surfaces the HTTP status so AIService can decide whether to escalate', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 401, text: async () => 'bad key' });
+      const provider = createProvider('chat_completions', { baseUrl: 'https://llm.example.com/v1' });
+
+      await expect(provider.complete(request('Hello'))).rejects.toMatchObject({ status: 401 });
+    });
+
+    test('requires an endpoint', async () => {
+      const provider = createProvider('chat_completions');
+      await expect(provider.complete(request('Hello'))).rejects.toThrow('AI_CHAT_COMPLETIONS_URL is not configured');
+    });
+  });
+});
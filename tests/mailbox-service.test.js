@@ -0,0 +1,120 @@
+/**
+ * Mailbox Service Tests
+ */
+
+const MailboxService = require('../lib/mailbox-service');
+
+const mockPool = { query: jest.fn() };
+
+const mailbox = (overrides = {}) => ({
+  id: 1,
+  email: 'a@send.io',
+  status: 'active',
+  daily_limit: 10,
+  sent_today: 0,
+  last_sent_at: null,
+  provider: null,
+  credentials_encrypted: null,
+  updated_at: '2026-01-01',
+  ...overrides
+});
+
+describe('MailboxService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new MailboxService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('selectMailbox()', () => {
+    test('falls back to the legacy sender when no mailboxes are attached', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await service.selectMailbox(1, 2)).toEqual({ mailbox: null });
+    });
+
+    test('rotates new prospects to the least-utilized mailbox', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [mailbox({ id: 1, sent_today: 6 }), mailbox({ id: 2, sent_today: 2 }), mailbox({ id: 3, sent_today: 10 })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const { mailbox: chosen } = await service.selectMailbox(1, 2);
+      expect(chosen.id).toBe(2);
+    });
+
+    test('keeps follow-ups on the mailbox that sent the first email', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [mailbox({ id: 1, sent_today: 9 }), mailbox({ id: 2, sent_today: 0 })] })
+        .mockResolvedValueOnce({ rows: [{ mailbox_id: 1 }] });
+
+      const { mailbox: chosen } = await service.selectMailbox(1, 2);
+      expect(chosen.id).toBe(1);
+    });
+
+    test('waits instead of switching when the sticky mailbox is at its cap', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [mailbox({ id: 1, sent_today: 10 }), mailbox({ id: 2 })] });
+
+      const result = await service.selectMailbox(1, 2, 1);
+      expect(result.wait).toBe(true);
+      expect(result.mailbox).toBeNull();
+    });
+
+    test('waits when every mailbox is paused or full', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [mailbox({ id: 1, status: 'paused' }), mailbox({ id: 2, sent_today: 10 })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect((await service.selectMailbox(1, 2)).wait).toBe(true);
+    });
+  });
+
+  describe('credentials', () => {
+    test('encrypts on create and never returns them', async () => {
+      mockPool.query.mockImplementation((sql, params) => Promise.resolve({
+        rows: [mailbox({ provider: 'mailgun', credentials_encrypted: params[5] })]
+      }));
+
+      const created = await service.createMailbox(5, {
+        email: 'A@Send.io',
+        provider: 'mailgun',
+        credentials: { api_key: 'key-123', domain: 'send.io' }
+      });
+
+      const storedCiphertext = mockPool.query.mock.calls[0][1][5];
+      expect(storedCiphertext).not.toContain('key-123');
+      expect(created.credentials_encrypted).toBeUndefined();
+      expect(created.has_credentials).toBe(true);
+
+      const sender = service.getSender(mailbox({ provider: 'mailgun', credentials_encrypted: storedCiphertext }));
+      expect(sender.apiKey).toBe('key-123');
+      expect(sender.domain).toBe('send.io');
+    });
+
+    test('rejects unsupported providers', async () => {
+      await expect(service.createMailbox(5, { email: 'a@b.io', provider: 'pigeon', credentials: { api_key: 'x' } }))
+        .rejects.toThrow('Unsupported provider');
+    });
+  });
+
+  describe('updateMailbox()', () => {
+    test('rejects a status outside active, paused and error', async () => {
+      await expect(service.updateMailbox(5, 1, { status: 'deleted' })).rejects.toThrow('status must be one of');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('only starts or pauses a warmup ramp', async () => {
+      await expect(service.updateMailbox(5, 1, { warmup_status: 'warmed' })).rejects.toThrow('warmup_status must be one of');
+      await expect(service.updateMailbox(5, 1, { warmup_status: 'not_started' })).rejects.toThrow('warmup_status must be one of');
+      expect(mockPool.query).not.toHaveBeenCalled();
+
+      mockPool.query.mockResolvedValue({ rows: [mailbox({ warmup_status: 'frozen' })] });
+      await service.updateMailbox(5, 1, { warmup_status: 'frozen' });
+      expect(mockPool.query.mock.calls[0][0]).toContain('warmup_status_reason = $4');
+      expect(mockPool.query.mock.calls[0][1]).toEqual([1, 5, 'frozen', 'Paused by user']);
+    });
+  });
+});
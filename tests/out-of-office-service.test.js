@@ -0,0 +1,205 @@
+/**
+ * Out-of-Office Service Tests
+ */
+
+const OutOfOfficeService = require('../lib/out-of-office-service');
+
+const mockPool = { query: jest.fn() };
+
+// Monday 19 Oct 2026
+const RECEIVED = new Date('2026-10-19T10:00:00Z');
+
+const replyRow = (overrides = {}) => ({
+  id: 55,
+  campaign_id: 2,
+  prospect_id: 7,
+  recipient_email: 'lead@corp.com',
+  reply_from_email: 'lead@corp.com',
+  reply_subject: 'Automatic reply: Quick question',
+  reply_body: "I'm out of the office until October 27th. For anything urgent please contact my colleague Jane Doe at jane.doe@corp.com.",
+  reply_received_at: RECEIVED,
+  alternate_prospect_id: null,
+  user_id: 1,
+  company_name: 'Corp',
+  website: 'corp.com',
+  industry: 'Fintech',
+  fit_score: 80,
+  prospect_timezone: null,
+  prospect_location: null,
+  ooo_default_pause_days: 7,
+  ooo_create_alternate_contact: false,
+  sending_window_start: '09:00',
+  sending_window_end: '17:00',
+  timezone: 'UTC',
+  skip_weekends: false,
+  holidays: [],
+  use_prospect_timezone: false,
+  ...overrides
+});
+
+/**
+ * Route the service's queries by SQL so tests don't depend on call order
+ */
+function mockQueries({ reply, realReply = false, queueItems = [] }) {
+  mockPool.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM prospect_reply_inbox pri')) return { rows: [reply] };
+    if (sql.includes('SELECT 1 FROM prospect_replies')) return { rows: realReply ? [{ '?column?': 1 }] : [] };
+    if (sql.includes('SELECT id, scheduled_for FROM campaign_sending_queue')) return { rows: queueItems };
+    if (sql.includes('INSERT INTO prospects')) return { rows: [{ id: 90 }] };
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+const queueUpdates = () => mockPool.query.mock.calls
+  .filter(([sql]) => sql.includes('UPDATE campaign_sending_queue'))
+  .map(([, params]) => ({ id: params[0], scheduled_for: params[1].toISOString() }));
+
+describe('OutOfOfficeService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new OutOfOfficeService(mockPool);
+    service.logger = { log: jest.fn(), error: jest.fn() };
+    mockPool.query.mockReset();
+  });
+
+  describe('isOutOfOffice()', () => {
+    test('recognises auto-reply phrasing', () => {
+      expect(OutOfOfficeService.isOutOfOffice('Automatic reply: Quick question', '')).toBe(true);
+      expect(OutOfOfficeService.isOutOfOffice('Re: Quick question', 'I am on annual leave until Friday.')).toBe(true);
+      expect(OutOfOfficeService.isOutOfOffice('Re: Quick question', 'Sounds good, are you available tomorrow?')).toBe(false);
+    });
+  });
+
+  describe('parseReturnDate()', () => {
+    test('takes the date after a return cue', () => {
+      expect(OutOfOfficeService.parseReturnDate('Out of office from October 12 until October 27th.', RECEIVED)).toBe('2026-10-27');
+      expect(OutOfOfficeService.parseReturnDate('I will be back on Monday, November 2.', RECEIVED)).toBe('2026-11-02');
+      expect(OutOfOfficeService.parseReturnDate('Out until 10/30/2026', RECEIVED)).toBe('2026-10-30');
+    });
+
+    test('rolls a date without a year into the next year once it has passed', () => {
+      expect(OutOfOfficeService.parseReturnDate('On leave, returning 3 January.', RECEIVED)).toBe('2027-01-03');
+    });
+
+    test('reads weekdays relative to when the reply arrived', () => {
+      expect(OutOfOfficeService.parseReturnDate("I'm away this week, back Monday.", RECEIVED)).toBe('2026-10-26');
+      expect(OutOfOfficeService.parseReturnDate('Have a good Monday!', RECEIVED)).toBeNull();
+    });
+
+    test('ignores numbers that only look like dates', () => {
+      expect(OutOfOfficeService.parseReturnDate('Our support desk is open 24/7.', RECEIVED)).toBeNull();
+    });
+  });
+
+  describe('parseAlternateContact()', () => {
+    test('returns the named colleague and skips the sender and automated addresses', () => {
+      const text = 'Replies to lead@corp.com or noreply@corp.com are not monitored. Please reach out to Sam Lee (sam.lee@corp.com).';
+      expect(OutOfOfficeService.parseAlternateContact(text, ['lead@corp.com'])).toEqual({ name: 'Sam Lee', email: 'sam.lee@corp.com' });
+    });
+
+    test('leaves the name empty when the address is only labelled', () => {
+      expect(OutOfOfficeService.parseAlternateContact('Email: help@corp.com', [])).toEqual({ name: null, email: 'help@corp.com' });
+    });
+
+    test('only takes an address offered as a contact', () => {
+      expect(OutOfOfficeService.parseAlternateContact('This mailbox (lead@corp.com) is checked weekly.', [])).toBeNull();
+      expect(OutOfOfficeService.parseAlternateContact('Please email sales+r-12-0123456789@ourco.com', [])).toBeNull();
+    });
+  });
+
+  describe('handleReply()', () => {
+    test('moves the remaining sequence to after the return date, keeping the gaps between steps', async () => {
+      mockQueries({
+        reply: replyRow(),
+        queueItems: [
+          { id: 301, scheduled_for: new Date('2026-10-21T10:00:00Z') },
+          { id: 302, scheduled_for: new Date('2026-10-24T10:00:00Z') }
+        ]
+      });
+
+      const result = await service.handleReply(55);
+
+      expect(result).toMatchObject({
+        return_date: '2026-10-27',
+        rescheduled: 2,
+        alternate_contact: { name: 'Jane Doe', email: 'jane.doe@corp.com' },
+        alternate_prospect_id: null
+      });
+      expect(result.resume_at.toISOString()).toBe('2026-10-28T09:00:00.000Z');
+      expect(queueUpdates()).toEqual([
+        { id: 301, scheduled_for: '2026-10-28T09:00:00.000Z' },
+        { id: 302, scheduled_for: '2026-10-31T09:00:00.000Z' }
+      ]);
+      const sqls = mockPool.query.mock.calls.map(([sql]) => sql);
+      expect(sqls.some(sql => sql.includes('UPDATE prospect_replies SET is_out_of_office = TRUE'))).toBe(true);
+      expect(sqls.some(sql => sql.includes('INSERT INTO prospects'))).toBe(false);
+    });
+
+    test("pauses for the campaign's default when no return date is given", async () => {
+      mockQueries({
+        reply: replyRow({ reply_body: 'I am out of the office with limited access to email.', ooo_default_pause_days: 5 }),
+        queueItems: [{ id: 301, scheduled_for: new Date('2026-10-21T10:00:00Z') }]
+      });
+
+      const result = await service.handleReply(55);
+
+      expect(result.return_date).toBeNull();
+      expect(queueUpdates()).toEqual([{ id: 301, scheduled_for: '2026-10-24T10:00:00.000Z' }]);
+    });
+
+    test('leaves the sequence halted when the prospect has also really replied', async () => {
+      mockQueries({ reply: replyRow(), realReply: true, queueItems: [{ id: 301, scheduled_for: RECEIVED }] });
+
+      const result = await service.handleReply(55);
+
+      expect(result.rescheduled).toBe(0);
+      expect(queueUpdates()).toEqual([]);
+    });
+
+    test('adds the alternate contact as a prospect when the campaign opts in', async () => {
+      mockQueries({ reply: replyRow({ ooo_create_alternate_contact: true }) });
+      service.unsubscribeService.isSuppressed = jest.fn().mockResolvedValue(false);
+      service.contactRegistry.findBlockedEmails = jest.fn().mockResolvedValue(new Map());
+      service.contactRegistry.linkCampaignProspects = jest.fn().mockResolvedValue(1);
+
+      const result = await service.handleReply(55, { returnDate: '2026-10-30' });
+
+      expect(result.return_date).toBe('2026-10-30');
+      expect(result.alternate_prospect_id).toBe(90);
+      const insert = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO prospects'));
+      expect(insert[1].slice(0, 5)).toEqual([2, 'jane.doe@corp.com', 'Jane', 'Doe', 'Corp']);
+      expect(service.contactRegistry.findBlockedEmails).toHaveBeenCalledWith(1, ['jane.doe@corp.com'], { excludeCampaignId: 2 });
+    });
+
+    test('never takes our own sending address from the quoted original', async () => {
+      mockQueries({
+        reply: replyRow({
+          ooo_create_alternate_contact: true,
+          sender_email: 'sales@ourco.com',
+          mailbox_emails: ['alex@ourco.com'],
+          reply_body: "I'm out of the office until October 27th and will reply when I'm back.\n\n" +
+            'On Mon, Oct 19, 2026 at 9:00 AM Sales <sales@ourco.com> wrote:\n' +
+            '> Hi, you can contact me at alex@ourco.com or reply to alex+r-12-0123456789@ourco.com'
+        })
+      });
+      service.unsubscribeService.isSuppressed = jest.fn().mockResolvedValue(false);
+
+      const result = await service.handleReply(55, { alternateContact: { name: 'Alex', email: 'alex@ourco.com' } });
+
+      expect(result.alternate_contact).toBeNull();
+      expect(result.alternate_prospect_id).toBeNull();
+      expect(mockPool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO prospects'))).toBe(false);
+    });
+
+    test("doesn't add a suppressed alternate contact", async () => {
+      mockQueries({ reply: replyRow({ ooo_create_alternate_contact: true }) });
+      service.unsubscribeService.isSuppressed = jest.fn().mockResolvedValue(true);
+
+      const result = await service.handleReply(55);
+
+      expect(result.alternate_prospect_id).toBeNull();
+      expect(mockPool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO prospects'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Product Intelligence Service Tests (A/B experiments)
+ */
+
+const ProductIntelligenceService = require('../lib/product-intelligence-service');
+
+const mockPool = { query: jest.fn() };
+
+const experiment = (overrides = {}) => ({
+  id: 4,
+  variants: ['control', 'new_hero'],
+  status: 'running',
+  sample_size_target: 100,
+  evaluation_mode: 'frequentist',
+  allocation: 'fixed',
+  control_variant: 'control',
+  win_probability: '0.950',
+  loss_threshold: '0.00500',
+  ...overrides
+});
+
+describe('ProductIntelligenceService experiments', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ProductIntelligenceService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  test('createExperiment defaults Thompson experiments to bayesian evaluation', async () => {
+    mockPool.query.mockImplementationOnce(async (sql, params) => ({ rows: [{ evaluation_mode: params[5], allocation: params[6] }] }));
+    const created = await service.createExperiment('Hero', 'landing_copy', ['a', 'b'], '', 200, { allocation: 'thompson' });
+    expect(created).toEqual({ evaluation_mode: 'bayesian', allocation: 'thompson' });
+
+    await expect(service.createExperiment('Hero', 'landing_copy', ['a', 'b'], '', 200, { allocation: 'thompson', evaluationMode: 'frequentist' }))
+      .rejects.toThrow('requires the bayesian evaluation mode');
+    await expect(service.createExperiment('Hero', 'landing_copy', ['a', 'b'], '', 200, { controlVariant: 'c' }))
+      .rejects.toThrow('control_variant must be one of the variants');
+  });
+
+  test('assignVariant uses Thompson sampling on adaptive experiments', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [experiment({ allocation: 'thompson' })] })
+      .mockResolvedValueOnce({ rows: [
+        { variant: 'control', total: '400', conversions: '8' },
+        { variant: 'new_hero', total: '400', conversions: '80' }
+      ] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await service.assignVariant(4, 9)).toBe('new_hero');
+    expect(mockPool.query.mock.calls[3][1]).toEqual([4, 9, null, 'new_hero']);
+  });
+
+  test('evaluateExperiment withholds a winner until every variant has the minimum sample', async () => {
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [experiment()] })
+      .mockResolvedValueOnce({ rows: [{ variant: 'new_hero', total: '400', conversions: '80' }] });
+
+    const result = await service.evaluateExperiment(4);
+
+    expect(result.variants.map(v => [v.variant, v.total])).toEqual([['new_hero', 400], ['control', 0]]);
+    expect(result.winner).toBeNull();
+    expect(result.stopping).toMatchObject({ reason: 'collecting', samples_needed: 100, min_sample_per_variant: 100 });
+  });
+
+  test('evaluateExperiment calls the winner in either mode once the data is in', async () => {
+    const counts = { rows: [
+      { variant: 'control', total: '1000', conversions: '100' },
+      { variant: 'new_hero', total: '1000', conversions: '140' }
+    ] };
+    mockPool.query.mockResolvedValueOnce({ rows: [experiment()] }).mockResolvedValueOnce(counts);
+    const frequentist = await service.evaluateExperiment(4);
+    expect(frequentist).toMatchObject({ mode: 'frequentist', significant: true, winner: 'new_hero' });
+
+    mockPool.query.mockResolvedValueOnce({ rows: [experiment()] }).mockResolvedValueOnce(counts);
+    const bayesian = await service.evaluateExperiment(4, { mode: 'bayesian' });
+    expect(bayesian).toMatchObject({ mode: 'bayesian', winner: 'new_hero' });
+    expect(bayesian.bayesian.variants.find(v => v.variant === 'new_hero').prob_beat_control).toBeGreaterThan(0.99);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Prompt Registry and Evaluation Tests
+ */
+
+const { getPrompt, renderPrompt, listPrompts, validateOutput } = require('../lib/prompt-registry');
+const { evaluatePrompt, listGoldenSets, scoreOutput } = require('../lib/prompt-eval');
+
+describe('prompt registry', () => {
+  const env = { ...process.env };
+  afterEach(() => { process.env = { ...env }; });
+
+  test('renders a prompt into AIService input tagged with its version', () => {
+    const prompt = renderPrompt('close_out', { reply_text: 'No thanks.' });
+
+    expect(prompt).toMatchObject({ id: 'close_out', version: 1, task: 'close_out_draft' });
+    expect(prompt.input.messages).toEqual([{ role: 'user', content: 'Their reply: No thanks.' }]);
+    expect(prompt.input).toMatchObject({ promptId: 'close_out', promptVersion: 1 });
+    expect(prompt.input.jsonSchema.required).toEqual(['subject', 'body']);
+  });
+
+  test('fills optional variables with empty strings and refuses missing ones', () => {
+    const prompt = renderPrompt('reply_objection', {
+      reply: { from_email: 'a@b.com', subject: 'Re: hi', body: 'Too pricey' },
+      context: 'First email'
+    });
+    expect(prompt.input.system).not.toContain('Their main objection');
+
+    expect(() => renderPrompt('reply_objection', { context: 'First email' })).toThrow('missing variables: reply');
+  });
+
+  test('PROMPT_VERSIONS pins the live version', () => {
+    process.env.PROMPT_VERSIONS = JSON.stringify({ close_out: 3 });
+
+    expect(() => getPrompt('close_out')).toThrow('Prompt close_out has no version 3');
+    expect(getPrompt('close_out', 1).version).toBe(1);
+    expect(listPrompts().find(p => p.id === 'close_out').active).toBe(3);
+  });
+
+  test('validates answers against the schema subset prompts use', () => {
+    const schema = getPrompt('reply_categorization').output;
+
+    expect(validateOutput(schema, { category: 'interested', confidence: 0.8, alternate_contact: null })).toEqual([]);
+    expect(validateOutput(schema, { category: 'meeting', confidence: 1.4 })).toEqual([
+      '$.category should be one of interested, objection, question, not_interested, ooo, spam',
+      '$.confidence should be at most 1'
+    ]);
+    expect(validateOutput(schema, [])).toEqual(['$ should be object']);
+  });
+});
+
+describe('prompt evaluation', () => {
+  const env = { ...process.env };
+  afterEach(() => { process.env = { ...env }; });
+
+  test('scores word limits, banned phrases and category', () => {
+    const definition = getPrompt('close_out');
+    const score = scoreOutput(definition, {
+      subject: 'Re: hi',
+      body: `${'word '.repeat(45)}Hope this finds you well.`,
+      category: 'spam'
+    }, { category: 'not_interested' });
+
+    expect(score.checks.schema).toEqual([]);
+    expect(score.checks.word_limits).toEqual(['body has 50 words (limit 40)']);
+    expect(score.checks.banned_phrases).toEqual(['contains "hope this finds you well"']);
+    expect(score.category).toEqual({ expected: 'not_interested', actual: 'spam', correct: false });
+  });
+
+  test('a long subject fails the character check, not the schema', () => {
+    const definition = getPrompt('email_draft');
+    const subject = 'a'.repeat(61);
+
+    expect(validateOutput(definition.output, { subject, body: 'Hi' })).toEqual([]);
+    expect(scoreOutput(definition, { subject, body: 'Hi' }).checks.char_limits).toEqual(['subject has 61 characters (limit 60)']);
+  });
+
+  test('fails a version whose category accuracy drops below the bar', async () => {
+    const answers = ['interested', 'question', 'question', 'interested'];
+    const ai = { callJSON: jest.fn(async () => ({ content: { category: answers.shift(), confidence: 0.9 } })) };
+    const cases = ['interested', 'objection', 'question', 'interested'].map((category, i) => ({
+      name: `reply ${i + 1}`,
+      variables: { reply: { from_email: 'a@b.com', subject: 'Re: hi', body: `reply ${i + 1}` } },
+      expected: { category }
+    }));
+
+    const report = await evaluatePrompt('reply_categorization', { cases, ai });
+
+    expect(report).toMatchObject({ prompt: 'reply_categorization', version: 1, cases: 4, passed: 3, ok: false });
+    expect(report.category_accuracy).toEqual({ correct: 3, total: 4, accuracy: 0.75 });
+    expect(report.failures).toEqual([{ case: 'reply 2', check: 'category', detail: 'expected objection, got question' }]);
+    expect(ai.callJSON.mock.calls[0][2]).toEqual({ skipCache: true });
+  });
+
+  test('the stored golden sets pass against the recorded fixtures', async () => {
+    process.env.AI_PROVIDER = 'mock';
+
+    for (const id of listGoldenSets()) {
+      const report = await evaluatePrompt(id);
+      expect({ id, failures: report.failures, ok: report.ok }).toEqual({ id, failures: [], ok: true });
+    }
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Reply Classifier Service Tests (rule pass, LLM pass, calibration, review loop)
+ */
+
+const ReplyClassifierService = require('../lib/reply-classifier-service');
+const { categorizeReply } = require('../lib/reply-categorization-service');
+
+const mockPool = { query: jest.fn() };
+
+const replyRow = (overrides = {}) => ({
+  id: 55,
+  campaign_id: 2,
+  prospect_id: 7,
+  user_id: 1,
+  reply_from_email: 'lead@corp.com',
+  reply_subject: 'Re: Quick question',
+  reply_body: 'Thanks for reaching out.',
+  reply_category: 'uncategorized',
+  category_source: null,
+  raw_confidence: null,
+  ...overrides
+});
+
+/**
+ * Route queries by SQL; `track` is { reviewed, correct } for calibration lookups
+ */
+function mockQueries({ reply = replyRow(), settings = null, track = { reviewed: 0, correct: 0 }, examples = [], labels = [], queue = 0 } = {}) {
+  mockPool.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM prospect_reply_inbox pri') && sql.includes('pri.*')) return { rows: reply ? [reply] : [] };
+    if (sql.includes('FROM reply_classifier_settings')) return { rows: settings ? [settings] : [] };
+    if (sql.includes('COUNT(*) as reviewed') && sql.includes('predicted_confidence >=')) {
+      return { rows: [{ reviewed: String(track.reviewed), correct: String(track.correct) }] };
+    }
+    if (sql.includes('SELECT subject, body_excerpt, label')) return { rows: examples };
+    if (sql.includes('GROUP BY predicted_category')) return { rows: labels };
+    if (sql.includes('as pending')) return { rows: [{ pending: String(queue) }] };
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+const inboxUpdate = () => mockPool.query.mock.calls.find(([sql]) => sql.includes('SET reply_category = $2, category_confidence = $3'));
+
+describe('rule pass', () => {
+  test("doesn't read scheduling words as interest", () => {
+    expect(categorizeReply('Re: hi', "I'm available tomorrow if you need anything from support.").category).toBe('uncategorized');
+  });
+
+  test('catches declines before the word "interested" can count', () => {
+    expect(categorizeReply('Re: hi', "Thanks, but we're not interested.")).toMatchObject({ category: 'not_interested', confidence: 0.92 });
+  });
+
+  test('lets auto-replies win over anything they quote', () => {
+    expect(categorizeReply('Automatic reply: hi', "I'm out of the office. Let's talk next week.").category).toBe('ooo');
+  });
+
+  test('halves the confidence when rules for different categories fire', () => {
+    const result = categorizeReply('Re: hi', "I'm interested, but honestly it's too expensive for us.");
+    expect(result.category).toBe('interested');
+    expect(result.confidence).toBe(0.45);
+    expect(result.matched.sort()).toEqual(['interested', 'objection']);
+  });
+});
+
+describe('ReplyClassifierService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ReplyClassifierService(mockPool);
+    service.ai = { callJSON: jest.fn() };
+    mockPool.query.mockReset();
+  });
+
+  describe('classify()', () => {
+    test('accepts a confident rule verdict without calling the model', async () => {
+      mockQueries({ reply: replyRow({ reply_body: 'Please unsubscribe me from this list.' }) });
+
+      const verdict = await service.classify(55, 1);
+
+      expect(verdict).toMatchObject({ category: 'not_interested', source: 'rule', confidence: 0.97, needs_review: false });
+      expect(service.ai.callJSON).not.toHaveBeenCalled();
+      expect(inboxUpdate()[1].slice(0, 6)).toEqual([55, 'not_interested', 0.97, 0.97, 'rule', false]);
+    });
+
+    test('asks the model when no rule applies, with reviewed replies as examples', async () => {
+      mockQueries({ examples: [{ subject: 'Re: hi', body_excerpt: 'Send pricing?', label: 'question' }] });
+      service.ai.callJSON.mockResolvedValue({ content: { category: 'question', confidence: 0.9, reasoning: 'asks about pricing' } });
+
+      const verdict = await service.classify(55, 1);
+
+      expect(verdict).toMatchObject({ category: 'question', source: 'llm', raw_confidence: 0.9, confidence: 0.9, needs_review: false });
+      const [task, request] = service.ai.callJSON.mock.calls[0];
+      expect(task).toBe('reply_categorization');
+      expect(request.system).toContain('Reply: Send pricing?\nCategory: question');
+    });
+
+    test("calibrates against the track record and sends doubtful verdicts to review", async () => {
+      // 30 earlier 0.9-band 'interested' verdicts, only 12 right
+      mockQueries({ track: { reviewed: 30, correct: 12 } });
+      service.ai.callJSON.mockResolvedValue({ content: { category: 'interested', confidence: 0.95 } });
+
+      const verdict = await service.classify(55, 1);
+
+      // (12 + 0.95 × 10) / (30 + 10)
+      expect(verdict.confidence).toBe(0.54);
+      expect(verdict.needs_review).toBe(true);
+    });
+
+    test("sends categories the model doesn't know to review as uncategorized", async () => {
+      mockQueries();
+      service.ai.callJSON.mockResolvedValue({ content: { category: 'meeting_request', confidence: 0.99 } });
+
+      const verdict = await service.classify(55, 1);
+
+      expect(verdict).toMatchObject({ category: 'uncategorized', confidence: 0, needs_review: true });
+    });
+
+    test("uses the user's thresholds", async () => {
+      mockQueries({
+        reply: replyRow({ reply_body: 'Please unsubscribe me from this list.' }),
+        settings: { review_threshold: '0.50', rule_accept_threshold: '0.99' }
+      });
+      service.ai.callJSON.mockResolvedValue({ content: { category: 'not_interested', confidence: 0.6 } });
+
+      const verdict = await service.classify(55, 1);
+
+      // The rule wasn't trusted alone, but it backs the model's verdict
+      expect(service.ai.callJSON).toHaveBeenCalled();
+      expect(verdict).toMatchObject({ category: 'not_interested', source: 'llm', confidence: 0.97, needs_review: false });
+    });
+  });
+
+  describe('recordLabel()', () => {
+    test('stores the correction with the original prediction and clears the review flag', async () => {
+      mockQueries({ reply: replyRow({ reply_category: 'interested', category_source: 'llm', raw_confidence: '0.62', reply_body: 'Who are you?' }) });
+
+      const review = await service.recordLabel(55, 1, 'question');
+
+      expect(review).toEqual({ reply_id: 55, category: 'question', previous_category: 'interested', corrected: true });
+      const insert = mockPool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO reply_category_labels'));
+      expect(insert[1].slice(0, 6)).toEqual([1, 55, 'interested', 'llm', '0.62', 'question']);
+      const update = mockPool.query.mock.calls.find(([sql]) => sql.includes("category_source = 'human'"));
+      expect(update[1]).toEqual([55, 'question']);
+    });
+
+    test('rejects unknown categories', async () => {
+      await expect(service.recordLabel(55, 1, 'maybe')).rejects.toThrow('Unknown category');
+    });
+  });
+
+  describe('getPrecisionStats()', () => {
+    test('reports precision per category and source', async () => {
+      mockQueries({
+        labels: [
+          { predicted_category: 'interested', predicted_source: 'llm', reviewed: '8', correct: '6' },
+          { predicted_category: 'interested', predicted_source: 'rule', reviewed: '2', correct: '2' },
+          { predicted_category: 'objection', predicted_source: 'llm', reviewed: '5', correct: '1' }
+        ],
+        queue: 3
+      });
+
+      const stats = await service.getPrecisionStats(1);
+
+      expect(stats.categories.interested).toMatchObject({ reviewed: 10, correct: 8, precision: 0.8 });
+      expect(stats.categories.interested.by_source.llm.precision).toBe(0.75);
+      expect(stats.categories.objection.precision).toBe(0.2);
+      expect(stats.categories.question.precision).toBeNull();
+      expect(stats.overall).toEqual({ reviewed: 15, correct: 9, precision: 0.6 });
+      expect(stats.review_queue).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Revision Service Tests
+ */
+
+const RevisionService = require('../lib/revision-service');
+
+const mockPool = { query: jest.fn() };
+
+describe('RevisionService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new RevisionService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('diffWords()', () => {
+    test('marks changed words and keeps the rest', () => {
+      const ops = RevisionService.diffWords(
+        'Hi Ann, I noticed your team is growing fast.',
+        'Hi Ann, I saw your team is hiring fast. Cheers'
+      );
+      expect(ops).toEqual([
+        { op: 'equal', text: 'Hi Ann, I ' },
+        { op: 'delete', text: 'noticed ' },
+        { op: 'insert', text: 'saw ' },
+        { op: 'equal', text: 'your team is ' },
+        { op: 'delete', text: 'growing ' },
+        { op: 'insert', text: 'hiring ' },
+        { op: 'equal', text: 'fast. ' },
+        { op: 'insert', text: 'Cheers' }
+      ]);
+    });
+
+    test('ignores whitespace-only changes', () => {
+      expect(RevisionService.diffWords('one two', 'one\n\ntwo')).toEqual([{ op: 'equal', text: 'one\n\ntwo' }]);
+    });
+  });
+
+  describe('record()', () => {
+    test('skips edits that changed nothing', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ subject: 'Hi', body: 'Body', recipient_email: 'a@b.co' }] });
+
+      const revision = await service.record('email', 1, {
+        kind: 'edit', campaignId: 3, subject: 'Hi', body: 'Body', recipientEmail: 'a@b.co', authorId: 5
+      });
+
+      expect(revision).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getHistory()', () => {
+    test('throws for items of other users', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(service.getHistory(1, 'email', 9)).rejects.toThrow('Item not found');
+    });
+
+    test('diffs each version against the previous one', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { revision_number: 1, kind: 'original', subject: 'Quick question', body: 'Hope this finds you well. Are you hiring?' },
+            { revision_number: 2, kind: 'rejection', subject: null, body: null, reason_category: 'tone' },
+            { revision_number: 3, kind: 'edit', subject: 'Quick question', body: 'Are you hiring?' }
+          ]
+        });
+
+      const history = await service.getHistory(1, 'email', 1);
+
+      expect(history.revisions.map(r => r.diff && r.diff.words_removed)).toEqual([null, null, 5]);
+      expect(history.overall).toMatchObject({ words_added: 0, words_removed: 5, recipient_changed: false });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Sending Window Tests
+ */
+
+const {
+  resolveWindow,
+  nextSendSlot,
+  isWithinWindow,
+  zonedTimeToUtc,
+  inferTimezone,
+  isValidTimezone
+} = require('../lib/sending-window');
+
+describe('sending-window', () => {
+  const nineToFive = (overrides = {}) => resolveWindow({
+    sending_window_start: '09:00:00',
+    sending_window_end: '17:00:00',
+    timezone: 'America/New_York',
+    ...overrides
+  });
+
+  describe('zonedTimeToUtc()', () => {
+    test('converts wall-clock time across DST offsets', () => {
+      // EST (UTC-5) in January, EDT (UTC-4) in July
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, 'America/New_York').toISOString())
+        .toBe('2026-01-15T14:00:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, 'America/New_York').toISOString())
+        .toBe('2026-07-15T13:00:00.000Z');
+    });
+  });
+
+  describe('nextSendSlot()', () => {
+    test('keeps a time already inside the window', () => {
+      const from = new Date('2026-01-14T15:30:00Z'); // 10:30 New York, Wednesday
+      expect(nextSendSlot(from, nineToFive()).toISOString()).toBe(from.toISOString());
+    });
+
+    test('moves an early-morning time to window start the same day', () => {
+      const from = new Date('2026-01-14T08:00:00Z'); // 03:00 New York
+      expect(nextSendSlot(from, nineToFive()).toISOString()).toBe('2026-01-14T14:00:00.000Z');
+    });
+
+    test('rolls an after-hours time to the next day', () => {
+      const from = new Date('2026-01-14T23:00:00Z'); // 18:00 New York
+      expect(nextSendSlot(from, nineToFive()).toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    });
+
+    test('skips weekends when configured', () => {
+      const friday = new Date('2026-01-16T23:00:00Z'); // Friday 18:00 New York
+      expect(nextSendSlot(friday, nineToFive()).toISOString()).toBe('2026-01-17T14:00:00.000Z');
+      expect(nextSendSlot(friday, nineToFive({ skip_weekends: true })).toISOString())
+        .toBe('2026-01-19T14:00:00.000Z');
+    });
+
+    test('skips configured holidays', () => {
+      const from = new Date('2026-12-24T23:00:00Z');
+      const window = nineToFive({ holidays: ['2026-12-25'] });
+      expect(nextSendSlot(from, window).toISOString()).toBe('2026-12-26T14:00:00.000Z');
+    });
+
+    describe('overnight windows', () => {
+      const overnight = (overrides = {}) => nineToFive({ sending_window_start: '22:00', sending_window_end: '06:00', ...overrides });
+
+      test('keeps times after the start and before the end', () => {
+        const late = new Date('2026-01-15T04:00:00Z'); // Wednesday 23:00 New York
+        const early = new Date('2026-01-15T08:00:00Z'); // Thursday 03:00 New York
+        expect(nextSendSlot(late, overnight()).toISOString()).toBe(late.toISOString());
+        expect(nextSendSlot(early, overnight()).toISOString()).toBe(early.toISOString());
+      });
+
+      test('moves a daytime time to the window start the same evening', () => {
+        const from = new Date('2026-01-14T17:00:00Z'); // Wednesday 12:00 New York
+        expect(nextSendSlot(from, overnight()).toISOString()).toBe('2026-01-15T03:00:00.000Z');
+      });
+
+      test('skips windows that open on a weekend', () => {
+        const window = overnight({ skip_weekends: true });
+        const saturdayNight = new Date('2026-01-18T04:00:00Z'); // Saturday 23:00 New York
+        const saturdayEarly = new Date('2026-01-17T08:00:00Z'); // Saturday 03:00, Friday's window
+        expect(nextSendSlot(saturdayNight, window).toISOString()).toBe('2026-01-20T03:00:00.000Z');
+        expect(isWithinWindow(saturdayEarly, window)).toBe(true);
+        expect(isWithinWindow(new Date('2026-01-19T08:00:00Z'), window)).toBe(false); // Monday 03:00, Sunday's window
+      });
+    });
+
+    test('treats equal start and end as open all day', () => {
+      const from = new Date('2026-01-14T08:00:00Z');
+      const window = nineToFive({ sending_window_start: '00:00', sending_window_end: '00:00' });
+      expect(isWithinWindow(from, window)).toBe(true);
+    });
+  });
+
+  describe('resolveWindow()', () => {
+    test('falls back to UTC for an invalid timezone', () => {
+      expect(resolveWindow({ timezone: 'Mars/Olympus' }).timeZone).toBe('UTC');
+    });
+
+    test('uses prospect timezone only when enabled', () => {
+      const prospect = { timezone: null, location: 'Berlin, Germany' };
+      expect(resolveWindow({ timezone: 'UTC' }, prospect).timeZone).toBe('UTC');
+      expect(resolveWindow({ timezone: 'UTC', use_prospect_timezone: true }, prospect).timeZone)
+        .toBe('Europe/Berlin');
+    });
+  });
+
+  describe('inferTimezone()', () => {
+    test('maps locations to IANA zones', () => {
+      expect(inferTimezone('Austin, TX')).toBe('America/Chicago');
+      expect(inferTimezone('San Francisco Bay Area')).toBe('America/Los_Angeles');
+      expect(inferTimezone('London, United Kingdom')).toBe('Europe/London');
+      expect(inferTimezone('Somewhere')).toBeNull();
+      expect(isValidTimezone(inferTimezone('Tokyo'))).toBe(true);
+    });
+  });
+});
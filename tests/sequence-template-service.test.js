@@ -0,0 +1,93 @@
+/**
+ * Sequence Template Service Tests
+ */
+
+const SequenceTemplateService = require('../lib/sequence-template-service');
+const { renderMergeTags, prospectMergeValues } = require('../lib/merge-tags');
+
+const mockPool = { query: jest.fn() };
+
+describe('SequenceTemplateService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SequenceTemplateService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('createTemplate()', () => {
+    test('stores steps in send order with AI and fixed content', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] }) // template insert
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 4, name: 'Founders' }] }) // getTemplate
+        .mockResolvedValueOnce({ rows: [] });
+
+      await service.createTemplate(1, {
+        name: ' Founders ',
+        steps: [
+          { days_after_initial: 10, content_type: 'fixed', subject_line: '', email_body: 'Last note, {{first_name}}' },
+          { days_after_initial: 2, ai_instructions: 'share a customer result' },
+          { days_after_initial: 5, content_type: 'ai', ai_instructions: 'ask a question', email_body: 'ignored' }
+        ]
+      });
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([1, 'Founders', null, 3]);
+      const inserted = mockPool.query.mock.calls.slice(1, 4).map(([, params]) => params);
+      expect(inserted).toEqual([
+        [4, 1, 2, 'ai', 'share a customer result', null, null],
+        [4, 2, 5, 'ai', 'ask a question', null, null],
+        [4, 3, 10, 'fixed', null, null, 'Last note, {{first_name}}']
+      ]);
+    });
+
+    test('rejects invalid steps before touching the database', async () => {
+      await expect(service.createTemplate(1, { name: 'X', steps: [] })).rejects.toThrow('At least one step');
+      await expect(service.createTemplate(1, { name: 'X', steps: [{ days_after_initial: 0, ai_instructions: 'a' }] }))
+        .rejects.toThrow('Step 1: days_after_initial');
+      await expect(service.createTemplate(1, { name: 'X', steps: [{ days_after_initial: 3, content_type: 'fixed' }] }))
+        .rejects.toThrow('fixed steps need an email_body');
+      await expect(service.createTemplate(1, {
+        name: 'X',
+        steps: [{ days_after_initial: 3, ai_instructions: 'a' }, { days_after_initial: 3, ai_instructions: 'b' }]
+      })).rejects.toThrow('different days_after_initial');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCampaignSteps()', () => {
+    test('falls back to the default Day 3 / Day 7 sequence', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      const { templateId, steps } = await service.getCampaignSteps(2);
+      expect(templateId).toBeNull();
+      expect(steps.map(s => s.days_after_initial)).toEqual([3, 7]);
+    });
+
+    test('uses the campaign template steps', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, template_id: 4, step_number: 1, days_after_initial: 2, content_type: 'fixed' }] });
+      const { templateId, steps } = await service.getCampaignSteps(2);
+      expect(templateId).toBe(4);
+      expect(steps).toHaveLength(1);
+    });
+  });
+
+  describe('assignToCampaign()', () => {
+    test('refuses templates owned by someone else', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(service.assignToCampaign(1, 2, 99)).rejects.toThrow('Template not found');
+    });
+  });
+});
+
+describe('merge tags', () => {
+  test('renders prospect values and blanks unknown tags', () => {
+    const values = prospectMergeValues({ recipient_name: 'Dana Lee Smith', company_name: 'Acme' }, { sender_name: 'Jo' });
+    expect(renderMergeTags('Hi {{ first_name }} at {{company_name}}, {{unknown}}— {{sender_name}}', values))
+      .toBe('Hi Dana at Acme, — Jo');
+    expect(values.last_name).toBe('Lee Smith');
+  });
+});
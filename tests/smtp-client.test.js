@@ -0,0 +1,198 @@
+/**
+ * SMTP Transport Tests
+ *
+ * Runs SmtpClient / ColdEmailSender against an in-process SMTP sink.
+ */
+
+const net = require('net');
+const SmtpClient = require('../lib/smtp-client');
+const ColdEmailSender = require('../lib/cold-email-sender');
+const { buildMessage, encodeQuotedPrintable } = require('../lib/mime-builder');
+
+/**
+ * Minimal SMTP server that records sessions and delivered messages
+ */
+function createSink({ auth = ['PLAIN', 'LOGIN'], user = 'sender', pass = 's3cret' } = {}) {
+  const sink = { messages: [], connections: 0, authenticated: [] };
+
+  sink.server = net.createServer((socket) => {
+    sink.connections++;
+    let buffer = '';
+    let data = null;
+    let login = null;
+    let envelope = { to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 sink ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            sink.messages.push({ ...envelope, raw: data.join('\r\n') });
+            data = null;
+            reply('250 queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        if (login === 'user') { login = Buffer.from(line, 'base64').toString(); reply('334 UGFzc3dvcmQ6'); continue; }
+        if (login !== null) {
+          const ok = login === user && Buffer.from(line, 'base64').toString() === pass;
+          if (ok) sink.authenticated.push('LOGIN');
+          login = null;
+          reply(ok ? '235 ok' : '535 bad credentials');
+          continue;
+        }
+
+        const [verb, ...rest] = line.split(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-sink');
+            if (auth.length) reply(`250-AUTH ${auth.join(' ')}`);
+            reply('250 8BITMIME');
+            break;
+          case 'AUTH':
+            if (rest[0] === 'PLAIN') {
+              const [, u, p] = Buffer.from(rest[1], 'base64').toString().split('\0');
+              const ok = u === user && p === pass;
+              if (ok) sink.authenticated.push('PLAIN');
+              reply(ok ? '235 ok' : '535 bad credentials');
+            } else {
+              login = 'user';
+              reply('334 VXNlcm5hbWU6');
+            }
+            break;
+          case 'MAIL': envelope = { from: line.match(/<(.*)>/)[1], to: [] }; reply('250 ok'); break;
+          case 'RCPT': envelope.to.push(line.match(/<(.*)>/)[1]); reply('250 ok'); break;
+          case 'DATA': data = []; reply('354 go ahead'); break;
+          case 'RSET': envelope = { to: [] }; reply('250 ok'); break;
+          case 'QUIT': reply('221 bye'); socket.end(); break;
+          default: reply('502 unknown command');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    sink.server.listen(0, '127.0.0.1', () => {
+      sink.port = sink.server.address().port;
+      resolve(sink);
+    });
+  });
+}
+
+describe('mime-builder', () => {
+  test('builds multipart text + HTML with a Message-ID on the sender domain', () => {
+    const { raw, messageId } = buildMessage({
+      from: 'jo@acme.io', fromName: 'Jo Smith', to: 'lead@corp.com',
+      subject: 'Quick question', html: '<p>Hi there</p>', headers: { 'List-Unsubscribe': '<https://x/u>' }
+    });
+
+    expect(messageId).toMatch(/^<[^@]+@acme\.io>$/);
+    expect(raw).toContain(`Message-ID: ${messageId}`);
+    expect(raw).toContain('From: Jo Smith <jo@acme.io>');
+    expect(raw).toMatch(/Content-Type: multipart\/alternative; boundary="[^"]+"/);
+    expect(raw).toContain('Content-Type: text/plain; charset=utf-8');
+    expect(raw).toContain('Content-Type: text/html; charset=utf-8');
+    expect(raw).toContain('List-Unsubscribe: <https://x/u>');
+  });
+
+  test('encodes non-ASCII subjects and bodies', () => {
+    const { raw } = buildMessage({ from: 'a@b.io', to: 'c@d.io', subject: 'Café ☕', text: 'Grüße' });
+    expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Café ☕').toString('base64')}?=`);
+    expect(raw).toContain('Gr=C3=BC=C3=9Fe');
+  });
+
+  test('soft-wraps long quoted-printable lines', () => {
+    const lines = encodeQuotedPrintable('x'.repeat(200)).split('\r\n');
+    expect(lines.length).toBeGreaterThan(2);
+    lines.forEach(line => expect(line.length).toBeLessThanOrEqual(76));
+  });
+});
+
+describe('SmtpClient', () => {
+  let sink;
+
+  beforeEach(async () => {
+    sink = await createSink();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => sink.server.close(resolve));
+  });
+
+  test('authenticates with AUTH PLAIN and delivers the message', async () => {
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port, secure: 'none', username: 'sender', password: 's3cret' });
+    const { raw } = buildMessage({ from: 'jo@acme.io', to: 'lead@corp.com', subject: 'Hi', text: 'Line one\n.dotted line' });
+
+    await client.send({ from: 'jo@acme.io', to: 'lead@corp.com' }, raw);
+    await client.close();
+
+    expect(sink.authenticated).toEqual(['PLAIN']);
+    expect(sink.messages).toHaveLength(1);
+    expect(sink.messages[0].from).toBe('jo@acme.io');
+    expect(sink.messages[0].to).toEqual(['lead@corp.com']);
+    // Dot-stuffed on the wire
+    expect(sink.messages[0].raw).toContain('\r\n..dotted line');
+  });
+
+  test('falls back to AUTH LOGIN and rejects bad credentials', async () => {
+    await new Promise(resolve => sink.server.close(resolve));
+    sink = await createSink({ auth: ['LOGIN'] });
+
+    const good = new SmtpClient({ host: '127.0.0.1', port: sink.port, secure: 'none', username: 'sender', password: 's3cret' });
+    await good.verify();
+    await good.close();
+    expect(sink.authenticated).toEqual(['LOGIN']);
+
+    const bad = new SmtpClient({ host: '127.0.0.1', port: sink.port, secure: 'none', username: 'sender', password: 'nope' });
+    await expect(bad.verify()).rejects.toThrow('SMTP error 535');
+    await bad.close();
+  });
+
+  test('reuses pooled connections across sends', async () => {
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port, secure: 'none', maxConnections: 1 });
+    const { raw } = buildMessage({ from: 'jo@acme.io', to: 'lead@corp.com', subject: 'Hi', text: 'Hello' });
+
+    await Promise.all([1, 2, 3].map(() => client.send({ from: 'jo@acme.io', to: 'lead@corp.com' }, raw)));
+    await client.close();
+
+    expect(sink.messages).toHaveLength(3);
+    expect(sink.connections).toBe(1);
+  });
+
+  test('refuses to continue in plaintext when STARTTLS is unavailable', async () => {
+    const client = new SmtpClient({ host: '127.0.0.1', port: sink.port, secure: 'starttls' });
+    await expect(client.verify()).rejects.toThrow('does not support STARTTLS');
+    await client.close();
+  });
+});
+
+describe('ColdEmailSender smtp provider', () => {
+  test('sends end-to-end and returns the Message-ID', async () => {
+    const sink = await createSink();
+    const sender = new ColdEmailSender({
+      provider: 'smtp',
+      fromEmail: 'jo@acme.io',
+      smtp: { host: '127.0.0.1', port: sink.port, secure: 'none', username: 'sender', password: 's3cret' }
+    });
+
+    const result = await sender.send({
+      to: 'lead@corp.com', subject: 'Hello', html: '<p>Hi</p>', unsubscribeUrl: 'https://app/unsubscribe/abc'
+    });
+    await sender.close();
+    await new Promise(resolve => sink.server.close(resolve));
+
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('smtp');
+    expect(sink.messages[0].raw).toContain(`Message-ID: ${result.message_id}`);
+    expect(sink.messages[0].raw).toContain('List-Unsubscribe-Post: List-Unsubscribe=One-Click');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Style Memory Service Tests
+ */
+
+const StyleMemoryService = require('../lib/style-memory-service');
+
+const mockPool = { query: jest.fn() };
+
+const edit = (itemId, previousBody, body, extra = {}) => ({
+  id: itemId * 10, item_id: itemId, kind: 'edit',
+  previous_subject: 'Quick question', subject: 'Quick question',
+  previous_body: previousBody, body, ...extra
+});
+
+describe('StyleMemoryService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new StyleMemoryService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('refresh()', () => {
+    test('learns repeated edits, trimming and rejection patterns', async () => {
+      const changes = [
+        { id: 60, item_id: 6, kind: 'rejection', reason_category: 'spammy', reason: 'Way too pushy' },
+        { id: 50, item_id: 5, kind: 'rejection', reason_category: 'spammy', reason: null },
+        edit(3, 'Hi Cy, I hope this finds you well. Saw the new Berlin office. Open to a call?', 'Hi Cy, saw the new Berlin office. Open to a call?'),
+        edit(2, 'Hi Bo, I hope this finds you well. Congrats on the launch. Worth a chat?', 'Hi Bo, congrats on the launch. Worth a chat?'),
+        edit(1, 'Hi Ann, I hope this finds you well. Your team doubled this year. Curious?', 'Hi Ann, your team doubled this year. Curious?')
+      ];
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ last_id: '60' }] })
+        .mockResolvedValueOnce({ rows: changes })
+        .mockImplementationOnce(async (sql, params) => ({ rows: [{ guidelines: JSON.parse(params[2]), last_revision_id: params[3] }] }));
+
+      const memory = await service.refresh(1, 3);
+
+      expect(memory.last_revision_id).toBe(60);
+      expect(memory.guidelines.map(g => [g.rule, g.text])).toEqual([
+        ['avoid_phrase', 'Avoid "i hope this finds you well"'],
+        ['body_length', 'Keep the body under 10 words'],
+        ['rejected_spammy', 'Avoid salesy language, hype and urgency'],
+        ['feedback', 'Reviewer feedback: "Way too pushy"']
+      ]);
+    });
+
+    test('leaves edited guidelines alone', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ guidelines: [{ text: 'Sign off as Tom', source: 'manual' }], is_edited: true }] });
+
+      const memory = await service.refresh(1, null);
+
+      expect(memory.guidelines).toHaveLength(1);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips learning when nothing changed since last time', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ guidelines: [], is_edited: false, last_revision_id: 60 }] })
+        .mockResolvedValueOnce({ rows: [{ last_id: '60' }] });
+
+      await service.refresh(1, 3);
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('forPrompt()', () => {
+    test('merges campaign and user-wide guidelines without duplicates', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ guidelines: [{ text: 'Keep it short' }], is_edited: true }] })
+        .mockResolvedValueOnce({ rows: [{ guidelines: [{ text: 'keep it short' }, { text: 'No emojis' }], is_edited: true }] });
+
+      const prompt = await service.forPrompt(1, 3);
+      expect(prompt).toContain('- Keep it short\n- No emojis');
+    });
+
+    test('returns nothing when loading fails', async () => {
+      mockPool.query.mockRejectedValueOnce(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await service.forPrompt(1, 3)).toBe('');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('updateGuidelines()', () => {
+    test('rejects overly long guidelines', async () => {
+      await expect(service.updateGuidelines(1, null, ['x'.repeat(301)]))
+        .rejects.toThrow('Each guideline must be at most 300 characters');
+    });
+  });
+
+  describe('getApprovalMetrics()', () => {
+    test('computes the approval-without-edit rate per week', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { week: '2026-09-28', reviewed: '10', approved_without_edit: '4', edited: '4', rejected: '2' },
+          { week: '2026-10-05', reviewed: '8', approved_without_edit: '6', edited: '1', rejected: '1' }
+        ]
+      });
+
+      const metrics = await service.getApprovalMetrics(1, { weeks: 4 });
+
+      expect(metrics.weeks.map(w => w.approval_without_edit_rate)).toEqual([40, 75]);
+      expect(metrics.totals).toMatchObject({ reviewed: 18, approval_without_edit_rate: 55.6 });
+    });
+  });
+});
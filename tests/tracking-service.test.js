@@ -0,0 +1,122 @@
+/**
+ * Tracking Service Tests
+ */
+
+const TrackingService = require('../lib/tracking-service');
+
+const mockPool = { query: jest.fn() };
+
+const HUMAN_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko)';
+const sentMinutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+describe('TrackingService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new TrackingService(mockPool);
+    service.baseUrl = 'https://app.koldly.test';
+    mockPool.query.mockReset();
+  });
+
+  describe('instrumentHtml()', () => {
+    const html = '<p>Hi <a href="https://acme.io/demo?a=1&amp;b=2">demo</a> ' +
+      '<a href="mailto:jo@acme.io">mail</a></p>' +
+      '<p><a href="https://app.koldly.test/unsubscribe/abc.def">Unsubscribe</a></p>';
+
+    test('leaves the body alone when tracking is off', () => {
+      expect(service.instrumentHtml(html, { queueId: 5 })).toBe(html);
+    });
+
+    test('rewrites web links to signed redirects, skipping mailto and unsubscribe', () => {
+      const output = service.instrumentHtml(html, { queueId: 5, trackClicks: true });
+
+      const tracked = /href="https:\/\/app\.koldly\.test\/t\/c\/([^"]+)"/.exec(output);
+      expect(tracked).not.toBeNull();
+      expect(service.verifyToken(tracked[1])).toEqual({ queueId: 5, url: 'https://acme.io/demo?a=1&b=2' });
+      expect(output).toContain('href="mailto:jo@acme.io"');
+      expect(output).toContain('href="https://app.koldly.test/unsubscribe/abc.def"');
+      expect(output).not.toContain('/t/o/');
+    });
+
+    test('adds the open pixel before </body>', () => {
+      const output = service.instrumentHtml('<html><body><p>Hi</p></body></html>', { queueId: 5, trackOpens: true });
+      expect(output).toMatch(/<img src="https:\/\/app\.koldly\.test\/t\/o\/[^"]+" width="1" height="1"[^>]*\/><\/body>/);
+    });
+  });
+
+  describe('tokens', () => {
+    test('rejects tampered destinations', () => {
+      const token = service.createToken({ queueId: 5, url: 'https://acme.io' });
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ q: 5, u: 'https://evil.example' })).toString('base64url');
+      expect(service.verifyToken(`${forged}.${signature}`)).toBeNull();
+    });
+  });
+
+  describe('classifyHit()', () => {
+    test('flags Apple MPP prefetches and security scanners', () => {
+      expect(service.classifyHit('open', { userAgent: 'Mozilla/5.0', ip: '17.58.101.4' })).toEqual({ isBot: true, reason: 'apple_mpp' });
+      expect(service.classifyHit('click', { userAgent: 'Mozilla/5.0 (compatible; Proofpoint URL Defense)', ip: '1.2.3.4' }, sentMinutesAgo(30)).reason)
+        .toBe('security_scanner');
+      expect(service.classifyHit('click', { userAgent: HUMAN_UA, method: 'HEAD' }).reason).toBe('head_request');
+    });
+
+    test('treats clicks right after the send as scanner traffic', () => {
+      expect(service.classifyHit('click', { userAgent: HUMAN_UA }, new Date()).reason).toBe('too_fast');
+      expect(service.classifyHit('click', { userAgent: HUMAN_UA }, sentMinutesAgo(5))).toEqual({ isBot: false, reason: null });
+    });
+  });
+
+  describe('recordOpen() / recordClick()', () => {
+    test('counts human opens on the delivery record', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, campaign_id: 2, prospect_id: 7, sent_at: sentMinutesAgo(60) }] })
+        .mockResolvedValue({ rows: [], rowCount: 1 });
+
+      const result = await service.recordOpen(service.createToken({ queueId: 5 }), { userAgent: HUMAN_UA, ip: '81.2.69.160' });
+
+      expect(result).toEqual({ recorded: true, is_bot: false, bot_reason: null });
+      expect(mockPool.query.mock.calls[1][0]).toContain('INSERT INTO email_tracking_events');
+      expect(mockPool.query.mock.calls[2][0]).toContain('open_count = open_count + 1');
+    });
+
+    test('logs bot clicks without touching the counters', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, campaign_id: 2, prospect_id: 7, sent_at: new Date() }] })
+        .mockResolvedValue({ rows: [], rowCount: 1 });
+
+      const token = service.createToken({ queueId: 5, url: 'https://acme.io' });
+      const result = await service.recordClick(token, { userAgent: HUMAN_UA, ip: '81.2.69.160' });
+
+      expect(result.is_bot).toBe(true);
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+      expect(mockPool.query.mock.calls[1][1]).toEqual([5, 2, 7, 'click', 'https://acme.io', HUMAN_UA, '81.2.69.160', true, 'too_fast']);
+    });
+
+    test('ignores invalid tokens and pixel tokens on the click route', async () => {
+      expect(await service.recordOpen('nope.nope')).toBeNull();
+      expect(await service.recordClick(service.createToken({ queueId: 5 }))).toBeNull();
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCampaignEngagement()', () => {
+    test('reports human rates and filtered bot hits', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ sent: '40', unique_opens: '10', total_opens: '14', unique_clicks: '3', total_clicks: '4' }] })
+        .mockResolvedValueOnce({ rows: [{ event_type: 'open', count: '22' }] });
+
+      expect(await service.getCampaignEngagement(2)).toEqual({
+        sent: 40,
+        unique_opens: 10,
+        total_opens: 14,
+        open_rate: 25,
+        unique_clicks: 3,
+        total_clicks: 4,
+        click_rate: 7.5,
+        filtered_bot_opens: 22,
+        filtered_bot_clicks: 0
+      });
+    });
+  });
+});
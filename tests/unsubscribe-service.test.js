@@ -0,0 +1,80 @@
+/**
+ * Unsubscribe Service Tests
+ */
+
+const UnsubscribeService = require('../lib/unsubscribe-service');
+
+const mockPool = { query: jest.fn() };
+
+describe('UnsubscribeService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new UnsubscribeService(mockPool);
+    mockPool.query.mockReset();
+  });
+
+  describe('tokens', () => {
+    test('round-trips a signed token', () => {
+      const token = service.createToken({ userId: 7, campaignId: 3, prospectId: 11, email: 'Jane@Acme.io ' });
+      expect(service.verifyToken(token)).toEqual({ userId: 7, campaignId: 3, prospectId: 11, email: 'jane@acme.io' });
+    });
+
+    test('rejects tampered and malformed tokens', () => {
+      const token = service.createToken({ userId: 7, email: 'jane@acme.io' });
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ u: 8, e: 'jane@acme.io' })).toString('base64url');
+
+      expect(service.verifyToken(`${forged}.${signature}`)).toBeNull();
+      expect(service.verifyToken('42')).toBeNull();
+      expect(service.verifyToken(null)).toBeNull();
+    });
+
+    test('builds a public URL', () => {
+      const url = service.buildUnsubscribeUrl({ userId: 1, email: 'a@b.co' });
+      expect(url).toMatch(/\/unsubscribe\/[\w-]+\.[\w-]+$/);
+    });
+  });
+
+  describe('unsubscribe()', () => {
+    test('suppresses the address and cancels queued sends', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 2 })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const token = service.createToken({ userId: 5, campaignId: 9, email: 'bob@corp.com' });
+      const result = await service.unsubscribe(token, 'one_click');
+
+      expect(result).toEqual({ success: true, email: 'bob@corp.com' });
+      expect(mockPool.query.mock.calls[0][1]).toEqual([5, 'email', 'bob@corp.com', 'unsubscribed', 'one_click', 9]);
+      expect(mockPool.query.mock.calls[1][0]).toContain("SET status = 'cancelled'");
+    });
+
+    test('returns an error for an invalid token', async () => {
+      const result = await service.unsubscribe('bad.token');
+      expect(result.success).toBe(false);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('filterSuppressed()', () => {
+    test('matches both email and domain entries', async () => {
+      mockPool.query.mockResolvedValueOnce({
+        rows: [
+          { entry_type: 'email', value: 'a@one.com' },
+          { entry_type: 'domain', value: 'two.com' }
+        ]
+      });
+
+      const suppressed = await service.filterSuppressed(1, ['A@one.com', 'b@two.com', 'c@three.com']);
+      expect([...suppressed].sort()).toEqual(['a@one.com', 'b@two.com']);
+    });
+  });
+
+  test('normalizeDomain() strips scheme, www and path', () => {
+    expect(UnsubscribeService.normalizeDomain('https://www.Acme.io/about')).toBe('acme.io');
+    expect(UnsubscribeService.normalizeDomain('x@sub.acme.io')).toBe('sub.acme.io');
+    expect(UnsubscribeService.normalizeDomain('not a domain')).toBeNull();
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Warmup Service Tests
+ */
+
+const WarmupService = require('../lib/warmup-service');
+
+const mockPool = { query: jest.fn() };
+
+describe('WarmupService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WarmupService(mockPool);
+    service.logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    mockPool.query.mockReset();
+  });
+
+  describe('buildRamp()', () => {
+    test('ramps from the start volume up to the target and stops there', () => {
+      const ramp = service.buildRamp(50);
+      expect(ramp[0]).toEqual({ day_number: 1, max_emails_per_day: 5 });
+      expect(ramp[ramp.length - 1].max_emails_per_day).toBe(50);
+      for (let i = 1; i < ramp.length; i++) {
+        expect(ramp[i].max_emails_per_day).toBeGreaterThan(ramp[i - 1].max_emails_per_day);
+      }
+    });
+
+    test('never starts above a small target', () => {
+      expect(service.buildRamp(3)).toEqual([{ day_number: 1, max_emails_per_day: 3 }]);
+    });
+  });
+
+  describe('getCampaignDailyCap()', () => {
+    const context = (overrides = {}) => ({
+      campaign_id: 1, daily_send_limit: 50, status: 'active', emails_sent_today: 30, warmup_enabled: true, warmup_day: 3, warmup_status: 'ramping', ...overrides
+    });
+
+    test('caps at the current ramp day', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ max_emails_per_day: 8 }] });
+      expect(await service.getCampaignDailyCap(context())).toBe(8);
+      expect(mockPool.query.mock.calls[0][1]).toEqual([1, 3]);
+    });
+
+    test('uses the full daily limit past the end of the ramp or when disabled', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+      expect(await service.getCampaignDailyCap(context())).toBe(50);
+      expect(await service.getCampaignDailyCap(context({ warmup_enabled: false }))).toBe(50);
+    });
+
+    test('stops sending while frozen', async () => {
+      expect(await service.getCampaignDailyCap(context({ warmup_status: 'frozen' }))).toBe(0);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('classifyHealth()', () => {
+    test('ignores rates until there are enough sends', () => {
+      expect(service.classifyHealth({ sent: 5, bounced: 3, complained: 0 }).state).toBe('healthy');
+    });
+
+    test('slows on elevated bounces and freezes on high complaints', () => {
+      expect(service.classifyHealth({ sent: 100, bounced: 4, complained: 0 }).state).toBe('slowed');
+      expect(service.classifyHealth({ sent: 1000, bounced: 0, complained: 5 }).state).toBe('frozen');
+    });
+  });
+
+  describe('runDailyRollover()', () => {
+    // 2026-03-10 03:30 UTC — already the 10th in UTC, still the 9th in New York
+    const now = new Date('2026-03-10T03:30:00Z');
+
+    const routeQueries = (contexts, rates, planDays = 20, mailboxes = []) => {
+      mockPool.query.mockImplementation((sql) => {
+        if (sql.includes('FROM campaign_sending_context')) return Promise.resolve({ rows: contexts });
+        if (sql.includes('FROM sender_mailboxes')) return Promise.resolve({ rows: mailboxes });
+        if (sql.includes('as bounced')) return Promise.resolve({ rows: [rates] });
+        if (sql.includes('MAX(day_number)')) return Promise.resolve({ rows: [{ days: planDays }] });
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      });
+    };
+    const contextUpdate = () => mockPool.query.mock.calls
+      .find(([sql]) => sql.includes('UPDATE campaign_sending_context'));
+
+    test('resets counters at local midnight and advances a healthy ramp', async () => {
+      routeQueries([
+        { campaign_id: 1, timezone: 'UTC', counters_reset_on: '2026-03-09', status: 'active', emails_sent_today: 30, warmup_enabled: true, warmup_day: 4, warmup_status: 'ramping' },
+        { campaign_id: 2, timezone: 'America/New_York', counters_reset_on: '2026-03-09', status: 'active', emails_sent_today: 30, warmup_enabled: true, warmup_day: 4, warmup_status: 'ramping' }
+      ], { sent: 40, bounced: 0, complained: 0 });
+
+      const stats = await service.runDailyRollover(now);
+
+      expect(stats.campaigns).toBe(1);
+      expect(contextUpdate()[1]).toEqual([1, '2026-03-10', 5, 'ramping', null]);
+    });
+
+    test('holds the ramp when bounces rise and freezes on complaints', async () => {
+      routeQueries([
+        { campaign_id: 1, timezone: 'UTC', counters_reset_on: '2026-03-09', status: 'active', emails_sent_today: 30, warmup_enabled: true, warmup_day: 4, warmup_status: 'ramping' }
+      ], { sent: 100, bounced: 4, complained: 0 });
+
+      await service.runDailyRollover(now);
+      expect(contextUpdate()[1].slice(2, 4)).toEqual([4, 'slowed']);
+
+      mockPool.query.mockReset();
+      routeQueries([
+        { campaign_id: 1, timezone: 'UTC', counters_reset_on: '2026-03-09', status: 'active', emails_sent_today: 30, warmup_enabled: true, warmup_day: 4, warmup_status: 'ramping' }
+      ], { sent: 100, bounced: 0, complained: 1 });
+
+      const stats = await service.runDailyRollover(now);
+      expect(stats.frozen).toBe(1);
+      expect(contextUpdate()[1].slice(2, 4)).toEqual([4, 'frozen']);
+    });
+
+    test('completes the ramp after its last day', async () => {
+      routeQueries([
+        { campaign_id: 1, timezone: 'UTC', counters_reset_on: '2026-03-09', status: 'active', emails_sent_today: 30, warmup_enabled: true, warmup_day: 20, warmup_status: 'ramping' }
+      ], { sent: 40, bounced: 0, complained: 0 }, 20);
+
+      await service.runDailyRollover(now);
+      expect(contextUpdate()[1].slice(2, 4)).toEqual([21, 'completed']);
+    });
+
+    test('keeps the ramp day of paused and idle campaigns', async () => {
+      routeQueries([
+        { campaign_id: 1, status: 'paused', timezone: 'UTC', counters_reset_on: '2026-03-09', emails_sent_today: 0, warmup_enabled: true, warmup_day: 4, warmup_status: 'ramping' },
+        { campaign_id: 2, status: 'active', timezone: 'UTC', counters_reset_on: '2026-03-09', emails_sent_today: 0, warmup_enabled: true, warmup_day: 20, warmup_status: 'ramping' }
+      ], { sent: 40, bounced: 0, complained: 0 }, 20);
+
+      const stats = await service.runDailyRollover(now);
+
+      const updates = mockPool.query.mock.calls.filter(([sql]) => sql.includes('UPDATE campaign_sending_context'));
+      expect(stats.campaigns).toBe(2);
+      expect(updates[0][1]).toEqual([1, '2026-03-10', 4, 'ramping', null]);
+      expect(updates[1][1]).toEqual([2, '2026-03-10', 20, 'ramping', null]);
+    });
+
+    test('advances a mailbox only after a day with sends', async () => {
+      routeQueries([], { sent: 40, bounced: 0, complained: 0 }, 20, [
+        { id: 7, status: 'active', warmup_day: 3, warmup_status: 'warming', sent_today: 12 },
+        { id: 8, status: 'active', warmup_day: 3, warmup_status: 'warming', sent_today: 0 },
+        { id: 9, status: 'paused', warmup_day: 3, warmup_status: 'warming', sent_today: 0 }
+      ]);
+
+      await service.runDailyRollover(now);
+
+      const updates = mockPool.query.mock.calls.filter(([sql]) => sql.includes('UPDATE sender_mailboxes'));
+      expect(updates.map(([, params]) => params.slice(0, 3))).toEqual([
+        [7, 4, 'warming'],
+        [8, 3, 'warming'],
+        [9, 3, 'warming']
+      ]);
+    });
+  });
+});
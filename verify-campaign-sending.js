@@ -34,7 +34,6 @@ async function runVerification() {
     'processSendingQueue',
     'pauseCampaign',
     'resumeCampaign',
-    'addProspectToCampaign',
     'removeProspectFromCampaign',
     'getCampaignStatus',
     'queueFollowupEmails',
@@ -74,7 +73,6 @@ async function runVerification() {
       'POST /api/campaigns/:campaignId/send/start',
       'POST /api/campaigns/:campaignId/send/pause',
       'POST /api/campaigns/:campaignId/send/resume',
-      'POST /api/campaigns/:campaignId/send/add-prospect',
       'POST /api/campaigns/:campaignId/send/remove-prospect',
       'GET /api/campaigns/:campaignId/send/status',
       'POST /api/campaigns/send/process-queue'